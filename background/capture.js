@@ -0,0 +1,313 @@
+/**
+ * Capture handlers shared by the context menu and keyboard shortcuts
+ * Side panel captures open the panel first (it must open in direct response to the
+ * user gesture), then hand the capture to it; quick captures and region screenshots
+ * go through in-page overlays and are saved here
+ */
+
+import { getDatabase } from '../lib/db/database.js';
+import { ATTACHMENT_LIMITS, createHighlight, normalizeTags } from '../lib/db/schema.js';
+import { canonicalizeUrl } from '../lib/db/url-utils.js';
+
+// Recent bookmarks offered as targets in the capture overlay
+const RECENT_TARGETS = 20;
+
+// Give a freshly opened panel time to start listening before messaging it
+const PANEL_OPEN_DELAY = 200;
+
+/**
+ * Ask the content script for the current selection (with its anchor)
+ */
+function requestSelectionInfo(tabId) {
+  return chrome.tabs.sendMessage(tabId, { type: 'GET_SELECTION' }).catch(() => null);
+}
+
+/**
+ * Ask the content script for page metadata and the extracted article
+ */
+function requestPageInfo(tabId) {
+  return chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_INFO' }).catch(() => null);
+}
+
+/**
+ * Store an action for the panel to pick up when it starts
+ */
+function storePendingAction(type, payload) {
+  return chrome.storage.local.set({
+    pendingAction: { type, payload, timestamp: Date.now() }
+  });
+}
+
+/**
+ * Open the side panel for a tab
+ * Returns false if it could not be opened
+ */
+async function openPanel(tab) {
+  try {
+    await chrome.sidePanel.open({ tabId: tab.id });
+    return true;
+  } catch (error) {
+    console.error('Error opening side panel:', error);
+    return false;
+  }
+}
+
+/**
+ * Send an action to an open panel
+ */
+async function sendToPanel(type, payload) {
+  await new Promise(resolve => setTimeout(resolve, PANEL_OPEN_DELAY));
+
+  chrome.runtime.sendMessage({ type, payload }).catch(() => {
+    // Panel will pick up from storage instead
+  });
+}
+
+/**
+ * Add the selected text of a tab to its bookmark (or a new one)
+ * The content script provides the selection as markdown; options.text is the plain
+ * selection the context menu already has, used when the page has no content script
+ * Returns false if there was nothing to capture
+ */
+export async function captureSelection(tab, options = {}) {
+  const pageUrl = options.pageUrl || tab.url;
+  const payload = {
+    text: options.text || null,
+    url: canonicalizeUrl(pageUrl),
+    title: tab.title,
+    favicon: tab.favIconUrl || null,
+    anchor: null
+  };
+
+  // Start fetching the selection anchor without blocking the user gesture
+  const selectionPromise = requestSelectionInfo(tab.id);
+
+  // Store pending data FIRST (synchronously start the promise)
+  const storagePromise = payload.text ? storePendingAction('ADD_SELECTION', payload) : null;
+
+  // Open side panel IMMEDIATELY (must be in direct response to user gesture)
+  if (!await openPanel(tab)) return false;
+
+  // Now wait for storage and send message
+  await storagePromise;
+
+  // The selection brings its markdown, the anchor and the page's canonical URL
+  const selection = await selectionPromise;
+  if (selection) {
+    payload.text = selection.text || payload.text;
+    payload.anchor = selection.anchor || null;
+    payload.url = canonicalizeUrl(pageUrl, selection.canonicalUrl);
+  }
+
+  if (!payload.text) {
+    await sendToPanel('SHOW_NOTIFICATION', {
+      message: 'Select some text on the page first',
+      type: 'warning'
+    });
+    return false;
+  }
+
+  await storePendingAction('ADD_SELECTION', payload);
+  await sendToPanel('ADD_SELECTION', payload);
+  return true;
+}
+
+/**
+ * Bookmark a tab's whole page, with its extracted article
+ */
+export async function capturePage(tab, options = {}) {
+  const pageUrl = options.pageUrl || tab.url;
+  const payload = {
+    url: canonicalizeUrl(pageUrl),
+    title: tab.title,
+    favicon: tab.favIconUrl || null,
+    article: null
+  };
+
+  // Start article extraction without blocking the user gesture
+  const pageInfoPromise = requestPageInfo(tab.id);
+
+  // Store pending data FIRST (synchronously start the promise)
+  const storagePromise = storePendingAction('ADD_PAGE', payload);
+
+  // Open side panel IMMEDIATELY (must be in direct response to user gesture)
+  if (!await openPanel(tab)) return false;
+
+  // Now wait for storage and send message
+  await storagePromise;
+
+  const pageInfo = await pageInfoPromise;
+  if (pageInfo) {
+    payload.article = pageInfo.article || null;
+    payload.url = canonicalizeUrl(pageUrl, pageInfo.canonicalUrl);
+    await storePendingAction('ADD_PAGE', payload);
+  }
+
+  await sendToPanel('ADD_PAGE', payload);
+  return true;
+}
+
+/**
+ * Open the side panel on the search view
+ */
+export async function openQuickSearch(tab) {
+  const storagePromise = storePendingAction('QUICK_SEARCH', {});
+  if (!await openPanel(tab)) return false;
+
+  await storagePromise;
+  await sendToPanel('QUICK_SEARCH', {});
+  return true;
+}
+
+/**
+ * Show the in-page capture overlay for a tab's selection
+ */
+export async function openCaptureOverlay(tab) {
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'SHOW_CAPTURE_OVERLAY' });
+    return true;
+  } catch (error) {
+    // No content script (e.g. chrome:// pages or the Web Store): use the side panel
+    return captureSelection(tab);
+  }
+}
+
+/**
+ * Bookmarks the capture overlay can add to: the page's own, recent ones, and tag names
+ */
+export async function getCaptureTargets(payload) {
+  const db = await getDatabase();
+  const pageNote = (await db.getNoteByUrl(canonicalizeUrl(payload.url, payload.canonicalUrl))) ||
+    (await db.getNoteByUrl(payload.url));
+  const recent = await db.getAllNotes({ limit: RECENT_TARGETS });
+  const tags = await db.getAllTags();
+
+  return {
+    pageNote: pageNote ? { id: pageNote.id, title: pageNote.title } : null,
+    recentNotes: recent.map(note => ({ id: note.id, title: note.title })),
+    tags: tags.map(tag => tag.name)
+  };
+}
+
+/**
+ * Save a selection from the capture overlay: as a highlight (with the user's comment)
+ * on the chosen bookmark (payload.noteId) or a new one, adding the tags. The panel
+ * embeds the note when it next opens
+ * Returns { noteId, title, created }
+ */
+export async function saveQuickCapture(payload, tab) {
+  const db = await getDatabase();
+  const url = canonicalizeUrl(payload.url, payload.canonicalUrl);
+  const highlight = createHighlight({
+    text: payload.text,
+    anchor: payload.anchor || null,
+    source: { url, title: payload.title || null },
+    comment: (payload.comment || '').trim()
+  });
+
+  let note;
+  if (payload.noteId) {
+    const existing = await db.getNote(payload.noteId);
+    if (!existing) {
+      throw new Error('That bookmark no longer exists');
+    }
+
+    note = await db.updateNote(existing.id, {
+      highlights: [...(existing.highlights || []), highlight],
+      tags: normalizeTags([...existing.tags, ...(payload.tags || [])])
+    }, { origin: 'append' });
+  } else {
+    note = await db.saveNote({
+      title: payload.title || tab?.title || 'Untitled',
+      url,
+      highlights: [highlight],
+      tags: payload.tags || [],
+      favicon: tab?.favIconUrl || null
+    });
+  }
+
+  await db.queueEmbeddings([note.id]);
+  return { noteId: note.id, title: note.title, created: !payload.noteId };
+}
+
+/**
+ * Start a region screenshot: the content script lets the user drag out a rectangle,
+ * then sends it back as CAPTURE_REGION
+ */
+export async function startRegionCapture(tab) {
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'START_REGION_CAPTURE' });
+    return true;
+  } catch (error) {
+    // No content script (e.g. chrome:// pages), which can't be captured either
+    return false;
+  }
+}
+
+/**
+ * Crop a screenshot (a PNG data URL of the visible tab) to a viewport rectangle
+ * The screenshot is in device pixels, the rectangle in CSS pixels
+ */
+async function cropScreenshot(dataUrl, rect) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const scale = bitmap.width / rect.viewportWidth;
+
+  const x = Math.round(rect.x * scale);
+  const y = Math.round(rect.y * scale);
+  const width = Math.min(Math.round(rect.width * scale), bitmap.width - x);
+  const height = Math.min(Math.round(rect.height * scale), bitmap.height - y);
+  if (width <= 0 || height <= 0) {
+    throw new Error('The region is outside the visible page');
+  }
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').drawImage(bitmap, x, y, width, height, 0, 0, width, height);
+  bitmap.close();
+
+  return { blob: await canvas.convertToBlob({ type: 'image/png' }), width, height };
+}
+
+/**
+ * Save a region of the visible tab as a screenshot attachment on the page's bookmark
+ * (or a new one). Relies on the activeTab grant from the shortcut or menu click
+ * Returns { noteId, title, created }
+ */
+export async function saveRegionCapture(payload, tab) {
+  const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+  const { blob, width, height } = await cropScreenshot(dataUrl, payload.rect);
+  if (blob.size > ATTACHMENT_LIMITS.maxFileSize) {
+    throw new Error(`Screenshot is larger than the ${Math.round(ATTACHMENT_LIMITS.maxFileSize / (1024 * 1024))} MB limit per file`);
+  }
+
+  const db = await getDatabase();
+  const url = canonicalizeUrl(payload.url, payload.canonicalUrl);
+  let note = (await db.getNoteByUrl(url)) || (await db.getNoteByUrl(payload.url));
+  const created = !note;
+
+  if (!note) {
+    note = await db.saveNote({
+      title: payload.title || tab.title || 'Untitled',
+      url,
+      favicon: tab.favIconUrl || null
+    });
+  }
+
+  try {
+    await db.addAttachment(note.id, {
+      kind: 'screenshot',
+      name: `Screenshot ${new Date().toLocaleString()}.png`,
+      type: 'image/png',
+      blob,
+      width,
+      height,
+      source: { url, title: payload.title || null }
+    });
+  } catch (error) {
+    // Don't leave an empty bookmark behind when the screenshot is refused
+    if (created) await db.deleteNote(note.id);
+    throw error;
+  }
+
+  await db.queueEmbeddings([note.id]);
+  return { noteId: note.id, title: note.title, created };
+}
@@ -2,9 +2,13 @@
  * Context Menu setup and handlers
  */
 
+import { captureSelection, capturePage, openCaptureOverlay, startRegionCapture } from './capture.js';
+
 const MENU_IDS = {
   ADD_SELECTION: 'super-bookmark-selection',
-  ADD_PAGE: 'super-bookmark-page'
+  QUICK_CAPTURE: 'super-bookmark-quick-capture',
+  ADD_PAGE: 'super-bookmark-page',
+  CAPTURE_REGION: 'super-bookmark-capture-region'
 };
 
 /**
@@ -20,12 +24,26 @@ export function setupContextMenus() {
       contexts: ['selection']
     });
 
+    // Save the selection with a comment and tags, in the page
+    chrome.contextMenus.create({
+      id: MENU_IDS.QUICK_CAPTURE,
+      title: 'Quick capture with comment…',
+      contexts: ['selection']
+    });
+
     // Bookmark entire page
     chrome.contextMenus.create({
       id: MENU_IDS.ADD_PAGE,
       title: 'Bookmark this page',
       contexts: ['page']
     });
+
+    // Screenshot a region of the page onto its bookmark
+    chrome.contextMenus.create({
+      id: MENU_IDS.CAPTURE_REGION,
+      title: 'Capture region…',
+      contexts: ['page', 'selection', 'image']
+    });
   });
 }
 
@@ -35,83 +53,18 @@ export function setupContextMenus() {
 export function handleContextMenuClick(info, tab) {
   switch (info.menuItemId) {
     case MENU_IDS.ADD_SELECTION:
-      handleAddSelection(info, tab);
+      captureSelection(tab, { text: info.selectionText, pageUrl: info.pageUrl });
+      break;
+    case MENU_IDS.QUICK_CAPTURE:
+      openCaptureOverlay(tab);
       break;
     case MENU_IDS.ADD_PAGE:
-      handleAddPage(info, tab);
+      capturePage(tab, { pageUrl: info.pageUrl });
+      break;
+    case MENU_IDS.CAPTURE_REGION:
+      startRegionCapture(tab);
       break;
   }
 }
 
-/**
- * Handle adding selected text
- */
-async function handleAddSelection(info, tab) {
-  const payload = {
-    text: info.selectionText,
-    url: info.pageUrl,
-    title: tab.title,
-    favicon: tab.favIconUrl || null
-  };
-
-  // Store pending data FIRST (synchronously start the promise)
-  const storagePromise = chrome.storage.local.set({
-    pendingAction: { type: 'ADD_SELECTION', payload, timestamp: Date.now() }
-  });
-
-  // Open side panel IMMEDIATELY (must be in direct response to user gesture)
-  try {
-    await chrome.sidePanel.open({ tabId: tab.id });
-  } catch (error) {
-    console.error('Error opening side panel:', error);
-    return;
-  }
-
-  // Now wait for storage and send message
-  await storagePromise;
-  await new Promise(resolve => setTimeout(resolve, 200));
-
-  chrome.runtime.sendMessage({
-    type: 'ADD_SELECTION',
-    payload
-  }).catch(() => {
-    // Panel will pick up from storage instead
-  });
-}
-
-/**
- * Handle bookmarking entire page
- */
-async function handleAddPage(info, tab) {
-  const payload = {
-    url: info.pageUrl,
-    title: tab.title,
-    favicon: tab.favIconUrl || null
-  };
-
-  // Store pending data FIRST (synchronously start the promise)
-  const storagePromise = chrome.storage.local.set({
-    pendingAction: { type: 'ADD_PAGE', payload, timestamp: Date.now() }
-  });
-
-  // Open side panel IMMEDIATELY (must be in direct response to user gesture)
-  try {
-    await chrome.sidePanel.open({ tabId: tab.id });
-  } catch (error) {
-    console.error('Error opening side panel:', error);
-    return;
-  }
-
-  // Now wait for storage and send message
-  await storagePromise;
-  await new Promise(resolve => setTimeout(resolve, 200));
-
-  chrome.runtime.sendMessage({
-    type: 'ADD_PAGE',
-    payload
-  }).catch(() => {
-    // Panel will pick up from storage instead
-  });
-}
-
 export { MENU_IDS };
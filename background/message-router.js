@@ -41,6 +41,18 @@ export class MessageRouter {
     return true; // Keep channel open for async responses
   }
 
+  /**
+   * Run a registered handler directly, for events that don't arrive as messages
+   * (e.g. keyboard shortcuts); sender stands in for the message sender ({ tab })
+   */
+  async dispatch(type, payload = {}, sender = {}) {
+    const handler = this.handlers.get(type);
+    if (!handler) {
+      throw new Error(`No handler for ${type}`);
+    }
+    return handler(payload, sender);
+  }
+
   /**
    * Broadcast message to all extension contexts
    */
@@ -5,10 +5,31 @@
 
 import { setupContextMenus, handleContextMenuClick } from './context-menu.js';
 import { MessageRouter } from './message-router.js';
+import {
+  captureSelection,
+  capturePage,
+  openQuickSearch,
+  openCaptureOverlay,
+  getCaptureTargets,
+  saveQuickCapture,
+  startRegionCapture,
+  saveRegionCapture
+} from './capture.js';
+import { getDatabase } from '../lib/db/database.js';
+import { canonicalizeUrl } from '../lib/db/url-utils.js';
 
 // Initialize message router
 const router = new MessageRouter();
 
+// Keyboard shortcuts (manifest "commands") and the messages they dispatch
+const COMMAND_MESSAGES = {
+  'capture-selection': 'CAPTURE_SELECTION',
+  'capture-page': 'CAPTURE_PAGE',
+  'quick-capture': 'OPEN_CAPTURE_OVERLAY',
+  'capture-region': 'START_REGION_CAPTURE',
+  'quick-search': 'OPEN_QUICK_SEARCH'
+};
+
 // ==================== Event Listeners ====================
 
 /**
@@ -49,6 +70,18 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   handleContextMenuClick(info, tab);
 });
 
+/**
+ * Keyboard shortcut handler - run the command's message handler for the active tab
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+  const type = COMMAND_MESSAGES[command];
+  if (!type || !tab) return;
+
+  router.dispatch(type, {}, { tab }).catch(error => {
+    console.error(`[SuperBookmarks] Shortcut ${command} failed:`, error);
+  });
+});
+
 /**
  * Message handler - route all messages through MessageRouter
  */
@@ -67,17 +100,83 @@ chrome.action.onClicked.addListener(async (tab) => {
 });
 
 /**
- * Handle tab updates (for potential future features like auto-capture)
+ * Handle tab updates: show the notes saved from the page once it has loaded
  */
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // Could be used for:
-  // - Auto-detecting when user visits a bookmarked page
-  // - Updating favicon when page loads
-  if (changeInfo.status === 'complete') {
-    // Tab finished loading
+  if (changeInfo.status === 'complete' && tab.url) {
+    updatePageBadge(tabId, tab.url);
   }
 });
 
+// ==================== Page Badge ====================
+
+// Badge colors: notes saved from this page, or only from elsewhere on its site
+const BADGE_PAGE_COLOR = '#eab308';
+const BADGE_SITE_COLOR = '#6b7280';
+
+/**
+ * Format a note count for the badge (which fits about four characters)
+ */
+function formatBadgeCount(count) {
+  return count > 999 ? '999+' : String(count);
+}
+
+/**
+ * Ask a tab's content script for the page's <link rel="canonical"> (null if it has
+ * none or the content script isn't there, e.g. on chrome:// pages)
+ */
+async function requestCanonicalUrl(tabId) {
+  const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_CANONICAL_URL' }).catch(() => null);
+  return response?.canonicalUrl || null;
+}
+
+/**
+ * Show on the toolbar icon how many notes were saved from a tab's page,
+ * or (in grey) from the rest of its site
+ * Captures are saved under the canonical URL, so notes saved under either count;
+ * it is asked from the tab unless given
+ */
+async function updatePageBadge(tabId, url, canonicalUrl) {
+  try {
+    const db = await getDatabase();
+    const { pages } = await db.getSettings();
+    let page = [];
+    let site = [];
+
+    if (pages.badge) {
+      const canonical = canonicalUrl === undefined ? await requestCanonicalUrl(tabId) : canonicalUrl;
+      ({ page, site } = await db.getPageNotes(url, canonical));
+    }
+
+    let text = '';
+    let title = chrome.runtime.getManifest().action.default_title;
+
+    if (page.length > 0 || site.length > 0) {
+      const host = new URL(url).host.replace(/^www\./, '');
+      const parts = [];
+      if (page.length > 0) {
+        parts.push(`${page.length} note${page.length === 1 ? '' : 's'} on this page`);
+      }
+      if (site.length > 0) {
+        parts.push(`${site.length} ${page.length > 0 ? 'more ' : ''}on ${host}`);
+      }
+
+      text = formatBadgeCount(page.length || site.length);
+      title = `Super Bookmarks: ${parts.join(', ')}`;
+      await chrome.action.setBadgeBackgroundColor({
+        tabId,
+        color: page.length > 0 ? BADGE_PAGE_COLOR : BADGE_SITE_COLOR
+      });
+    }
+
+    await chrome.action.setBadgeText({ tabId, text });
+    await chrome.action.setTitle({ tabId, title });
+  } catch (error) {
+    // The tab may have closed while the notes were looked up
+    console.error('[SuperBookmarks] Failed to update page badge:', error);
+  }
+}
+
 // ==================== Custom Message Handlers ====================
 
 // Add any service-worker-specific message handlers here
@@ -90,4 +189,62 @@ router.on('GET_EXTENSION_INFO', () => {
   };
 });
 
+// Capture from the sender's tab (dispatched by keyboard shortcuts)
+router.on('CAPTURE_SELECTION', (payload, sender) => captureSelection(sender.tab));
+router.on('CAPTURE_PAGE', (payload, sender) => capturePage(sender.tab));
+router.on('OPEN_QUICK_SEARCH', (payload, sender) => openQuickSearch(sender.tab));
+router.on('OPEN_CAPTURE_OVERLAY', (payload, sender) => openCaptureOverlay(sender.tab));
+router.on('START_REGION_CAPTURE', (payload, sender) => startRegionCapture(sender.tab));
+
+// In-page capture overlay: where a selection can go, and saving it
+router.on('GET_CAPTURE_TARGETS', (payload) => getCaptureTargets(payload));
+router.on('QUICK_CAPTURE', async (payload, sender) => {
+  const result = await saveQuickCapture(payload, sender.tab);
+
+  // Let an open panel embed the note and show it
+  router.broadcast({ type: 'NOTE_CAPTURED', payload: { noteId: result.noteId } });
+  if (sender.tab) {
+    updatePageBadge(sender.tab.id, sender.tab.url, payload.canonicalUrl || null);
+  }
+  return result;
+});
+
+// Region screenshot dragged out in the page
+router.on('CAPTURE_REGION', async (payload, sender) => {
+  const result = await saveRegionCapture(payload, sender.tab);
+
+  router.broadcast({ type: 'NOTE_CAPTURED', payload: { noteId: result.noteId } });
+  updatePageBadge(sender.tab.id, sender.tab.url, payload.canonicalUrl || null);
+  return result;
+});
+
+// Saved note for a page, used by the content script to re-paint highlights
+// (captures are saved under the canonical URL, which may be on another site)
+router.on('GET_NOTE_FOR_URL', async (payload, sender) => {
+  const db = await getDatabase();
+
+  // Sent as the page loads, so the badge can count notes saved under the canonical URL
+  // (the content script may not have been ready when the tab finished loading)
+  if (sender.tab && sender.tab.url === payload.url) {
+    updatePageBadge(sender.tab.id, sender.tab.url, payload.canonicalUrl || null);
+  }
+
+  const canonical = canonicalizeUrl(payload.url, payload.canonicalUrl);
+  return (await db.getNoteByUrl(canonical)) || db.getNoteByUrl(payload.url);
+});
+
+// Notes were saved or deleted (from the side panel); recount every open tab's page
+router.on('REFRESH_PAGE_BADGES', async () => {
+  const tabs = await chrome.tabs.query({});
+  await Promise.all(tabs.filter(tab => tab.url).map(tab => updatePageBadge(tab.id, tab.url)));
+  return { tabs: tabs.length };
+});
+
+// Highlights the content script could not find on the page
+router.on('REPORT_ORPHANED_HIGHLIGHTS', async (payload) => {
+  const db = await getDatabase();
+  const note = await db.setOrphanedHighlights(payload.noteId, payload.orphanedIds);
+  return { updated: !!note };
+});
+
 console.log('[SuperBookmarks] Service worker initialized');
@@ -0,0 +1,378 @@
+/**
+ * Super Bookmarks - Article Extraction
+ * Readability-style extraction of the main article of a page.
+ * Loaded before content-script.js and exposed on window.SuperBookmarksArticle.
+ */
+
+(function() {
+  'use strict';
+
+  if (window.SuperBookmarksArticle) return;
+
+  // Elements that never contain article content
+  const REMOVED_TAGS = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+    'form', 'button', 'input', 'select', 'textarea', 'svg', 'canvas',
+    'nav', 'aside', 'footer', 'dialog'
+  ];
+
+  const REMOVED_ROLES = ['navigation', 'banner', 'complementary', 'contentinfo', 'dialog', 'menu', 'search'];
+
+  const UNLIKELY_CANDIDATES = /comment|sidebar|footer|footnote|masthead|menu|nav|share|social|sharing|advert|ad-|ads|promo|sponsor|related|recommend|cookie|consent|banner|popup|modal|subscribe|newsletter|signup|breadcrumb|pagination|widget|outbrain|taboola/i;
+  const MAYBE_CANDIDATE = /article|body|content|entry|main|post|story|text|column/i;
+  const POSITIVE = /article|body|content|entry|main|page|post|text|blog|story/i;
+  const NEGATIVE = /hidden|comment|footer|meta|sidebar|sponsor|share|social|related|widget|promo|caption|byline|author-bio/i;
+
+  const BLOCK_TAGS = new Set(['P', 'PRE', 'BLOCKQUOTE', 'UL', 'OL', 'TABLE', 'FIGURE',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'DIV', 'SECTION', 'ARTICLE', 'DL']);
+
+  // Minimum text length for a paragraph to count towards a candidate's score
+  const MIN_PARAGRAPH_LENGTH = 25;
+
+  // Siblings of the top candidate scoring at least this share of it are kept
+  const SIBLING_SCORE_RATIO = 0.2;
+
+  // Upper bound on stored article text
+  const MAX_CONTENT_LENGTH = 200000;
+
+  /**
+   * Read the first matching meta tag
+   */
+  function getMeta(doc, selectors) {
+    for (const selector of selectors) {
+      const el = doc.querySelector(selector);
+      const value = el?.getAttribute('content') || el?.getAttribute('datetime');
+      if (value && value.trim()) return value.trim();
+    }
+    return null;
+  }
+
+  /**
+   * Read JSON-LD metadata (schema.org Article and friends)
+   */
+  function getJsonLd(doc) {
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const parsed = JSON.parse(script.textContent);
+        const items = Array.isArray(parsed) ? parsed : (parsed['@graph'] || [parsed]);
+        const article = items.find(item =>
+          /Article|BlogPosting|Report|NewsArticle/.test([].concat(item['@type']).join(' '))
+        );
+        if (article) return article;
+      } catch (error) {
+        // Ignore malformed JSON-LD
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Extract the author name
+   */
+  function getByline(doc, jsonLd) {
+    const author = jsonLd?.author;
+    if (author) {
+      const names = [].concat(author).map(a => (typeof a === 'string' ? a : a?.name)).filter(n => n);
+      if (names.length > 0) return names.join(', ');
+    }
+
+    const meta = getMeta(doc, ['meta[name="author"]', 'meta[property="article:author"]', 'meta[name="parsely-author"]']);
+    if (meta && !/^https?:/.test(meta)) return meta;
+
+    const el = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author, .post-author');
+    const text = el?.textContent.replace(/\s+/g, ' ').trim();
+    return text && text.length < 100 ? text.replace(/^by\s+/i, '') : null;
+  }
+
+  /**
+   * Extract the publish date as a timestamp
+   */
+  function getPublishedAt(doc, jsonLd) {
+    const value = jsonLd?.datePublished || getMeta(doc, [
+      'meta[property="article:published_time"]',
+      'meta[name="date"]',
+      'meta[name="publish-date"]',
+      'meta[itemprop="datePublished"]',
+      'time[datetime]'
+    ]);
+
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Resolve a possibly relative URL against the page
+   */
+  function absoluteUrl(url) {
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Class/id weight used by readability-style scoring
+   */
+  function classWeight(el) {
+    const names = `${el.className || ''} ${el.id || ''}`;
+    let weight = 0;
+    if (NEGATIVE.test(names)) weight -= 25;
+    if (POSITIVE.test(names)) weight += 25;
+    return weight;
+  }
+
+  /**
+   * Share of an element's text that sits inside links
+   */
+  function linkDensity(el) {
+    const textLength = el.textContent.length;
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    el.querySelectorAll('a').forEach(a => { linkLength += a.textContent.length; });
+    return linkLength / textLength;
+  }
+
+  /**
+   * Remove boilerplate from a cloned document body
+   */
+  function removeBoilerplate(root) {
+    root.querySelectorAll(REMOVED_TAGS.join(',')).forEach(el => el.remove());
+    root.querySelectorAll(REMOVED_ROLES.map(r => `[role="${r}"]`).join(',')).forEach(el => el.remove());
+    root.querySelectorAll('[hidden], [aria-hidden="true"]').forEach(el => el.remove());
+
+    root.querySelectorAll('*').forEach(el => {
+      if (el === root || el.tagName === 'BODY' || el.tagName === 'ARTICLE' || el.tagName === 'MAIN') return;
+      const names = `${el.className || ''} ${el.id || ''}`;
+      if (UNLIKELY_CANDIDATES.test(names) && !MAYBE_CANDIDATE.test(names)) {
+        el.remove();
+      }
+    });
+  }
+
+  /**
+   * Find the element most likely to hold the article
+   */
+  function findTopCandidate(root) {
+    const scores = new Map();
+
+    const addScore = (el, score) => {
+      if (!el || el === root.parentNode) return;
+      if (!scores.has(el)) {
+        const base = { ARTICLE: 10, MAIN: 8, SECTION: 3, DIV: 5, PRE: 3, TD: 3, BLOCKQUOTE: 3 }[el.tagName] || 0;
+        scores.set(el, base + classWeight(el));
+      }
+      scores.set(el, scores.get(el) + score);
+    };
+
+    root.querySelectorAll('p, pre, td, blockquote, li').forEach(paragraph => {
+      const text = paragraph.textContent.replace(/\s+/g, ' ').trim();
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+      const score = 1 + text.split(/[,，、]/).length + Math.min(3, Math.floor(text.length / 100));
+      addScore(paragraph.parentElement, score);
+      addScore(paragraph.parentElement?.parentElement, score / 2);
+      addScore(paragraph.parentElement?.parentElement?.parentElement, score / 3);
+    });
+
+    let top = null;
+    let topScore = 0;
+
+    for (const [el, score] of scores) {
+      const adjusted = score * (1 - linkDensity(el));
+      scores.set(el, adjusted);
+      if (adjusted > topScore) {
+        top = el;
+        topScore = adjusted;
+      }
+    }
+
+    return { top: top || root, topScore, scores };
+  }
+
+  /**
+   * Collect the top candidate plus related siblings
+   */
+  function collectContent(top, topScore, scores) {
+    const parent = top.parentElement;
+    if (!parent) return [top];
+
+    const threshold = Math.max(10, topScore * SIBLING_SCORE_RATIO);
+
+    return Array.from(parent.children).filter(sibling => {
+      if (sibling === top) return true;
+      if ((scores.get(sibling) || 0) >= threshold) return true;
+
+      // Loose paragraphs next to the article body
+      if (sibling.tagName === 'P') {
+        const text = sibling.textContent.trim();
+        return text.length > 80 && linkDensity(sibling) < 0.25;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Inline text of an element with whitespace collapsed
+   */
+  function inlineText(el) {
+    return el.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Serialize content elements into structured plain text
+   * (markdown-style headings, lists and quotes; paragraphs separated by blank lines)
+   */
+  function serializeBlocks(elements) {
+    const blocks = [];
+
+    const walk = (el) => {
+      if (el.nodeType !== Node.ELEMENT_NODE) return;
+      const tag = el.tagName;
+
+      if (/^H[1-6]$/.test(tag)) {
+        const text = inlineText(el);
+        if (text) blocks.push(`${'#'.repeat(Math.max(2, Number(tag[1])))} ${text}`);
+        return;
+      }
+
+      if (tag === 'P') {
+        const text = inlineText(el);
+        if (text) blocks.push(text);
+        return;
+      }
+
+      if (tag === 'PRE') {
+        const text = el.textContent.replace(/\n+$/, '');
+        if (text.trim()) blocks.push('```\n' + text + '\n```');
+        return;
+      }
+
+      if (tag === 'BLOCKQUOTE') {
+        const text = inlineText(el);
+        if (text) blocks.push(`> ${text}`);
+        return;
+      }
+
+      if (tag === 'UL' || tag === 'OL') {
+        const items = Array.from(el.children)
+          .filter(li => li.tagName === 'LI')
+          .map((li, i) => `${tag === 'OL' ? `${i + 1}.` : '-'} ${inlineText(li)}`)
+          .filter(line => line.trim().length > 2);
+        if (items.length > 0) blocks.push(items.join('\n'));
+        return;
+      }
+
+      if (tag === 'TABLE') {
+        const rows = Array.from(el.querySelectorAll('tr'))
+          .map(tr => Array.from(tr.children).map(inlineText).join(' | '))
+          .filter(row => row.replace(/\|/g, '').trim());
+        if (rows.length > 0) blocks.push(rows.join('\n'));
+        return;
+      }
+
+      if (tag === 'FIGURE') {
+        const caption = el.querySelector('figcaption');
+        if (caption && inlineText(caption)) blocks.push(inlineText(caption));
+        return;
+      }
+
+      // Containers: recurse if they hold block children, otherwise treat as a paragraph
+      const hasBlockChildren = Array.from(el.children).some(child => BLOCK_TAGS.has(child.tagName));
+      if (hasBlockChildren) {
+        Array.from(el.childNodes).forEach(child => {
+          if (child.nodeType === Node.TEXT_NODE && child.data.trim().length > MIN_PARAGRAPH_LENGTH) {
+            blocks.push(child.data.replace(/\s+/g, ' ').trim());
+          } else {
+            walk(child);
+          }
+        });
+      } else {
+        const text = inlineText(el);
+        if (text.length >= MIN_PARAGRAPH_LENGTH || (text && el.tagName === 'LI')) {
+          blocks.push(text);
+        }
+      }
+    };
+
+    elements.forEach(walk);
+    return blocks;
+  }
+
+  /**
+   * Pick a lead image: og:image, then the first reasonably large image in the content
+   */
+  function getLeadImage(doc, elements) {
+    const og = getMeta(doc, ['meta[property="og:image"]', 'meta[name="twitter:image"]']);
+    if (og) return absoluteUrl(og);
+
+    for (const el of elements) {
+      for (const img of el.querySelectorAll('img')) {
+        const width = Number(img.getAttribute('width')) || 0;
+        const src = img.getAttribute('src') || img.getAttribute('data-src');
+        if (src && !src.startsWith('data:') && (width === 0 || width >= 200)) {
+          return absoluteUrl(src);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract the readable article of the current page
+   * Returns null when the page has no substantial text
+   */
+  function extractArticle(doc = document) {
+    if (!doc.body) return null;
+
+    const jsonLd = getJsonLd(doc);
+
+    // Metadata is read before boilerplate removal
+    const meta = {
+      title: getMeta(doc, ['meta[property="og:title"]', 'meta[name="twitter:title"]']) ||
+        jsonLd?.headline || doc.querySelector('h1')?.textContent.trim() || doc.title,
+      byline: getByline(doc, jsonLd),
+      publishedAt: getPublishedAt(doc, jsonLd),
+      siteName: getMeta(doc, ['meta[property="og:site_name"]', 'meta[name="application-name"]']),
+      description: getMeta(doc, ['meta[property="og:description"]', 'meta[name="description"]']),
+      lang: doc.documentElement.lang ||
+        getMeta(doc, ['meta[http-equiv="content-language"]', 'meta[property="og:locale"]']) || null
+    };
+
+    const root = doc.body.cloneNode(true);
+    removeBoilerplate(root);
+
+    const { top, topScore, scores } = findTopCandidate(root);
+    const elements = collectContent(top, topScore, scores);
+    const blocks = serializeBlocks(elements);
+
+    // Drop a leading heading that just repeats the title
+    if (blocks.length > 0 && blocks[0].replace(/^#+\s*/, '') === (meta.title || '').trim()) {
+      blocks.shift();
+    }
+
+    const content = blocks.join('\n\n').slice(0, MAX_CONTENT_LENGTH);
+    if (content.length < 200) return null;
+
+    const firstParagraph = blocks.find(b => !b.startsWith('#') && b.length > 80) || '';
+
+    return {
+      title: (meta.title || '').trim(),
+      byline: meta.byline,
+      publishedAt: meta.publishedAt,
+      siteName: meta.siteName,
+      lang: meta.lang ? meta.lang.replace('_', '-') : null,
+      leadImage: getLeadImage(doc, elements),
+      excerpt: (meta.description || firstParagraph).slice(0, 500),
+      content,
+      wordCount: content.split(/\s+/).filter(w => w).length,
+      extractedAt: Date.now()
+    };
+  }
+
+  window.SuperBookmarksArticle = {
+    extractArticle
+  };
+})();
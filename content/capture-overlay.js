@@ -0,0 +1,295 @@
+/**
+ * Super Bookmarks - Capture Overlay
+ * In-page form for saving a selection with a comment, tags and a target bookmark,
+ * without opening the side panel. Rendered in a closed shadow root so page styles
+ * don't reach it. Loaded before content-script.js and exposed on window.SuperBookmarksOverlay.
+ */
+
+(function() {
+  'use strict';
+
+  if (window.SuperBookmarksOverlay) return;
+
+  const HOST_ID = 'super-bookmarks-capture-overlay';
+
+  // Characters of the selection shown in the quote preview
+  const PREVIEW_LENGTH = 300;
+
+  // How long the confirmation stays up after saving
+  const CLOSE_DELAY = 1200;
+
+  const STYLES = `
+    :host {
+      all: initial;
+    }
+    .overlay {
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      z-index: 2147483647;
+      box-sizing: border-box;
+      width: 340px;
+      max-width: calc(100vw - 32px);
+      max-height: calc(100vh - 32px);
+      overflow-y: auto;
+      padding: 12px;
+      border: 1px solid #262626;
+      border-radius: 12px;
+      background: #141414;
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
+      color: #fafafa;
+      font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 8px;
+      font-weight: 600;
+    }
+    .close {
+      padding: 0 4px;
+      border: none;
+      background: none;
+      color: #a1a1a1;
+      font-size: 18px;
+      cursor: pointer;
+    }
+    .quote {
+      margin: 0 0 8px;
+      padding: 4px 8px;
+      border-left: 3px solid #eab308;
+      color: #a1a1a1;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    label {
+      display: block;
+      margin: 8px 0 4px;
+      color: #a1a1a1;
+      font-size: 12px;
+    }
+    textarea, input, select {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 6px 8px;
+      border: 1px solid #262626;
+      border-radius: 4px;
+      background: #0a0a0a;
+      color: #fafafa;
+      font: inherit;
+    }
+    textarea {
+      min-height: 64px;
+      resize: vertical;
+    }
+    textarea:focus, input:focus, select:focus {
+      border-color: #eab308;
+      outline: none;
+    }
+    .actions {
+      display: flex;
+      gap: 8px;
+      margin-top: 12px;
+    }
+    .actions button {
+      padding: 6px 12px;
+      border: 1px solid #262626;
+      border-radius: 8px;
+      background: #1f1f1f;
+      color: #fafafa;
+      font: inherit;
+      cursor: pointer;
+    }
+    .actions .save {
+      flex: 1;
+      border-color: #eab308;
+      background: #eab308;
+      color: #0c0c0c;
+      font-weight: 600;
+    }
+    .actions button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+    .status {
+      margin-top: 8px;
+      color: #a1a1a1;
+      font-size: 12px;
+    }
+    .status.error {
+      color: #ef4444;
+    }
+    .status.success {
+      color: #22c55e;
+    }
+  `;
+
+  let host = null;
+
+  /**
+   * Create an element with a class and text
+   */
+  function el(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Remove the overlay from the page
+   */
+  function close() {
+    if (host) {
+      host.remove();
+      host = null;
+    }
+  }
+
+  /**
+   * Show a short message in an otherwise empty overlay
+   */
+  function showMessage(message) {
+    const { overlay } = createShell();
+    overlay.appendChild(el('div', 'status', message));
+    setTimeout(close, CLOSE_DELAY * 2);
+  }
+
+  /**
+   * Create the host element, its shadow root and an empty overlay with a header
+   */
+  function createShell() {
+    close();
+
+    host = document.createElement('div');
+    host.id = HOST_ID;
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+    shadow.appendChild(style);
+
+    const overlay = el('div', 'overlay');
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Save to Super Bookmarks');
+
+    const header = el('div', 'header', 'Save to Super Bookmarks');
+    const closeBtn = el('button', 'close', '×');
+    closeBtn.title = 'Close (Esc)';
+    closeBtn.addEventListener('click', close);
+    header.appendChild(closeBtn);
+    overlay.appendChild(header);
+    shadow.appendChild(overlay);
+
+    // Keep typing in the form from triggering the page's own shortcuts
+    for (const type of ['keydown', 'keyup', 'keypress']) {
+      host.addEventListener(type, (e) => e.stopPropagation());
+    }
+    host.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') close();
+    });
+
+    document.documentElement.appendChild(host);
+    return { shadow, overlay };
+  }
+
+  /**
+   * Open the capture form for a selection
+   * options.selection: { text, ... } from the content script
+   * options.targets: { pageNote, recentNotes: [{ id, title }], tags: [names] }
+   * options.onSave(capture): saves { comment, tags, noteId } (noteId null for a new
+   *   bookmark) and resolves to { title } or throws
+   */
+  function open(options) {
+    const { selection, targets, onSave } = options;
+    const { shadow, overlay } = createShell();
+
+    const preview = selection.text.length > PREVIEW_LENGTH
+      ? selection.text.slice(0, PREVIEW_LENGTH) + '…'
+      : selection.text;
+    overlay.appendChild(el('blockquote', 'quote', preview));
+
+    overlay.appendChild(el('label', null, 'Comment'));
+    const comment = el('textarea');
+    comment.placeholder = 'Your thoughts on this passage (optional)';
+    overlay.appendChild(comment);
+
+    overlay.appendChild(el('label', null, 'Tags'));
+    const tags = el('input');
+    tags.placeholder = 'Comma separated';
+    tags.setAttribute('list', 'super-bookmarks-tags');
+    overlay.appendChild(tags);
+
+    const tagList = el('datalist');
+    tagList.id = 'super-bookmarks-tags';
+    for (const name of targets.tags || []) {
+      const option = el('option');
+      option.value = name;
+      tagList.appendChild(option);
+    }
+    shadow.appendChild(tagList);
+
+    overlay.appendChild(el('label', null, 'Add to'));
+    const target = el('select');
+    if (targets.pageNote) {
+      target.appendChild(new Option(`This page: ${targets.pageNote.title}`, targets.pageNote.id));
+    }
+    target.appendChild(new Option('New bookmark', ''));
+    for (const note of targets.recentNotes || []) {
+      if (note.id !== targets.pageNote?.id) {
+        target.appendChild(new Option(note.title, note.id));
+      }
+    }
+    overlay.appendChild(target);
+
+    const actions = el('div', 'actions');
+    const saveBtn = el('button', 'save', 'Save');
+    saveBtn.title = 'Save (Ctrl+Enter)';
+    const cancelBtn = el('button', null, 'Cancel');
+    cancelBtn.addEventListener('click', close);
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    overlay.appendChild(actions);
+
+    const status = el('div', 'status');
+    overlay.appendChild(status);
+
+    const save = async () => {
+      saveBtn.disabled = true;
+      status.className = 'status';
+      status.textContent = 'Saving...';
+
+      try {
+        const result = await onSave({
+          comment: comment.value.trim(),
+          tags: tags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+          noteId: target.value || null
+        });
+        status.className = 'status success';
+        status.textContent = `Saved to "${result.title}"`;
+        setTimeout(close, CLOSE_DELAY);
+      } catch (error) {
+        status.className = 'status error';
+        status.textContent = 'Failed to save: ' + error.message;
+        saveBtn.disabled = false;
+      }
+    };
+
+    saveBtn.addEventListener('click', save);
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && !saveBtn.disabled) {
+        e.preventDefault();
+        save();
+      }
+    });
+
+    comment.focus();
+  }
+
+  window.SuperBookmarksOverlay = {
+    open,
+    close,
+    showMessage
+  };
+})();
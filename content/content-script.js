@@ -11,7 +11,31 @@
   window.__superBookmarksInjected = true;
 
   /**
-   * Get selected text with context
+   * Get the page's canonical URL from <link rel="canonical"> (null if it has none)
+   */
+  function getCanonicalUrl() {
+    const link = document.querySelector('link[rel="canonical"][href]');
+    return link ? link.href : null;
+  }
+
+  /**
+   * Serialize a selection to markdown, falling back to its plain text
+   */
+  function getSelectionText(selection) {
+    const plain = selection.toString().trim();
+    if (!plain) return '';
+
+    try {
+      const markdown = window.SuperBookmarksMarkdown?.rangeToMarkdown(selection.getRangeAt(0));
+      return markdown || plain;
+    } catch (error) {
+      console.error('[SuperBookmarks] Could not serialize the selection:', error);
+      return plain;
+    }
+  }
+
+  /**
+   * Get the selection (as markdown) with context
    */
   function getSelectionInfo() {
     const selection = window.getSelection();
@@ -19,15 +43,19 @@
       return null;
     }
 
-    const text = selection.toString().trim();
+    const text = getSelectionText(selection);
     if (!text) {
       return null;
     }
 
+    const anchoring = window.SuperBookmarksAnchoring;
+
     return {
       text: text,
       url: window.location.href,
+      canonicalUrl: getCanonicalUrl(),
       title: document.title,
+      anchor: anchoring ? anchoring.describeRange(selection.getRangeAt(0)) : null,
       timestamp: Date.now()
     };
   }
@@ -41,20 +69,152 @@
     const metaDescription = document.querySelector('meta[name="description"]');
     const description = ogDescription?.content || metaDescription?.content || '';
 
-    // Get main content (simplified extraction)
-    const article = document.querySelector('article');
-    const main = document.querySelector('main');
-    const content = article?.textContent || main?.textContent || '';
+    // Readable article body (null for pages without substantial text)
+    let article = null;
+    try {
+      article = window.SuperBookmarksArticle?.extractArticle() || null;
+    } catch (error) {
+      console.error('[SuperBookmarks] Article extraction failed:', error);
+    }
 
     return {
       url: window.location.href,
+      canonicalUrl: getCanonicalUrl(),
       title: document.title,
       description: description.slice(0, 500),
-      excerpt: content.slice(0, 1000).trim(),
+      excerpt: article ? article.content.slice(0, 1000) : '',
+      article,
       timestamp: Date.now()
     };
   }
 
+  // Delay before retrying highlights that were not found (late-rendered pages)
+  const RESTORE_RETRY_DELAY = 3000;
+
+  /**
+   * Send a message to the extension and unwrap the MessageRouter response
+   */
+  async function sendToExtension(type, payload) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type, payload });
+      return response?.success ? response.data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Re-anchor and paint the saved highlights of the note for this page
+   */
+  async function restoreHighlights(isRetry = false) {
+    const anchoring = window.SuperBookmarksAnchoring;
+    if (!anchoring || !document.body) return;
+
+    const note = await sendToExtension('GET_NOTE_FOR_URL', {
+      url: window.location.href,
+      canonicalUrl: getCanonicalUrl()
+    });
+    const highlights = note?.highlights || [];
+
+    anchoring.clearPainted();
+    if (highlights.length === 0) return;
+
+    const { orphaned } = anchoring.paintHighlights(highlights);
+
+    if (orphaned.length > 0 && !isRetry) {
+      // Content may still be rendering; try once more before reporting
+      setTimeout(() => restoreHighlights(true), RESTORE_RETRY_DELAY);
+      return;
+    }
+
+    const previouslyOrphaned = highlights.filter(h => h.orphaned).map(h => h.id);
+    const changed = orphaned.length !== previouslyOrphaned.length ||
+      orphaned.some(id => !previouslyOrphaned.includes(id));
+
+    if (changed) {
+      sendToExtension('REPORT_ORPHANED_HIGHLIGHTS', { noteId: note.id, orphanedIds: orphaned });
+    }
+  }
+
+  /**
+   * Show the in-page capture form for the current selection (no side panel needed)
+   */
+  async function showCaptureOverlay() {
+    const overlay = window.SuperBookmarksOverlay;
+    if (!overlay) return;
+
+    const selection = getSelectionInfo();
+    if (!selection) {
+      overlay.showMessage('Select some text on the page first');
+      return;
+    }
+
+    const targets = await sendToExtension('GET_CAPTURE_TARGETS', {
+      url: selection.url,
+      canonicalUrl: selection.canonicalUrl
+    });
+
+    overlay.open({
+      selection,
+      targets: targets || {},
+      onSave: async (capture) => {
+        const response = await chrome.runtime.sendMessage({
+          type: 'QUICK_CAPTURE',
+          payload: { ...selection, ...capture }
+        });
+        if (!response?.success) {
+          throw new Error(response?.error || 'The extension did not respond');
+        }
+
+        restoreHighlights();
+        return response.data;
+      }
+    });
+  }
+
+  /**
+   * Wait for the next frame to be painted
+   */
+  function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+  }
+
+  /**
+   * Let the user drag out a region of the page and save it as a screenshot attachment
+   */
+  async function captureRegion() {
+    const regionPicker = window.SuperBookmarksRegion;
+    if (!regionPicker) return;
+
+    const rect = await regionPicker.select();
+    if (!rect) return;
+
+    // The screenshot is of the visible tab, so the selection overlay must be gone
+    await nextFrame();
+    await nextFrame();
+
+    let message;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'CAPTURE_REGION',
+        payload: {
+          rect,
+          url: window.location.href,
+          canonicalUrl: getCanonicalUrl(),
+          title: document.title
+        }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'The extension did not respond');
+      }
+      message = `Screenshot saved to "${response.data.title}"`;
+    } catch (error) {
+      message = 'Failed to capture region: ' + error.message;
+    }
+
+    window.SuperBookmarksOverlay?.showMessage(message);
+  }
+
   /**
    * Listen for messages from the extension
    */
@@ -68,6 +228,27 @@
         sendResponse(getPageInfo());
         break;
 
+      case 'GET_CANONICAL_URL':
+        sendResponse({ canonicalUrl: getCanonicalUrl() });
+        break;
+
+      case 'REFRESH_HIGHLIGHTS':
+        if (!message.url || message.url === window.location.href) {
+          restoreHighlights();
+        }
+        sendResponse({ received: true });
+        break;
+
+      case 'SHOW_CAPTURE_OVERLAY':
+        showCaptureOverlay();
+        sendResponse({ received: true });
+        break;
+
+      case 'START_REGION_CAPTURE':
+        captureRegion();
+        sendResponse({ received: true });
+        break;
+
       case 'PING':
         sendResponse({ pong: true });
         break;
@@ -79,5 +260,7 @@
     return true;
   });
 
+  restoreHighlights();
+
   console.log('[SuperBookmarks] Content script loaded');
 })();
@@ -0,0 +1,150 @@
+/**
+ * Super Bookmarks - Region Capture
+ * Full-page overlay for dragging a rectangle over the part of the page to screenshot.
+ * Rendered in a closed shadow root so page styles don't reach it. Loaded before
+ * content-script.js and exposed on window.SuperBookmarksRegion.
+ */
+
+(function() {
+  'use strict';
+
+  if (window.SuperBookmarksRegion) return;
+
+  const HOST_ID = 'super-bookmarks-region-capture';
+
+  // Smaller drags are treated as clicks and ignored
+  const MIN_SIZE = 8;
+
+  const STYLES = `
+    :host {
+      all: initial;
+    }
+    .backdrop {
+      position: fixed;
+      inset: 0;
+      z-index: 2147483647;
+      cursor: crosshair;
+      background: rgba(0, 0, 0, 0.3);
+      user-select: none;
+    }
+    .backdrop.selecting {
+      background: transparent;
+    }
+    .region {
+      position: fixed;
+      box-sizing: border-box;
+      border: 2px solid #eab308;
+      box-shadow: 0 0 0 100vmax rgba(0, 0, 0, 0.3);
+      pointer-events: none;
+    }
+    .hint {
+      position: fixed;
+      top: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 6px 12px;
+      border-radius: 8px;
+      background: #141414;
+      color: #fafafa;
+      font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      pointer-events: none;
+    }
+  `;
+
+  let pending = null;
+
+  /**
+   * Let the user drag out a region of the viewport
+   * Resolves to { x, y, width, height, viewportWidth, viewportHeight } in CSS pixels,
+   * or null if cancelled (Esc or a click without dragging)
+   */
+  function select() {
+    if (pending) return pending;
+
+    pending = new Promise((resolve) => {
+      const host = document.createElement('div');
+      host.id = HOST_ID;
+      const shadow = host.attachShadow({ mode: 'closed' });
+
+      const style = document.createElement('style');
+      style.textContent = STYLES;
+      shadow.appendChild(style);
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'backdrop';
+      const hint = document.createElement('div');
+      hint.className = 'hint';
+      hint.textContent = 'Drag to capture a region. Esc to cancel';
+      const region = document.createElement('div');
+      region.className = 'region';
+      region.hidden = true;
+      backdrop.appendChild(hint);
+      backdrop.appendChild(region);
+      shadow.appendChild(backdrop);
+
+      let start = null;
+      let rect = null;
+
+      const finish = (result) => {
+        document.removeEventListener('keydown', onKeyDown, true);
+        host.remove();
+        pending = null;
+        resolve(result);
+      };
+
+      const onKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          e.stopPropagation();
+          finish(null);
+        }
+      };
+
+      backdrop.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        backdrop.setPointerCapture(e.pointerId);
+        start = { x: e.clientX, y: e.clientY };
+        hint.hidden = true;
+        backdrop.classList.add('selecting');
+      });
+
+      backdrop.addEventListener('pointermove', (e) => {
+        if (!start) return;
+        const x = Math.max(0, Math.min(start.x, e.clientX));
+        const y = Math.max(0, Math.min(start.y, e.clientY));
+        rect = {
+          x,
+          y,
+          width: Math.min(window.innerWidth, Math.max(start.x, e.clientX)) - x,
+          height: Math.min(window.innerHeight, Math.max(start.y, e.clientY)) - y
+        };
+        Object.assign(region.style, {
+          left: `${rect.x}px`,
+          top: `${rect.y}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+        region.hidden = false;
+      });
+
+      backdrop.addEventListener('pointerup', () => {
+        if (!start) return;
+        if (!rect || rect.width < MIN_SIZE || rect.height < MIN_SIZE) {
+          finish(null);
+          return;
+        }
+        finish({ ...rect, viewportWidth: window.innerWidth, viewportHeight: window.innerHeight });
+      });
+
+      document.addEventListener('keydown', onKeyDown, true);
+      document.documentElement.appendChild(host);
+    });
+
+    return pending;
+  }
+
+  window.SuperBookmarksRegion = {
+    select
+  };
+})();
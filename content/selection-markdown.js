@@ -0,0 +1,295 @@
+/**
+ * Super Bookmarks - Selection to Markdown
+ * Serializes the selected part of a page to Markdown, keeping links (made absolute),
+ * emphasis, inline code, fenced code blocks with their language, lists, tables and
+ * images. Only that whitelist becomes markup: everything else is kept as escaped text,
+ * and scripts, styles, form controls and embeds are dropped.
+ * Loaded before content-script.js and exposed on window.SuperBookmarksMarkdown.
+ */
+
+(function() {
+  'use strict';
+
+  if (window.SuperBookmarksMarkdown) return;
+
+  // Elements whose content is never captured
+  const SKIPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'OBJECT',
+    'EMBED', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'VIDEO', 'AUDIO'
+  ]);
+
+  // Elements that start a new block
+  const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'NAV',
+    'FIGURE', 'FIGCAPTION', 'ADDRESS', 'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD', 'CENTER'
+  ]);
+
+  // Link and image URL schemes kept in the markdown
+  const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+  const IMAGE_PROTOCOLS = ['http:', 'https:'];
+
+  // Classes and attributes sites use to name a code block's language
+  const LANGUAGE_CLASS = /(?:^|\s)(?:language|lang|highlight-source|brush:?)-?([\w+#.-]+)/i;
+
+  // Upper bound on captured markdown; longer selections fall back to plain text
+  const MAX_LENGTH = 100000;
+
+  /**
+   * Resolve a URL against the page, keeping only allowed schemes
+   * Parentheses and spaces are encoded so the URL can't end a markdown link early
+   */
+  function absoluteUrl(url, protocols) {
+    if (!url) return null;
+    try {
+      const parsed = new URL(url.trim(), document.baseURI);
+      if (!protocols.includes(parsed.protocol)) return null;
+      return parsed.href.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/ /g, '%20');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Escape characters that would otherwise read as markdown
+   * Underscores inside words (snake_case) are left alone
+   */
+  function escapeText(text) {
+    return text
+      .replace(/[\\`*[\]]/g, '\\$&')
+      .replace(/(^|\W)_|_(?=\W|$)/g, (match) => match.replace('_', '\\_'));
+  }
+
+  /**
+   * Wrap inline markdown in a delimiter, keeping surrounding spaces outside it
+   */
+  function wrapInline(content, delimiter) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return content;
+    return `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}`;
+  }
+
+  /**
+   * Inline code span, with a fence longer than any backtick run inside it
+   */
+  function inlineCode(text) {
+    const code = text.replace(/\s+/g, ' ');
+    if (!code.trim()) return code;
+
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const pad = longest > 0 ? ' ' : '';
+    return `${fence}${pad}${code}${pad}${fence}`;
+  }
+
+  /**
+   * Language hint of a code block, from its own or its <code> child's class
+   */
+  function getCodeLanguage(pre) {
+    const candidates = [pre, pre.querySelector('code'), pre.parentElement];
+    for (const el of candidates) {
+      if (!el) continue;
+      const language = el.getAttribute('data-lang') || el.getAttribute('data-language') ||
+        (el.className && typeof el.className === 'string' ? el.className.match(LANGUAGE_CLASS)?.[1] : null);
+      if (language && /^[\w+#.-]+$/.test(language)) return language.toLowerCase();
+    }
+    return '';
+  }
+
+  /**
+   * Fenced code block
+   */
+  function codeBlock(text, language) {
+    const code = text.replace(/^\n+|\s+$/g, '');
+    if (!code) return '';
+
+    const longest = Math.max(0, ...(code.match(/^`{3,}/gm) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longest + 1));
+    return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+  }
+
+  /**
+   * Indent every line after the first (for list item continuation)
+   */
+  function indentContinuation(text, indent) {
+    return text.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+  }
+
+  /**
+   * Collapse serialized blocks into tidy markdown
+   */
+  function tidy(markdown) {
+    return markdown
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Serialize a table: the first row is the header
+   */
+  function serializeTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+      .map(tr => Array.from(tr.children)
+        .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+        .map(cell => tidy(serializeChildren(cell)).replace(/\n+/g, ' ').replace(/\|/g, '\\|')))
+      .filter(cells => cells.some(cell => cell));
+
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(cells => cells.length));
+    const line = (cells) => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+
+    return '\n\n' + [
+      line(rows[0]),
+      line(Array(width).fill('---')),
+      ...rows.slice(1).map(line)
+    ].join('\n') + '\n\n';
+  }
+
+  /**
+   * Serialize a list, numbering ordered lists from their start attribute
+   */
+  function serializeList(list) {
+    const ordered = list.tagName === 'OL';
+    let number = Number(list.getAttribute('start')) || 1;
+
+    const items = Array.from(list.children)
+      .filter(child => child.tagName === 'LI')
+      .map(li => {
+        const marker = ordered ? `${number++}.` : '-';
+        const content = tidy(serializeChildren(li)).replace(/\n{2,}/g, '\n');
+        return content ? `${marker} ${indentContinuation(content, ' '.repeat(marker.length + 1))}` : '';
+      })
+      .filter(item => item);
+
+    return items.length > 0 ? `\n\n${items.join('\n')}\n\n` : '';
+  }
+
+  /**
+   * Serialize a node to markdown
+   */
+  function serializeNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeText(node.data.replace(/\s+/g, ' '));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+      return '';
+    }
+    if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      return serializeChildren(node);
+    }
+
+    const tag = node.tagName.toUpperCase();
+    if (SKIPPED_TAGS.has(tag) || node.hidden || node.getAttribute('aria-hidden') === 'true') {
+      return '';
+    }
+
+    if (/^H[1-6]$/.test(tag)) {
+      const text = tidy(serializeChildren(node)).replace(/\n+/g, ' ');
+      return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+    }
+
+    switch (tag) {
+      case 'BR':
+        return '\n';
+      case 'HR':
+        return '\n\n---\n\n';
+      case 'PRE':
+        return codeBlock(node.textContent, getCodeLanguage(node));
+      case 'CODE':
+      case 'KBD':
+      case 'SAMP':
+        return inlineCode(node.textContent);
+      case 'STRONG':
+      case 'B':
+        return wrapInline(serializeChildren(node), '**');
+      case 'EM':
+      case 'I':
+        return wrapInline(serializeChildren(node), '*');
+      case 'DEL':
+      case 'S':
+      case 'STRIKE':
+        return wrapInline(serializeChildren(node), '~~');
+      case 'A': {
+        const content = serializeChildren(node);
+        const href = absoluteUrl(node.getAttribute('href'), LINK_PROTOCOLS);
+        return href && content.trim() ? `[${content.trim()}](${href})` : content;
+      }
+      case 'IMG': {
+        const src = absoluteUrl(node.getAttribute('src') || node.getAttribute('data-src'), IMAGE_PROTOCOLS);
+        if (!src) return '';
+        const alt = escapeText((node.getAttribute('alt') || '').replace(/\s+/g, ' ').trim());
+        return `![${alt}](${src})`;
+      }
+      case 'UL':
+      case 'OL':
+        return serializeList(node);
+      case 'TABLE':
+        return serializeTable(node);
+      case 'BLOCKQUOTE': {
+        const content = tidy(serializeChildren(node));
+        return content ? `\n\n${content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n` : '';
+      }
+    }
+
+    const content = serializeChildren(node);
+    return BLOCK_TAGS.has(tag) ? `\n\n${content}\n\n` : content;
+  }
+
+  /**
+   * Serialize the children of a node
+   */
+  function serializeChildren(node) {
+    return Array.from(node.childNodes).map(serializeNode).join('');
+  }
+
+  /**
+   * Serialize a DOM range (a selection) to markdown
+   * Returns '' when the range holds no text or images
+   */
+  function rangeToMarkdown(range) {
+    let ancestor = range.commonAncestorContainer;
+    if (ancestor.nodeType !== Node.ELEMENT_NODE) {
+      ancestor = ancestor.parentElement;
+    }
+    if (!ancestor) return '';
+
+    // Inside a code block or inline code, the selection is all code
+    const pre = ancestor.closest('pre');
+    if (pre) {
+      return tidy(codeBlock(range.toString(), getCodeLanguage(pre)));
+    }
+    const code = ancestor.closest('code, kbd, samp');
+    if (code) {
+      return inlineCode(range.toString()).trim();
+    }
+
+    // Re-create the element the selection sits in, so partial lists and tables
+    // keep their structure (and a selection inside <strong> stays bold)
+    let container = ancestor.cloneNode(false);
+    container.appendChild(range.cloneContents());
+
+    // Rows and cells need their table around them
+    if (/^(TBODY|THEAD|TFOOT|TR)$/.test(ancestor.tagName) && ancestor.closest('table')) {
+      const table = ancestor.closest('table').cloneNode(false);
+      table.appendChild(container);
+      container = table;
+    }
+
+    let markdown = tidy(serializeNode(container));
+
+    // A selection inside a link keeps the link
+    const link = ancestor.closest('a[href]');
+    const href = link && link !== ancestor ? absoluteUrl(link.getAttribute('href'), LINK_PROTOCOLS) : null;
+    if (href && markdown && !markdown.includes('\n')) {
+      markdown = `[${markdown}](${href})`;
+    }
+
+    return markdown.length <= MAX_LENGTH ? markdown : '';
+  }
+
+  window.SuperBookmarksMarkdown = {
+    rangeToMarkdown,
+    nodeToMarkdown: (node) => tidy(serializeNode(node))
+  };
+})();
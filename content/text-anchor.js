@@ -0,0 +1,451 @@
+/**
+ * Super Bookmarks - Text Anchoring
+ * Describes selections as robust anchors and finds them again in the page.
+ * Loaded before content-script.js and exposed on window.SuperBookmarksAnchoring.
+ */
+
+(function() {
+  'use strict';
+
+  if (window.SuperBookmarksAnchoring) return;
+
+  // Characters of surrounding text stored with each quote
+  const CONTEXT_LENGTH = 32;
+
+  // Maximum share of a quote that may differ for a fuzzy match
+  const MAX_ERROR_RATE = 0.2;
+
+  // Quotes longer than this are matched fuzzily on their start and end only
+  const MAX_FUZZY_PATTERN = 256;
+
+  const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+
+  const MARK_CLASS = 'super-bookmarks-highlight';
+
+  // Text nodes created by splitting the page's text to paint; only these are merged
+  // back when clearing, so text nodes the page itself manages are left alone
+  const splitNodes = new WeakSet();
+
+  /**
+   * Collect the visible text of the page with a map back to text nodes
+   */
+  function buildTextMap(root = document.body) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        let parent = node.parentNode;
+        while (parent && parent !== root) {
+          if (SKIPPED_TAGS.has(parent.nodeName)) return NodeFilter.FILTER_REJECT;
+          parent = parent.parentNode;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    const nodes = [];
+    let text = '';
+
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      nodes.push({ node, start: text.length, end: text.length + node.data.length });
+      text += node.data;
+    }
+
+    return { text, nodes };
+  }
+
+  /**
+   * Convert a DOM boundary point to an offset in the text map
+   */
+  function toTextOffset(map, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+      const entry = map.nodes.find(e => e.node === container);
+      if (entry) return entry.start + offset;
+    }
+
+    // Element boundary: use the first text node at or after the point
+    const point = document.createRange();
+    point.setStart(container, offset);
+
+    for (const entry of map.nodes) {
+      if (point.comparePoint(entry.node, 0) >= 0) {
+        return entry.start;
+      }
+    }
+
+    return map.text.length;
+  }
+
+  /**
+   * Describe a DOM range as a text-quote selector with a text-position fallback
+   */
+  function describeRange(range) {
+    const map = buildTextMap();
+    const start = toTextOffset(map, range.startContainer, range.startOffset);
+    const end = Math.max(start, toTextOffset(map, range.endContainer, range.endOffset));
+    const exact = map.text.slice(start, end);
+
+    if (!exact.trim()) return null;
+
+    return {
+      quote: {
+        exact,
+        prefix: map.text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+        suffix: map.text.slice(end, end + CONTEXT_LENGTH)
+      },
+      position: { start, end }
+    };
+  }
+
+  /**
+   * Count matching characters of two strings, from the end or the start
+   */
+  function commonLength(a, b, fromEnd) {
+    let count = 0;
+    const max = Math.min(a.length, b.length);
+    for (let i = 0; i < max; i++) {
+      const ca = fromEnd ? a[a.length - 1 - i] : a[i];
+      const cb = fromEnd ? b[b.length - 1 - i] : b[i];
+      if (ca !== cb) break;
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Score a candidate match by how well its context and position agree
+   */
+  function scoreCandidate(text, start, end, selector) {
+    const { prefix = '', suffix = '' } = selector.quote;
+    let score = 0;
+
+    score += commonLength(text.slice(Math.max(0, start - prefix.length), start), prefix, true);
+    score += commonLength(text.slice(end, end + suffix.length), suffix, false);
+
+    if (selector.position) {
+      // Small tie-breaker favouring the original location
+      score += 1 / (1 + Math.abs(selector.position.start - start) / 1000);
+    }
+
+    return score;
+  }
+
+  /**
+   * Find every exact occurrence of a string
+   */
+  function findAll(text, exact) {
+    const matches = [];
+    let index = text.indexOf(exact);
+    while (index !== -1) {
+      matches.push(index);
+      index = text.indexOf(exact, index + 1);
+    }
+    return matches;
+  }
+
+  /**
+   * Collapse whitespace and keep a map from normalized to original offsets
+   */
+  function normalizeWhitespace(text) {
+    let normalized = '';
+    const offsets = [];
+    let inSpace = false;
+
+    for (let i = 0; i < text.length; i++) {
+      if (/\s/.test(text[i])) {
+        if (!inSpace && normalized.length > 0) {
+          normalized += ' ';
+          offsets.push(i);
+        }
+        inSpace = true;
+      } else {
+        normalized += text[i];
+        offsets.push(i);
+        inSpace = false;
+      }
+    }
+
+    offsets.push(text.length);
+    return { normalized, offsets };
+  }
+
+  /**
+   * Approximate substring search (Sellers' algorithm) within a window of text
+   * Returns the best match as { start, end, errors } or null
+   */
+  function fuzzySearch(text, pattern, windowStart, windowEnd, maxErrors) {
+    const m = pattern.length;
+    let prevCost = new Array(m + 1);
+    let prevStart = new Array(m + 1);
+    let cost = new Array(m + 1);
+    let start = new Array(m + 1);
+
+    for (let i = 0; i <= m; i++) {
+      prevCost[i] = i;
+      prevStart[i] = windowStart;
+    }
+
+    let best = null;
+
+    for (let j = windowStart; j < windowEnd; j++) {
+      const ch = text[j];
+      cost[0] = 0;
+      start[0] = j + 1;
+
+      for (let i = 1; i <= m; i++) {
+        const substitution = prevCost[i - 1] + (pattern[i - 1] === ch ? 0 : 1);
+        const insertion = prevCost[i] + 1;
+        const deletion = cost[i - 1] + 1;
+
+        if (substitution <= insertion && substitution <= deletion) {
+          cost[i] = substitution;
+          start[i] = prevStart[i - 1];
+        } else if (insertion <= deletion) {
+          cost[i] = insertion;
+          start[i] = prevStart[i];
+        } else {
+          cost[i] = deletion;
+          start[i] = start[i - 1];
+        }
+      }
+
+      if (cost[m] <= maxErrors && (!best || cost[m] < best.errors)) {
+        best = { start: start[m], end: j + 1, errors: cost[m] };
+        if (best.errors === 0) break;
+      }
+
+      [prevCost, cost] = [cost, prevCost];
+      [prevStart, start] = [start, prevStart];
+    }
+
+    return best;
+  }
+
+  /**
+   * Fuzzy-match a quote, searching near its old position and around exact seed hits
+   */
+  function fuzzyAnchor(text, selector) {
+    const exact = selector.quote.exact;
+    const maxErrors = Math.floor(Math.min(exact.length, MAX_FUZZY_PATTERN) * MAX_ERROR_RATE);
+    if (maxErrors === 0) return null;
+
+    // Long quotes: match head and tail separately and join them
+    if (exact.length > MAX_FUZZY_PATTERN) {
+      const half = MAX_FUZZY_PATTERN / 2;
+      const head = fuzzyAnchor(text, { ...selector, quote: { ...selector.quote, exact: exact.slice(0, half) } });
+      if (!head) return null;
+
+      const tail = fuzzyAnchor(text, {
+        quote: { exact: exact.slice(-half), prefix: '', suffix: selector.quote.suffix },
+        position: { start: head.start + exact.length - half, end: head.start + exact.length }
+      });
+      if (!tail || tail.end <= head.start) return null;
+
+      const length = tail.end - head.start;
+      if (Math.abs(length - exact.length) > exact.length * MAX_ERROR_RATE) return null;
+      return { start: head.start, end: tail.end, errors: head.errors + tail.errors };
+    }
+
+    const windows = [];
+    const slack = exact.length + maxErrors;
+
+    if (selector.position) {
+      windows.push([selector.position.start - 2000, selector.position.end + 2000]);
+    }
+
+    // Seeds: short exact chunks of the quote that probably survived the edit
+    const seedLength = Math.max(8, Math.floor(exact.length / 4));
+    for (let offset = 0; offset + seedLength <= exact.length; offset += seedLength) {
+      const seed = exact.slice(offset, offset + seedLength);
+      for (const hit of findAll(text, seed).slice(0, 20)) {
+        windows.push([hit - offset - maxErrors, hit - offset + slack]);
+      }
+    }
+
+    let best = null;
+    for (const [from, to] of windows) {
+      const match = fuzzySearch(text, exact, Math.max(0, from), Math.min(text.length, to), maxErrors);
+      if (match && (!best || match.errors < best.errors)) {
+        best = match;
+        if (best.errors === 0) break;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Find a selector in the current page text
+   * Returns { start, end, method } or null when the quote is orphaned
+   */
+  function anchor(selector, map = buildTextMap()) {
+    const text = map.text;
+    const exact = selector?.quote?.exact;
+    if (!exact) return null;
+
+    // 1. Exact quote, disambiguated by context
+    const exactHits = findAll(text, exact);
+    if (exactHits.length > 0) {
+      let best = exactHits[0];
+      if (exactHits.length > 1) {
+        let bestScore = -1;
+        for (const hit of exactHits) {
+          const score = scoreCandidate(text, hit, hit + exact.length, selector);
+          if (score > bestScore) {
+            bestScore = score;
+            best = hit;
+          }
+        }
+      }
+      return { start: best, end: best + exact.length, method: 'quote' };
+    }
+
+    // 2. Text position, if the quote is still there
+    const position = selector.position;
+    if (position && text.slice(position.start, position.end) === exact) {
+      return { start: position.start, end: position.end, method: 'position' };
+    }
+
+    // 3. Quote with whitespace differences ignored
+    const page = normalizeWhitespace(text);
+    const quote = normalizeWhitespace(exact.trim()).normalized;
+    const normalizedHits = findAll(page.normalized, quote);
+    if (normalizedHits.length > 0) {
+      const hit = normalizedHits[0];
+      return {
+        start: page.offsets[hit],
+        end: page.offsets[hit + quote.length - 1] + 1,
+        method: 'normalized'
+      };
+    }
+
+    // 4. Fuzzy match for slightly changed text
+    const fuzzy = fuzzyAnchor(text, selector);
+    if (fuzzy) {
+      return { start: fuzzy.start, end: fuzzy.end, method: 'fuzzy' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Inject highlight styles once
+   */
+  function ensureStyles() {
+    if (document.getElementById('super-bookmarks-highlight-style')) return;
+
+    const style = document.createElement('style');
+    style.id = 'super-bookmarks-highlight-style';
+    style.textContent = `
+      mark.${MARK_CLASS} {
+        background: rgba(234, 179, 8, 0.35);
+        color: inherit;
+        border-radius: 2px;
+        padding: 0;
+      }
+    `;
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  /**
+   * Wrap a text range of the page in highlight marks
+   * The user's comment on the highlight, if any, shows as the marks' tooltip
+   */
+  function paint(start, end, highlightId, comment = '') {
+    ensureStyles();
+
+    const map = buildTextMap();
+    const marks = [];
+
+    for (const entry of map.nodes) {
+      if (entry.end <= start || entry.start >= end) continue;
+
+      let node = entry.node;
+      const from = Math.max(start, entry.start) - entry.start;
+      const to = Math.min(end, entry.end) - entry.start;
+
+      if (!node.data.slice(from, to).trim()) continue;
+
+      if (to < node.data.length) splitNodes.add(node.splitText(to));
+      if (from > 0) {
+        node = node.splitText(from);
+        splitNodes.add(node);
+      }
+
+      const mark = document.createElement('mark');
+      mark.className = MARK_CLASS;
+      mark.dataset.sbHighlightId = highlightId;
+      if (comment) mark.title = comment;
+      node.parentNode.insertBefore(mark, node);
+      mark.appendChild(node);
+      marks.push(mark);
+    }
+
+    return marks;
+  }
+
+  /**
+   * Remove all painted highlights, restoring the original text nodes
+   */
+  function clearPainted() {
+    document.querySelectorAll(`mark.${MARK_CLASS}`).forEach(mark => {
+      const parent = mark.parentNode;
+      const children = Array.from(mark.childNodes);
+      children.forEach(child => parent.insertBefore(child, mark));
+      parent.removeChild(mark);
+      children.forEach(rejoinSplitText);
+    });
+  }
+
+  /**
+   * Merge an unwrapped text node back into the text it was split from
+   */
+  function rejoinSplitText(node) {
+    if (node.nodeType !== Node.TEXT_NODE || !node.parentNode) return;
+
+    let target = node;
+    const previous = node.previousSibling;
+    if (splitNodes.has(node) && previous?.nodeType === Node.TEXT_NODE) {
+      previous.appendData(node.data);
+      node.remove();
+      target = previous;
+    }
+
+    const next = target.nextSibling;
+    if (next?.nodeType === Node.TEXT_NODE && splitNodes.has(next)) {
+      target.appendData(next.data);
+      next.remove();
+    }
+  }
+
+  /**
+   * Anchor and paint a list of highlights
+   * Returns the IDs of highlights that could and could not be found
+   */
+  function paintHighlights(highlights) {
+    const anchored = [];
+    const orphaned = [];
+
+    for (const highlight of highlights) {
+      const selector = highlight.anchor || { quote: { exact: highlight.text } };
+      const match = anchor(selector);
+
+      if (match) {
+        paint(match.start, match.end, highlight.id, highlight.comment);
+        anchored.push(highlight.id);
+      } else {
+        orphaned.push(highlight.id);
+      }
+    }
+
+    return { anchored, orphaned };
+  }
+
+  window.SuperBookmarksAnchoring = {
+    buildTextMap,
+    describeRange,
+    anchor,
+    paint,
+    clearPainted,
+    paintHighlights
+  };
+})();
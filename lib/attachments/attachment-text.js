@@ -0,0 +1,74 @@
+/**
+ * Attachment Text
+ * Text extracted from attached PDFs and plain-text files, so they are searchable and
+ * embedded with their note
+ */
+
+import { extractPdfText } from './pdf-text.js';
+import { ATTACHMENT_LIMITS } from '../db/schema.js';
+
+// MIME types for file extensions browsers often leave untyped
+const EXTENSION_TYPES = {
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  text: 'text/plain',
+  log: 'text/plain',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  json: 'application/json',
+  xml: 'application/xml',
+  yaml: 'application/yaml',
+  yml: 'application/yaml',
+  rst: 'text/x-rst',
+  org: 'text/x-org',
+  tex: 'text/x-tex',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// Types read as plain text (HTML is markup, not text)
+const PLAIN_TEXT_TYPE = /^text\/(?!html)|^application\/(json|xml|yaml|x-yaml)$/;
+
+/**
+ * MIME type of a file, from the browser or guessed from its extension
+ */
+export function getFileType(file) {
+  if (file.type) return file.type;
+  const extension = (file.name || '').split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Check whether text can be extracted from an attachment ({ type } or a File)
+ */
+export function canExtractText(file) {
+  const type = getFileType(file);
+  return type === 'application/pdf' || PLAIN_TEXT_TYPE.test(type);
+}
+
+/**
+ * Extract the text of a PDF or plain-text file, cut to the attachment text limit
+ * Returns { text, pageCount } (pageCount is null for text files; text is '' for
+ * other types)
+ */
+export async function extractAttachmentText(file) {
+  const type = getFileType(file);
+  const maxLength = ATTACHMENT_LIMITS.maxTextLength;
+
+  if (type === 'application/pdf') {
+    const { text, pageCount } = await extractPdfText(file, { maxLength });
+    return { text: text.slice(0, maxLength), pageCount };
+  }
+
+  if (PLAIN_TEXT_TYPE.test(type)) {
+    const text = await file.slice(0, maxLength * 4).text();
+    return { text: text.replace(/\r\n?/g, '\n').trim().slice(0, maxLength), pageCount: null };
+  }
+
+  return { text: '', pageCount: null };
+}
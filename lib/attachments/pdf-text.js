@@ -0,0 +1,765 @@
+/**
+ * PDF Text Extraction
+ * Pulls the text out of a PDF's pages for search and embeddings. A small reader, not a
+ * renderer: objects are found by scanning the file (so damaged cross-reference tables
+ * don't matter), Flate streams are inflated, and each page's content streams are
+ * followed, decoding shown strings through the font's ToUnicode map or its simple
+ * encoding. Encrypted PDFs and fonts without a usable encoding yield no text.
+ */
+
+// Characters that end a name, number or keyword
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+const WHITESPACE = new Set(['\0', '\t', '\n', '\f', '\r', ' ']);
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const REFERENCE = /\s+(\d+)\s+R(?=[\s()<>[\]{}/%]|$)/y;
+const STREAM_START = /\s*stream\r?\n?/y;
+
+// A TJ adjustment wider than this (thousandths of a text unit) is a word gap
+const WORD_GAP = 150;
+
+// Form XObjects drawn inside forms are followed this deep
+const MAX_FORM_DEPTH = 5;
+
+// Windows-1252 characters in the 0x80-0x9F range (elsewhere it matches Latin-1)
+const WIN_ANSI_HIGH = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Glyph names used in encoding /Differences, for the characters text commonly needs
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: '\'', parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';',
+  less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[',
+  backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_', grave: '`',
+  braceleft: '{', bar: '|', braceright: '}', asciitilde: '~', quoteleft: '‘',
+  quoteright: '’', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+  quotedblbase: '„', endash: '–', emdash: '—', bullet: '•', ellipsis: '…', dagger: '†',
+  daggerdbl: '‡', copyright: '©', registered: '®', trademark: '™', degree: '°',
+  section: '§', paragraph: '¶', periodcentered: '·', minus: '−', multiply: '×',
+  divide: '÷', plusminus: '±', nbspace: '\u00a0', germandbls: 'ß', ae: 'æ', AE: 'Æ',
+  oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi',
+  ffl: 'ffl', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', guillemotleft: '«', guillemotright: '»',
+  exclamdown: '¡', questiondown: '¿', cent: '¢', sterling: '£', yen: '¥', Euro: '€'
+};
+
+// Accent suffixes of glyph names (eacute, Udieresis...) as combining marks
+const GLYPH_ACCENTS = {
+  acute: '\u0301', grave: '\u0300', circumflex: '\u0302', dieresis: '\u0308',
+  tilde: '\u0303', ring: '\u030a', cedilla: '\u0327', caron: '\u030c'
+};
+
+/**
+ * Unicode text for a glyph name ('' when unknown)
+ */
+function glyphToUnicode(name) {
+  if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+
+  const uni = name.match(/^uni([0-9A-F]{4})$/i) || name.match(/^u([0-9A-F]{4,6})$/i);
+  if (uni) return String.fromCodePoint(parseInt(uni[1], 16));
+
+  const accented = name.match(/^([A-Za-z])(acute|grave|circumflex|dieresis|tilde|ring|cedilla|caron)$/);
+  if (accented) return (accented[1] + GLYPH_ACCENTS[accented[2]]).normalize('NFC');
+
+  return '';
+}
+
+/**
+ * Bytes as a binary string (one character per byte)
+ */
+function bytesToBinary(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+/**
+ * Read every chunk of a decompression stream; a damaged tail keeps what was inflated
+ */
+async function inflate(bytes) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+  const chunks = [];
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+  } catch (error) {
+    if (chunks.length === 0) throw error;
+  }
+  return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+/**
+ * ASCIIHexDecode filter
+ */
+function decodeAsciiHex(bytes) {
+  const hex = bytesToBinary(bytes).replace(/>[\s\S]*$/, '').replace(/[^0-9a-f]/gi, '');
+  const out = new Uint8Array(Math.ceil(hex.length / 2));
+  for (let i = 0; i < out.length; i++) {
+    out[i] = parseInt(hex.substr(i * 2, 2).padEnd(2, '0'), 16);
+  }
+  return out;
+}
+
+/**
+ * ASCII85Decode filter
+ */
+function decodeAscii85(bytes) {
+  const text = bytesToBinary(bytes).replace(/^<~/, '').replace(/~>[\s\S]*$/, '').replace(/\s/g, '');
+  const out = [];
+  let group = [];
+
+  const flush = (count) => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      value = value * 85 + (group[i] ?? 84);
+    }
+    for (let i = 0; i < count; i++) {
+      out.push((value >>> (24 - 8 * i)) & 0xff);
+    }
+    group = [];
+  };
+
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 1) flush(group.length - 1);
+
+  return new Uint8Array(out);
+}
+
+/**
+ * Tokenizer and object parser over a binary string
+ * Names are returned as JS strings, strings as { string } (binary), references as
+ * { ref }, dictionaries as plain objects, and operators/keywords as { op }
+ */
+class Lexer {
+  constructor(text, position = 0) {
+    this.text = text;
+    this.pos = position;
+  }
+
+  skipSpace() {
+    const { text } = this;
+    while (this.pos < text.length) {
+      const char = text[this.pos];
+      if (WHITESPACE.has(char)) {
+        this.pos++;
+      } else if (char === '%') {
+        while (this.pos < text.length && text[this.pos] !== '\n' && text[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readRegular() {
+    const start = this.pos;
+    const { text } = this;
+    while (this.pos < text.length && !WHITESPACE.has(text[this.pos]) && !DELIMITERS.has(text[this.pos])) {
+      this.pos++;
+    }
+    return text.slice(start, this.pos);
+  }
+
+  readName() {
+    this.pos++;
+    return this.readRegular().replace(/#([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readLiteralString() {
+    const { text } = this;
+    let depth = 1;
+    let out = '';
+    this.pos++;
+
+    while (this.pos < text.length) {
+      const char = text[this.pos++];
+      if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        if (--depth === 0) break;
+      } else if (char === '\\') {
+        const next = text[this.pos++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (escapes[next]) {
+          out += escapes[next];
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && text[this.pos] >= '0' && text[this.pos] <= '7') {
+            octal += text[this.pos++];
+          }
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (text[this.pos] === '\n') this.pos++;
+        } else if (next !== '\n') {
+          out += next;
+        }
+        continue;
+      }
+      out += char;
+    }
+
+    return { string: out };
+  }
+
+  readHexString() {
+    const end = this.text.indexOf('>', this.pos);
+    const hex = this.text.slice(this.pos + 1, end < 0 ? this.text.length : end).replace(/[^0-9a-f]/gi, '');
+    this.pos = end < 0 ? this.text.length : end + 1;
+
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      out += String.fromCharCode(parseInt(hex.substr(i, 2).padEnd(2, '0'), 16));
+    }
+    return { string: out };
+  }
+
+  /**
+   * Parse the next value; undefined at the end of the text
+   */
+  parseValue() {
+    this.skipSpace();
+    const { text } = this;
+    if (this.pos >= text.length) return undefined;
+
+    const char = text[this.pos];
+    if (char === '/') return this.readName();
+    if (char === '(') return this.readLiteralString();
+
+    if (char === '<') {
+      if (text[this.pos + 1] !== '<') return this.readHexString();
+      this.pos += 2;
+      const dict = {};
+      for (;;) {
+        this.skipSpace();
+        if (this.pos >= text.length) break;
+        if (text.startsWith('>>', this.pos)) {
+          this.pos += 2;
+          break;
+        }
+        const key = this.parseValue();
+        if (typeof key !== 'string') continue;
+        dict[key] = this.parseValue();
+      }
+      return dict;
+    }
+
+    if (char === '[') {
+      this.pos++;
+      const array = [];
+      for (;;) {
+        this.skipSpace();
+        if (this.pos >= text.length) break;
+        if (text[this.pos] === ']') {
+          this.pos++;
+          break;
+        }
+        array.push(this.parseValue());
+      }
+      return array;
+    }
+
+    if (DELIMITERS.has(char)) {
+      // Stray ), >, ], { or }: skip it
+      this.pos++;
+      return { op: char };
+    }
+
+    const token = this.readRegular();
+    if (NUMBER.test(token)) {
+      if (/^\d+$/.test(token)) {
+        REFERENCE.lastIndex = this.pos;
+        const ref = REFERENCE.exec(text);
+        if (ref) {
+          this.pos = REFERENCE.lastIndex;
+          return { ref: Number(token) };
+        }
+      }
+      return Number(token);
+    }
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    return { op: token };
+  }
+}
+
+/**
+ * Parsed PDF: its objects, found by scanning for "N G obj" headers
+ */
+class PdfDocument {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.text = bytesToBinary(bytes);
+    this.offsets = new Map();
+    this.cache = new Map();
+
+    // Later definitions (incremental updates) replace earlier ones
+    for (const match of this.text.matchAll(/(\d+)\s+\d+\s+obj\b/g)) {
+      this.offsets.set(Number(match[1]), match.index + match[0].length);
+    }
+  }
+
+  /**
+   * Unpack compressed object streams (PDF 1.5+) so their objects can be resolved
+   */
+  async loadObjectStreams() {
+    for (const [num, offset] of this.offsets) {
+      const header = this.text.slice(offset, offset + 1000);
+      if (!/\/Type\s*\/ObjStm/.test(header.split('stream')[0])) continue;
+
+      const stream = this.getObject(num);
+      if (!stream?.bytes) continue;
+
+      let data;
+      try {
+        data = bytesToBinary(await decodeStream(stream));
+      } catch (error) {
+        continue;
+      }
+
+      const lexer = new Lexer(data);
+      const pairs = [];
+      for (let i = 0; i < (stream.dict.N || 0); i++) {
+        pairs.push([lexer.parseValue(), lexer.parseValue()]);
+      }
+      for (const [objectNum, objectOffset] of pairs) {
+        // Objects written directly in the file take precedence
+        if (this.offsets.has(objectNum) || this.cache.has(objectNum)) continue;
+        this.cache.set(objectNum, new Lexer(data, (stream.dict.First || 0) + objectOffset).parseValue());
+      }
+    }
+  }
+
+  /**
+   * Parse an object by number (streams become { dict, bytes })
+   */
+  getObject(num) {
+    if (this.cache.has(num)) return this.cache.get(num);
+    const offset = this.offsets.get(num);
+    if (offset === undefined) return null;
+
+    // Guard against objects whose stream length refers back to themselves
+    this.cache.set(num, null);
+
+    const lexer = new Lexer(this.text, offset);
+    let value = lexer.parseValue();
+
+    STREAM_START.lastIndex = lexer.pos;
+    if (value && typeof value === 'object' && !Array.isArray(value) && STREAM_START.test(this.text)) {
+      const start = STREAM_START.lastIndex;
+      let length = this.resolve(value.Length);
+      const declaredEnd = start + (Number.isInteger(length) ? length : -1);
+
+      if (!Number.isInteger(length) || length < 0 ||
+          !/^\s*endstream/.test(this.text.slice(declaredEnd, declaredEnd + 20))) {
+        // Missing or wrong /Length: the data ends at "endstream" (less the line break)
+        const end = this.text.indexOf('endstream', start);
+        length = (end < 0 ? this.text.length : end) - start;
+        if (this.text[start + length - 1] === '\n') length--;
+        if (this.text[start + length - 1] === '\r') length--;
+      }
+
+      value = { dict: value, bytes: this.bytes.subarray(start, start + Math.max(0, length)) };
+    }
+
+    this.cache.set(num, value);
+    return value;
+  }
+
+  /**
+   * Follow a reference (other values are returned as they are)
+   */
+  resolve(value) {
+    return value && typeof value === 'object' && 'ref' in value ? this.getObject(value.ref) : value;
+  }
+
+  /**
+   * The document catalog (/Type /Catalog)
+   */
+  findCatalog() {
+    for (const num of [...this.offsets.keys(), ...this.cache.keys()]) {
+      const object = this.getObject(num);
+      if (object?.Type === 'Catalog') return object;
+    }
+    return null;
+  }
+
+  /**
+   * Page dictionaries in order, with inherited resources filled in
+   */
+  getPages() {
+    const pages = [];
+    const seen = new Set();
+
+    const walk = (node, inheritedResources) => {
+      if (!node || typeof node !== 'object' || seen.has(node)) return;
+      seen.add(node);
+
+      const resources = node.Resources !== undefined ? node.Resources : inheritedResources;
+      if (node.Type === 'Pages' || Array.isArray(node.Kids)) {
+        for (const kid of this.resolve(node.Kids) || []) {
+          walk(this.resolve(kid), resources);
+        }
+      } else {
+        pages.push({ ...node, Resources: resources });
+      }
+    };
+
+    const catalog = this.findCatalog();
+    walk(this.resolve(catalog?.Pages), undefined);
+    return pages;
+  }
+}
+
+/**
+ * Decode a stream's data through its filters
+ */
+async function decodeStream(stream) {
+  const filter = stream.dict.Filter;
+  const filters = Array.isArray(filter) ? filter : filter ? [filter] : [];
+  let bytes = stream.bytes;
+
+  for (const name of filters) {
+    if (name === 'FlateDecode' || name === 'Fl') {
+      bytes = await inflate(bytes);
+    } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+      bytes = decodeAsciiHex(bytes);
+    } else if (name === 'ASCII85Decode' || name === 'A85') {
+      bytes = decodeAscii85(bytes);
+    } else {
+      throw new Error(`Unsupported PDF filter ${name}`);
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Parse a ToUnicode CMap into { codespaces: [{ length, low, high }], map: Map<code, text> }
+ */
+function parseCMap(text) {
+  const hexToNumber = (hex) => parseInt(hex || '0', 16);
+  const hexToText = (hex) => {
+    let out = '';
+    for (let i = 0; i < hex.length; i += 4) {
+      out += String.fromCharCode(parseInt(hex.substr(i, 4).padEnd(4, '0'), 16));
+    }
+    return out;
+  };
+
+  const codespaces = [];
+  for (const block of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const [, low, high] of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>/gi)) {
+      codespaces.push({ length: Math.ceil(low.length / 2), low: hexToNumber(low), high: hexToNumber(high) });
+    }
+  }
+  codespaces.sort((a, b) => a.length - b.length);
+
+  const map = new Map();
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, code, unicode] of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+      map.set(hexToNumber(code), hexToText(unicode));
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const ranges = /<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]*)>|\[([^\]]*)\])/gi;
+    for (const [, low, high, start, list] of block[1].matchAll(ranges)) {
+      const first = hexToNumber(low);
+      const last = Math.min(hexToNumber(high), first + 0xffff);
+
+      if (list !== undefined) {
+        const targets = [...list.matchAll(/<([0-9a-f]*)>/gi)].map(m => hexToText(m[1]));
+        targets.forEach((target, i) => {
+          if (first + i <= last) map.set(first + i, target);
+        });
+      } else {
+        // Consecutive codes map to consecutive characters (the last unit increments)
+        const base = hexToText(start);
+        for (let code = first; code <= last; code++) {
+          const offset = code - first;
+          map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + offset));
+        }
+      }
+    }
+  }
+
+  return { codespaces, map };
+}
+
+/**
+ * Build a decoder from a font dictionary: binary string in, text out
+ * Returns null for fonts whose text can't be decoded (composite fonts without ToUnicode)
+ */
+async function createFontDecoder(pdf, font) {
+  const composite = font.Subtype === 'Type0';
+
+  let cmap = null;
+  const toUnicode = pdf.resolve(font.ToUnicode);
+  if (toUnicode?.bytes) {
+    try {
+      cmap = parseCMap(bytesToBinary(await decodeStream(toUnicode)));
+    } catch (error) {
+      cmap = null;
+    }
+  }
+
+  if (composite && !cmap) return null;
+
+  // Simple fonts: a base encoding (read as Windows-1252) with /Differences on top
+  const differences = new Map();
+  const encoding = pdf.resolve(font.Encoding);
+  if (encoding && typeof encoding === 'object') {
+    let code = 0;
+    for (const item of pdf.resolve(encoding.Differences) || []) {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (typeof item === 'string') {
+        differences.set(code++, glyphToUnicode(item));
+      }
+    }
+  }
+
+  const simpleChar = (code) => {
+    if (differences.has(code)) return differences.get(code);
+    return WIN_ANSI_HIGH[code] || String.fromCharCode(code);
+  };
+
+  return (string) => {
+    let out = '';
+    let i = 0;
+
+    while (i < string.length) {
+      let length = composite ? 2 : 1;
+      if (cmap?.codespaces.length) {
+        const fits = cmap.codespaces.find(space => {
+          let code = 0;
+          for (let j = 0; j < space.length; j++) code = code * 256 + (string.charCodeAt(i + j) || 0);
+          return code >= space.low && code <= space.high;
+        });
+        if (fits) length = fits.length;
+      }
+
+      let code = 0;
+      for (let j = 0; j < length; j++) code = code * 256 + (string.charCodeAt(i + j) || 0);
+      i += length;
+
+      if (cmap?.map.has(code)) {
+        out += cmap.map.get(code);
+      } else if (!composite) {
+        out += simpleChar(code);
+      }
+    }
+
+    return out;
+  };
+}
+
+/**
+ * Collects shown text, inserting spaces and line breaks from text positioning
+ */
+class TextCollector {
+  constructor() {
+    this.text = '';
+  }
+
+  add(text) {
+    this.text += text;
+  }
+
+  space() {
+    if (this.text && !/\s$/.test(this.text)) this.text += ' ';
+  }
+
+  newline() {
+    if (this.text && !this.text.endsWith('\n')) this.text = this.text.replace(/ +$/, '') + '\n';
+  }
+}
+
+/**
+ * Extract the text drawn by a content stream
+ */
+async function extractContentText(pdf, content, resources, output, fontCache, depth = 0) {
+  resources = pdf.resolve(resources) || {};
+  const fonts = pdf.resolve(resources.Font) || {};
+  const xObjects = pdf.resolve(resources.XObject) || {};
+
+  const lexer = new Lexer(content);
+  let operands = [];
+  let decode = null;
+  let lastY = null;
+
+  const getDecoder = async (name) => {
+    const ref = fonts[name];
+    const key = ref?.ref ?? ref;
+    if (!fontCache.has(key)) {
+      const font = pdf.resolve(ref);
+      fontCache.set(key, font && typeof font === 'object' ? await createFontDecoder(pdf, font) : null);
+    }
+    return fontCache.get(key);
+  };
+
+  const show = (value) => {
+    if (decode && value && typeof value.string === 'string') {
+      output.add(decode(value.string));
+    }
+  };
+
+  for (;;) {
+    const value = lexer.parseValue();
+    if (value === undefined) break;
+    if (!value || typeof value !== 'object' || !('op' in value)) {
+      operands.push(value);
+      continue;
+    }
+
+    switch (value.op) {
+      case 'Tf':
+        decode = await getDecoder(operands[0]);
+        break;
+      case 'Tj':
+        show(operands[0]);
+        break;
+      case '\'':
+        output.newline();
+        show(operands[0]);
+        break;
+      case '"':
+        output.newline();
+        show(operands[2]);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+          if (typeof item === 'number') {
+            if (item < -WORD_GAP) output.space();
+          } else {
+            show(item);
+          }
+        }
+        break;
+      case 'Td':
+      case 'TD':
+        if (operands[1]) {
+          output.newline();
+        } else if (operands[0] > 0) {
+          output.space();
+        }
+        break;
+      case 'T*':
+        output.newline();
+        break;
+      case 'Tm':
+        if (lastY !== null && Math.abs(operands[5] - lastY) > 0.5) {
+          output.newline();
+        } else {
+          output.space();
+        }
+        lastY = operands[5];
+        break;
+      case 'ET':
+        output.space();
+        break;
+      case 'BI': {
+        // Inline image data is binary: skip to the EI that ends it
+        const data = lexer.text.indexOf('ID', lexer.pos);
+        const end = data < 0 ? -1 : lexer.text.slice(data + 3).search(/\sEI(?=[\s]|$)/);
+        lexer.pos = end < 0 ? lexer.text.length : data + 3 + end + 3;
+        break;
+      }
+      case 'Do': {
+        const form = pdf.resolve(xObjects[operands[0]]);
+        if (depth < MAX_FORM_DEPTH && form?.bytes && form.dict.Subtype === 'Form') {
+          try {
+            const formContent = bytesToBinary(await decodeStream(form));
+            await extractContentText(pdf, formContent, form.dict.Resources || resources, output,
+              fontCache, depth + 1);
+          } catch (error) {
+            // Unreadable form: skip it
+          }
+        }
+        break;
+      }
+    }
+
+    operands = [];
+  }
+}
+
+/**
+ * Tidy extracted text: single spaces, no blank runs of lines
+ */
+function tidyText(text) {
+  return text
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract the text of a PDF (a Blob or File), pages separated by blank lines
+ * options.maxLength stops reading pages once that much text was found
+ * Returns { text, pageCount }
+ */
+export async function extractPdfText(file, options = {}) {
+  const maxLength = options.maxLength || Infinity;
+  const pdf = new PdfDocument(new Uint8Array(await file.arrayBuffer()));
+
+  const header = pdf.text.indexOf('%PDF-');
+  if (header < 0 || header > 1024) {
+    throw new Error('Not a PDF file');
+  }
+  if (/\/Encrypt\s*(<<|\d+\s+\d+\s+R)/.test(pdf.text)) {
+    throw new Error('Encrypted PDFs are not supported');
+  }
+
+  await pdf.loadObjectStreams();
+  const pages = pdf.getPages();
+  const fontCache = new Map();
+  const pageTexts = [];
+  let length = 0;
+
+  for (const page of pages) {
+    const contents = pdf.resolve(page.Contents);
+    const streams = (Array.isArray(contents) ? contents.map(c => pdf.resolve(c)) : [contents])
+      .filter(stream => stream?.bytes);
+
+    let content = '';
+    for (const stream of streams) {
+      try {
+        content += bytesToBinary(await decodeStream(stream)) + '\n';
+      } catch (error) {
+        // Unreadable stream: the page keeps whatever else it has
+      }
+    }
+
+    const output = new TextCollector();
+    await extractContentText(pdf, content, page.Resources, output, fontCache);
+
+    const text = tidyText(output.text);
+    if (text) {
+      pageTexts.push(text);
+      length += text.length;
+    }
+    if (length >= maxLength) break;
+  }
+
+  return { text: pageTexts.join('\n\n'), pageCount: pages.length };
+}
@@ -0,0 +1,90 @@
+/**
+ * Collection Tree
+ * Helpers for working with the flat list of collection records as a hierarchy
+ */
+
+/**
+ * Sort siblings by position, then name
+ */
+function compareSiblings(a, b) {
+  return (a.position - b.position) || a.name.localeCompare(b.name);
+}
+
+/**
+ * Group collections by parent id (null for top level), each group sorted
+ */
+export function groupByParent(collections) {
+  const byParent = new Map();
+
+  for (const collection of collections) {
+    const parentId = collection.parentId || null;
+    if (!byParent.has(parentId)) byParent.set(parentId, []);
+    byParent.get(parentId).push(collection);
+  }
+
+  for (const children of byParent.values()) {
+    children.sort(compareSiblings);
+  }
+
+  return byParent;
+}
+
+/**
+ * Flatten the tree in display order
+ * Returns [{ collection, depth }]; collections whose parent is missing are shown at the top level
+ */
+export function flattenCollectionTree(collections) {
+  const ids = new Set(collections.map(c => c.id));
+  const byParent = groupByParent(collections.map(c =>
+    c.parentId && !ids.has(c.parentId) ? { ...c, parentId: null } : c
+  ));
+  const result = [];
+
+  const visit = (parentId, depth) => {
+    for (const collection of byParent.get(parentId) || []) {
+      result.push({ collection, depth });
+      visit(collection.id, depth + 1);
+    }
+  };
+
+  visit(null, 0);
+  return result;
+}
+
+/**
+ * Get a collection's id plus the ids of everything nested under it
+ */
+export function getDescendantIds(collections, id) {
+  const byParent = groupByParent(collections);
+  const result = [];
+  const pending = [id];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    if (result.includes(current)) continue;
+    result.push(current);
+    for (const child of byParent.get(current) || []) {
+      pending.push(child.id);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the names from the top-level collection down to this one, joined by separator
+ */
+export function getCollectionPath(collections, id, separator = ' / ') {
+  const byId = new Map(collections.map(c => [c.id, c]));
+  const names = [];
+  const seen = new Set();
+
+  let current = byId.get(id);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    names.unshift(current.name);
+    current = byId.get(current.parentId);
+  }
+
+  return names.join(separator);
+}
@@ -2,46 +2,110 @@
  * IndexedDB Database wrapper for Super Bookmarks
  */
 
-import { DB_NAME, DB_VERSION, STORES, createNote, createTag } from './schema.js';
+import {
+  DB_NAME,
+  DB_VERSION,
+  MetaKeys,
+  createNote,
+  createTag,
+  normalizeTagName,
+  normalizeTags,
+  createSavedSearch,
+  createCollection,
+  createRevision,
+  createTrashEntry,
+  createSettings,
+  isSameRevision,
+  createHighlight,
+  createEmbedding,
+  createAttachment,
+  summarizeAttachment,
+  ATTACHMENT_LIMITS,
+  deriveNoteFields,
+  mergeNoteFields
+} from './schema.js';
+import { analyzeNote } from '../search/keyword-index.js';
+import { getDescendantIds } from './collection-tree.js';
+import { getTagAncestors, isTagWithin, normalizeTagPrefix } from './tag-tree.js';
+import { canonicalizeUrl, normalizeUrl, getUrlSite, getSiteUrlPrefixes } from './url-utils.js';
+import { runMigrations, migrateBackupData } from './migrations.js';
+
+// Note fields that feed the keyword index
+const INDEXED_FIELDS = ['title', 'tags', 'content', 'highlights', 'article', 'attachments'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 export class Database {
   constructor() {
     this.db = null;
+    this.listeners = new Set();
   }
 
   /**
-   * Open the database connection
+   * Listen for data changes made through this connection
+   * Returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners of a change
+   */
+  emit(event) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Database listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Open the database connection, running any pending migrations
    */
   open() {
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(DB_NAME, DB_VERSION);
 
-      request.onerror = () => reject(request.error);
+      let migrationError = null;
+
+      // A failed migration aborts the upgrade, which surfaces here
+      request.onerror = () => reject(migrationError || request.error);
 
       request.onsuccess = () => {
         this.db = request.result;
-        resolve(this.db);
+        this.rebuildStaleSearchIndex().then(() => resolve(this.db), reject);
       };
 
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        for (const [storeName, config] of Object.entries(STORES)) {
-          if (!db.objectStoreNames.contains(storeName)) {
-            const store = db.createObjectStore(storeName, {
-              keyPath: config.keyPath,
-              autoIncrement: config.autoIncrement
-            });
-
-            for (const index of config.indexes) {
-              store.createIndex(index.name, index.keyPath, index.options);
-            }
-          }
-        }
+        const transaction = event.target.transaction;
+
+        runMigrations({
+          db: event.target.result,
+          transaction,
+          oldVersion: event.oldVersion,
+          newVersion: event.newVersion
+        }).catch((error) => {
+          console.error('Database migration failed:', error);
+          migrationError = error;
+          transaction.abort();
+        });
       };
     });
   }
 
+  /**
+   * Rebuild the keyword index if a migration marked it stale
+   */
+  async rebuildStaleSearchIndex() {
+    if (await this.getMeta(MetaKeys.SEARCH_INDEX_STALE)) {
+      await this.rebuildSearchIndex();
+    }
+  }
+
   /**
    * Close the database connection
    */
@@ -56,29 +120,33 @@ export class Database {
 
   /**
    * Save a note (create or update)
+   * options.origin labels the revision ('create' or 'edit' by default)
    */
-  async saveNote(noteData) {
+  async saveNote(noteData, options = {}) {
     const note = createNote(noteData);
-    const tx = this.db.transaction(['notes', 'tags'], 'readwrite');
+    const tx = this.db.transaction(
+      ['notes', 'tags', 'searchDocs', 'searchPostings', 'revisions', 'meta'],
+      'readwrite'
+    );
     const notesStore = tx.objectStore('notes');
-    const tagsStore = tx.objectStore('tags');
+    const existing = await this.promisifyRequest(notesStore.get(note.id));
+
+    // Re-saving an existing note keeps the collections it is filed in and its attachments
+    if (existing && noteData.collectionIds === undefined) {
+      note.collectionIds = existing.collectionIds || [];
+    }
+    if (existing && noteData.attachments === undefined) {
+      note.attachments = existing.attachments || [];
+      Object.assign(note, deriveNoteFields(note, note.metadata));
+    }
 
     // Save the note
     await this.promisifyRequest(notesStore.put(note));
+    await this.indexNoteForSearch(tx, note);
+    await this.recordRevision(tx, note, options.origin || (existing ? 'edit' : 'create'), existing);
+    await this.updateTagCounts(tx, existing ? existing.tags : [], note.tags);
 
-    // Update tag usage counts
-    for (const tagName of note.tags) {
-      const normalizedTag = tagName.toLowerCase().trim();
-      const existingTag = await this.promisifyRequest(tagsStore.get(normalizedTag));
-
-      if (existingTag) {
-        existingTag.usageCount++;
-        await this.promisifyRequest(tagsStore.put(existingTag));
-      } else {
-        await this.promisifyRequest(tagsStore.put(createTag(tagName)));
-      }
-    }
-
+    this.emit({ type: 'note-saved', note });
     return note;
   }
 
@@ -91,8 +159,20 @@ export class Database {
     return this.promisifyRequest(store.get(id));
   }
 
+  /**
+   * Get several notes by ID in one transaction (missing notes are skipped)
+   */
+  async getNotes(ids) {
+    const tx = this.db.transaction('notes', 'readonly');
+    const store = tx.objectStore('notes');
+    const notes = await Promise.all(ids.map(id => this.promisifyRequest(store.get(id))));
+    return notes.filter(Boolean);
+  }
+
   /**
    * Get a note by URL (returns first match, or null)
+   * Falls back to an equivalent URL (tracking parameters, fragment, scheme, "www."
+   * and trailing slash ignored), preferring the most recently updated note
    */
   async getNoteByUrl(url) {
     if (!url) return null;
@@ -101,7 +181,7 @@ export class Database {
     const store = tx.objectStore('notes');
     const index = store.index('byUrl');
 
-    return new Promise((resolve, reject) => {
+    const exact = await new Promise((resolve, reject) => {
       const request = index.openCursor(IDBKeyRange.only(url));
 
       request.onsuccess = (event) => {
@@ -111,48 +191,277 @@ export class Database {
 
       request.onerror = () => reject(request.error);
     });
+    if (exact) return exact;
+
+    const { page } = await this.getPageNotes(url);
+    return page.sort((a, b) => b.updatedAt - a.updatedAt)[0] || null;
+  }
+
+  /**
+   * Get the notes saved from a web page and from the rest of its site
+   * Returns { page, site }: notes whose URL matches the page's once normalized
+   * (scheme, "www.", trailing slash and fragment ignored), and the site's other notes
+   * Pass the page's <link rel="canonical"> to also match notes captured under it
+   */
+  async getPageNotes(url, canonicalUrl = null) {
+    const site = getUrlSite(url);
+    if (!site) return { page: [], site: [] };
+
+    const canonical = canonicalizeUrl(url, canonicalUrl);
+    const targets = new Set([normalizeUrl(url), normalizeUrl(canonical)]);
+    const sites = new Set([site, getUrlSite(canonical)].filter(Boolean));
+    const tx = this.db.transaction('notes', 'readonly');
+    const index = tx.objectStore('notes').index('byUrl');
+
+    // One range scan of the URL index per scheme and "www." variant of each site
+    const prefixes = [...sites].flatMap(s => getSiteUrlPrefixes(s));
+    const batches = await Promise.all(prefixes.map(prefix =>
+      this.promisifyRequest(index.getAll(IDBKeyRange.bound(prefix, prefix + '\uffff')))
+    ));
+
+    const result = { page: [], site: [] };
+    const seen = new Set();
+    for (const note of batches.flat()) {
+      if (seen.has(note.id)) continue;
+      seen.add(note.id);
+
+      if (targets.has(normalizeUrl(note.url))) {
+        result.page.push(note);
+      } else if (getUrlSite(note.url) === site) {
+        // The prefix also matches longer hosts ("example.com.au" for "example.com")
+        result.site.push(note);
+      }
+    }
+    return result;
   }
 
   /**
    * Update an existing note
+   * options.origin labels the revision ('edit' by default)
    */
-  async updateNote(id, updates) {
+  async updateNote(id, updates, options = {}) {
     const existing = await this.getNote(id);
     if (!existing) {
       throw new Error(`Note ${id} not found`);
     }
 
+    const reindex = INDEXED_FIELDS.some(field => updates[field] !== undefined);
+    const storeNames = [
+      'notes', 'revisions', 'meta',
+      ...(reindex ? ['searchDocs', 'searchPostings'] : []),
+      ...(updates.tags !== undefined ? ['tags'] : [])
+    ];
+    const tx = this.db.transaction(storeNames, 'readwrite');
+    const updated = await this.writeNoteUpdate(tx, existing, updates, options.origin || 'edit');
+
+    this.emit({ type: 'note-saved', note: updated });
+    return updated;
+  }
+
+  /**
+   * Apply updates to a note within a transaction: store it, reindex it and adjust tag
+   * counts as needed, and record a revision
+   * The transaction needs notes, revisions and meta, plus searchDocs/searchPostings when
+   * an indexed field changes and tags when the tags change
+   */
+  async writeNoteUpdate(tx, existing, updates, origin) {
     const updated = {
       ...existing,
       ...updates,
+      tags: updates.tags !== undefined ? normalizeTags(updates.tags) : existing.tags,
       id: existing.id, // Prevent ID change
       createdAt: existing.createdAt, // Preserve creation time
       updatedAt: Date.now()
     };
 
-    // Recalculate metadata if content changed
-    if (updates.content !== undefined) {
-      updated.excerpt = updates.content.slice(0, 200);
-      updated.metadata = {
-        ...updated.metadata,
-        wordCount: updates.content.split(/\s+/).filter(w => w).length,
-        charCount: updates.content.length
-      };
+    // Recalculate metadata if content, highlights, article or attachments changed
+    if (updates.content !== undefined || updates.highlights !== undefined ||
+        updates.article !== undefined || updates.attachments !== undefined) {
+      Object.assign(updated, deriveNoteFields(updated, updated.metadata));
     }
 
-    const tx = this.db.transaction('notes', 'readwrite');
     await this.promisifyRequest(tx.objectStore('notes').put(updated));
 
+    if (INDEXED_FIELDS.some(field => updates[field] !== undefined)) {
+      await this.indexNoteForSearch(tx, updated);
+    }
+    if (updates.tags !== undefined) {
+      await this.updateTagCounts(tx, existing.tags, updated.tags);
+    }
+
+    await this.recordRevision(tx, updated, origin, existing);
     return updated;
   }
 
+  // ==================== Highlight Operations ====================
+
+  /**
+   * Add a highlight to the end of a note's highlight list
+   */
+  async addHighlight(noteId, highlightData) {
+    const highlight = createHighlight(highlightData);
+    return this.updateHighlights(noteId, highlights => [...highlights, highlight], { origin: 'append' });
+  }
+
+  /**
+   * Edit a single highlight
+   */
+  async updateHighlight(noteId, highlightId, updates) {
+    return this.updateHighlights(noteId, highlights => highlights.map(h =>
+      h.id === highlightId
+        ? { ...h, ...updates, id: h.id, createdAt: h.createdAt, updatedAt: Date.now() }
+        : h
+    ));
+  }
+
+  /**
+   * Delete a single highlight
+   */
+  async deleteHighlight(noteId, highlightId) {
+    return this.updateHighlights(noteId, highlights => highlights.filter(h => h.id !== highlightId));
+  }
+
+  /**
+   * Reorder highlights to match the given list of highlight IDs
+   * (IDs not in the list keep their relative order at the end)
+   */
+  async reorderHighlights(noteId, orderedIds) {
+    return this.updateHighlights(noteId, highlights => {
+      const byId = new Map(highlights.map(h => [h.id, h]));
+      const ordered = orderedIds.map(id => byId.get(id)).filter(h => h);
+      const rest = highlights.filter(h => !orderedIds.includes(h.id));
+      return [...ordered, ...rest];
+    });
+  }
+
+  /**
+   * Record which highlights could not be re-anchored on the page
+   * (does not touch updatedAt, this is a page visit rather than an edit)
+   */
+  async setOrphanedHighlights(noteId, orphanedIds) {
+    const tx = this.db.transaction('notes', 'readwrite');
+    const store = tx.objectStore('notes');
+    const note = await this.promisifyRequest(store.get(noteId));
+
+    if (!note || !note.highlights) return null;
+
+    note.highlights = note.highlights.map(h => ({
+      ...h,
+      orphaned: orphanedIds.includes(h.id)
+    }));
+
+    await this.promisifyRequest(store.put(note));
+    return note;
+  }
+
+  /**
+   * Apply a transform to a note's highlight list and save the note
+   */
+  async updateHighlights(noteId, transform, options = {}) {
+    const existing = await this.getNote(noteId);
+    if (!existing) {
+      throw new Error(`Note ${noteId} not found`);
+    }
+
+    const highlights = transform(existing.highlights || []);
+    return this.updateNote(noteId, { highlights }, options);
+  }
+
   /**
-   * Delete a note and its embedding
+   * Permanently delete a note with its embedding, revisions and attachments
+   * (deleting from the UI goes through trashNotes so it can be undone)
    */
   async deleteNote(id) {
-    const tx = this.db.transaction(['notes', 'embeddings'], 'readwrite');
+    const tx = this.db.transaction(
+      ['notes', 'embeddings', 'tags', 'searchDocs', 'searchPostings', 'revisions', 'attachments', 'meta'],
+      'readwrite'
+    );
+    const note = await this.promisifyRequest(tx.objectStore('notes').get(id));
+    if (note) {
+      await this.adjustTagCounts(tx, note.tags, -1);
+    }
     await this.promisifyRequest(tx.objectStore('notes').delete(id));
     await this.promisifyRequest(tx.objectStore('embeddings').delete(id));
+    await this.deleteNoteRevisions(tx, id);
+    await this.deleteNoteAttachments(tx, id);
+    await this.removeNoteFromSearch(tx, id);
+    this.emit({ type: 'note-deleted', noteId: id });
+    this.emit({ type: 'embedding-deleted', noteId: id });
+  }
+
+  /**
+   * Merge duplicate notes into one: the target gains the sources' content, highlights,
+   * tags, collections and attachments (see mergeNoteFields) and their revision history,
+   * and the sources move to the trash. The caller re-embeds the merged note
+   * Returns the merged note
+   */
+  async mergeNotes(targetId, sourceIds) {
+    const target = await this.getNote(targetId);
+    if (!target) {
+      throw new Error(`Note ${targetId} not found`);
+    }
+
+    const sources = await this.getNotes(sourceIds.filter(id => id !== targetId));
+    if (sources.length === 0) return target;
+
+    // One transaction, so a failure leaves the target and sources as they were
+    const tx = this.db.transaction(
+      ['notes', 'embeddings', 'tags', 'searchDocs', 'searchPostings', 'revisions', 'attachments', 'trash', 'meta'],
+      'readwrite'
+    );
+    const revisionsStore = tx.objectStore('revisions');
+    const attachmentsStore = tx.objectStore('attachments');
+    const deletedAt = Date.now();
+    let merged;
+
+    try {
+      // The sources' history and files continue on the merged note
+      for (const source of sources) {
+        const revisions = await this.promisifyRequest(
+          revisionsStore.index('byNote').getAll(this.getRevisionRange(source.id))
+        );
+        for (const revision of revisions) {
+          await this.promisifyRequest(revisionsStore.put({ ...revision, noteId: targetId }));
+        }
+
+        const attachments = await this.promisifyRequest(attachmentsStore.index('byNote').getAll(source.id));
+        for (const attachment of attachments) {
+          await this.promisifyRequest(attachmentsStore.put({ ...attachment, noteId: targetId }));
+        }
+      }
+
+      merged = await this.writeNoteUpdate(tx, target, mergeNoteFields(target, sources), 'merge');
+
+      // The trashed copies no longer own their files
+      for (const source of sources) {
+        const snapshot = { ...source, attachments: [] };
+        await this.moveNoteToTrash(tx, source, deletedAt, {
+          ...snapshot,
+          ...deriveNoteFields(snapshot, source.metadata)
+        });
+      }
+    } catch (error) {
+      try {
+        tx.abort();
+      } catch (abortError) {
+        // The transaction already failed or finished; report the original error.
+      }
+      throw error;
+    }
+
+    this.emit({ type: 'note-saved', note: merged });
+    for (const source of sources) {
+      this.emit({ type: 'note-deleted', noteId: source.id });
+      this.emit({ type: 'embedding-deleted', noteId: source.id });
+    }
+    this.emit({ type: 'trash-changed' });
+
+    const collectionsChanged = merged.collectionIds.length !== (target.collectionIds || []).length ||
+      sources.some(source => (source.collectionIds || []).length > 0);
+    if (collectionsChanged) {
+      this.emit({ type: 'collections-changed' });
+    }
+    return merged;
   }
 
   /**
@@ -200,6 +509,37 @@ export class Database {
     });
   }
 
+  /**
+   * Find notes matching a predicate, most recently updated first
+   */
+  async findNotes(predicate, options = {}) {
+    const { limit = 50 } = options;
+
+    const tx = this.db.transaction('notes', 'readonly');
+    const source = tx.objectStore('notes').index('byUpdatedAt');
+
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const request = source.openCursor(null, 'prev');
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+
+        if (!cursor || results.length >= limit) {
+          resolve(results);
+          return;
+        }
+
+        if (predicate(cursor.value)) {
+          results.push(cursor.value);
+        }
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Search notes by tags
    */
@@ -242,21 +582,312 @@ export class Database {
     return this.promisifyRequest(store.count());
   }
 
+  // ==================== Trash Operations ====================
+
+  /**
+   * Move notes (and their embeddings) to the trash
+   * Trashed notes leave the keyword index and tag counts until restored
+   * Returns the number of notes trashed
+   */
+  async trashNotes(ids) {
+    const tx = this.db.transaction(
+      ['notes', 'embeddings', 'tags', 'searchDocs', 'searchPostings', 'trash', 'meta'],
+      'readwrite'
+    );
+    const notesStore = tx.objectStore('notes');
+    const deletedAt = Date.now();
+    const trashed = [];
+
+    for (const id of ids) {
+      const note = await this.promisifyRequest(notesStore.get(id));
+      if (!note) continue;
+
+      await this.moveNoteToTrash(tx, note, deletedAt);
+      trashed.push(note);
+    }
+
+    for (const note of trashed) {
+      this.emit({ type: 'note-deleted', noteId: note.id });
+      this.emit({ type: 'embedding-deleted', noteId: note.id });
+    }
+    if (trashed.length > 0) {
+      this.emit({ type: 'trash-changed' });
+      if (trashed.some(note => (note.collectionIds || []).length > 0)) {
+        this.emit({ type: 'collections-changed' });
+      }
+    }
+
+    return trashed.length;
+  }
+
+  /**
+   * Move a note and its embedding to the trash within a transaction, dropping it from
+   * search and tag counts. snapshot is the copy kept in the trash (the note by default)
+   * The transaction needs notes, embeddings, tags, searchDocs, searchPostings, trash and meta
+   */
+  async moveNoteToTrash(tx, note, deletedAt, snapshot = note) {
+    const embeddingsStore = tx.objectStore('embeddings');
+    const embedding = await this.promisifyRequest(embeddingsStore.get(note.id));
+    await this.promisifyRequest(tx.objectStore('trash').put(createTrashEntry(snapshot, embedding || null, deletedAt)));
+    await this.promisifyRequest(tx.objectStore('notes').delete(note.id));
+    await this.promisifyRequest(embeddingsStore.delete(note.id));
+    await this.removeNoteFromSearch(tx, note.id);
+    await this.adjustTagCounts(tx, note.tags, -1);
+  }
+
+  /**
+   * Move a single note to the trash
+   */
+  async trashNote(id) {
+    return this.trashNotes([id]);
+  }
+
+  /**
+   * Put trashed notes back with their embeddings, search entries and tag counts
+   * Memberships of collections deleted in the meantime are dropped
+   * Returns the restored notes
+   */
+  async restoreFromTrash(ids) {
+    const tx = this.db.transaction(
+      ['notes', 'embeddings', 'tags', 'collections', 'searchDocs', 'searchPostings', 'trash', 'meta'],
+      'readwrite'
+    );
+    const trashStore = tx.objectStore('trash');
+    const existingCollections = new Set(await this.promisifyRequest(tx.objectStore('collections').getAllKeys()));
+    const restored = [];
+
+    for (const id of ids) {
+      const entry = await this.promisifyRequest(trashStore.get(id));
+      if (!entry) continue;
+
+      const note = {
+        ...entry.note,
+        collectionIds: (entry.note.collectionIds || []).filter(collectionId => existingCollections.has(collectionId))
+      };
+      await this.promisifyRequest(tx.objectStore('notes').put(note));
+      if (entry.embedding) {
+        await this.promisifyRequest(tx.objectStore('embeddings').put(entry.embedding));
+      }
+      await this.indexNoteForSearch(tx, note);
+      await this.adjustTagCounts(tx, note.tags, 1);
+      await this.promisifyRequest(trashStore.delete(id));
+      restored.push({ note, embedding: entry.embedding });
+    }
+
+    for (const { note, embedding } of restored) {
+      this.emit({ type: 'note-saved', note });
+      if (embedding) {
+        this.emit({ type: 'embedding-saved', noteId: note.id, embedding });
+      }
+    }
+    if (restored.length > 0) {
+      this.emit({ type: 'notes-restored', noteIds: restored.map(({ note }) => note.id) });
+      this.emit({ type: 'trash-changed' });
+      if (restored.some(({ note }) => note.collectionIds.length > 0)) {
+        this.emit({ type: 'collections-changed' });
+      }
+    }
+
+    return restored.map(({ note }) => note);
+  }
+
+  /**
+   * Get trash entries, most recently deleted first
+   */
+  async getTrash() {
+    const tx = this.db.transaction('trash', 'readonly');
+    const entries = await this.promisifyRequest(tx.objectStore('trash').index('byDeletedAt').getAll());
+    return entries.reverse();
+  }
+
+  /**
+   * Count notes in the trash
+   */
+  async getTrashCount() {
+    const tx = this.db.transaction('trash', 'readonly');
+    return this.promisifyRequest(tx.objectStore('trash').count());
+  }
+
+  /**
+   * Permanently delete trashed notes with their revisions and attachments
+   * Returns the number deleted
+   */
+  async deleteFromTrash(ids) {
+    const tx = this.db.transaction(['trash', 'revisions', 'attachments', 'meta'], 'readwrite');
+    const trashStore = tx.objectStore('trash');
+    let deleted = 0;
+
+    for (const id of ids) {
+      const entry = await this.promisifyRequest(trashStore.get(id));
+      if (!entry) continue;
+
+      await this.promisifyRequest(trashStore.delete(id));
+      await this.deleteNoteRevisions(tx, id);
+      await this.deleteNoteAttachments(tx, id);
+      deleted++;
+    }
+
+    if (deleted > 0) {
+      this.emit({ type: 'trash-changed' });
+    }
+    return deleted;
+  }
+
+  /**
+   * Permanently delete everything in the trash
+   */
+  async emptyTrash() {
+    const tx = this.db.transaction('trash', 'readonly');
+    const ids = await this.promisifyRequest(tx.objectStore('trash').getAllKeys());
+    return this.deleteFromTrash(ids);
+  }
+
+  /**
+   * Permanently delete notes trashed longer ago than the trash retention setting
+   * Returns the number deleted
+   */
+  async purgeExpiredTrash() {
+    const { retentionDays } = (await this.getSettings()).trash;
+    if (!(retentionDays > 0)) return 0;
+
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const tx = this.db.transaction('trash', 'readonly');
+    const ids = await this.promisifyRequest(
+      tx.objectStore('trash').index('byDeletedAt').getAllKeys(IDBKeyRange.upperBound(cutoff, true))
+    );
+    return this.deleteFromTrash(ids);
+  }
+
+  // ==================== Revision Operations ====================
+
+  /**
+   * Key range covering all of a note's revisions in the byNote index
+   */
+  getRevisionRange(noteId) {
+    return IDBKeyRange.bound([noteId, -Infinity], [noteId, Infinity]);
+  }
+
+  /**
+   * Delete all of a note's revisions (within the caller's transaction)
+   */
+  async deleteNoteRevisions(tx, noteId) {
+    const store = tx.objectStore('revisions');
+    const ids = await this.promisifyRequest(store.index('byNote').getAllKeys(this.getRevisionRange(noteId)));
+    for (const id of ids) {
+      await this.promisifyRequest(store.delete(id));
+    }
+  }
+
+  /**
+   * Record a revision of a note (within the caller's transaction, which must include
+   * revisions and meta). Nothing is recorded when the revision fields didn't change.
+   * `previous` is the note before this save; it is kept as the 'original' revision
+   * for notes saved before revisions were recorded.
+   */
+  async recordRevision(tx, note, origin, previous = null) {
+    const store = tx.objectStore('revisions');
+    const revisions = await this.promisifyRequest(
+      store.index('byNote').getAll(this.getRevisionRange(note.id))
+    );
+
+    if (revisions.length === 0 && previous) {
+      const original = createRevision(previous, 'original', previous.updatedAt || previous.createdAt);
+      await this.promisifyRequest(store.put(original));
+      revisions.push(original);
+    }
+
+    const revision = createRevision(note, origin);
+    const latest = revisions[revisions.length - 1];
+    if (latest && isSameRevision(latest, revision)) {
+      return null;
+    }
+
+    await this.promisifyRequest(store.put(revision));
+    revisions.push(revision);
+
+    const settings = await this.readSettings(tx);
+    await this.pruneNoteRevisions(store, revisions, settings.revisions);
+    return revision;
+  }
+
+  /**
+   * Delete revisions beyond the retention limits; revisions are oldest first
+   * The latest revision (the note's current state) is always kept
+   */
+  async pruneNoteRevisions(store, revisions, retention) {
+    const { maxPerNote, maxAgeDays } = retention;
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : -Infinity;
+    const keepFrom = Math.max(0, revisions.length - Math.max(1, maxPerNote));
+
+    const expired = revisions.filter((revision, i) =>
+      i < revisions.length - 1 && (i < keepFrom || revision.createdAt < cutoff)
+    );
+
+    for (const revision of expired) {
+      await this.promisifyRequest(store.delete(revision.id));
+    }
+    return expired.length;
+  }
+
+  /**
+   * Apply the retention limits to every note's revisions
+   * Returns the number of revisions deleted
+   */
+  async pruneRevisions() {
+    const tx = this.db.transaction(['revisions', 'meta'], 'readwrite');
+    const store = tx.objectStore('revisions');
+    const settings = await this.readSettings(tx);
+
+    // The byNote index returns revisions grouped by note, oldest first
+    const byNote = new Map();
+    for (const revision of await this.promisifyRequest(store.index('byNote').getAll())) {
+      if (!byNote.has(revision.noteId)) byNote.set(revision.noteId, []);
+      byNote.get(revision.noteId).push(revision);
+    }
+
+    let deleted = 0;
+    for (const revisions of byNote.values()) {
+      deleted += await this.pruneNoteRevisions(store, revisions, settings.revisions);
+    }
+    return deleted;
+  }
+
+  /**
+   * Get a note's revisions, newest first
+   */
+  async getRevisions(noteId) {
+    const tx = this.db.transaction('revisions', 'readonly');
+    const index = tx.objectStore('revisions').index('byNote');
+    const revisions = await this.promisifyRequest(index.getAll(this.getRevisionRange(noteId)));
+    return revisions.reverse();
+  }
+
+  /**
+   * Restore a note to a revision (recorded as a new 'restore' revision)
+   */
+  async restoreRevision(noteId, revisionId) {
+    const tx = this.db.transaction('revisions', 'readonly');
+    const revision = await this.promisifyRequest(tx.objectStore('revisions').get(revisionId));
+    if (!revision || revision.noteId !== noteId) {
+      throw new Error(`Revision ${revisionId} not found`);
+    }
+
+    const { title, url, tags, content, highlights } = revision;
+    return this.updateNote(noteId, { title, url, tags, content, highlights }, { origin: 'restore' });
+  }
+
   // ==================== Embedding Operations ====================
 
   /**
-   * Save an embedding for a note
+   * Save an embedding for a note (pooled vector plus per-chunk vectors)
    */
-  async saveEmbedding(noteId, vector, modelVersion = 'all-MiniLM-L6-v2') {
+  async saveEmbedding(noteId, vector, chunks = [], modelVersion = 'all-MiniLM-L6-v2') {
     const tx = this.db.transaction('embeddings', 'readwrite');
     const store = tx.objectStore('embeddings');
 
-    await this.promisifyRequest(store.put({
-      noteId,
-      vector,
-      modelVersion,
-      computedAt: Date.now()
-    }));
+    const embedding = createEmbedding(noteId, vector, chunks, modelVersion);
+    await this.promisifyRequest(store.put(embedding));
+    this.emit({ type: 'embedding-saved', noteId, embedding });
   }
 
   /**
@@ -299,6 +930,7 @@ export class Database {
   async deleteEmbedding(noteId) {
     const tx = this.db.transaction('embeddings', 'readwrite');
     await this.promisifyRequest(tx.objectStore('embeddings').delete(noteId));
+    this.emit({ type: 'embedding-deleted', noteId });
   }
 
   // ==================== Tag Operations ====================
@@ -330,72 +962,1004 @@ export class Database {
   }
 
   /**
-   * Search tags by prefix
+   * Search tags in use by prefix (for autocomplete)
    */
   async searchTags(prefix) {
     const tags = await this.getAllTags();
-    const lowerPrefix = prefix.toLowerCase();
-    return tags.filter(tag => tag.name.startsWith(lowerPrefix));
+    const lowerPrefix = normalizeTagPrefix(prefix);
+    return tags.filter(tag => tag.usageCount > 0 && tag.name.startsWith(lowerPrefix));
   }
 
-  // ==================== Meta Operations ====================
-
   /**
-   * Get a meta value
+   * Count the notes under each tag, including nested tags ("research" counts
+   * notes tagged "research/ml"); a note is counted once per tag
+   * Returns a Map of tag name → note count, with parents that only exist as prefixes
    */
-  async getMeta(key) {
-    const tx = this.db.transaction('meta', 'readonly');
-    const store = tx.objectStore('meta');
-    const result = await this.promisifyRequest(store.get(key));
-    return result ? result.value : null;
-  }
+  async getTagTotals() {
+    const tx = this.db.transaction('notes', 'readonly');
+    const index = tx.objectStore('notes').index('byTags');
+    const noteIds = new Map();
 
-  /**
-   * Set a meta value
-   */
-  async setMeta(key, value) {
-    const tx = this.db.transaction('meta', 'readwrite');
-    const store = tx.objectStore('meta');
-    await this.promisifyRequest(store.put({ key, value }));
-  }
+    return new Promise((resolve, reject) => {
+      const request = index.openKeyCursor();
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve(new Map(Array.from(noteIds, ([name, ids]) => [name, ids.size])));
+          return;
+        }
+
+        for (const name of [cursor.key, ...getTagAncestors(cursor.key)]) {
+          if (!noteIds.has(name)) noteIds.set(name, new Set());
+          noteIds.get(name).add(cursor.primaryKey);
+        }
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Add delta to each tag's usage count (within a transaction that includes tags)
+   * Missing tags are created when counting up; counts never go below zero.
+   * Tags that drop to zero are kept so their color survives an undo or restore.
+   */
+  async adjustTagCounts(tx, tagNames = [], delta) {
+    const tagsStore = tx.objectStore('tags');
+
+    for (const name of normalizeTags(tagNames)) {
+      const existingTag = await this.promisifyRequest(tagsStore.get(name));
+
+      if (existingTag) {
+        existingTag.usageCount = Math.max(0, existingTag.usageCount + delta);
+        await this.promisifyRequest(tagsStore.put(existingTag));
+      } else if (delta > 0) {
+        await this.promisifyRequest(tagsStore.put(createTag(name, null, delta)));
+      }
+    }
+  }
+
+  /**
+   * Count a note's tag changes (within a transaction that includes tags)
+   */
+  async updateTagCounts(tx, oldTags = [], newTags = []) {
+    const before = new Set(normalizeTags(oldTags));
+    const after = new Set(normalizeTags(newTags));
+
+    await this.adjustTagCounts(tx, [...after].filter(name => !before.has(name)), 1);
+    await this.adjustTagCounts(tx, [...before].filter(name => !after.has(name)), -1);
+  }
+
+  /**
+   * Recompute every tag's usage count from the notes (within a transaction that
+   * includes notes and tags); trashed notes don't count
+   */
+  async recountTags(tx) {
+    const tagsStore = tx.objectStore('tags');
+    const counts = new Map();
+
+    for (const note of await this.promisifyRequest(tx.objectStore('notes').getAll())) {
+      for (const name of normalizeTags(note.tags)) {
+        counts.set(name, (counts.get(name) || 0) + 1);
+      }
+    }
+
+    for (const tag of await this.promisifyRequest(tagsStore.getAll())) {
+      const usageCount = counts.get(tag.name) || 0;
+      counts.delete(tag.name);
+      if (tag.usageCount !== usageCount) {
+        await this.promisifyRequest(tagsStore.put({ ...tag, usageCount }));
+      }
+    }
+
+    for (const [name, usageCount] of counts) {
+      await this.promisifyRequest(tagsStore.put(createTag(name, null, usageCount)));
+    }
+  }
+
+  /**
+   * Change the tags of notes in one transaction, keeping tag counts, the keyword
+   * index and revision history in step. transform(tags) returns a note's new tags.
+   * Returns the notes that changed.
+   */
+  async rewriteNoteTags(tx, notes, transform) {
+    const changed = [];
+
+    for (const note of notes) {
+      const tags = normalizeTags(transform(note.tags || []));
+      if (JSON.stringify(tags) === JSON.stringify(note.tags)) continue;
+
+      const updated = { ...note, tags, updatedAt: Date.now() };
+      await this.promisifyRequest(tx.objectStore('notes').put(updated));
+      await this.indexNoteForSearch(tx, updated);
+      await this.recordRevision(tx, updated, 'tags', note);
+      await this.updateTagCounts(tx, note.tags, tags);
+      changed.push(updated);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Open a transaction for tag operations and collect the notes carrying any of the tags
+   */
+  async openTagTransaction(tagNames) {
+    const tx = this.db.transaction(
+      ['notes', 'tags', 'searchDocs', 'searchPostings', 'revisions', 'meta'],
+      'readwrite'
+    );
+    const index = tx.objectStore('notes').index('byTags');
+    const notes = new Map();
+
+    for (const name of tagNames) {
+      for (const note of await this.promisifyRequest(index.getAll(IDBKeyRange.only(name)))) {
+        notes.set(note.id, note);
+      }
+    }
+
+    return { tx, notes: [...notes.values()] };
+  }
+
+  /**
+   * Announce notes and tags changed by a tag operation
+   */
+  emitTagChanges(changedNotes) {
+    for (const note of changedNotes) {
+      this.emit({ type: 'note-saved', note });
+    }
+    this.emit({ type: 'tags-changed' });
+  }
+
+  /**
+   * Rename a tag on every note, moving its nested tags along ("a/x" → "b/x")
+   * Renaming onto an existing tag merges the two
+   * Returns the number of notes changed
+   */
+  async renameTag(name, newName) {
+    const from = normalizeTagName(name);
+    const to = normalizeTagName(newName);
+    if (!to) {
+      throw new Error('Tag name is required');
+    }
+    if (from === to) return 0;
+
+    const mapping = new Map();
+    for (const tag of await this.getAllTags()) {
+      if (isTagWithin(tag.name, from)) {
+        mapping.set(tag.name, to + tag.name.slice(from.length));
+      }
+    }
+    if (mapping.size === 0) {
+      throw new Error(`Tag "${from}" not found`);
+    }
+
+    return this.moveTags(mapping);
+  }
+
+  /**
+   * Replace the source tags with the target tag on every note, then drop the sources
+   * The target keeps its color, or takes the first source's color if it has none
+   * Returns the number of notes changed
+   */
+  async mergeTags(sourceNames, targetName) {
+    const target = normalizeTagName(targetName);
+    const sources = normalizeTags(sourceNames).filter(name => name !== target);
+    if (!target) {
+      throw new Error('Tag name is required');
+    }
+    if (sources.length === 0) return 0;
+
+    return this.moveTags(new Map(sources.map(name => [name, target])));
+  }
+
+  /**
+   * Rewrite tags on every note by a Map of source name → target name
+   * Targets keep their color, or take the first source's color if they have none
+   * Returns the number of notes changed
+   */
+  async moveTags(mapping) {
+    const sources = [...mapping.keys()];
+    const { tx, notes } = await this.openTagTransaction(sources);
+    const tagsStore = tx.objectStore('tags');
+
+    const sourceTags = (await Promise.all(sources.map(name => this.promisifyRequest(tagsStore.get(name))))).filter(Boolean);
+    if (sourceTags.length === 0) {
+      throw new Error(`Tag "${sources[0]}" not found`);
+    }
+
+    const targets = new Set(mapping.values());
+    for (const target of targets) {
+      const existingTarget = await this.promisifyRequest(tagsStore.get(target));
+      // A target that is itself being moved hands its color on with it
+      const color = (mapping.has(target) ? null : existingTarget?.color) ||
+        sourceTags.find(tag => tag.color && mapping.get(tag.name) === target)?.color || null;
+      await this.promisifyRequest(tagsStore.put({
+        ...createTag(target, null, existingTarget ? existingTarget.usageCount : 0),
+        color
+      }));
+    }
+
+    const changed = await this.rewriteNoteTags(tx, notes, tags =>
+      tags.map(name => mapping.get(name) || name)
+    );
+
+    // A renamed subtree can reuse a source name as a target ("a" → "a/b" moves "a/b" → "a/b/b")
+    for (const name of sources.filter(name => !targets.has(name))) {
+      await this.promisifyRequest(tagsStore.delete(name));
+    }
+
+    this.emitTagChanges(changed);
+    return changed.length;
+  }
+
+  /**
+   * Remove a tag from every note and delete it
+   * Returns the number of notes changed
+   */
+  async deleteTag(name) {
+    const tagName = normalizeTagName(name);
+    const { tx, notes } = await this.openTagTransaction([tagName]);
+
+    const changed = await this.rewriteNoteTags(tx, notes, tags => tags.filter(t => t !== tagName));
+    await this.promisifyRequest(tx.objectStore('tags').delete(tagName));
+
+    this.emitTagChanges(changed);
+    return changed.length;
+  }
+
+  /**
+   * Set a tag's color (null to clear it)
+   */
+  async setTagColor(name, color) {
+    const tx = this.db.transaction('tags', 'readwrite');
+    const store = tx.objectStore('tags');
+    const tag = await this.promisifyRequest(store.get(normalizeTagName(name)));
+    if (!tag) {
+      throw new Error(`Tag "${name}" not found`);
+    }
+
+    const updated = { ...tag, color: color || null };
+    await this.promisifyRequest(store.put(updated));
+    this.emit({ type: 'tags-changed' });
+    return updated;
+  }
+
+  /**
+   * Add and remove tags on several notes at once
+   * Returns the number of notes changed
+   */
+  async retagNotes(noteIds, { add = [], remove = [] } = {}) {
+    const addTags = normalizeTags(add);
+    const removeTags = new Set(normalizeTags(remove));
+
+    const { tx } = await this.openTagTransaction([]);
+    const notesStore = tx.objectStore('notes');
+    const notes = (await Promise.all(noteIds.map(id => this.promisifyRequest(notesStore.get(id))))).filter(Boolean);
+
+    const changed = await this.rewriteNoteTags(tx, notes, tags =>
+      [...tags.filter(name => !removeTags.has(name)), ...addTags]
+    );
+
+    this.emitTagChanges(changed);
+    return changed.length;
+  }
+
+  // ==================== Keyword Index Operations ====================
+
+  /**
+   * Replace a note's postings in the keyword index (within the caller's transaction)
+   */
+  async indexNoteForSearch(tx, note) {
+    const stats = await this.removeNoteFromSearch(tx, note.id);
+    const { length, postings } = analyzeNote(note);
+    const postingsStore = tx.objectStore('searchPostings');
+
+    await Promise.all(Array.from(postings, ([term, posting]) =>
+      this.promisifyRequest(postingsStore.put({
+        term,
+        noteId: note.id,
+        tf: posting.tf,
+        positions: posting.positions,
+        length
+      }))
+    ));
+
+    await this.promisifyRequest(tx.objectStore('searchDocs').put({
+      noteId: note.id,
+      terms: Array.from(postings.keys()),
+      length
+    }));
+
+    stats.docCount++;
+    stats.totalLength += length;
+    await this.promisifyRequest(tx.objectStore('meta').put({ key: MetaKeys.SEARCH_STATS, value: stats }));
+  }
+
+  /**
+   * Drop a note's postings from the keyword index (within the caller's transaction)
+   * Returns the updated collection stats
+   */
+  async removeNoteFromSearch(tx, noteId) {
+    const metaStore = tx.objectStore('meta');
+    const docsStore = tx.objectStore('searchDocs');
+    const postingsStore = tx.objectStore('searchPostings');
+
+    const record = await this.promisifyRequest(metaStore.get(MetaKeys.SEARCH_STATS));
+    const stats = record ? record.value : { docCount: 0, totalLength: 0 };
+    const doc = await this.promisifyRequest(docsStore.get(noteId));
+
+    if (doc) {
+      await Promise.all(doc.terms.map(term =>
+        this.promisifyRequest(postingsStore.delete([term, noteId]))
+      ));
+      await this.promisifyRequest(docsStore.delete(noteId));
+
+      stats.docCount = Math.max(0, stats.docCount - 1);
+      stats.totalLength = Math.max(0, stats.totalLength - doc.length);
+      await this.promisifyRequest(metaStore.put({ key: MetaKeys.SEARCH_STATS, value: stats }));
+    }
+
+    return stats;
+  }
+
+  /**
+   * Get the postings for one term
+   */
+  async getSearchPostings(term) {
+    const tx = this.db.transaction('searchPostings', 'readonly');
+    const store = tx.objectStore('searchPostings');
+    return this.promisifyRequest(store.getAll(IDBKeyRange.bound([term], [term, []])));
+  }
+
+  /**
+   * Get the postings for every term starting with a prefix
+   */
+  async getSearchPostingsByPrefix(prefix) {
+    const tx = this.db.transaction('searchPostings', 'readonly');
+    const store = tx.objectStore('searchPostings');
+    return this.promisifyRequest(store.getAll(IDBKeyRange.bound([prefix], [prefix + '\uffff'])));
+  }
+
+  /**
+   * Rebuild the keyword index from every note
+   */
+  async rebuildSearchIndex() {
+    const notes = await this.promisifyRequest(
+      this.db.transaction('notes', 'readonly').objectStore('notes').getAll()
+    );
+
+    const tx = this.db.transaction(['searchDocs', 'searchPostings', 'meta'], 'readwrite');
+    await this.promisifyRequest(tx.objectStore('searchDocs').clear());
+    await this.promisifyRequest(tx.objectStore('searchPostings').clear());
+    await this.promisifyRequest(tx.objectStore('meta').put({
+      key: MetaKeys.SEARCH_STATS,
+      value: { docCount: 0, totalLength: 0 }
+    }));
+
+    for (const note of notes) {
+      await this.indexNoteForSearch(tx, note);
+    }
+    await this.promisifyRequest(tx.objectStore('meta').delete(MetaKeys.SEARCH_INDEX_STALE));
+
+    return notes.length;
+  }
+
+  // ==================== Saved Search Operations ====================
+
+  /**
+   * Save a search (create or replace)
+   */
+  async saveSavedSearch(data) {
+    const savedSearch = createSavedSearch(data);
+    const tx = this.db.transaction('savedSearches', 'readwrite');
+    await this.promisifyRequest(tx.objectStore('savedSearches').put(savedSearch));
+
+    this.emit({ type: 'saved-searches-changed' });
+    return savedSearch;
+  }
+
+  /**
+   * Get all saved searches, oldest first
+   */
+  async getSavedSearches() {
+    const tx = this.db.transaction('savedSearches', 'readonly');
+    const index = tx.objectStore('savedSearches').index('byCreatedAt');
+    return this.promisifyRequest(index.getAll());
+  }
+
+  /**
+   * Update a saved search
+   */
+  async updateSavedSearch(id, updates) {
+    const tx = this.db.transaction('savedSearches', 'readwrite');
+    const store = tx.objectStore('savedSearches');
+    const existing = await this.promisifyRequest(store.get(id));
+    if (!existing) {
+      throw new Error(`Saved search ${id} not found`);
+    }
+
+    const updated = { ...existing, ...updates, id: existing.id, updatedAt: Date.now() };
+    await this.promisifyRequest(store.put(updated));
+
+    this.emit({ type: 'saved-searches-changed' });
+    return updated;
+  }
+
+  /**
+   * Delete a saved search
+   */
+  async deleteSavedSearch(id) {
+    const tx = this.db.transaction('savedSearches', 'readwrite');
+    await this.promisifyRequest(tx.objectStore('savedSearches').delete(id));
+    this.emit({ type: 'saved-searches-changed' });
+  }
+
+  // ==================== Collection Operations ====================
+
+  /**
+   * Create a collection, appended after its siblings
+   */
+  async createCollection(data) {
+    const name = (data.name || '').trim();
+    if (!name) {
+      throw new Error('Collection name is required');
+    }
+
+    const tx = this.db.transaction('collections', 'readwrite');
+    const store = tx.objectStore('collections');
+    const all = await this.promisifyRequest(store.getAll());
+
+    if (data.parentId && !all.some(c => c.id === data.parentId)) {
+      throw new Error(`Collection ${data.parentId} not found`);
+    }
+
+    const siblings = all.filter(c => c.parentId === (data.parentId || null));
+    const collection = createCollection({
+      ...data,
+      name,
+      position: siblings.reduce((max, c) => Math.max(max, c.position + 1), 0)
+    });
+    await this.promisifyRequest(store.put(collection));
+
+    this.emit({ type: 'collections-changed' });
+    return collection;
+  }
+
+  /**
+   * Get all collections (flat; see collection-tree.js for the hierarchy)
+   */
+  async getAllCollections() {
+    const tx = this.db.transaction('collections', 'readonly');
+    return this.promisifyRequest(tx.objectStore('collections').getAll());
+  }
+
+  /**
+   * Rename, move or reorder a collection
+   * Moving a collection inside itself or one of its descendants is rejected
+   */
+  async updateCollection(id, updates) {
+    const tx = this.db.transaction('collections', 'readwrite');
+    const store = tx.objectStore('collections');
+    const all = await this.promisifyRequest(store.getAll());
+    const existing = all.find(c => c.id === id);
+    if (!existing) {
+      throw new Error(`Collection ${id} not found`);
+    }
+
+    const updated = { ...existing, ...updates, id: existing.id, updatedAt: Date.now() };
+    updated.name = (updated.name || '').trim();
+    updated.parentId = updated.parentId || null;
+
+    if (!updated.name) {
+      throw new Error('Collection name is required');
+    }
+
+    if (updated.parentId !== existing.parentId) {
+      if (getDescendantIds(all, id).includes(updated.parentId)) {
+        throw new Error('A collection cannot be moved into itself');
+      }
+      if (updated.parentId && !all.some(c => c.id === updated.parentId)) {
+        throw new Error(`Collection ${updated.parentId} not found`);
+      }
+      // Append to the end of the new parent unless a position was given
+      if (updates.position === undefined) {
+        updated.position = all
+          .filter(c => c.parentId === updated.parentId && c.id !== id)
+          .reduce((max, c) => Math.max(max, c.position + 1), 0);
+      }
+    }
+
+    await this.promisifyRequest(store.put(updated));
+
+    this.emit({ type: 'collections-changed' });
+    return updated;
+  }
+
+  /**
+   * Delete a collection and everything nested in it
+   * Notes are kept; they are only taken out of the deleted collections
+   */
+  async deleteCollection(id) {
+    const tx = this.db.transaction(['collections', 'notes'], 'readwrite');
+    const collectionsStore = tx.objectStore('collections');
+    const notesStore = tx.objectStore('notes');
+
+    const all = await this.promisifyRequest(collectionsStore.getAll());
+    const removedIds = getDescendantIds(all, id);
+
+    const affected = new Map();
+    for (const collectionId of removedIds) {
+      await this.promisifyRequest(collectionsStore.delete(collectionId));
+      const notes = await this.promisifyRequest(
+        notesStore.index('byCollection').getAll(IDBKeyRange.only(collectionId))
+      );
+      for (const note of notes) {
+        affected.set(note.id, affected.get(note.id) || note);
+      }
+    }
+
+    for (const note of affected.values()) {
+      note.collectionIds = note.collectionIds.filter(cid => !removedIds.includes(cid));
+      await this.promisifyRequest(notesStore.put(note));
+    }
+
+    this.emit({ type: 'collections-changed' });
+    for (const note of affected.values()) {
+      this.emit({ type: 'note-saved', note });
+    }
+    return removedIds;
+  }
+
+  /**
+   * Add notes to a collection
+   * (does not touch updatedAt, filing a note is not an edit)
+   */
+  async addNotesToCollection(noteIds, collectionId) {
+    return this.updateNoteCollections(noteIds, ids =>
+      ids.includes(collectionId) ? ids : [...ids, collectionId]
+    );
+  }
+
+  /**
+   * Take notes out of the given collections
+   */
+  async removeNotesFromCollections(noteIds, collectionIds) {
+    return this.updateNoteCollections(noteIds, ids => ids.filter(id => !collectionIds.includes(id)));
+  }
+
+  /**
+   * Apply a transform to the collectionIds of several notes
+   * Returns the notes that changed
+   */
+  async updateNoteCollections(noteIds, transform) {
+    const tx = this.db.transaction('notes', 'readwrite');
+    const store = tx.objectStore('notes');
+    const changed = [];
+
+    for (const noteId of noteIds) {
+      const note = await this.promisifyRequest(store.get(noteId));
+      if (!note) continue;
+
+      const before = note.collectionIds || [];
+      const after = transform(before);
+      if (after.length === before.length && after.every((id, i) => id === before[i])) continue;
+
+      note.collectionIds = after;
+      await this.promisifyRequest(store.put(note));
+      changed.push(note);
+    }
+
+    for (const note of changed) {
+      this.emit({ type: 'note-saved', note });
+    }
+    if (changed.length > 0) {
+      this.emit({ type: 'collections-changed' });
+    }
+    return changed;
+  }
+
+  /**
+   * Get the notes in any of the given collections, most recently updated first
+   */
+  async getNotesInCollections(collectionIds) {
+    const tx = this.db.transaction('notes', 'readonly');
+    const index = tx.objectStore('notes').index('byCollection');
+    const notes = new Map();
+
+    for (const collectionId of collectionIds) {
+      const matches = await this.promisifyRequest(index.getAll(IDBKeyRange.only(collectionId)));
+      for (const note of matches) {
+        notes.set(note.id, note);
+      }
+    }
+
+    return Array.from(notes.values()).sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Count the notes filed directly in each collection
+   * Returns Map of collectionId -> count
+   */
+  async getCollectionCounts() {
+    const tx = this.db.transaction('notes', 'readonly');
+    const index = tx.objectStore('notes').index('byCollection');
+
+    return new Promise((resolve, reject) => {
+      const counts = new Map();
+      const request = index.openKeyCursor();
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve(counts);
+          return;
+        }
+        counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ==================== Attachment Operations ====================
+
+  /**
+   * Attach a file to a note: the record (with its Blob) goes in the attachments store
+   * and a summary (with any extracted text, which is indexed for search) on the note.
+   * Files over the per-file, per-note or total quota are refused
+   * Returns the attachment record
+   */
+  async addAttachment(noteId, data) {
+    const attachment = createAttachment({ ...data, noteId });
+    if (!attachment.blob) {
+      throw new Error('Attachment has no file');
+    }
+
+    const megabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+    if (attachment.size > ATTACHMENT_LIMITS.maxFileSize) {
+      throw new Error(`"${attachment.name}" is larger than the ${megabytes(ATTACHMENT_LIMITS.maxFileSize)} limit per file`);
+    }
+
+    const tx = this.db.transaction(['notes', 'attachments', 'searchDocs', 'searchPostings', 'meta'], 'readwrite');
+    const notesStore = tx.objectStore('notes');
+    const note = await this.promisifyRequest(notesStore.get(noteId));
+    if (!note) {
+      throw new Error(`Note ${noteId} not found`);
+    }
+
+    if (await this.readAttachmentUsage(tx) + attachment.size > ATTACHMENT_LIMITS.maxTotalSize) {
+      tx.abort();
+      throw new Error(`Attachments are limited to ${megabytes(ATTACHMENT_LIMITS.maxTotalSize)} in total`);
+    }
+
+    const noteSize = (note.attachments || []).reduce((sum, a) => sum + (a.size || 0), 0);
+    if (noteSize + attachment.size > ATTACHMENT_LIMITS.maxNoteSize) {
+      tx.abort();
+      throw new Error(`A bookmark's attachments are limited to ${megabytes(ATTACHMENT_LIMITS.maxNoteSize)}`);
+    }
+
+    const updated = {
+      ...note,
+      attachments: [...(note.attachments || []), summarizeAttachment(attachment)],
+      updatedAt: Date.now()
+    };
+    Object.assign(updated, deriveNoteFields(updated, updated.metadata));
+
+    // The extracted text lives on the note's summary only
+    const { text, ...record } = attachment;
+    await this.promisifyRequest(tx.objectStore('attachments').put(record));
+    await this.adjustAttachmentUsage(tx, attachment.size);
+    await this.promisifyRequest(notesStore.put(updated));
+    if (text) {
+      await this.indexNoteForSearch(tx, updated);
+    }
+
+    this.emit({ type: 'note-saved', note: updated });
+    return attachment;
+  }
+
+  /**
+   * Total size in bytes of all stored attachments
+   */
+  async getAttachmentUsage() {
+    return this.readAttachmentUsage(this.db.transaction(['attachments', 'meta'], 'readwrite'));
+  }
+
+  /**
+   * Read the running attachment total from meta (within the caller's transaction,
+   * which needs attachments and meta). It is counted from the records only when it
+   * has not been recorded yet, e.g. after an import
+   */
+  async readAttachmentUsage(tx) {
+    const metaStore = tx.objectStore('meta');
+    const record = await this.promisifyRequest(metaStore.get(MetaKeys.ATTACHMENT_USAGE));
+    if (record) return record.value;
+
+    const total = await new Promise((resolve, reject) => {
+      const request = tx.objectStore('attachments').openCursor();
+      let sum = 0;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve(sum);
+          return;
+        }
+        sum += cursor.value.size || 0;
+        cursor.continue();
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+
+    await this.promisifyRequest(metaStore.put({ key: MetaKeys.ATTACHMENT_USAGE, value: total }));
+    return total;
+  }
+
+  /**
+   * Add to the running attachment total (within the caller's transaction, which needs
+   * meta). Nothing to do while it is unrecorded; it is counted when first read
+   */
+  async adjustAttachmentUsage(tx, delta) {
+    const metaStore = tx.objectStore('meta');
+    const record = await this.promisifyRequest(metaStore.get(MetaKeys.ATTACHMENT_USAGE));
+    if (!record || !delta) return;
+
+    await this.promisifyRequest(metaStore.put({
+      key: MetaKeys.ATTACHMENT_USAGE,
+      value: Math.max(0, record.value + delta)
+    }));
+  }
+
+  /**
+   * Get an attachment record (with its Blob)
+   */
+  async getAttachment(id) {
+    const tx = this.db.transaction('attachments', 'readonly');
+    return this.promisifyRequest(tx.objectStore('attachments').get(id));
+  }
+
+  /**
+   * Get all attachment records of a note
+   */
+  async getNoteAttachments(noteId) {
+    const tx = this.db.transaction('attachments', 'readonly');
+    return this.promisifyRequest(tx.objectStore('attachments').index('byNote').getAll(noteId));
+  }
+
+  /**
+   * Delete an attachment and remove it from its note
+   * Returns the updated note
+   */
+  async deleteAttachment(noteId, attachmentId) {
+    const tx = this.db.transaction(['notes', 'attachments', 'searchDocs', 'searchPostings', 'meta'], 'readwrite');
+    const notesStore = tx.objectStore('notes');
+    const note = await this.promisifyRequest(notesStore.get(noteId));
+    if (!note) {
+      throw new Error(`Note ${noteId} not found`);
+    }
+
+    const removed = (note.attachments || []).find(a => a.id === attachmentId);
+    const updated = {
+      ...note,
+      attachments: (note.attachments || []).filter(a => a.id !== attachmentId),
+      updatedAt: Date.now()
+    };
+    Object.assign(updated, deriveNoteFields(updated, updated.metadata));
+
+    const attachmentsStore = tx.objectStore('attachments');
+    const record = await this.promisifyRequest(attachmentsStore.get(attachmentId));
+    await this.promisifyRequest(attachmentsStore.delete(attachmentId));
+    await this.adjustAttachmentUsage(tx, -(record?.size || 0));
+    await this.promisifyRequest(notesStore.put(updated));
+    if (removed?.text) {
+      await this.indexNoteForSearch(tx, updated);
+    }
+
+    this.emit({ type: 'note-saved', note: updated });
+    return updated;
+  }
+
+  /**
+   * Delete all of a note's attachments (within the caller's transaction, which needs
+   * attachments and meta)
+   */
+  async deleteNoteAttachments(tx, noteId) {
+    const store = tx.objectStore('attachments');
+    const records = await this.promisifyRequest(store.index('byNote').getAll(noteId));
+    for (const record of records) {
+      await this.promisifyRequest(store.delete(record.id));
+    }
+    await this.adjustAttachmentUsage(tx, -records.reduce((sum, record) => sum + (record.size || 0), 0));
+  }
+
+  // ==================== Meta Operations ====================
+
+  /**
+   * Get a meta value
+   */
+  async getMeta(key) {
+    const tx = this.db.transaction('meta', 'readonly');
+    const store = tx.objectStore('meta');
+    const result = await this.promisifyRequest(store.get(key));
+    return result ? result.value : null;
+  }
+
+  /**
+   * Set a meta value
+   */
+  async setMeta(key, value) {
+    const tx = this.db.transaction('meta', 'readwrite');
+    const store = tx.objectStore('meta');
+    await this.promisifyRequest(store.put({ key, value }));
+  }
+
+  /**
+   * Remember notes to embed once the panel (where the model runs) is open
+   */
+  async queueEmbeddings(noteIds) {
+    const tx = this.db.transaction('meta', 'readwrite');
+    const store = tx.objectStore('meta');
+    const queued = await this.promisifyRequest(store.get(MetaKeys.EMBEDDING_QUEUE));
+    const value = [...new Set([...(queued ? queued.value : []), ...noteIds])];
+    await this.promisifyRequest(store.put({ key: MetaKeys.EMBEDDING_QUEUE, value }));
+  }
+
+  /**
+   * Get and clear the IDs of notes waiting to be embedded
+   */
+  async takeEmbeddingQueue() {
+    const tx = this.db.transaction('meta', 'readwrite');
+    const store = tx.objectStore('meta');
+    const queued = await this.promisifyRequest(store.get(MetaKeys.EMBEDDING_QUEUE));
+    if (!queued || queued.value.length === 0) return [];
+
+    await this.promisifyRequest(store.delete(MetaKeys.EMBEDDING_QUEUE));
+    return queued.value;
+  }
+
+  /**
+   * Get the log of applied schema migrations, oldest first
+   */
+  async getAppliedMigrations() {
+    return (await this.getMeta(MetaKeys.SCHEMA_MIGRATIONS)) || [];
+  }
+
+  // ==================== Settings ====================
+
+  /**
+   * Read settings within a transaction that includes meta
+   */
+  async readSettings(tx) {
+    const record = await this.promisifyRequest(tx.objectStore('meta').get(MetaKeys.SETTINGS));
+    return createSettings(record ? record.value : {});
+  }
+
+  /**
+   * Get settings (defaults filled in)
+   */
+  async getSettings() {
+    return createSettings((await this.getMeta(MetaKeys.SETTINGS)) || {});
+  }
+
+  /**
+   * Update settings section by section, e.g. { revisions: { maxPerNote: 20 } }
+   * Tighter revision and trash limits are applied straight away
+   */
+  async updateSettings(updates) {
+    const current = await this.getSettings();
+    const settings = createSettings(Object.fromEntries(
+      Object.entries(current).map(([section, values]) => [section, { ...values, ...(updates[section] || {}) }])
+    ));
+
+    await this.setMeta(MetaKeys.SETTINGS, settings);
+
+    if (updates.revisions) {
+      await this.pruneRevisions();
+    }
+    if (updates.trash) {
+      await this.purgeExpiredTrash();
+    }
+
+    this.emit({ type: 'settings-changed', settings });
+    return settings;
+  }
 
   // ==================== Export/Import Operations ====================
 
   /**
    * Export entire database for backup
+   * With options.collectionId, only that collection (and its sub-collections) and
+   * the notes filed in it are exported. Attachments keep their Blobs; the backup
+   * manager stores them as files next to the JSON
    */
-  async exportAll() {
+  async exportAll(options = {}) {
     const data = {
       version: DB_VERSION,
       exportedAt: Date.now(),
       notes: [],
       embeddings: [],
-      tags: []
+      tags: [],
+      savedSearches: [],
+      collections: [],
+      revisions: [],
+      attachments: []
     };
 
     // Get all data from each store
-    for (const storeName of ['notes', 'embeddings', 'tags']) {
+    for (const storeName of ['notes', 'embeddings', 'tags', 'savedSearches', 'collections', 'revisions', 'attachments']) {
       const tx = this.db.transaction(storeName, 'readonly');
       const store = tx.objectStore(storeName);
       data[storeName] = await this.promisifyRequest(store.getAll());
     }
 
+    if (options.collectionId) {
+      this.scopeExportToCollection(data, options.collectionId);
+    }
+
     // Convert Float32Arrays to regular arrays for JSON serialization
     data.embeddings = data.embeddings.map(e => ({
       ...e,
-      vector: Array.from(e.vector)
+      vector: Array.from(e.vector),
+      chunks: (e.chunks || []).map(c => ({ ...c, vector: Array.from(c.vector) }))
     }));
 
     return data;
   }
 
+  /**
+   * Narrow exported data to one collection subtree
+   * The subtree becomes top level and notes keep only memberships inside it
+   */
+  scopeExportToCollection(data, collectionId) {
+    const root = data.collections.find(c => c.id === collectionId);
+    if (!root) {
+      throw new Error(`Collection ${collectionId} not found`);
+    }
+
+    const scopeIds = new Set(getDescendantIds(data.collections, collectionId));
+
+    data.collections = data.collections
+      .filter(c => scopeIds.has(c.id))
+      .map(c => c.id === collectionId ? { ...c, parentId: null } : c);
+
+    data.notes = data.notes
+      .filter(note => (note.collectionIds || []).some(id => scopeIds.has(id)))
+      .map(note => ({ ...note, collectionIds: note.collectionIds.filter(id => scopeIds.has(id)) }));
+
+    const noteIds = new Set(data.notes.map(note => note.id));
+    const tagNames = new Set(data.notes.flatMap(note => (note.tags || []).map(t => t.toLowerCase().trim())));
+
+    data.embeddings = data.embeddings.filter(e => noteIds.has(e.noteId));
+    data.revisions = data.revisions.filter(revision => noteIds.has(revision.noteId));
+    data.attachments = data.attachments.filter(attachment => noteIds.has(attachment.noteId));
+    data.tags = data.tags.filter(tag => tagNames.has(tag.name));
+    data.savedSearches = [];
+    data.collectionScope = { id: root.id, name: root.name };
+  }
+
   /**
    * Import database from backup
+   * Backups from older schema versions are migrated first (see migrateBackupData)
+   * Backups don't include the trash, so clearing existing data empties it too
+   * Attachments are imported when they come with their Blob (read from the backup's files)
    */
-  async importAll(data, options = { clearExisting: true }) {
+  async importAll(backup, options = { clearExisting: true }) {
+    const { data } = migrateBackupData(backup);
+
+    // Migrating copies the data as JSON, which drops the Blobs
+    const blobs = new Map((backup.attachments || []).map(attachment => [attachment.id, attachment.blob]));
+    const attachments = (data.attachments || [])
+      .filter(attachment => blobs.get(attachment.id) instanceof Blob)
+      .map(attachment => createAttachment({ ...attachment, blob: blobs.get(attachment.id) }));
+    const attachmentIds = new Set(attachments.map(attachment => attachment.id));
+
     if (options.clearExisting) {
       // Clear existing data
-      for (const storeName of ['notes', 'embeddings', 'tags']) {
+      for (const storeName of ['notes', 'embeddings', 'tags', 'savedSearches', 'collections', 'revisions', 'attachments', 'trash']) {
         const tx = this.db.transaction(storeName, 'readwrite');
         await this.promisifyRequest(tx.objectStore(storeName).clear());
       }
@@ -405,7 +1969,11 @@ export class Database {
     const notesTx = this.db.transaction('notes', 'readwrite');
     const notesStore = notesTx.objectStore('notes');
     for (const note of data.notes) {
-      await this.promisifyRequest(notesStore.put(note));
+      // Notes only list the attachments whose files came with the backup
+      await this.promisifyRequest(notesStore.put({
+        ...note,
+        attachments: (note.attachments || []).filter(attachment => attachmentIds.has(attachment.id))
+      }));
     }
 
     // Import embeddings (convert arrays back to Float32Array)
@@ -414,7 +1982,8 @@ export class Database {
     for (const embedding of data.embeddings) {
       await this.promisifyRequest(embeddingsStore.put({
         ...embedding,
-        vector: new Float32Array(embedding.vector)
+        vector: new Float32Array(embedding.vector),
+        chunks: (embedding.chunks || []).map(c => ({ ...c, vector: new Float32Array(c.vector) }))
       }));
     }
 
@@ -425,10 +1994,58 @@ export class Database {
       await this.promisifyRequest(tagsStore.put(tag));
     }
 
+    // Import saved searches (older backups have none)
+    const savedSearches = data.savedSearches || [];
+    const savedSearchesTx = this.db.transaction('savedSearches', 'readwrite');
+    const savedSearchesStore = savedSearchesTx.objectStore('savedSearches');
+    for (const savedSearch of savedSearches) {
+      await this.promisifyRequest(savedSearchesStore.put(savedSearch));
+    }
+
+    // Import collections (older backups have none)
+    const collections = data.collections || [];
+    const collectionsTx = this.db.transaction('collections', 'readwrite');
+    const collectionsStore = collectionsTx.objectStore('collections');
+    for (const collection of collections) {
+      await this.promisifyRequest(collectionsStore.put(collection));
+    }
+
+    // Import revision history (older backups have none), then record each note's
+    // imported state unless it matches its latest revision
+    const revisions = data.revisions || [];
+    const revisionsTx = this.db.transaction(['revisions', 'meta'], 'readwrite');
+    const revisionsStore = revisionsTx.objectStore('revisions');
+    for (const revision of revisions) {
+      await this.promisifyRequest(revisionsStore.put(revision));
+    }
+    for (const note of data.notes) {
+      await this.recordRevision(revisionsTx, note, 'import');
+    }
+
+    // Import attachments (older backups have none); the running total is counted
+    // again on the next attach
+    const attachmentsTx = this.db.transaction(['attachments', 'meta'], 'readwrite');
+    const attachmentsStore = attachmentsTx.objectStore('attachments');
+    for (const attachment of attachments) {
+      await this.promisifyRequest(attachmentsStore.put(attachment));
+    }
+    await this.promisifyRequest(attachmentsTx.objectStore('meta').delete(MetaKeys.ATTACHMENT_USAGE));
+
+    // Backups carry the exporting database's counts; recount from what was imported
+    await this.recountTags(this.db.transaction(['notes', 'tags'], 'readwrite'));
+
+    await this.rebuildSearchIndex();
+
+    this.emit({ type: 'imported' });
+
     return {
       notesImported: data.notes.length,
       embeddingsImported: data.embeddings.length,
-      tagsImported: data.tags.length
+      tagsImported: data.tags.length,
+      savedSearchesImported: savedSearches.length,
+      collectionsImported: collections.length,
+      revisionsImported: revisions.length,
+      attachmentsImported: attachments.length
     };
   }
 
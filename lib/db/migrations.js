@@ -1,34 +1,447 @@
 /**
  * Database migrations for Super Bookmarks
  * Handle schema upgrades between versions
+ *
+ * Each migration upgrades the database to its `version`:
+ *   schema(db, transaction)   create stores and indexes (must skip ones that already exist)
+ *   transforms                per-store record transforms; return the changed record, or
+ *                             null when the record is already in shape
+ *   populate(context)         optional data work that needs more than one record at a time
+ *
+ * Migrations run in order inside the versionchange transaction, so a failure rolls the
+ * whole upgrade back. Record transforms are plain functions so the same steps can be
+ * applied to (or dry-run against) a backup file.
+ *
+ * A step must keep doing what it did when its version shipped, so it uses the frozen
+ * helpers below rather than the live ones in schema.js and database.js. Derived data
+ * (the keyword index) is not built here: a step marks it stale and Database.open
+ * rebuilds it with the current code once the upgrade has committed.
  */
 
-export const migrations = {
-  // Migration from version 0 to 1 (initial schema)
-  1: (db, transaction) => {
-    // This is the initial schema, created in database.js onupgradeneeded
-    // Future migrations can be added here
-    console.log('Database initialized to version 1');
+import { DB_VERSION, STORES, MetaKeys, generateId } from './schema.js';
+
+/**
+ * Create a store from its STORES config, unless it exists (indexes are added separately)
+ */
+function createStore(db, storeName) {
+  if (db.objectStoreNames.contains(storeName)) return;
+
+  const config = STORES[storeName];
+  db.createObjectStore(storeName, {
+    keyPath: config.keyPath,
+    autoIncrement: config.autoIncrement
+  });
+}
+
+/**
+ * Create the named indexes (configured in STORES) on a store, skipping existing ones
+ */
+function createIndexes(transaction, storeName, indexNames) {
+  const store = transaction.objectStore(storeName);
+
+  for (const name of indexNames) {
+    if (store.indexNames.contains(name)) continue;
+
+    const index = STORES[storeName].indexes.find(i => i.name === name);
+    if (!index) {
+      throw new Error(`Index ${storeName}.${name} is not defined in the schema`);
+    }
+    store.createIndex(index.name, index.keyPath, index.options);
   }
+}
+
+// ==================== Frozen Helpers ====================
+
+/**
+ * Highlight record as of v5
+ */
+function createHighlightV5(data = {}) {
+  return {
+    id: data.id || generateId(),
+    text: data.text || '',
+    createdAt: data.createdAt || Date.now(),
+    updatedAt: data.updatedAt || null,
+    source: {
+      url: data.source?.url || data.url || null,
+      title: data.source?.title || data.title || null
+    },
+    anchor: data.anchor || null,
+    orphaned: data.orphaned || false
+  };
+}
+
+/**
+ * Excerpt and metadata of a note as of v5
+ */
+function deriveNoteFieldsV5(note, metadata = {}) {
+  const content = note.content || '';
+  const highlights = note.highlights || [];
+  const text = [content, ...highlights.map(h => h.text)].filter(t => t).join('\n\n');
+  const excerptSource = content ||
+    (highlights[0] ? highlights[0].text : '') ||
+    (note.article ? note.article.excerpt || note.article.content : '');
+
+  return {
+    excerpt: excerptSource.slice(0, 200),
+    metadata: {
+      ...metadata,
+      wordCount: text.split(/\s+/).filter(w => w).length,
+      charCount: text.length,
+      hasHighlights: highlights.length > 0,
+      hasArticle: !!note.article
+    }
+  };
+}
+
+/**
+ * Tag name normalization as of v8: lowercase and trimmed
+ */
+function normalizeTagNameV8(name) {
+  return String(name).toLowerCase().trim();
+}
+
+/**
+ * Tag name normalization as of v9: also tidies nested levels ("a / b/" → "a/b")
+ */
+function normalizeTagNameV9(name) {
+  return String(name)
+    .toLowerCase()
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .join('/');
+}
 
-  // Example future migration:
-  // 2: (db, transaction) => {
-  //   // Add new index or store
-  //   const notesStore = transaction.objectStore('notes');
-  //   notesStore.createIndex('byTitle', 'title', { unique: false });
-  // }
-};
+/**
+ * Record transform normalizing a note's tags with a tag name normalizer
+ * (the transform returns null when the tags are already normalized)
+ */
+function normalizeNoteTagsWith(normalizeName) {
+  return (note) => {
+    const tags = [...new Set((note.tags || []).map(normalizeName).filter(Boolean))];
+    return JSON.stringify(tags) === JSON.stringify(note.tags) ? null : { ...note, tags };
+  };
+}
 
 /**
- * Run migrations between versions
+ * Set every tag record's usage count to the number of notes using it, creating
+ * records for tags that have none (as of v8; note tags are already normalized)
  */
-export function runMigrations(db, oldVersion, newVersion, transaction) {
-  console.log(`Migrating database from v${oldVersion} to v${newVersion}`);
+async function recountTagsV8(transaction) {
+  const tagsStore = transaction.objectStore('tags');
+  const counts = new Map();
 
-  for (let version = oldVersion + 1; version <= newVersion; version++) {
-    if (migrations[version]) {
-      console.log(`Running migration for version ${version}`);
-      migrations[version](db, transaction);
+  for (const note of await promisifyRequest(transaction.objectStore('notes').getAll())) {
+    for (const name of new Set(note.tags || [])) {
+      counts.set(name, (counts.get(name) || 0) + 1);
     }
   }
+
+  for (const tag of await promisifyRequest(tagsStore.getAll())) {
+    const usageCount = counts.get(tag.name) || 0;
+    counts.delete(tag.name);
+    if (tag.usageCount !== usageCount) {
+      await promisifyRequest(tagsStore.put({ ...tag, usageCount }));
+    }
+  }
+
+  for (const [name, usageCount] of counts) {
+    await promisifyRequest(tagsStore.put({ name, displayName: name, usageCount, color: null }));
+  }
+}
+
+/**
+ * Mark the keyword index for a rebuild once the upgrade commits
+ */
+async function markSearchIndexStale(transaction) {
+  await promisifyRequest(transaction.objectStore('meta').put({ key: MetaKeys.SEARCH_INDEX_STALE, value: true }));
+}
+
+// ==================== Migrations ====================
+
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create notes, embeddings, tags and meta stores',
+    schema(db, transaction) {
+      for (const storeName of ['notes', 'embeddings', 'tags', 'meta']) {
+        createStore(db, storeName);
+      }
+      createIndexes(transaction, 'notes', ['byCreatedAt', 'byUpdatedAt', 'byUrl', 'byTags']);
+      createIndexes(transaction, 'tags', ['byUsageCount']);
+    }
+  },
+
+  {
+    version: 2,
+    description: 'Add the keyword search index',
+    schema(db) {
+      createStore(db, 'searchDocs');
+      createStore(db, 'searchPostings');
+    },
+    // Index the notes that already exist
+    async populate({ transaction }) {
+      await markSearchIndexStale(transaction);
+    }
+  },
+
+  {
+    version: 3,
+    description: 'Add saved searches',
+    schema(db, transaction) {
+      createStore(db, 'savedSearches');
+      createIndexes(transaction, 'savedSearches', ['byCreatedAt']);
+    }
+  },
+
+  {
+    version: 4,
+    description: 'Add collections',
+    schema(db, transaction) {
+      createStore(db, 'collections');
+      createIndexes(transaction, 'collections', ['byParent']);
+      createIndexes(transaction, 'notes', ['byCollection']);
+    },
+    transforms: {
+      notes: (note) => Array.isArray(note.collectionIds) ? null : { ...note, collectionIds: [] }
+    }
+  },
+
+  {
+    version: 5,
+    description: 'Give notes saved before structured highlights and articles their current shape',
+    transforms: {
+      notes: (note) => {
+        const highlights = note.highlights || [];
+        const current = Array.isArray(note.highlights) &&
+          highlights.every(h => h && h.id && h.source) &&
+          note.article !== undefined &&
+          note.metadata?.hasHighlights !== undefined;
+        if (current) return null;
+
+        const normalized = {
+          ...note,
+          highlights: highlights.map(h => createHighlightV5(h)),
+          article: note.article || null
+        };
+        return { ...normalized, ...deriveNoteFieldsV5(normalized, note.metadata) };
+      }
+    }
+  },
+
+  {
+    version: 6,
+    description: 'Add note revision history',
+    schema(db, transaction) {
+      createStore(db, 'revisions');
+      createIndexes(transaction, 'revisions', ['byNote']);
+    }
+  },
+
+  {
+    version: 7,
+    description: 'Add the trash',
+    schema(db, transaction) {
+      createStore(db, 'trash');
+      createIndexes(transaction, 'trash', ['byDeletedAt']);
+    }
+  },
+
+  {
+    version: 8,
+    description: 'Normalize note tags and recount tag usage',
+    transforms: {
+      notes: normalizeNoteTagsWith(normalizeTagNameV8)
+    },
+    // Counts were incremented on every save and never decremented
+    async populate({ transaction }) {
+      await recountTagsV8(transaction);
+    }
+  },
+
+  {
+    version: 9,
+    description: 'Tidy nested tag separators ("a / b" → "a/b")',
+    transforms: {
+      notes: normalizeNoteTagsWith(normalizeTagNameV9)
+    },
+    // Rename tag records to match, then recount
+    async populate({ transaction }) {
+      const tagsStore = transaction.objectStore('tags');
+      for (const tag of await promisifyRequest(tagsStore.getAll())) {
+        const name = normalizeTagNameV9(tag.name);
+        if (name === tag.name) continue;
+
+        await promisifyRequest(tagsStore.delete(tag.name));
+        if (name && !(await promisifyRequest(tagsStore.get(name)))) {
+          await promisifyRequest(tagsStore.put({ ...tag, name }));
+        }
+      }
+      await recountTagsV8(transaction);
+    }
+  },
+
+  {
+    version: 10,
+    description: 'Add attachments (screenshots of page regions)',
+    schema(db, transaction) {
+      createStore(db, 'attachments');
+      createIndexes(transaction, 'attachments', ['byNote']);
+    },
+    transforms: {
+      notes: (note) => Array.isArray(note.attachments) ? null : { ...note, attachments: [] }
+    }
+  }
+];
+
+/**
+ * Convert IDBRequest to Promise
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Apply a record transform to every record in a store
+ * Returns the number of records changed
+ */
+function transformStore(store, transform) {
+  return new Promise((resolve, reject) => {
+    let changed = 0;
+    const request = store.openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(changed);
+        return;
+      }
+
+      try {
+        const updated = transform(cursor.value);
+        if (updated) {
+          cursor.update(updated);
+          changed++;
+        }
+        cursor.continue();
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the migrations that take a database from oldVersion to newVersion
+ */
+export function getPendingMigrations(oldVersion, newVersion = DB_VERSION) {
+  return migrations.filter(m => m.version > oldVersion && m.version <= newVersion);
+}
+
+/**
+ * Run migrations between versions inside the versionchange transaction
+ * context: { db, transaction, oldVersion, newVersion }
+ * Records each applied version in meta and returns the log entries added
+ */
+export async function runMigrations(context) {
+  const { db, transaction, oldVersion, newVersion = DB_VERSION } = context;
+  const pending = getPendingMigrations(oldVersion, newVersion);
+  const applied = [];
+
+  for (const migration of pending) {
+    if (migration.schema) {
+      migration.schema(db, transaction);
+    }
+
+    const changes = {};
+    for (const [storeName, transform] of Object.entries(migration.transforms || {})) {
+      changes[storeName] = await transformStore(transaction.objectStore(storeName), transform);
+    }
+
+    if (migration.populate) {
+      await migration.populate(context);
+    }
+
+    applied.push({
+      version: migration.version,
+      description: migration.description,
+      appliedAt: Date.now(),
+      changes
+    });
+  }
+
+  verifySchema(db, transaction);
+
+  // Versions upgraded to before migrations were logged are recorded without a date
+  const metaStore = transaction.objectStore('meta');
+  const record = await promisifyRequest(metaStore.get(MetaKeys.SCHEMA_MIGRATIONS));
+  const log = record ? record.value : migrations
+    .filter(m => m.version <= oldVersion)
+    .map(m => ({ version: m.version, description: m.description, appliedAt: null, changes: {} }));
+
+  await promisifyRequest(metaStore.put({
+    key: MetaKeys.SCHEMA_MIGRATIONS,
+    value: [...log.filter(entry => !applied.some(a => a.version === entry.version)), ...applied]
+  }));
+
+  return applied;
+}
+
+/**
+ * Check that the migrations produced every store and index in STORES
+ */
+function verifySchema(db, transaction) {
+  for (const [storeName, config] of Object.entries(STORES)) {
+    if (!db.objectStoreNames.contains(storeName)) {
+      throw new Error(`Migrations did not create the ${storeName} store`);
+    }
+
+    const store = transaction.objectStore(storeName);
+    for (const index of config.indexes) {
+      if (!store.indexNames.contains(index.name)) {
+        throw new Error(`Migrations did not create the ${storeName}.${index.name} index`);
+      }
+    }
+  }
+}
+
+/**
+ * Bring backup data up to the current schema without touching the database
+ * Returns { fromVersion, toVersion, steps: [{ version, description, changes }], data }
+ * where data is an upgraded copy; use it to preview (dry-run) or import a backup
+ */
+export function migrateBackupData(backup) {
+  const fromVersion = backup.version || 1;
+
+  if (fromVersion > DB_VERSION) {
+    throw new Error(`Backup is from a newer version (v${fromVersion}); this extension supports up to v${DB_VERSION}`);
+  }
+
+  const data = JSON.parse(JSON.stringify(backup));
+  const steps = [];
+
+  for (const migration of getPendingMigrations(fromVersion)) {
+    const changes = {};
+
+    for (const [storeName, transform] of Object.entries(migration.transforms || {})) {
+      let changed = 0;
+      data[storeName] = (data[storeName] || []).map(record => {
+        const updated = transform(record);
+        if (!updated) return record;
+        changed++;
+        return updated;
+      });
+      changes[storeName] = changed;
+    }
+
+    steps.push({ version: migration.version, description: migration.description, changes });
+  }
+
+  data.version = DB_VERSION;
+  return { fromVersion, toVersion: DB_VERSION, steps, data };
 }
@@ -1,9 +1,10 @@
 /**
  * IndexedDB Schema for Super Bookmarks
+ * Bump DB_VERSION together with a new entry in migrations.js
  */
 
 export const DB_NAME = 'super_bookmarks_db';
-export const DB_VERSION = 1;
+export const DB_VERSION = 10;
 
 export const STORES = {
   // Primary notes/bookmarks store
@@ -14,7 +15,17 @@ export const STORES = {
       { name: 'byCreatedAt', keyPath: 'createdAt', options: { unique: false } },
       { name: 'byUpdatedAt', keyPath: 'updatedAt', options: { unique: false } },
       { name: 'byUrl', keyPath: 'url', options: { unique: false } },
-      { name: 'byTags', keyPath: 'tags', options: { unique: false, multiEntry: true } }
+      { name: 'byTags', keyPath: 'tags', options: { unique: false, multiEntry: true } },
+      { name: 'byCollection', keyPath: 'collectionIds', options: { unique: false, multiEntry: true } }
+    ]
+  },
+
+  // User-made folders; parentId nests them, a note lists its folders in collectionIds
+  collections: {
+    keyPath: 'id',
+    autoIncrement: false,
+    indexes: [
+      { name: 'byParent', keyPath: 'parentId', options: { unique: false } }
     ]
   },
 
@@ -34,6 +45,56 @@ export const STORES = {
     ]
   },
 
+  // Keyword index: one record per note with its indexed terms and length
+  searchDocs: {
+    keyPath: 'noteId',
+    autoIncrement: false,
+    indexes: []
+  },
+
+  // Keyword index postings, keyed by [term, noteId] so terms and prefixes are key ranges
+  searchPostings: {
+    keyPath: ['term', 'noteId'],
+    autoIncrement: false,
+    indexes: []
+  },
+
+  // Saved search queries; pinned ones show up as smart collections in Browse
+  savedSearches: {
+    keyPath: 'id',
+    autoIncrement: false,
+    indexes: [
+      { name: 'byCreatedAt', keyPath: 'createdAt', options: { unique: false } }
+    ]
+  },
+
+  // Snapshots of notes taken on every save, listed per note in time order
+  revisions: {
+    keyPath: 'id',
+    autoIncrement: false,
+    indexes: [
+      { name: 'byNote', keyPath: ['noteId', 'createdAt'], options: { unique: false } }
+    ]
+  },
+
+  // Deleted notes (with their embedding) until restored or purged
+  trash: {
+    keyPath: 'id',
+    autoIncrement: false,
+    indexes: [
+      { name: 'byDeletedAt', keyPath: 'deletedAt', options: { unique: false } }
+    ]
+  },
+
+  // Files attached to notes (screenshots of page regions), with their Blob
+  attachments: {
+    keyPath: 'id',
+    autoIncrement: false,
+    indexes: [
+      { name: 'byNote', keyPath: 'noteId', options: { unique: false } }
+    ]
+  },
+
   // Application metadata and settings
   meta: {
     keyPath: 'key',
@@ -59,45 +120,336 @@ export function generateId() {
 export function createNote(data = {}) {
   const now = Date.now();
   const content = data.content || '';
+  const highlights = (data.highlights || []).map(h => createHighlight(h));
+  const article = data.article || null;
 
   return {
     id: data.id || generateId(),
     title: data.title || 'Untitled',
     url: data.url || null,
     content: content,
-    excerpt: content.slice(0, 200),
-    tags: data.tags || [],
+    highlights: highlights,
+    article: article,
+    tags: normalizeTags(data.tags),
+    collectionIds: data.collectionIds || [],
+    // Summaries of the note's files; the files themselves are in the attachments store
+    attachments: data.attachments || [],
     createdAt: data.createdAt || now,
     updatedAt: now,
     favicon: data.favicon || null,
+    ...deriveNoteFields({ content, highlights, article, attachments: data.attachments })
+  };
+}
+
+// Attachment quotas in bytes (per file, per note and in total); text extracted from
+// attached PDFs and text files is cut to maxTextLength characters
+export const ATTACHMENT_LIMITS = {
+  maxFileSize: 20 * 1024 * 1024,
+  maxNoteSize: 50 * 1024 * 1024,
+  maxTotalSize: 500 * 1024 * 1024,
+  maxTextLength: 200000
+};
+
+/**
+ * Create an attachment record holding a file (Blob) of a note
+ */
+export function createAttachment(data = {}) {
+  return {
+    id: data.id || generateId(),
+    noteId: data.noteId,
+    kind: data.kind || 'file', // 'screenshot' for captured page regions
+    name: data.name || 'Attachment',
+    type: data.type || data.blob?.type || 'application/octet-stream',
+    size: data.size ?? data.blob?.size ?? 0,
+    blob: data.blob || null,
+    width: data.width || null,
+    height: data.height || null,
+    // Text extracted from PDFs and text files (kept on the note's summary, where it is
+    // searched and embedded)
+    text: data.text || '',
+    pageCount: data.pageCount || null,
+    source: {
+      url: data.source?.url || null,
+      title: data.source?.title || null
+    },
+    createdAt: data.createdAt || Date.now()
+  };
+}
+
+/**
+ * Summary of an attachment kept on its note (everything but the Blob and source)
+ */
+export function summarizeAttachment(attachment) {
+  const { blob, noteId, source, ...summary } = attachment;
+  return summary;
+}
+
+/**
+ * Check whether an attachment is an image that can be shown as a thumbnail
+ */
+export function isImageAttachment(attachment) {
+  return /^image\/(png|jpeg|gif|webp)$/.test(attachment.type);
+}
+
+/**
+ * Create a highlight record (a single captured selection)
+ */
+export function createHighlight(data = {}) {
+  return {
+    id: data.id || generateId(),
+    text: data.text || '',
+    // The user's own comment on the passage (optional)
+    comment: data.comment || '',
+    createdAt: data.createdAt || Date.now(),
+    updatedAt: data.updatedAt || null,
+    source: {
+      url: data.source?.url || data.url || null,
+      title: data.source?.title || data.title || null
+    },
+    // Text-quote/position selector used to find the passage again on the page
+    anchor: data.anchor || null,
+    // Set when the passage could not be found on the last visit
+    orphaned: data.orphaned || false
+  };
+}
+
+/**
+ * Compute excerpt and metadata from a note's content, highlights and article
+ */
+export function deriveNoteFields(note, metadata = {}) {
+  const content = note.content || '';
+  const highlights = note.highlights || [];
+  const text = [content, ...highlights.flatMap(h => [h.text, h.comment])].filter(t => t).join('\n\n');
+  const excerptSource = content ||
+    (highlights[0] ? highlights[0].text : '') ||
+    (note.article ? note.article.excerpt || note.article.content : '') ||
+    (note.attachments || []).map(a => a.text).find(t => t) || '';
+
+  return {
+    excerpt: excerptSource.slice(0, 200),
     metadata: {
-      wordCount: content.split(/\s+/).filter(w => w).length,
-      charCount: content.length,
-      hasHighlights: data.hasHighlights || false
+      ...metadata,
+      wordCount: text.split(/\s+/).filter(w => w).length,
+      charCount: text.length,
+      hasHighlights: highlights.length > 0,
+      hasArticle: !!note.article
     }
   };
 }
 
+/**
+ * Get the full searchable text of a note (own notes, highlights with their comments,
+ * article body, then the text of attached files)
+ */
+export function getNoteText(note) {
+  const highlights = note.highlights || [];
+  const article = note.article ? note.article.content : '';
+  const attachments = (note.attachments || []).map(a => a.text);
+  return [note.content, ...highlights.flatMap(h => [h.text, h.comment]), article, ...attachments]
+    .filter(t => t).join('\n\n');
+}
+
 /**
  * Create an embedding record
+ * `vector` is the pooled note vector; `chunks` hold one vector per passage
  */
-export function createEmbedding(noteId, vector, modelVersion = 'all-MiniLM-L6-v2') {
+export function createEmbedding(noteId, vector, chunks = [], modelVersion = 'all-MiniLM-L6-v2') {
   return {
     noteId,
     vector,
+    chunks: chunks.map(chunk => ({
+      index: chunk.index,
+      text: chunk.text,
+      source: chunk.source || null,
+      highlightId: chunk.highlightId || null,
+      vector: Float32Array.from(chunk.vector)
+    })),
     modelVersion,
     computedAt: Date.now()
   };
 }
 
+/**
+ * Create a saved search record
+ * sortBy is a note field or 'relevance' (search ranking)
+ */
+export function createSavedSearch(data = {}) {
+  const now = Date.now();
+
+  return {
+    id: data.id || generateId(),
+    name: data.name || data.query || 'Untitled search',
+    query: data.query || '',
+    pinned: data.pinned !== undefined ? data.pinned : true,
+    sortBy: data.sortBy || 'relevance',
+    sortOrder: data.sortOrder || 'desc',
+    lastVisitedAt: data.lastVisitedAt || now,
+    createdAt: data.createdAt || now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Create a collection (folder) record
+ * parentId is null for top-level collections; position orders siblings
+ */
+export function createCollection(data = {}) {
+  const now = Date.now();
+
+  return {
+    id: data.id || generateId(),
+    name: (data.name || 'Untitled collection').trim(),
+    parentId: data.parentId || null,
+    position: data.position || 0,
+    createdAt: data.createdAt || now,
+    updatedAt: now
+  };
+}
+
+// Note fields captured in a revision
+export const REVISION_FIELDS = ['title', 'url', 'tags', 'content', 'highlights'];
+
+/**
+ * Create a revision (snapshot of a note's editable fields)
+ * origin: 'create', 'edit', 'append', 'import', 'restore', 'merge', or 'original' for the
+ * state a note was in before revisions were recorded
+ */
+export function createRevision(note, origin = 'edit', createdAt = Date.now()) {
+  return {
+    id: generateId(),
+    noteId: note.id,
+    origin,
+    createdAt,
+    title: note.title || 'Untitled',
+    url: note.url || null,
+    tags: [...(note.tags || [])],
+    content: note.content || '',
+    // Whether a highlight was found on the last page visit isn't part of the note's content
+    highlights: (note.highlights || []).map(({ orphaned, ...highlight }) => highlight)
+  };
+}
+
+/**
+ * Combine duplicate notes into the target's fields: sources' content and highlights
+ * are appended (skipping repeats), tags and collections united, and the target's
+ * missing URL, article and favicon filled in
+ */
+export function mergeNoteFields(target, sources) {
+  const notes = [target, ...sources];
+
+  const contents = [];
+  for (const note of notes) {
+    const content = (note.content || '').trim();
+    if (content && !contents.includes(content)) {
+      contents.push(content);
+    }
+  }
+
+  // Highlights of the same passage are kept once, with all their comments
+  const highlightsByText = new Map();
+  for (const highlight of notes.flatMap(note => note.highlights || [])) {
+    const text = highlight.text.trim();
+    const kept = highlightsByText.get(text);
+    if (!kept) {
+      highlightsByText.set(text, highlight);
+    } else if (highlight.comment && !(kept.comment || '').includes(highlight.comment)) {
+      highlightsByText.set(text, {
+        ...kept,
+        comment: [kept.comment, highlight.comment].filter(Boolean).join('\n\n')
+      });
+    }
+  }
+  const highlights = [...highlightsByText.values()];
+
+  const first = (field) => notes.map(note => note[field]).find(value => value) || null;
+
+  return {
+    title: target.title && target.title !== 'Untitled' ? target.title : first('title') || 'Untitled',
+    url: first('url'),
+    content: contents.join('\n\n'),
+    highlights,
+    article: first('article'),
+    favicon: first('favicon'),
+    tags: normalizeTags(notes.flatMap(note => note.tags || [])),
+    collectionIds: [...new Set(notes.flatMap(note => note.collectionIds || []))],
+    attachments: notes.flatMap(note => note.attachments || [])
+  };
+}
+
+/**
+ * Check whether two revisions (or a revision and a note) hold the same content
+ */
+export function isSameRevision(a, b) {
+  return REVISION_FIELDS.every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+}
+
+// Settings stored under MetaKeys.SETTINGS; missing values fall back to these
+export const DEFAULT_SETTINGS = {
+  revisions: {
+    maxPerNote: 50, // Oldest revisions beyond this are dropped (the latest is always kept)
+    maxAgeDays: 0 // Drop revisions older than this many days; 0 keeps them forever
+  },
+  trash: {
+    retentionDays: 30 // Permanently delete trashed notes after this many days; 0 keeps them
+  },
+  pages: {
+    badge: true, // Show the number of notes saved from the current page on the toolbar icon
+    recall: false, // List saved notes that resemble the current page in the side panel
+    recallMinScore: 0.5 // Similarity a note needs to be listed
+  }
+};
+
+/**
+ * Merge stored settings over the defaults, one section at a time
+ */
+export function createSettings(data = {}) {
+  const settings = {};
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    settings[section] = { ...defaults, ...(data[section] || {}) };
+  }
+  return settings;
+}
+
+/**
+ * Create a trash entry for a deleted note and its embedding (null if it had none)
+ */
+export function createTrashEntry(note, embedding = null, deletedAt = Date.now()) {
+  return {
+    id: note.id,
+    note,
+    embedding,
+    deletedAt
+  };
+}
+
+/**
+ * Normalize a tag name (tags are stored lowercase and trimmed)
+ * Nested tags keep "/" between levels, without empty or padded levels ("a / b/" → "a/b")
+ */
+export function normalizeTagName(name) {
+  return String(name)
+    .toLowerCase()
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Normalize a tag list: lowercase, trimmed, no empties or duplicates
+ */
+export function normalizeTags(tags = []) {
+  return [...new Set((tags || []).map(normalizeTagName).filter(Boolean))];
+}
+
 /**
  * Create a tag record
  */
-export function createTag(name, displayName = null) {
+export function createTag(name, displayName = null, usageCount = 1) {
   return {
-    name: name.toLowerCase().trim(),
+    name: normalizeTagName(name),
     displayName: displayName || name.trim(),
-    usageCount: 1,
+    usageCount,
     color: null
   };
 }
@@ -107,5 +459,12 @@ export const MetaKeys = {
   MODEL_LOADED: 'model_loaded',
   MODEL_VERSION: 'model_version',
   LAST_BACKUP: 'last_backup',
-  SETTINGS: 'settings'
+  SETTINGS: 'settings',
+  ANN_INDEX: 'ann_index',
+  SEARCH_STATS: 'search_stats',
+  SCHEMA_MIGRATIONS: 'schema_migrations',
+  SEARCH_INDEX_STALE: 'search_index_stale', // Set by migrations; rebuilt when the database opens
+  TOPICS: 'topics',
+  ATTACHMENT_USAGE: 'attachment_usage', // Total bytes of stored attachments
+  EMBEDDING_QUEUE: 'embedding_queue' // Notes saved where the model can't run (in-page capture)
 };
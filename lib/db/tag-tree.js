@@ -0,0 +1,102 @@
+/**
+ * Tag Tree
+ * Helpers for namespaced tags ("research/ml" is a child of "research")
+ */
+
+import { normalizeTagName } from './schema.js';
+
+export const TAG_SEPARATOR = '/';
+
+/**
+ * Get a tag's ancestors, outermost first ("a/b/c" → ["a", "a/b"])
+ */
+export function getTagAncestors(name) {
+  const segments = name.split(TAG_SEPARATOR);
+  return segments.slice(0, -1).map((_, i) => segments.slice(0, i + 1).join(TAG_SEPARATOR));
+}
+
+/**
+ * Whether a tag is the given tag or nested under it
+ */
+export function isTagWithin(tag, name) {
+  return tag === name || tag.startsWith(name + TAG_SEPARATOR);
+}
+
+/**
+ * Get the last segment of a tag ("research/ml" → "ml")
+ */
+export function getTagLabel(name) {
+  return name.slice(name.lastIndexOf(TAG_SEPARATOR) + 1);
+}
+
+/**
+ * Build the tag hierarchy from tag records, adding parents that only exist as prefixes
+ * totals: optional Map of tag name → notes tagged with it or any sub-tag
+ * Returns [{ name, label, depth, usageCount, total, hasChildren }] in display order
+ */
+export function flattenTagTree(tags, totals = new Map()) {
+  const usage = new Map(tags.map(tag => [tag.name, tag.usageCount]));
+  const names = new Set();
+
+  for (const tag of tags) {
+    names.add(tag.name);
+    getTagAncestors(tag.name).forEach(ancestor => names.add(ancestor));
+  }
+
+  const sorted = [...names].sort((a, b) => a.localeCompare(b));
+  const parents = new Set(sorted.flatMap(getTagAncestors));
+
+  return sorted.map(name => ({
+    name,
+    label: getTagLabel(name),
+    depth: getTagAncestors(name).length,
+    usageCount: usage.get(name) || 0,
+    total: totals.get(name) ?? usage.get(name) ?? 0,
+    hasChildren: parents.has(name)
+  }));
+}
+
+/**
+ * Normalize a partly typed tag, keeping a trailing separator ("Research/" → "research/")
+ */
+export function normalizeTagPrefix(input) {
+  const name = normalizeTagName(input);
+  return name && input.trimEnd().endsWith(TAG_SEPARATOR) ? name + TAG_SEPARATOR : name;
+}
+
+/**
+ * Autocomplete one level at a time: "res" suggests "research", "research/" its children
+ * tags are tag records in preference order; returns [{ name, hasChildren }]
+ */
+export function getTagSuggestions(tags, input) {
+  const prefix = normalizeTagPrefix(input);
+  const depth = prefix.split(TAG_SEPARATOR).length;
+  const suggestions = new Map();
+
+  for (const tag of tags) {
+    if (!tag.name.startsWith(prefix)) continue;
+
+    const segments = tag.name.split(TAG_SEPARATOR);
+    const name = segments.slice(0, depth).join(TAG_SEPARATOR);
+    const hasChildren = segments.length > depth;
+
+    if (!suggestions.has(name)) {
+      suggestions.set(name, { name, hasChildren });
+    } else if (hasChildren) {
+      suggestions.get(name).hasChildren = true;
+    }
+  }
+
+  return [...suggestions.values()];
+}
+
+/**
+ * Format a tag for Obsidian: nested with "/", no spaces or punctuation
+ */
+export function toObsidianTag(name) {
+  return name
+    .split(TAG_SEPARATOR)
+    .map(segment => segment.replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_-]/gu, ''))
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
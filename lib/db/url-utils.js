@@ -0,0 +1,90 @@
+/**
+ * URL Utilities
+ * Canonicalize captured URLs and compare bookmark URLs loosely, so variants of
+ * the same page match
+ */
+
+// Query parameters that only record where a visit came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid',
+  'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'vero_id', 'ref_src', 'ref_url'
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+
+/**
+ * Parse an http(s) URL, or return null
+ */
+function parseWebUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a query parameter only tracks where a visit came from
+ */
+export function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Canonical URL to save for a captured page: the page's <link rel="canonical"> when it
+ * has a usable one, without tracking parameters or a fragment (hash routes such as
+ * "#/inbox" are kept). URLs that aren't http(s) are returned unchanged
+ */
+export function canonicalizeUrl(url, canonicalUrl = null) {
+  const parsed = parseWebUrl(url);
+  if (!parsed) return url;
+
+  // Some sites point every page's canonical link at their home page; ignore that
+  const canonical = canonicalUrl ? parseWebUrl(canonicalUrl) : null;
+  if (canonical && (canonical.pathname !== '/' || parsed.pathname === '/')) {
+    return canonicalizeUrl(canonical.href);
+  }
+
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (isTrackingParam(name)) {
+      parsed.searchParams.delete(name);
+    }
+  }
+  if (!/^#!?\//.test(parsed.hash)) {
+    parsed.hash = '';
+  }
+
+  return parsed.href;
+}
+
+/**
+ * Normalize a URL for comparing: canonicalized, then without scheme (http and https
+ * match), "www." or trailing slash. Returns null for text that isn't a URL
+ */
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(canonicalizeUrl(url));
+    const host = parsed.host.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${host}${path}${parsed.search}${parsed.hash}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the site of a web page URL: its lowercase host without "www."
+ * Returns null for URLs that aren't http(s) pages
+ */
+export function getUrlSite(url) {
+  const parsed = parseWebUrl(url);
+  return parsed ? parsed.host.toLowerCase().replace(/^www\./, '') || null : null;
+}
+
+/**
+ * URL prefixes a site's pages can be stored under (scheme and "www." variants)
+ */
+export function getSiteUrlPrefixes(site) {
+  return ['http://', 'https://', 'http://www.', 'https://www.'].map(scheme => `${scheme}${site}`);
+}
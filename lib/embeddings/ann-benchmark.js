@@ -0,0 +1,88 @@
+/**
+ * ANN Benchmark
+ * Compare an HNSW index against the exact cosine scan for recall and latency
+ */
+
+import { HnswIndex } from './hnsw-index.js';
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Exact top-k by cosine similarity over every vector
+ */
+export function exactSearch(vectors, query, k) {
+  let queryNorm = 0;
+  for (let i = 0; i < query.length; i++) queryNorm += query[i] * query[i];
+  queryNorm = Math.sqrt(queryNorm) || 1;
+
+  const scored = [];
+  for (const [key, vector] of vectors) {
+    let dot = 0;
+    let vectorNorm = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += query[i] * vector[i];
+      vectorNorm += vector[i] * vector[i];
+    }
+    scored.push({ key, score: dot / (queryNorm * (Math.sqrt(vectorNorm) || 1)) });
+  }
+
+  return scored.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+/**
+ * Run queries against both the exact scan and the index
+ * vectors: Map<key, Float32Array>; queries: Float32Array[]
+ * Pass an existing index to skip the build step
+ */
+export function benchmarkAnn(vectors, queries, options = {}) {
+  const {
+    k = 10,
+    efValues = [16, 32, 64, 128],
+    indexOptions = {}
+  } = options;
+
+  let index = options.index;
+  let buildMs = 0;
+
+  if (!index) {
+    const buildStart = now();
+    index = new HnswIndex(indexOptions);
+    for (const [key, vector] of vectors) {
+      index.add(key, vector);
+    }
+    buildMs = now() - buildStart;
+  }
+
+  const exactStart = now();
+  const truth = queries.map(query => new Set(exactSearch(vectors, query, k).map(r => r.key)));
+  const exactMs = (now() - exactStart) / queries.length;
+
+  const runs = efValues.map(ef => {
+    let hits = 0;
+    const start = now();
+    const results = queries.map(query => index.search(query, k, ef));
+    const annMs = (now() - start) / queries.length;
+
+    results.forEach((result, i) => {
+      for (const { key } of result) {
+        if (truth[i].has(key)) hits++;
+      }
+    });
+
+    return {
+      ef,
+      recall: hits / (queries.length * k),
+      annMs,
+      speedup: annMs > 0 ? exactMs / annMs : Infinity
+    };
+  });
+
+  return {
+    vectorCount: vectors.size,
+    queryCount: queries.length,
+    k,
+    buildMs,
+    exactMs,
+    runs
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Note Chunker
+ * Split notes into overlapping passages so long notes can be embedded in full
+ */
+
+// Target chunk size in characters (well under the model's 512-token window)
+export const MAX_CHUNK_CHARS = 1000;
+
+// Characters repeated from the end of the previous chunk when text has to be split
+export const CHUNK_OVERLAP_CHARS = 200;
+
+/**
+ * Split a long text into overlapping windows, preferring sentence or word boundaries
+ */
+export function splitText(text, maxChars = MAX_CHUNK_CHARS, overlap = CHUNK_OVERLAP_CHARS) {
+  const clean = text.trim();
+  if (clean.length <= maxChars) {
+    return clean ? [clean] : [];
+  }
+
+  const pieces = [];
+  let start = 0;
+
+  while (start < clean.length) {
+    let end = Math.min(start + maxChars, clean.length);
+
+    if (end < clean.length) {
+      // Break at the last sentence end, else the last space, in the back half of the window
+      const window = clean.slice(start, end);
+      const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+      const space = window.lastIndexOf(' ');
+      const breakAt = sentenceEnd > maxChars / 2 ? sentenceEnd + 1 : (space > maxChars / 2 ? space : -1);
+      if (breakAt > 0) end = start + breakAt;
+    }
+
+    pieces.push(clean.slice(start, end).trim());
+
+    if (end >= clean.length) break;
+
+    // Step back for overlap, starting on a word boundary
+    let next = Math.max(end - overlap, start + 1);
+    const space = clean.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+
+  return pieces.filter(p => p);
+}
+
+/**
+ * Pack paragraphs into chunks of up to maxChars, splitting oversized paragraphs
+ */
+function packParagraphs(text, maxChars = MAX_CHUNK_CHARS) {
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.trim()).filter(p => p);
+  const chunks = [];
+  let current = '';
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length > maxChars) {
+      const pieces = splitText(paragraph, maxChars);
+
+      // Keep a short lead-in (usually a heading) with the text it introduces
+      if (current && current.length < CHUNK_OVERLAP_CHARS) {
+        pieces[0] = `${current}\n\n${pieces[0]}`;
+      } else if (current) {
+        chunks.push(current);
+      }
+
+      current = '';
+      chunks.push(...pieces);
+      continue;
+    }
+
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split a note into chunks: its own notes by paragraph, each highlight and its comment,
+ * the article, then the text of attached files
+ * Returns [{ index, text, source, highlightId }]
+ */
+export function chunkNote(note) {
+  const chunks = [];
+  const add = (text, source, highlightId = null) => {
+    chunks.push({ index: chunks.length, text, source, highlightId });
+  };
+
+  if (note.content) {
+    packParagraphs(note.content).forEach(text => add(text, 'content'));
+  }
+
+  for (const highlight of note.highlights || []) {
+    splitText(highlight.text).forEach(text => add(text, 'highlight', highlight.id));
+    if (highlight.comment) {
+      packParagraphs(highlight.comment).forEach(text => add(text, 'comment', highlight.id));
+    }
+  }
+
+  if (note.article?.content) {
+    packParagraphs(note.article.content).forEach(text => add(text, 'article'));
+  }
+
+  for (const attachment of note.attachments || []) {
+    if (attachment.text) {
+      packParagraphs(attachment.text).forEach(text => add(text, 'attachment'));
+    }
+  }
+
+  // Notes without any text are still findable by title
+  if (chunks.length === 0 && note.title) {
+    add(note.title, 'title');
+  }
+
+  return chunks;
+}
@@ -0,0 +1,175 @@
+/**
+ * Clustering
+ * Spherical k-means (cosine similarity on unit vectors) with k-means++ seeding
+ * Pure functions so they can run in the embedding worker
+ */
+
+// Most clusters chosen automatically
+export const MAX_AUTO_CLUSTERS = 30;
+
+// Stop once fewer than this share of vectors change cluster in an iteration
+const CONVERGENCE_RATIO = 0.001;
+
+/**
+ * Pick a cluster count for n vectors (about sqrt(n / 2), between 2 and MAX_AUTO_CLUSTERS)
+ */
+export function chooseClusterCount(n) {
+  if (n < 4) return Math.min(n, 1);
+  return Math.max(2, Math.min(MAX_AUTO_CLUSTERS, Math.round(Math.sqrt(n / 2))));
+}
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32), so clusterings are repeatable
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Copy a vector scaled to unit length
+ */
+export function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm) || 1;
+
+  const result = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    result[i] = vector[i] / norm;
+  }
+  return result;
+}
+
+/**
+ * Dot product (cosine similarity for unit vectors)
+ */
+export function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Choose the remaining centroids with k-means++: each pick favours vectors far
+ * from the centroids chosen so far
+ */
+function seedCentroids(vectors, centroids, k, random) {
+  const distances = vectors.map(v =>
+    centroids.length ? Math.min(...centroids.map(c => 1 - dot(v, c))) : 1
+  );
+
+  while (centroids.length < k) {
+    const total = distances.reduce((sum, d) => sum + Math.max(0, d), 0);
+    let index = 0;
+
+    if (total > 0) {
+      let target = random() * total;
+      for (; index < vectors.length - 1; index++) {
+        target -= Math.max(0, distances[index]);
+        if (target <= 0) break;
+      }
+    } else {
+      index = Math.floor(random() * vectors.length);
+    }
+
+    const centroid = vectors[index];
+    centroids.push(centroid);
+    for (let i = 0; i < vectors.length; i++) {
+      distances[i] = Math.min(distances[i], 1 - dot(vectors[i], centroid));
+    }
+  }
+
+  return centroids;
+}
+
+/**
+ * Cluster vectors into k groups
+ * options.initialCentroids seeds the first clusters (e.g. from the previous run, so a
+ * refresh converges quickly and cluster i stays the same topic); the rest use k-means++
+ * Returns { assignments: cluster index per vector, centroids, iterations }
+ */
+export function kmeans(vectors, k, options = {}) {
+  const { initialCentroids = [], maxIterations = 50, seed = 1 } = options;
+  const points = vectors.map(normalize);
+  k = Math.min(k, points.length);
+
+  if (k <= 0) {
+    return { assignments: [], centroids: [], iterations: 0 };
+  }
+
+  const random = createRandom(seed);
+  const dim = points[0].length;
+  let centroids = seedCentroids(
+    points,
+    initialCentroids.slice(0, k).filter(c => c.length === dim).map(normalize),
+    k,
+    random
+  );
+
+  const assignments = new Array(points.length).fill(-1);
+  let iterations = 0;
+
+  while (iterations < maxIterations) {
+    iterations++;
+
+    // Assign each vector to its most similar centroid
+    let changed = 0;
+    for (let i = 0; i < points.length; i++) {
+      let best = 0;
+      let bestScore = -Infinity;
+      for (let c = 0; c < k; c++) {
+        const score = dot(points[i], centroids[c]);
+        if (score > bestScore) {
+          bestScore = score;
+          best = c;
+        }
+      }
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        changed++;
+      }
+    }
+
+    if (iterations > 1 && changed <= points.length * CONVERGENCE_RATIO) break;
+
+    // Move each centroid to the mean direction of its vectors
+    const sums = Array.from({ length: k }, () => new Float32Array(dim));
+    const counts = new Array(k).fill(0);
+    for (let i = 0; i < points.length; i++) {
+      const sum = sums[assignments[i]];
+      for (let d = 0; d < dim; d++) {
+        sum[d] += points[i][d];
+      }
+      counts[assignments[i]]++;
+    }
+
+    centroids = sums.map((sum, c) => {
+      if (counts[c] > 0) return normalize(sum);
+
+      // Re-seed an empty cluster with the vector its centroid fits worst
+      let worst = 0;
+      let worstScore = Infinity;
+      for (let i = 0; i < points.length; i++) {
+        const score = dot(points[i], centroids[assignments[i]]);
+        if (score < worstScore) {
+          worstScore = score;
+          worst = i;
+        }
+      }
+      return points[worst];
+    });
+  }
+
+  return { assignments, centroids, iterations };
+}
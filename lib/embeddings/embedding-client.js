@@ -62,6 +62,10 @@ export class EmbeddingClient {
           this.resolveRequest(id, payload.embeddings);
           break;
 
+        case 'CLUSTER_RESULT':
+          this.resolveRequest(id, payload);
+          break;
+
         case 'PONG':
           this.resolveRequest(id, payload);
           break;
@@ -177,6 +181,14 @@ export class EmbeddingClient {
     }
   }
 
+  /**
+   * Cluster vectors with k-means in the worker (the model is not needed)
+   * Returns { assignments, centroids, iterations }
+   */
+  async cluster(vectors, k, initialCentroids = []) {
+    return this.sendMessage('CLUSTER', { vectors, k, initialCentroids });
+  }
+
   /**
    * Check if model is available
    */
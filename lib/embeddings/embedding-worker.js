@@ -6,6 +6,7 @@
 
 // Import from bundled transformers.js library
 import { pipeline as pipelineFn, env } from '../vendor/transformers.min.js';
+import { kmeans } from './clustering.js';
 
 let embedder = null;
 let isLoading = false;
@@ -97,8 +98,12 @@ async function generateEmbedding(text) {
     await loadModel();
   }
 
-  // Truncate text if too long (model has max length)
+  // Truncate text if too long (model has max length).
+  // Notes are chunked before embedding, so this is only a safety net.
   const maxLength = 512;
+  if (text.length > maxLength * 4) {
+    console.warn(`[EmbeddingWorker] Truncating ${text.length} characters to ${maxLength * 4}`);
+  }
   const truncatedText = text.length > maxLength * 4
     ? text.slice(0, maxLength * 4)
     : text;
@@ -166,6 +171,19 @@ self.onmessage = async (event) => {
         });
         break;
 
+      case 'CLUSTER': {
+        // Clustering doesn't need the model; it runs here to keep the panel responsive
+        const clustering = kmeans(payload.vectors, payload.k, {
+          initialCentroids: payload.initialCentroids || []
+        });
+        self.postMessage({
+          type: 'CLUSTER_RESULT',
+          id,
+          payload: clustering
+        });
+        break;
+      }
+
       case 'PING':
         self.postMessage({
           type: 'PONG',
@@ -0,0 +1,488 @@
+/**
+ * HNSW Index
+ * Approximate nearest-neighbour search over embedding vectors
+ * (Hierarchical Navigable Small World graphs, Malkov & Yashunin 2016)
+ *
+ * Vectors are not serialized: the graph is stored on its own and vectors are
+ * re-attached from the embeddings store when the index is loaded.
+ *
+ * Each node also tracks the nodes linking to it (inbound), so a removal only
+ * repairs the removed node's in-neighbours instead of scanning the graph.
+ */
+
+export const HNSW_FORMAT_VERSION = 1;
+
+/**
+ * Binary heap ordered by a score comparator
+ */
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const maxHeap = () => new Heap((a, b) => b.score - a.score);
+const minHeap = () => new Heap((a, b) => a.score - b.score);
+
+/**
+ * Euclidean norm of a vector
+ */
+function norm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) {
+    sum += vector[i] * vector[i];
+  }
+  return Math.sqrt(sum) || 1;
+}
+
+export class HnswIndex {
+  constructor(options = {}) {
+    this.M = options.M || 16;
+    this.maxM0 = options.maxM0 || this.M * 2;
+    this.efConstruction = options.efConstruction || 64;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+
+    // Optional key -> group function (e.g. the note a chunk key belongs to)
+    this.groupOf = options.groupOf || null;
+    this.groups = new Map();
+
+    // key -> { key, vector, norm, level, neighbors: Array<string[]>, inbound: Array<Set<string>> }
+    this.nodes = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  /**
+   * Number of indexed vectors
+   */
+  get size() {
+    return this.nodes.size;
+  }
+
+  /**
+   * Check whether a key is indexed
+   */
+  has(key) {
+    return this.nodes.has(key);
+  }
+
+  /**
+   * All indexed keys
+   */
+  keys() {
+    return Array.from(this.nodes.keys());
+  }
+
+  /**
+   * Keys in a group (see options.groupOf)
+   */
+  keysInGroup(group) {
+    return Array.from(this.groups.get(group) || []);
+  }
+
+  /**
+   * Insert a node into the map and its group
+   */
+  addNode(node) {
+    this.nodes.set(node.key, node);
+    if (!this.groupOf) return;
+
+    const group = this.groupOf(node.key);
+    if (!this.groups.has(group)) this.groups.set(group, new Set());
+    this.groups.get(group).add(node.key);
+  }
+
+  /**
+   * Delete a node from the map and its group
+   */
+  deleteNode(key) {
+    this.nodes.delete(key);
+    if (!this.groupOf) return;
+
+    const group = this.groupOf(key);
+    const keys = this.groups.get(group);
+    if (!keys) return;
+    keys.delete(key);
+    if (keys.size === 0) this.groups.delete(group);
+  }
+
+  /**
+   * Replace a node's neighbour list on a level, keeping inbound links in step
+   */
+  setNeighbors(node, level, keys) {
+    const previous = node.neighbors[level] || [];
+    const next = new Set(keys);
+
+    for (const key of previous) {
+      if (!next.has(key)) this.nodes.get(key)?.inbound[level]?.delete(node.key);
+    }
+    for (const key of next) {
+      this.nodes.get(key)?.inbound[level]?.add(node.key);
+    }
+
+    node.neighbors[level] = keys;
+  }
+
+  /**
+   * Cosine similarity between a query and an indexed node
+   */
+  similarity(query, queryNorm, node) {
+    const vector = node.vector;
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += query[i] * vector[i];
+    }
+    return dot / (queryNorm * node.norm);
+  }
+
+  /**
+   * Maximum neighbour count for a level
+   */
+  maxNeighbors(level) {
+    return level === 0 ? this.maxM0 : this.M;
+  }
+
+  /**
+   * Draw a random level for a new node
+   */
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+  }
+
+  /**
+   * Best-first search within one layer
+   * Returns up to ef candidates as [{ key, score }] sorted best first
+   */
+  searchLayer(query, queryNorm, entryKeys, ef, level) {
+    const visited = new Set(entryKeys);
+    const candidates = maxHeap();
+    const results = minHeap();
+
+    for (const key of entryKeys) {
+      const node = this.nodes.get(key);
+      if (!node || !node.vector) continue;
+      const item = { key, score: this.similarity(query, queryNorm, node) };
+      candidates.push(item);
+      results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score < results.peek().score) break;
+
+      const neighbors = this.nodes.get(current.key).neighbors[level] || [];
+      for (const neighborKey of neighbors) {
+        if (visited.has(neighborKey)) continue;
+        visited.add(neighborKey);
+
+        const neighbor = this.nodes.get(neighborKey);
+        if (!neighbor || !neighbor.vector) continue;
+
+        const score = this.similarity(query, queryNorm, neighbor);
+        if (results.size < ef || score > results.peek().score) {
+          const item = { key: neighborKey, score };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Pick diverse neighbours: keep a candidate only if it is closer to the base
+   * than to any neighbour already chosen, then top up with the best leftovers
+   */
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      const node = this.nodes.get(candidate.key);
+
+      const isDiverse = selected.every(chosen => {
+        const other = this.nodes.get(chosen.key);
+        return this.similarity(node.vector, node.norm, other) < candidate.score;
+      });
+
+      if (isDiverse) {
+        selected.push(candidate);
+      } else {
+        pruned.push(candidate);
+      }
+    }
+
+    for (const candidate of pruned) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Trim a node's neighbour list back to the level's maximum
+   * (closest first; the diversity heuristic is only applied when linking new nodes)
+   */
+  shrinkNeighbors(node, level) {
+    const neighbors = node.neighbors[level];
+    if (neighbors.length <= this.maxNeighbors(level)) return;
+
+    const scored = neighbors
+      .map(key => this.nodes.get(key))
+      .filter(n => n && n.vector)
+      .map(n => ({ key: n.key, score: this.similarity(node.vector, node.norm, n) }))
+      .sort((a, b) => b.score - a.score);
+
+    this.setNeighbors(node, level, scored.slice(0, this.maxNeighbors(level)).map(c => c.key));
+  }
+
+  /**
+   * Add a vector (replacing any existing vector with the same key)
+   */
+  add(key, vector) {
+    if (this.nodes.has(key)) {
+      this.remove(key);
+    }
+
+    // A restored entry point may have lost its vector; new nodes would not be linked
+    if (this.entryPoint !== null && !this.nodes.get(this.entryPoint)?.vector) {
+      this.chooseEntryPoint();
+    }
+
+    const level = this.randomLevel();
+    const node = {
+      key,
+      vector,
+      norm: norm(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      inbound: Array.from({ length: level + 1 }, () => new Set())
+    };
+    this.addNode(node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = key;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entryKeys = [this.entryPoint];
+
+    // Greedy descent through the layers above the node's level
+    for (let l = this.maxLevel; l > level; l--) {
+      const closest = this.searchLayer(vector, node.norm, entryKeys, 1, l);
+      if (closest.length > 0) entryKeys = [closest[0].key];
+    }
+
+    // Connect on every layer the node lives in
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(vector, node.norm, entryKeys, this.efConstruction, l)
+        .filter(c => c.key !== key);
+      const neighbors = this.selectNeighbors(candidates, this.M);
+
+      this.setNeighbors(node, l, neighbors.map(c => c.key));
+
+      for (const neighbor of neighbors) {
+        const other = this.nodes.get(neighbor.key);
+        this.setNeighbors(other, l, [...other.neighbors[l], key]);
+        this.shrinkNeighbors(other, l);
+      }
+
+      entryKeys = candidates.map(c => c.key);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = key;
+    }
+  }
+
+  /**
+   * Remove a vector and repair the links of nodes that pointed to it
+   */
+  remove(key) {
+    const removed = this.nodes.get(key);
+    if (!removed) return false;
+
+    this.deleteNode(key);
+
+    for (let l = 0; l <= removed.level; l++) {
+      const orphanedLinks = removed.neighbors[l] || [];
+
+      for (const neighborKey of orphanedLinks) {
+        this.nodes.get(neighborKey)?.inbound[l]?.delete(key);
+      }
+
+      for (const inboundKey of removed.inbound[l] || []) {
+        const node = this.nodes.get(inboundKey);
+        if (!node || !node.neighbors[l]) continue;
+
+        const neighbors = node.neighbors[l].filter(k => k !== key);
+
+        // Reconnect through the removed node's neighbours
+        if (!node.vector) {
+          node.neighbors[l] = neighbors;
+          continue;
+        }
+        const pool = new Set([...neighbors, ...orphanedLinks]);
+        pool.delete(node.key);
+
+        const scored = Array.from(pool)
+          .map(k => this.nodes.get(k))
+          .filter(n => n && n.vector && n.level >= l)
+          .map(n => ({ key: n.key, score: this.similarity(node.vector, node.norm, n) }))
+          .sort((a, b) => b.score - a.score);
+
+        node.neighbors[l] = neighbors;
+        this.setNeighbors(node, l, this.selectNeighbors(scored, this.maxNeighbors(l)).map(c => c.key));
+      }
+    }
+
+    if (this.entryPoint === key) {
+      this.chooseEntryPoint();
+    }
+
+    return true;
+  }
+
+  /**
+   * Make the highest-level node that has a vector the entry point
+   */
+  chooseEntryPoint() {
+    this.entryPoint = null;
+    this.maxLevel = -1;
+    for (const node of this.nodes.values()) {
+      if (node.vector && node.level > this.maxLevel) {
+        this.maxLevel = node.level;
+        this.entryPoint = node.key;
+      }
+    }
+  }
+
+  /**
+   * Find the k most similar vectors
+   * Returns [{ key, score }] sorted by score descending
+   */
+  search(query, k = 10, ef = this.efSearch) {
+    if (this.entryPoint === null) return [];
+
+    const queryNorm = norm(query);
+    let entryKeys = [this.entryPoint];
+
+    for (let l = this.maxLevel; l > 0; l--) {
+      const closest = this.searchLayer(query, queryNorm, entryKeys, 1, l);
+      if (closest.length > 0) entryKeys = [closest[0].key];
+    }
+
+    return this.searchLayer(query, queryNorm, entryKeys, Math.max(ef, k), 0).slice(0, k);
+  }
+
+  /**
+   * Serialize the graph (without vectors)
+   * Neighbour lists are stored as positions in the node list to keep the record small
+   */
+  toJSON() {
+    const nodes = Array.from(this.nodes.values());
+    const positions = new Map(nodes.map((node, i) => [node.key, i]));
+
+    return {
+      version: HNSW_FORMAT_VERSION,
+      M: this.M,
+      maxM0: this.maxM0,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      keys: nodes.map(node => node.key),
+      levels: nodes.map(node => node.level),
+      neighbors: nodes.map(node => node.neighbors.map(list => list.map(key => positions.get(key))))
+    };
+  }
+
+  /**
+   * Restore a serialized graph, attaching vectors via getVector(key)
+   * Nodes whose vector is gone are kept without one so callers can remove() them
+   * options are constructor options that are not serialized (groupOf)
+   */
+  static fromJSON(data, getVector, options = {}) {
+    if (!data || data.version !== HNSW_FORMAT_VERSION) return null;
+
+    const index = new HnswIndex({ ...data, ...options });
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+
+    data.keys.forEach((key, i) => {
+      const vector = getVector(key) || null;
+      const level = data.levels[i];
+      index.addNode({
+        key,
+        vector,
+        norm: vector ? norm(vector) : 1,
+        level,
+        neighbors: data.neighbors[i].map(list => list.map(position => data.keys[position])),
+        inbound: Array.from({ length: level + 1 }, () => new Set())
+      });
+    });
+
+    for (const node of index.nodes.values()) {
+      node.neighbors.forEach((list, l) => {
+        for (const key of list) {
+          index.nodes.get(key)?.inbound[l]?.add(node.key);
+        }
+      });
+    }
+
+    if (index.entryPoint !== null && !index.nodes.get(index.entryPoint)?.vector) {
+      index.chooseEntryPoint();
+    }
+
+    return index;
+  }
+}
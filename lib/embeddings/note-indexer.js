@@ -0,0 +1,67 @@
+/**
+ * Note Indexer
+ * Generate and store chunk embeddings for a note
+ */
+
+import { chunkNote } from './chunker.js';
+
+/**
+ * Mean-pool chunk vectors into a single normalized note vector
+ */
+export function meanPool(vectors) {
+  if (vectors.length === 0) return null;
+
+  const dim = vectors[0].length;
+  const pooled = new Float32Array(dim);
+
+  for (const vector of vectors) {
+    for (let i = 0; i < dim; i++) {
+      pooled[i] += vector[i];
+    }
+  }
+
+  let norm = 0;
+  for (let i = 0; i < dim; i++) {
+    norm += pooled[i] * pooled[i];
+  }
+  norm = Math.sqrt(norm) || 1;
+
+  for (let i = 0; i < dim; i++) {
+    pooled[i] /= norm;
+  }
+
+  return pooled;
+}
+
+/**
+ * Embed every chunk of a note
+ * Returns { vector, chunks } or null if the model is unavailable or the note is empty
+ */
+export async function embedNote(embeddings, note) {
+  const chunks = chunkNote(note);
+  if (chunks.length === 0) return null;
+
+  const vectors = await embeddings.embedBatch(chunks.map(c => c.text));
+  const embedded = chunks
+    .map((chunk, i) => ({ ...chunk, vector: vectors[i] }))
+    .filter(chunk => chunk.vector);
+
+  if (embedded.length === 0) return null;
+
+  return {
+    vector: meanPool(embedded.map(c => c.vector)),
+    chunks: embedded
+  };
+}
+
+/**
+ * Embed a note and save the result
+ * Returns true when an embedding was stored
+ */
+export async function indexNote(db, embeddings, note) {
+  const result = await embedNote(embeddings, note);
+  if (!result) return false;
+
+  await db.saveEmbedding(note.id, result.vector, result.chunks);
+  return true;
+}
@@ -0,0 +1,184 @@
+/**
+ * Tag Suggester
+ * Suggest tags for a note from its embedding: its nearest tagged neighbours vote
+ * for their tags, and each tag's centroid vector scores how close the note is to it
+ */
+
+import { normalizeTags } from '../db/schema.js';
+import { dot, normalize } from './clustering.js';
+
+// Most similar tagged notes that vote
+const NEIGHBOR_COUNT = 10;
+
+// Neighbours less similar than this don't vote
+const MIN_NEIGHBOR_SIMILARITY = 0.35;
+
+// Tags on fewer notes than this have no centroid (one note is just a neighbour)
+const MIN_CENTROID_NOTES = 2;
+
+// Centroids less similar than this don't suggest a tag on their own
+const MIN_CENTROID_SIMILARITY = 0.5;
+
+// Share of the score from neighbour votes; the rest is centroid similarity
+const VOTE_WEIGHT = 0.6;
+
+// Suggestions scoring below this are dropped
+const MIN_SUGGESTION_SCORE = 0.25;
+
+// Database events that change which notes carry which tags, or their vectors
+const WATCHED_EVENTS = [
+  'note-saved', 'note-deleted', 'notes-restored', 'embedding-saved',
+  'embedding-deleted', 'tags-changed', 'imported'
+];
+
+export class TagSuggester {
+  constructor(database, vectorSearch) {
+    this.db = database;
+    this.vectorSearch = vectorSearch;
+
+    // Tagged note vectors and tag centroids, rebuilt after changes
+    this.model = null;
+
+    this.db.subscribe(event => {
+      if (WATCHED_EVENTS.includes(event.type)) {
+        this.model = null;
+      }
+    });
+  }
+
+  /**
+   * Build the tagged note vectors and per-tag centroids
+   * Returns { tagged: [{ noteId, tags, vector }], centroids: Map<tag, vector> }
+   */
+  async getModel() {
+    if (this.model) return this.model;
+
+    const [embeddings, notes] = await Promise.all([
+      this.vectorSearch.getEmbeddings(),
+      this.db.findNotes(note => note.tags && note.tags.length > 0, { limit: Infinity })
+    ]);
+
+    const tagged = [];
+    const sums = new Map();
+
+    for (const note of notes) {
+      const embedding = embeddings.get(note.id);
+      if (!embedding?.vector) continue;
+
+      const vector = normalize(embedding.vector);
+      const tags = normalizeTags(note.tags);
+      tagged.push({ noteId: note.id, tags, vector });
+
+      for (const tag of tags) {
+        if (!sums.has(tag)) {
+          sums.set(tag, { vector: new Float32Array(vector.length), count: 0 });
+        }
+        const sum = sums.get(tag);
+        for (let i = 0; i < vector.length; i++) {
+          sum.vector[i] += vector[i];
+        }
+        sum.count++;
+      }
+    }
+
+    const centroids = new Map();
+    for (const [tag, sum] of sums) {
+      if (sum.count >= MIN_CENTROID_NOTES) {
+        centroids.set(tag, normalize(sum.vector));
+      }
+    }
+
+    this.model = { tagged, centroids };
+    return this.model;
+  }
+
+  /**
+   * Suggest tags for a note vector
+   * options: excludeNoteId (the note itself), existingTags (not suggested again), limit
+   * Returns [{ name, score }] best first
+   */
+  async suggestForVector(vector, options = {}) {
+    const { excludeNoteId = null, existingTags = [], limit = 5 } = options;
+    const { tagged, centroids } = await this.getModel();
+    const query = normalize(vector);
+    const existing = new Set(normalizeTags(existingTags));
+
+    // Nearest tagged neighbours vote for their tags, weighted by similarity
+    const neighbors = tagged
+      .filter(entry => entry.noteId !== excludeNoteId)
+      .map(entry => ({ tags: entry.tags, similarity: dot(query, entry.vector) }))
+      .filter(entry => entry.similarity >= MIN_NEIGHBOR_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, NEIGHBOR_COUNT);
+
+    const totalWeight = neighbors.reduce((sum, n) => sum + n.similarity, 0);
+    const votes = new Map();
+    for (const neighbor of neighbors) {
+      for (const tag of neighbor.tags) {
+        votes.set(tag, (votes.get(tag) || 0) + neighbor.similarity / totalWeight);
+      }
+    }
+
+    const candidates = new Set(votes.keys());
+    const centroidScores = new Map();
+    for (const [tag, centroid] of centroids) {
+      const similarity = dot(query, centroid);
+      centroidScores.set(tag, similarity);
+      if (similarity >= MIN_CENTROID_SIMILARITY) {
+        candidates.add(tag);
+      }
+    }
+
+    return [...candidates]
+      .filter(tag => !existing.has(tag))
+      .map(tag => ({
+        name: tag,
+        score: VOTE_WEIGHT * (votes.get(tag) || 0) +
+          (1 - VOTE_WEIGHT) * Math.max(0, centroidScores.get(tag) || 0)
+      }))
+      .filter(suggestion => suggestion.score >= MIN_SUGGESTION_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Suggest tags for a saved note (empty when it has no embedding yet)
+   */
+  async suggestForNote(noteId, options = {}) {
+    const [note, embedding] = await Promise.all([
+      this.db.getNote(noteId),
+      this.db.getEmbedding(noteId)
+    ]);
+    if (!note || !embedding?.vector) return [];
+
+    return this.suggestForVector(embedding.vector, {
+      ...options,
+      excludeNoteId: noteId,
+      existingTags: note.tags
+    });
+  }
+
+  /**
+   * Suggest tags for every untagged note that has an embedding
+   * Returns [{ note, suggestions }] for the notes with at least one suggestion
+   */
+  async suggestForUntagged(options = {}) {
+    const [embeddings, notes] = await Promise.all([
+      this.vectorSearch.getEmbeddings(),
+      this.db.findNotes(note => !note.tags || note.tags.length === 0, { limit: Infinity })
+    ]);
+
+    const results = [];
+    for (const note of notes) {
+      const embedding = embeddings.get(note.id);
+      if (!embedding?.vector) continue;
+
+      const suggestions = await this.suggestForVector(embedding.vector, { ...options, excludeNoteId: note.id });
+      if (suggestions.length > 0) {
+        results.push({ note, suggestions });
+      }
+    }
+
+    return results;
+  }
+}
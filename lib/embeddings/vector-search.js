@@ -1,13 +1,72 @@
 /**
  * Vector Search
- * Semantic search using cosine similarity
+ * Semantic search using cosine similarity, with an HNSW index for large libraries
  */
 
+import { MetaKeys } from '../db/schema.js';
+import { KeywordSearch } from '../search/keyword-search.js';
+import { compileFilter, getQueryText, hasFilters } from '../search/query-filter.js';
+import { HnswIndex } from './hnsw-index.js';
+import { benchmarkAnn } from './ann-benchmark.js';
+
+// Below this many chunk vectors an exact scan is fast enough and always exact
+export const ANN_MIN_VECTORS = 2000;
+
+// Chunk candidates fetched from the index per requested result
+const ANN_CANDIDATES_PER_RESULT = 4;
+
+// Delay before persisting the index after a change
+const ANN_SAVE_DELAY_MS = 2000;
+
+// Rebuild instead of patching when more than this share of the index is stale
+const ANN_REBUILD_RATIO = 0.2;
+
+// Inserts between yields to the event loop while building
+const ANN_BUILD_BATCH = 200;
+
+// Reciprocal rank fusion constant (Cormack et al. 2009)
+const RRF_K = 60;
+
+// Extra candidates fetched per result when filters may discard many of them
+const FILTERED_CANDIDATES_PER_RESULT = 10;
+
+/**
+ * Index key for one chunk vector; computedAt makes re-embedded notes get fresh keys
+ */
+function chunkKey(noteId, embedding, index) {
+  return `${noteId}#${embedding.computedAt || 0}#${index}`;
+}
+
+/**
+ * Split an index key back into its parts
+ */
+function parseChunkKey(key) {
+  const indexAt = key.lastIndexOf('#');
+  const computedAt = key.lastIndexOf('#', indexAt - 1);
+  return {
+    noteId: key.slice(0, computedAt),
+    computedAt: Number(key.slice(computedAt + 1, indexAt)),
+    index: Number(key.slice(indexAt + 1))
+  };
+}
+
+// Group index keys by note so a note's chunks can be found without a full scan
+const ANN_INDEX_OPTIONS = { groupOf: key => parseChunkKey(key).noteId };
+
 export class VectorSearch {
   constructor(database) {
     this.db = database;
     this.embeddingCache = null;
     this.cacheValid = false;
+    this.keywordIndex = new KeywordSearch(database);
+
+    this.annIndex = null;
+    this.annLoaded = false;
+    this.annBuilding = null;
+    this.annNeedsRebuild = false;
+    this.annSaveTimer = null;
+
+    this.db.subscribe(event => this.handleDatabaseChange(event));
   }
 
   /**
@@ -35,6 +94,42 @@ export class VectorSearch {
     return dotProduct / denominator;
   }
 
+  /**
+   * Get the chunks of an embedding record
+   * (records saved before chunking have a single note-level vector)
+   */
+  getChunks(embedding) {
+    if (embedding.chunks && embedding.chunks.length > 0) {
+      return embedding.chunks;
+    }
+    return [{ index: 0, text: null, source: null, highlightId: null, vector: embedding.vector }];
+  }
+
+  /**
+   * Score a note's chunks against a query and pool them into a note score
+   * pooling: 'max' (best passage) or 'mean' (average over passages)
+   */
+  scoreChunks(queryEmbedding, embedding, pooling = 'max') {
+    let best = null;
+    let total = 0;
+    const chunks = this.getChunks(embedding);
+
+    for (const chunk of chunks) {
+      const score = this.cosineSimilarity(queryEmbedding, chunk.vector);
+      total += score;
+      if (!best || score > best.score) {
+        best = { chunk, score };
+      }
+    }
+
+    const { vector, ...matchedChunk } = best.chunk;
+
+    return {
+      score: pooling === 'mean' ? total / chunks.length : best.score,
+      matchedChunk: { ...matchedChunk, score: best.score }
+    };
+  }
+
   /**
    * Perform semantic search
    */
@@ -43,7 +138,9 @@ export class VectorSearch {
       limit = 20,
       threshold = 0.3,
       tagFilter = null,
-      excludeIds = []
+      excludeIds = [],
+      includeIds = null,
+      pooling = 'max'
     } = options;
 
     // Load and cache embeddings if needed
@@ -51,17 +148,24 @@ export class VectorSearch {
       await this.refreshCache();
     }
 
-    // Compute similarities
+    // Candidate notes come from the index when it is ready, otherwise every note is scanned.
+    // A restricted set (includeIds) is always scanned exactly
+    const candidateIds = includeIds || (options.exact ? null : this.getAnnCandidates(queryEmbedding, limit));
+
+    // Compute similarities, pooling chunk scores per note
     const results = [];
 
-    for (const [noteId, embedding] of this.embeddingCache) {
+    for (const noteId of candidateIds || this.embeddingCache.keys()) {
       // Skip excluded IDs
       if (excludeIds.includes(noteId)) continue;
 
-      const score = this.cosineSimilarity(queryEmbedding, embedding.vector);
+      const embedding = this.embeddingCache.get(noteId);
+      if (!embedding) continue;
+
+      const { score, matchedChunk } = this.scoreChunks(queryEmbedding, embedding, pooling);
 
       if (score >= threshold) {
-        results.push({ noteId, score });
+        results.push({ noteId, score, matchedChunk });
       }
     }
 
@@ -72,9 +176,12 @@ export class VectorSearch {
     const topResults = results.slice(0, limit);
 
     // Fetch full note data
-    const notesWithScores = await Promise.all(
-      topResults.map(async (r) => {
-        const note = await this.db.getNote(r.noteId);
+    const notes = await this.db.getNotes(topResults.map(r => r.noteId));
+    const notesById = new Map(notes.map(note => [note.id, note]));
+
+    return topResults
+      .map(r => {
+        const note = notesById.get(r.noteId);
         if (!note) return null;
 
         // Apply tag filter if specified
@@ -87,12 +194,37 @@ export class VectorSearch {
 
         return {
           ...note,
-          score: r.score
+          score: r.score,
+          // Text is null for legacy single-vector embeddings
+          matchedChunk: r.matchedChunk.text ? r.matchedChunk : null
         };
       })
-    );
+      .filter(n => n !== null);
+  }
+
+  /**
+   * Collect candidate note IDs from the ANN index
+   * Returns null when the library is small or the index isn't ready (callers scan instead)
+   */
+  getAnnCandidates(queryEmbedding, limit) {
+    if (this.getCacheStats().vectorCount < ANN_MIN_VECTORS) {
+      return null;
+    }
+
+    if (!this.annIndex || this.annBuilding || this.annNeedsRebuild) {
+      // Build in the background and answer this query exactly
+      this.ensureAnnIndex().catch(error => console.error('Failed to prepare ANN index:', error));
+      return null;
+    }
 
-    return notesWithScores.filter(n => n !== null);
+    const k = Math.max(limit * ANN_CANDIDATES_PER_RESULT, 50);
+    const noteIds = new Set();
+
+    for (const { key } of this.annIndex.search(queryEmbedding, k, Math.max(this.annIndex.efSearch, k))) {
+      noteIds.add(parseChunkKey(key).noteId);
+    }
+
+    return noteIds;
   }
 
   /**
@@ -104,11 +236,22 @@ export class VectorSearch {
       return [];
     }
 
-    return this.search(embedding.vector, {
+    const results = await this.search(embedding.vector, {
       limit: limit + 1, // +1 because we'll exclude the original
       threshold: 0.5,
       excludeIds: [noteId]
     });
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Get every note's embedding (Map of noteId → embedding), loading the cache if needed
+   */
+  async getEmbeddings() {
+    if (!this.cacheValid || !this.embeddingCache) {
+      await this.refreshCache();
+    }
+    return this.embeddingCache;
   }
 
   /**
@@ -117,6 +260,209 @@ export class VectorSearch {
   async refreshCache() {
     this.embeddingCache = await this.db.getAllEmbeddings();
     this.cacheValid = true;
+
+    // Pick up changes made by other extension contexts
+    if (this.annIndex && !this.annBuilding) {
+      this.syncAnnIndex();
+    }
+  }
+
+  /**
+   * Keep the cache and index current with changes made through this connection
+   */
+  handleDatabaseChange(event) {
+    switch (event.type) {
+      case 'embedding-saved':
+        if (this.embeddingCache) {
+          this.embeddingCache.set(event.noteId, event.embedding);
+        }
+        if (this.annIndex) {
+          this.removeNoteFromAnn(event.noteId);
+          this.addNoteToAnn(this.annIndex, event.noteId, event.embedding);
+          this.scheduleAnnSave();
+        }
+        break;
+
+      case 'embedding-deleted':
+        if (this.embeddingCache) {
+          this.embeddingCache.delete(event.noteId);
+        }
+        if (this.annIndex && this.removeNoteFromAnn(event.noteId)) {
+          this.scheduleAnnSave();
+        }
+        break;
+
+      case 'imported':
+        this.invalidateCache();
+        this.annNeedsRebuild = true;
+        break;
+    }
+  }
+
+  // ==================== ANN Index ====================
+
+  /**
+   * Get the vector for an index key from the cache (null if stale or gone)
+   */
+  getChunkVector(key) {
+    const { noteId, computedAt, index } = parseChunkKey(key);
+    const embedding = this.embeddingCache?.get(noteId);
+    if (!embedding || (embedding.computedAt || 0) !== computedAt) return null;
+
+    return this.getChunks(embedding)[index]?.vector || null;
+  }
+
+  /**
+   * Index keys expected for the current cache
+   */
+  getExpectedAnnKeys() {
+    const keys = new Map();
+    for (const [noteId, embedding] of this.embeddingCache) {
+      this.getChunks(embedding).forEach((chunk, i) => {
+        keys.set(chunkKey(noteId, embedding, i), chunk.vector);
+      });
+    }
+    return keys;
+  }
+
+  /**
+   * Add every chunk vector of a note to an index
+   */
+  addNoteToAnn(index, noteId, embedding) {
+    this.getChunks(embedding).forEach((chunk, i) => {
+      index.add(chunkKey(noteId, embedding, i), chunk.vector);
+    });
+  }
+
+  /**
+   * Remove every chunk vector of a note from the index
+   * Returns true if anything was removed
+   */
+  removeNoteFromAnn(noteId) {
+    const stale = this.annIndex.keysInGroup(noteId);
+    stale.forEach(key => this.annIndex.remove(key));
+    return stale.length > 0;
+  }
+
+  /**
+   * Load the persisted index (or build one) and bring it up to date
+   */
+  async ensureAnnIndex() {
+    if (this.annBuilding) return this.annBuilding;
+
+    if (!this.cacheValid || !this.embeddingCache) {
+      await this.refreshCache();
+    }
+
+    if (!this.annLoaded && !this.annNeedsRebuild) {
+      this.annLoaded = true;
+      const saved = await this.db.getMeta(MetaKeys.ANN_INDEX);
+      this.annIndex = HnswIndex.fromJSON(saved, key => this.getChunkVector(key), ANN_INDEX_OPTIONS);
+    }
+
+    if (!this.annIndex || this.annNeedsRebuild) {
+      return this.rebuildAnnIndex();
+    }
+
+    this.syncAnnIndex();
+    return this.annIndex;
+  }
+
+  /**
+   * Patch the index to match the cache, rebuilding when too much has changed
+   */
+  syncAnnIndex() {
+    const expected = this.getExpectedAnnKeys();
+    const stale = this.annIndex.keys().filter(key => !expected.has(key));
+    const missing = Array.from(expected.keys()).filter(key => !this.annIndex.has(key));
+
+    if (stale.length + missing.length === 0) return;
+
+    // Each removal walks the graph, so wholesale changes are cheaper to rebuild
+    if (stale.length > Math.max(this.annIndex.size, expected.size) * ANN_REBUILD_RATIO) {
+      this.rebuildAnnIndex().catch(error => console.error('Failed to rebuild ANN index:', error));
+      return;
+    }
+
+    stale.forEach(key => this.annIndex.remove(key));
+    missing.forEach(key => this.annIndex.add(key, expected.get(key)));
+    this.scheduleAnnSave();
+  }
+
+  /**
+   * Build the index from scratch, yielding to the UI between batches
+   * Searches fall back to the exact scan until it finishes
+   */
+  rebuildAnnIndex() {
+    if (this.annBuilding) return this.annBuilding;
+
+    this.annBuilding = (async () => {
+      try {
+        if (!this.cacheValid || !this.embeddingCache) {
+          await this.refreshCache();
+        }
+
+        this.annNeedsRebuild = false;
+        const index = new HnswIndex(ANN_INDEX_OPTIONS);
+        let added = 0;
+
+        for (const [key, vector] of this.getExpectedAnnKeys()) {
+          index.add(key, vector);
+          if (++added % ANN_BUILD_BATCH === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+          }
+        }
+
+        this.annIndex = index;
+        this.annLoaded = true;
+      } finally {
+        this.annBuilding = null;
+      }
+
+      // Catch up with anything saved while building
+      this.syncAnnIndex();
+      await this.saveAnnIndex();
+      return this.annIndex;
+    })();
+
+    return this.annBuilding;
+  }
+
+  /**
+   * Persist the index after a quiet period
+   */
+  scheduleAnnSave() {
+    clearTimeout(this.annSaveTimer);
+    this.annSaveTimer = setTimeout(() => {
+      this.saveAnnIndex().catch(error => console.error('Failed to save ANN index:', error));
+    }, ANN_SAVE_DELAY_MS);
+  }
+
+  /**
+   * Persist the index graph to the meta store
+   */
+  async saveAnnIndex() {
+    clearTimeout(this.annSaveTimer);
+    this.annSaveTimer = null;
+    if (this.annIndex) {
+      await this.db.setMeta(MetaKeys.ANN_INDEX, this.annIndex.toJSON());
+    }
+  }
+
+  /**
+   * Compare the index with the exact scan on this library
+   * Uses a sample of stored chunk vectors as queries
+   */
+  async benchmarkAnn(queryCount = 50, options = {}) {
+    const index = await this.ensureAnnIndex();
+    const vectors = this.getExpectedAnnKeys();
+    const all = Array.from(vectors.values());
+    const queries = Array.from(
+      { length: Math.min(queryCount, all.length) },
+      () => all[Math.floor(Math.random() * all.length)]
+    );
+
+    return benchmarkAnn(vectors, queries, { ...options, index });
   }
 
   /**
@@ -130,12 +476,21 @@ export class VectorSearch {
    * Get cache statistics
    */
   getCacheStats() {
+    // Chunk vectors, as searched and held by the ANN index (see getExpectedAnnKeys)
+    let vectorCount = 0;
+    if (this.embeddingCache) {
+      for (const embedding of this.embeddingCache.values()) {
+        vectorCount += this.getChunks(embedding).length;
+      }
+    }
+
     return {
       isValid: this.cacheValid,
       size: this.embeddingCache ? this.embeddingCache.size : 0,
-      memoryEstimate: this.embeddingCache
-        ? this.embeddingCache.size * 384 * 4 // 384 floats * 4 bytes
-        : 0
+      vectorCount,
+      memoryEstimate: vectorCount * 384 * 4, // 384 floats * 4 bytes
+      annIndexSize: this.annIndex ? this.annIndex.size : 0,
+      annBuilding: !!this.annBuilding
     };
   }
 
@@ -151,7 +506,7 @@ export class VectorSearch {
   /**
    * Perform a hybrid search (semantic + keyword)
    */
-  async hybridSearch(queryEmbedding, keywords, options = {}) {
+  async hybridSearch(queryEmbedding, query, options = {}) {
     const {
       limit = 20,
       semanticWeight = 0.7,
@@ -159,99 +514,101 @@ export class VectorSearch {
       threshold = 0.3
     } = options;
 
-    // Get semantic results
-    const semanticResults = await this.search(queryEmbedding, {
-      limit: limit * 2, // Get more for merging
-      threshold
-    });
+    const candidates = limit * 3;
 
-    // Get keyword results
-    const keywordResults = await this.keywordSearch(keywords, limit * 2);
+    // Get semantic and keyword rankings over the whole library
+    const [semanticResults, keywordResults] = await Promise.all([
+      this.search(queryEmbedding, { limit: candidates, threshold }),
+      this.keywordSearch(query, candidates)
+    ]);
 
-    // Merge and score
-    const scoreMap = new Map();
+    return this.fuseRankings(semanticResults, keywordResults, { limit, semanticWeight, keywordWeight });
+  }
+
+  /**
+   * Combine semantic and keyword rankings with reciprocal rank fusion,
+   * so BM25 and cosine scores never need to be put on the same scale
+   */
+  fuseRankings(semanticResults, keywordResults, options = {}) {
+    const { limit = 20, semanticWeight = 0.7, keywordWeight = 0.3 } = options;
 
-    // Add semantic scores
-    semanticResults.forEach((note, index) => {
-      const semanticScore = note.score * semanticWeight;
-      const positionBoost = 1 - (index / semanticResults.length) * 0.1;
-      scoreMap.set(note.id, {
-        note,
-        score: semanticScore * positionBoost
+    const scoreMap = new Map();
+    const fuse = (results, weight, scoreField) => {
+      results.forEach((note, rank) => {
+        const entry = scoreMap.get(note.id) || { note, score: 0 };
+        entry.score += weight / (RRF_K + rank + 1);
+        entry[scoreField] = note.score;
+        // Prefer the semantic copy, which carries the matched passage
+        if (scoreField === 'semanticScore') entry.note = note;
+        scoreMap.set(note.id, entry);
       });
-    });
+    };
 
-    // Add keyword scores
-    keywordResults.forEach((note, index) => {
-      const keywordScore = (1 - index / keywordResults.length) * keywordWeight;
-      const existing = scoreMap.get(note.id);
-
-      if (existing) {
-        existing.score += keywordScore;
-      } else {
-        scoreMap.set(note.id, {
-          note,
-          score: keywordScore
-        });
-      }
-    });
+    fuse(semanticResults, semanticWeight, 'semanticScore');
+    fuse(keywordResults, keywordWeight, 'keywordScore');
+
+    // Scale so a note ranked first in both lists scores 1
+    const weights = (semanticResults.length ? semanticWeight : 0) + (keywordResults.length ? keywordWeight : 0);
+    const maxScore = (weights || 1) / (RRF_K + 1);
 
-    // Sort by combined score
-    const merged = Array.from(scoreMap.values())
+    return Array.from(scoreMap.values())
       .sort((a, b) => b.score - a.score)
       .slice(0, limit)
       .map(item => ({
         ...item.note,
-        score: item.score
+        score: item.score / maxScore,
+        semanticScore: item.semanticScore ?? null,
+        keywordScore: item.keywordScore ?? null
       }));
-
-    return merged;
   }
 
   /**
-   * Simple keyword search (fallback when model isn't loaded)
+   * Run a parsed structured query (see lib/search/query-parser.js)
+   * Free text is ranked semantically (when an embedding is given) and with BM25;
+   * field filters and exclusions are applied to both rankings.
+   * Filter-only queries return matching notes, most recently updated first.
+   * options.collectionIds limits results to notes filed in those collections.
    */
-  async keywordSearch(keywords, limit = 20) {
-    if (!keywords || keywords.length === 0) {
-      return [];
-    }
+  async query(ast, queryEmbedding = null, options = {}) {
+    const { limit = 20, threshold = 0.3, collectionIds = null } = options;
 
-    const allNotes = await this.db.getAllNotes({ limit: 1000 });
-    const keywordLower = keywords.map(k => k.toLowerCase());
+    const { keywordQuery } = getQueryText(ast);
+    const filter = compileFilter(ast);
 
-    // Score notes by keyword matches
-    const scored = allNotes.map(note => {
-      let score = 0;
-      const searchText = (note.title + ' ' + note.content + ' ' + note.tags.join(' ')).toLowerCase();
+    const includeIds = collectionIds
+      ? new Set((await this.db.getNotesInCollections(collectionIds)).map(note => note.id))
+      : null;
 
-      for (const keyword of keywordLower) {
-        // Count occurrences
-        const matches = (searchText.match(new RegExp(keyword, 'gi')) || []).length;
-        score += matches;
+    if (!keywordQuery) {
+      const scopedFilter = includeIds ? (note) => includeIds.has(note.id) && filter(note) : filter;
+      return this.db.findNotes(scopedFilter, { limit });
+    }
 
-        // Boost for title matches
-        if (note.title.toLowerCase().includes(keyword)) {
-          score += 2;
-        }
+    const candidates = limit * (hasFilters(ast) ? FILTERED_CANDIDATES_PER_RESULT : 3);
 
-        // Boost for tag matches
-        if (note.tags.some(t => t.toLowerCase().includes(keyword))) {
-          score += 1.5;
-        }
-      }
+    const [semanticResults, keywordResults] = await Promise.all([
+      queryEmbedding ? this.search(queryEmbedding, { limit: candidates, threshold, includeIds }) : [],
+      this.keywordIndex.search(keywordQuery, { limit: candidates, includeIds })
+    ]);
 
-      return { note, score };
-    });
+    return this.fuseRankings(
+      semanticResults.filter(filter),
+      keywordResults.filter(filter),
+      options
+    );
+  }
 
-    // Filter and sort
-    return scored
-      .filter(item => item.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, limit)
-      .map(item => ({
-        ...item.note,
-        score: item.score / keywordLower.length // Normalize score
-      }));
+  /**
+   * BM25 keyword search over the inverted index (also the fallback when the model isn't loaded)
+   * Supports quoted phrases and `prefix*` terms
+   */
+  async keywordSearch(query, limit = 20) {
+    const text = Array.isArray(query) ? query.join(' ') : (query || '');
+    if (!text.trim()) {
+      return [];
+    }
+
+    return this.keywordIndex.search(text, { limit });
   }
 
   /**
@@ -262,33 +619,30 @@ export class VectorSearch {
       return [];
     }
 
-    const allNotes = await this.db.getAllNotes({ limit: 1000 });
     const termLower = tagTerms.map(t => t.toLowerCase());
+    const tags = await this.db.getAllTags();
 
     // Score notes by tag matches only
-    const scored = allNotes.map(note => {
-      let score = 0;
-
-      for (const term of termLower) {
-        for (const tag of note.tags) {
-          if (tag.toLowerCase().includes(term)) {
-            // Exact match gets bonus
-            score += tag.toLowerCase() === term ? 2 : 1;
-          }
+    const scores = new Map();
+    const notesById = new Map();
+
+    for (const term of termLower) {
+      for (const tag of tags.filter(t => t.name.includes(term))) {
+        for (const note of await this.db.searchByTags([tag.name])) {
+          notesById.set(note.id, note);
+          // Exact match gets bonus
+          scores.set(note.id, (scores.get(note.id) || 0) + (tag.name === term ? 2 : 1));
         }
       }
+    }
 
-      return { note, score };
-    });
-
-    // Filter and sort
-    return scored
-      .filter(item => item.score > 0)
-      .sort((a, b) => b.score - a.score)
+    // Sort and limit
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
       .slice(0, limit)
-      .map(item => ({
-        ...item.note,
-        score: item.score
+      .map(([noteId, score]) => ({
+        ...notesById.get(noteId),
+        score
       }));
   }
 }
@@ -1,15 +1,22 @@
 /**
  * Backup Manager
  * Full database export/import for backup and migration
+ * Backups are a JSON file, or a zip archive of the JSON and the attachment files
  */
 
-import { downloadFile, generateExportFilename } from './markdown-exporter.js';
+import { downloadFile, generateExportFilename, getAttachmentPath, slugify } from './markdown-exporter.js';
+import { migrateBackupData } from '../db/migrations.js';
+import { createZip, isZipFile, readZip } from './zip.js';
+
+// Name of the JSON file inside a backup archive
+const BACKUP_JSON = 'backup.json';
 
 /**
  * Export entire database as JSON
+ * options.collectionId limits the export to one collection subtree
  */
-export async function exportDatabase(database) {
-  const data = await database.exportAll();
+export async function exportDatabase(database, options = {}) {
+  const data = await database.exportAll(options);
 
   // Add export metadata
   data.exportMetadata = {
@@ -23,26 +30,80 @@ export async function exportDatabase(database) {
 }
 
 /**
- * Download database as JSON file
+ * Split attachments off backup data: the JSON lists each one with the path of its
+ * file, and the files are returned separately
  */
-export async function downloadDatabaseBackup(database) {
-  const data = await exportDatabase(database);
-  const json = JSON.stringify(data, null, 2);
-  const filename = generateExportFilename('super-bookmarks-backup', 'json');
+function packAttachments(data) {
+  const files = [];
+  const attachments = (data.attachments || []).map(({ blob, ...attachment }) => {
+    const file = getAttachmentPath(attachment);
+    files.push({ name: file, data: blob });
+    return { ...attachment, file };
+  });
+  return { backup: { ...data, attachments }, files };
+}
+
+/**
+ * Read a backup file: JSON, or a zip archive of the JSON and the attachment files
+ * Returns the backup data, with each attachment's Blob when its file is present
+ */
+export async function readBackupFile(file) {
+  if (!(await isZipFile(file))) {
+    return JSON.parse(await file.text());
+  }
+
+  const files = await readZip(file);
+  const json = files.get(BACKUP_JSON);
+  if (!json) {
+    throw new Error(`Backup archive has no ${BACKUP_JSON}`);
+  }
 
-  downloadFile(json, filename, 'application/json');
+  const data = JSON.parse(await json.text());
+  data.attachments = (data.attachments || []).map(attachment => ({
+    ...attachment,
+    blob: files.get(attachment.file) || null
+  }));
+  return data;
+}
+
+/**
+ * Download database as a JSON file, or a zip archive of the JSON and attachment files
+ * when there are attachments
+ */
+export async function downloadDatabaseBackup(database, options = {}) {
+  const data = await exportDatabase(database, options);
+  const { backup, files } = packAttachments(data);
+  const json = JSON.stringify(backup, null, 2);
+  const prefix = data.collectionScope
+    ? `super-bookmarks-${slugify(data.collectionScope.name) || 'collection'}`
+    : 'super-bookmarks-backup';
+
+  let filename;
+  let size;
+  if (files.length > 0) {
+    const zip = await createZip([{ name: BACKUP_JSON, data: json }, ...files]);
+    filename = generateExportFilename(prefix, 'zip');
+    size = zip.size;
+    downloadFile(zip, filename, 'application/zip');
+  } else {
+    filename = generateExportFilename(prefix, 'json');
+    size = json.length;
+    downloadFile(json, filename, 'application/json');
+  }
 
   return {
     filename,
-    size: json.length,
+    size,
     notesCount: data.notes.length,
     embeddingsCount: data.embeddings.length,
-    tagsCount: data.tags.length
+    tagsCount: data.tags.length,
+    collectionsCount: data.collections.length,
+    attachmentsCount: files.length
   };
 }
 
 /**
- * Import database from JSON file
+ * Import database from a backup file (JSON or zip archive)
  */
 export async function importDatabase(database, file, options = {}) {
   const {
@@ -50,109 +111,107 @@ export async function importDatabase(database, file, options = {}) {
     onProgress = () => {}
   } = options;
 
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-
-    reader.onload = async (e) => {
-      try {
-        onProgress({ status: 'parsing', message: 'Parsing backup file...' });
-
-        const data = JSON.parse(e.target.result);
+  try {
+    onProgress({ status: 'parsing', message: 'Reading backup file...' });
 
-        // Validate data structure
-        if (!data.notes || !Array.isArray(data.notes)) {
-          throw new Error('Invalid backup file: missing notes array');
-        }
+    const data = await readBackupFile(file);
 
-        onProgress({ status: 'importing', message: 'Importing data...' });
+    // Validate data structure
+    if (!data.notes || !Array.isArray(data.notes)) {
+      throw new Error('Invalid backup file: missing notes array');
+    }
 
-        const result = await database.importAll(data, { clearExisting });
+    onProgress({ status: 'importing', message: 'Importing data...' });
 
-        onProgress({ status: 'complete', message: 'Import complete!' });
+    const result = await database.importAll(data, { clearExisting });
 
-        resolve({
-          success: true,
-          ...result,
-          version: data.version,
-          exportedAt: data.exportedAt
-        });
-
-      } catch (error) {
-        reject(new Error(`Failed to import: ${error.message}`));
-      }
-    };
+    onProgress({ status: 'complete', message: 'Import complete!' });
 
-    reader.onerror = () => {
-      reject(new Error('Failed to read file'));
+    return {
+      success: true,
+      ...result,
+      version: data.version,
+      exportedAt: data.exportedAt
     };
-
-    reader.readAsText(file);
-  });
+  } catch (error) {
+    throw new Error(`Failed to import: ${error.message}`);
+  }
 }
 
 /**
  * Validate backup file without importing
  */
-export function validateBackupFile(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-
-        // Check required fields
-        const validation = {
-          isValid: true,
-          errors: [],
-          stats: {
-            notesCount: 0,
-            embeddingsCount: 0,
-            tagsCount: 0,
-            version: 'unknown',
-            exportedAt: null
-          }
-        };
-
-        if (!data.notes || !Array.isArray(data.notes)) {
-          validation.isValid = false;
-          validation.errors.push('Missing or invalid notes array');
-        } else {
-          validation.stats.notesCount = data.notes.length;
-        }
-
-        if (data.embeddings && Array.isArray(data.embeddings)) {
-          validation.stats.embeddingsCount = data.embeddings.length;
-        }
-
-        if (data.tags && Array.isArray(data.tags)) {
-          validation.stats.tagsCount = data.tags.length;
-        }
-
-        validation.stats.version = data.version || data.exportMetadata?.version || 'unknown';
-        validation.stats.exportedAt = data.exportedAt || data.exportMetadata?.exportedAt;
-
-        resolve(validation);
-
-      } catch (error) {
-        resolve({
-          isValid: false,
-          errors: ['Invalid JSON format: ' + error.message],
-          stats: null
-        });
-      }
+export async function validateBackupFile(file) {
+  let data;
+  try {
+    data = await readBackupFile(file);
+  } catch (error) {
+    return {
+      isValid: false,
+      errors: [error instanceof SyntaxError ? 'Invalid JSON format: ' + error.message : error.message],
+      stats: null
     };
+  }
 
-    reader.onerror = () => {
-      resolve({
-        isValid: false,
-        errors: ['Failed to read file'],
-        stats: null
-      });
-    };
+  // Check required fields
+  const validation = {
+    isValid: true,
+    errors: [],
+    stats: {
+      notesCount: 0,
+      embeddingsCount: 0,
+      tagsCount: 0,
+      collectionsCount: 0,
+      attachmentsCount: 0,
+      schemaVersion: null,
+      migrations: [],
+      version: 'unknown',
+      exportedAt: null
+    }
+  };
 
-    reader.readAsText(file);
-  });
+  if (!data.notes || !Array.isArray(data.notes)) {
+    validation.isValid = false;
+    validation.errors.push('Missing or invalid notes array');
+  } else {
+    validation.stats.notesCount = data.notes.length;
+  }
+
+  if (data.embeddings && Array.isArray(data.embeddings)) {
+    validation.stats.embeddingsCount = data.embeddings.length;
+  }
+
+  if (data.tags && Array.isArray(data.tags)) {
+    validation.stats.tagsCount = data.tags.length;
+  }
+
+  if (data.collections && Array.isArray(data.collections)) {
+    validation.stats.collectionsCount = data.collections.length;
+  }
+
+  // Attachments are only restored when their files came with the backup
+  if (data.attachments && Array.isArray(data.attachments)) {
+    validation.stats.attachmentsCount = data.attachments.filter(attachment => attachment.blob).length;
+  }
+
+  validation.stats.collectionScope = data.collectionScope?.name || null;
+
+  // Dry-run the schema migrations an import would apply
+  if (validation.isValid) {
+    try {
+      const plan = migrateBackupData(data);
+      validation.stats.schemaVersion = plan.fromVersion;
+      validation.stats.migrations = plan.steps;
+    } catch (error) {
+      validation.isValid = false;
+      validation.errors.push(error.message);
+    }
+  }
+
+  validation.stats.version = data.version || data.exportMetadata?.version || 'unknown';
+  validation.stats.exportedAt = data.exportedAt || data.exportMetadata?.exportedAt;
+
+  return validation;
 }
 
 /**
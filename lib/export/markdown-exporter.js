@@ -4,11 +4,15 @@
  */
 
 import { formatDateTime } from '../../panel/utils/formatters.js';
+import { toObsidianTag } from '../db/tag-tree.js';
+import { isImageAttachment } from '../db/schema.js';
 
 /**
  * Export a single note to markdown
+ * options.collectionNames maps collection ids to display paths
  */
-export function noteToMarkdown(note) {
+export function noteToMarkdown(note, options = {}) {
+  const { collectionNames = null } = options;
   let md = '';
 
   // Title
@@ -22,26 +26,108 @@ export function noteToMarkdown(note) {
   md += `**Created:** ${formatDateTime(note.createdAt)}\n`;
   md += `**Updated:** ${formatDateTime(note.updatedAt)}\n`;
 
-  if (note.tags && note.tags.length > 0) {
-    md += `**Tags:** ${note.tags.map(t => `#${t}`).join(' ')}\n`;
+  // Obsidian-style tags; nested tags keep their "/" ("#research/ml")
+  const tags = (note.tags || []).map(toObsidianTag).filter(Boolean);
+  if (tags.length > 0) {
+    md += `**Tags:** ${tags.map(t => `#${t}`).join(' ')}\n`;
+  }
+
+  const collections = collectionNames
+    ? (note.collectionIds || []).map(id => collectionNames.get(id)).filter(name => name)
+    : [];
+  if (collections.length > 0) {
+    md += `**Collections:** ${collections.join(', ')}\n`;
   }
 
   md += '\n---\n\n';
 
-  // Content
-  md += note.content || '*No content*';
-  md += '\n';
+  const highlights = note.highlights || [];
+
+  // Own notes
+  if (note.content) {
+    md += note.content + '\n';
+  } else if (highlights.length === 0 && !note.article) {
+    md += '*No content*\n';
+  }
+
+  // Highlights as quotes, each followed by its comment
+  if (highlights.length > 0) {
+    if (note.content) md += '\n';
+    md += '## Highlights\n\n';
+    md += highlights.map(highlightToMarkdown).join('\n');
+  }
+
+  // Attachments, linking to their files in the export bundle (see getAttachmentPath)
+  const attachments = note.attachments || [];
+  if (attachments.length > 0) {
+    md += '\n## Attachments\n\n';
+    md += attachments.map(attachmentToMarkdown).join('\n') + '\n';
+  }
+
+  // Extracted article
+  if (note.article) {
+    md += '\n' + articleToMarkdown(note.article);
+  }
+
+  return md;
+}
+
+/**
+ * Export an extracted article as a markdown section
+ */
+function articleToMarkdown(article) {
+  let md = '## Article\n\n';
+
+  const details = [
+    article.byline ? `**By:** ${article.byline}` : null,
+    article.publishedAt ? `**Published:** ${formatDateTime(article.publishedAt)}` : null,
+    article.siteName ? `**Site:** ${article.siteName}` : null
+  ].filter(d => d);
+
+  if (details.length > 0) {
+    md += details.join('  \n') + '\n\n';
+  }
+
+  if (article.leadImage) {
+    md += `![](${article.leadImage})\n\n`;
+  }
+
+  // Article headings start at h2; nest them under the section
+  md += article.content.replace(/^(#{2,5}) /gm, '#$1 ') + '\n';
+  return md;
+}
+
+/**
+ * Export a single highlight as a blockquote, with the user's comment below it
+ */
+function highlightToMarkdown(highlight) {
+  let md = highlight.text.split('\n').map(line => line ? `> ${line}` : '>').join('\n') + '\n\n';
+
+  if (highlight.comment) {
+    md += highlight.comment + '\n\n';
+  }
 
+  md += `*Captured ${formatDateTime(highlight.createdAt)}*\n`;
   return md;
 }
 
+/**
+ * Export an attachment as an embedded image or a link to its file
+ */
+function attachmentToMarkdown(attachment) {
+  const name = attachment.name.replace(/[[\]]/g, '');
+  const path = getAttachmentPath(attachment);
+  return isImageAttachment(attachment) ? `![${name}](${path})\n` : `[${name}](${path})\n`;
+}
+
 /**
  * Export multiple notes to a single markdown file
  */
 export function notesToMarkdown(notes, options = {}) {
   const {
     title = 'Super Bookmarks Export',
-    includeTableOfContents = true
+    includeTableOfContents = true,
+    collectionNames = null
   } = options;
 
   let md = '';
@@ -69,7 +155,7 @@ export function notesToMarkdown(notes, options = {}) {
     const anchor = slugify(note.title || `untitled-${index}`);
     md += `<a id="${anchor}"></a>\n\n`;
 
-    md += noteToMarkdown(note);
+    md += noteToMarkdown(note, { collectionNames });
 
     // Separator between notes
     if (index < notes.length - 1) {
@@ -83,7 +169,7 @@ export function notesToMarkdown(notes, options = {}) {
 /**
  * Create a slug from text for anchors
  */
-function slugify(text) {
+export function slugify(text) {
   return text
     .toLowerCase()
     .replace(/[^\w\s-]/g, '')
@@ -114,6 +200,26 @@ export function downloadFile(content, filename, mimeType = 'text/markdown') {
   }, 100);
 }
 
+// File extensions for attachment types, when the attachment's name has none
+const TYPE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt'
+};
+
+/**
+ * Path of an attachment's file inside an export bundle (unique per attachment)
+ */
+export function getAttachmentPath(attachment) {
+  const match = attachment.name.match(/^(.*?)(?:\.(\w{1,8}))?$/);
+  const extension = match[2] || TYPE_EXTENSIONS[attachment.type] || 'bin';
+  const base = slugify(match[1]) || attachment.kind || 'file';
+  return `attachments/${base}-${attachment.id.slice(0, 8)}.${extension.toLowerCase()}`;
+}
+
 /**
  * Generate filename for export
  */
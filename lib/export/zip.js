@@ -0,0 +1,185 @@
+/**
+ * Zip Archives
+ * Minimal ZIP writer and reader for export bundles (a JSON or markdown file plus
+ * attachment files). Files are written uncompressed (images are already compressed);
+ * the reader also handles deflated entries, so archives re-packed by other tools load.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a byte array (the checksum ZIP stores for every file)
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Date and time in MS-DOS format, as ZIP headers store them
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Get file contents as bytes (strings are encoded as UTF-8)
+ */
+async function toBytes(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+/**
+ * Build a zip archive
+ * files: [{ name, data }] where data is a string, Uint8Array or Blob
+ * Returns a Blob of type application/zip
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const bytes = await toBytes(file.data);
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER, true);
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, bytes);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_HEADER, true);
+    entry.setUint16(4, 20, true); // Version made by
+    entry.setUint16(6, 20, true); // Version needed to extract
+    entry.setUint16(8, UTF8_FLAG, true);
+    entry.setUint16(10, STORED, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, bytes.length, true);
+    entry.setUint32(24, bytes.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, name);
+
+    offset += 30 + name.length + bytes.length;
+  }
+
+  const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * Check whether a file is a zip archive (by its first bytes)
+ */
+export async function isZipFile(file) {
+  const bytes = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  return bytes.length === 4 && new DataView(bytes.buffer).getUint32(0, true) === LOCAL_HEADER;
+}
+
+/**
+ * Read the files of a zip archive
+ * Returns a Map of file name to Blob (directories are skipped)
+ */
+export async function readZip(file) {
+  const buffer = await file.arrayBuffer();
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record is at the end, before an optional comment
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a zip file');
+  }
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(position, true) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt zip file');
+    }
+
+    const method = view.getUint16(position + 10, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, position + 46, nameLength));
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    const dataStart = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Blob([new Uint8Array(buffer, dataStart, compressedSize)]);
+
+    if (method === STORED) {
+      files.set(name, data);
+    } else if (method === DEFLATED) {
+      const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files.set(name, await new Response(stream).blob());
+    } else {
+      throw new Error(`Unsupported compression in zip file (${name})`);
+    }
+  }
+
+  return files;
+}
@@ -0,0 +1,174 @@
+/**
+ * Duplicate Finder
+ * Find notes saved more than once: equivalent URLs, or near-identical embeddings
+ */
+
+import { normalizeUrl } from '../db/url-utils.js';
+import { ANN_MIN_VECTORS } from '../embeddings/vector-search.js';
+
+// Note vectors at least this similar count as the same content
+export const DUPLICATE_SIMILARITY = 0.97;
+
+// Nearest notes compared per note when the ANN index narrows the search
+const CANDIDATES_PER_NOTE = 5;
+
+// Times to wait for an index rebuild that starts mid-scan before scanning one note exactly
+const ANN_RETRIES = 3;
+
+/**
+ * Union-find over note IDs, to group notes linked by any duplicate pair
+ */
+class NoteGroups {
+  constructor() {
+    this.parents = new Map();
+  }
+
+  find(id) {
+    let root = id;
+    while (this.parents.has(root) && this.parents.get(root) !== root) {
+      root = this.parents.get(root);
+    }
+    this.parents.set(id, root);
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA !== rootB) {
+      this.parents.set(rootB, rootA);
+    }
+  }
+}
+
+/**
+ * Order a group's notes by which to keep: most text first, then the oldest
+ */
+function compareKeepOrder(a, b) {
+  const length = (note) => note.metadata?.charCount || 0;
+  return length(b) - length(a) || a.createdAt - b.createdAt;
+}
+
+export class DuplicateFinder {
+  constructor(database, vectorSearch) {
+    this.db = database;
+    this.vectorSearch = vectorSearch;
+  }
+
+  /**
+   * Find groups of duplicate notes
+   * Returns [{ notes, reasons: ['url' | 'content'], similarity }], largest groups first;
+   * each group's notes are ordered by which to keep, and similarity is the highest
+   * content similarity inside the group (null for URL-only groups)
+   */
+  async find(options = {}) {
+    const { threshold = DUPLICATE_SIMILARITY } = options;
+
+    const notes = await this.db.findNotes(() => true, { limit: Infinity });
+    const notesById = new Map(notes.map(note => [note.id, note]));
+    const groups = new NoteGroups();
+    const pairs = [];
+
+    // Equivalent URLs
+    const byUrl = new Map();
+    for (const note of notes) {
+      const key = note.url ? normalizeUrl(note.url) : null;
+      if (!key) continue;
+
+      if (byUrl.has(key)) {
+        pairs.push({ a: byUrl.get(key), b: note.id, reason: 'url', similarity: null });
+      } else {
+        byUrl.set(key, note.id);
+      }
+    }
+
+    // Near-identical content, comparing whole-note vectors
+    for (const pair of await this.findSimilarPairs(notesById, threshold)) {
+      pairs.push({ ...pair, reason: 'content' });
+    }
+
+    for (const { a, b } of pairs) {
+      groups.union(a, b);
+    }
+
+    const byRoot = new Map();
+    for (const pair of pairs) {
+      const root = groups.find(pair.a);
+      if (!byRoot.has(root)) {
+        byRoot.set(root, { ids: new Set(), reasons: new Set(), similarity: null });
+      }
+
+      const group = byRoot.get(root);
+      group.ids.add(pair.a);
+      group.ids.add(pair.b);
+      group.reasons.add(pair.reason);
+      if (pair.similarity !== null) {
+        group.similarity = Math.max(group.similarity ?? 0, pair.similarity);
+      }
+    }
+
+    return [...byRoot.values()]
+      .map(group => ({
+        notes: [...group.ids].map(id => notesById.get(id)).sort(compareKeepOrder),
+        reasons: [...group.reasons],
+        similarity: group.similarity
+      }))
+      .sort((a, b) => b.notes.length - a.notes.length || b.notes[0].updatedAt - a.notes[0].updatedAt);
+  }
+
+  /**
+   * Pairs of notes whose vectors are at least `threshold` similar: [{ a, b, similarity }]
+   * Large libraries only compare each note with its nearest neighbours from the ANN index
+   * (waiting for it to be built); small ones compare every pair
+   */
+  async findSimilarPairs(notesById, threshold) {
+    const embeddings = [...await this.vectorSearch.getEmbeddings()]
+      .filter(([noteId, embedding]) => embedding.vector && notesById.has(noteId));
+    const vectors = new Map(embeddings.map(([noteId, embedding]) => [noteId, embedding.vector]));
+    const ids = [...vectors.keys()];
+    const compared = new Set();
+    const pairs = [];
+
+    const useAnn = this.vectorSearch.getCacheStats().vectorCount >= ANN_MIN_VECTORS;
+    if (useAnn) {
+      await this.vectorSearch.ensureAnnIndex();
+    }
+
+    const compare = (noteId, otherId) => {
+      const similarity = this.vectorSearch.cosineSimilarity(vectors.get(noteId), vectors.get(otherId));
+      if (similarity >= threshold) {
+        pairs.push({ a: noteId, b: otherId, similarity });
+      }
+    };
+
+    for (const [i, noteId] of ids.entries()) {
+      let candidates = null;
+      for (let attempt = 0; useAnn && !candidates && attempt < ANN_RETRIES; attempt++) {
+        candidates = this.vectorSearch.getAnnCandidates(vectors.get(noteId), CANDIDATES_PER_NOTE);
+        if (!candidates) {
+          // A rebuild started since (e.g. many notes changed); wait for it
+          await this.vectorSearch.ensureAnnIndex();
+        }
+      }
+
+      // Small library (or the index never became ready): compare with every later note
+      if (!candidates) {
+        ids.slice(i + 1).forEach(otherId => compare(noteId, otherId));
+        continue;
+      }
+
+      for (const otherId of candidates) {
+        if (otherId === noteId || !vectors.has(otherId)) continue;
+
+        // Each pair once, whichever note found it
+        const key = noteId < otherId ? `${noteId}\n${otherId}` : `${otherId}\n${noteId}`;
+        if (!compared.has(key)) {
+          compared.add(key);
+          compare(noteId, otherId);
+        }
+      }
+    }
+
+    return pairs;
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Keyword Index
+ * Turn notes into inverted-index postings and score them with BM25
+ */
+
+import { tokenize } from './tokenizer.js';
+
+// BM25 parameters (Robertson/Sparck Jones defaults)
+export const BM25_K1 = 1.2;
+export const BM25_B = 0.75;
+
+// Term frequency multiplier for matches in the title and tags
+export const TITLE_WEIGHT = 3;
+export const TAG_WEIGHT = 2;
+
+// Position gap between fields so phrases never match across them
+const FIELD_GAP = 100;
+
+/**
+ * Ordered text fields of a note with their weights
+ */
+function getFields(note) {
+  const fields = [
+    { text: note.title, weight: TITLE_WEIGHT },
+    { text: (note.tags || []).join(' '), weight: TAG_WEIGHT },
+    { text: note.content, weight: 1 }
+  ];
+
+  for (const highlight of note.highlights || []) {
+    fields.push({ text: highlight.text, weight: 1 });
+    if (highlight.comment) {
+      fields.push({ text: highlight.comment, weight: 1 });
+    }
+  }
+
+  if (note.article) {
+    fields.push({ text: note.article.content, weight: 1 });
+  }
+
+  for (const attachment of note.attachments || []) {
+    if (attachment.text) {
+      fields.push({ text: attachment.text, weight: 1 });
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Analyze a note into per-term postings
+ * Returns { length, postings: Map<term, { positions, tf }> } where tf is field-weighted
+ */
+export function analyzeNote(note) {
+  const postings = new Map();
+  let length = 0;
+  let position = 0;
+
+  for (const field of getFields(note)) {
+    if (!field.text) continue;
+
+    const tokens = tokenize(field.text, position);
+    for (const { term, position: tokenPosition } of tokens) {
+      let posting = postings.get(term);
+      if (!posting) {
+        posting = { positions: [], tf: 0 };
+        postings.set(term, posting);
+      }
+      posting.positions.push(tokenPosition);
+      posting.tf += field.weight;
+    }
+
+    length += tokens.length;
+    position = (tokens.length ? tokens[tokens.length - 1].position : position) + FIELD_GAP;
+  }
+
+  return { length, postings };
+}
+
+/**
+ * Inverse document frequency (BM25, floored at zero)
+ */
+export function idf(docCount, docFrequency) {
+  return Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+}
+
+/**
+ * BM25 contribution of one term to one document
+ */
+export function bm25(tf, docLength, avgDocLength, termIdf) {
+  const norm = BM25_K1 * (1 - BM25_B + BM25_B * (docLength / (avgDocLength || 1)));
+  return termIdf * (tf * (BM25_K1 + 1)) / (tf + norm);
+}
+
+/**
+ * Check whether a document contains a phrase
+ * phrase: [{ term, offset }] with offsets relative to the first term
+ * positionsByTerm: Map<term, number[]> for the document
+ */
+export function containsPhrase(phrase, positionsByTerm) {
+  const [first, ...rest] = phrase;
+  const starts = positionsByTerm.get(first.term);
+  if (!starts) return false;
+
+  const sets = rest.map(part => new Set(positionsByTerm.get(part.term) || []));
+
+  return starts.some(start =>
+    rest.every((part, i) => sets[i].has(start + part.offset - first.offset))
+  );
+}
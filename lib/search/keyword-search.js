@@ -0,0 +1,154 @@
+/**
+ * Keyword Search
+ * BM25 ranking over the persistent inverted index, with phrase and prefix queries
+ */
+
+import { MetaKeys } from '../db/schema.js';
+import { splitWords, toTerm, tokenize } from './tokenizer.js';
+import { idf, bm25, containsPhrase } from './keyword-index.js';
+
+export class KeywordSearch {
+  constructor(database) {
+    this.db = database;
+    this.indexReady = null;
+  }
+
+  /**
+   * Build the index once for libraries created before it existed
+   */
+  ensureIndex() {
+    if (!this.indexReady) {
+      this.indexReady = (async () => {
+        const stats = await this.db.getMeta(MetaKeys.SEARCH_STATS);
+        if (!stats) {
+          await this.db.rebuildSearchIndex();
+        }
+      })().catch(error => {
+        this.indexReady = null;
+        throw error;
+      });
+    }
+    return this.indexReady;
+  }
+
+  /**
+   * Parse a query into plain terms, prefix terms (`mach*`) and quoted phrases
+   */
+  parseQuery(query) {
+    const phrases = [];
+    const terms = new Set();
+    const prefixes = new Set();
+
+    const rest = query.replace(/"([^"]*)"/g, (_, phrase) => {
+      const tokens = tokenize(phrase);
+      if (tokens.length > 1) {
+        phrases.push(tokens.map(t => ({ term: t.term, offset: t.position })));
+      } else if (tokens.length === 1) {
+        terms.add(tokens[0].term);
+      }
+      return ' ';
+    });
+
+    for (const word of rest.split(/\s+/)) {
+      if (!word) continue;
+
+      if (word.endsWith('*')) {
+        const prefix = toTerm(word.slice(0, -1), { stem: false, keepStopWords: true });
+        if (prefix) prefixes.add(prefix);
+        continue;
+      }
+
+      for (const part of splitWords(word)) {
+        const term = toTerm(part);
+        if (term) terms.add(term);
+      }
+    }
+
+    return {
+      terms: Array.from(terms),
+      prefixes: Array.from(prefixes),
+      phrases
+    };
+  }
+
+  /**
+   * Search the index
+   * Returns notes sorted by BM25 with `score` relative to the best hit and raw `bm25`
+   * options.includeIds (a Set) restricts results to those notes
+   */
+  async search(query, options = {}) {
+    const { limit = 20, includeIds = null } = options;
+
+    await this.ensureIndex();
+
+    const { terms, prefixes, phrases } = this.parseQuery(query);
+    if (terms.length === 0 && prefixes.length === 0 && phrases.length === 0) {
+      return [];
+    }
+
+    const stats = await this.db.getMeta(MetaKeys.SEARCH_STATS);
+    if (!stats || stats.docCount === 0) return [];
+
+    const avgDocLength = stats.totalLength / stats.docCount;
+    const scores = new Map();
+    const phraseTerms = new Set(phrases.flat().map(p => p.term));
+    const positions = new Map(); // noteId -> Map<term, positions>
+
+    const addPostings = (postings) => {
+      const termIdf = idf(stats.docCount, postings.length);
+      for (const posting of postings) {
+        const score = bm25(posting.tf, posting.length, avgDocLength, termIdf);
+        scores.set(posting.noteId, (scores.get(posting.noteId) || 0) + score);
+
+        if (phraseTerms.has(posting.term)) {
+          if (!positions.has(posting.noteId)) positions.set(posting.noteId, new Map());
+          positions.get(posting.noteId).set(posting.term, posting.positions);
+        }
+      }
+    };
+
+    for (const term of new Set([...terms, ...phraseTerms])) {
+      addPostings(await this.db.getSearchPostings(term));
+    }
+
+    // Each expansion of a prefix is scored as its own term
+    for (const prefix of prefixes) {
+      const byTerm = new Map();
+      for (const posting of await this.db.getSearchPostingsByPrefix(prefix)) {
+        if (!byTerm.has(posting.term)) byTerm.set(posting.term, []);
+        byTerm.get(posting.term).push(posting);
+      }
+      byTerm.forEach(addPostings);
+    }
+
+    // Phrases are required: drop documents that don't contain every one
+    let ranked = Array.from(scores.entries());
+    if (phrases.length > 0) {
+      ranked = ranked.filter(([noteId]) => {
+        const docPositions = positions.get(noteId);
+        return docPositions && phrases.every(phrase => containsPhrase(phrase, docPositions));
+      });
+    }
+
+    if (includeIds) {
+      ranked = ranked.filter(([noteId]) => includeIds.has(noteId));
+    }
+
+    ranked.sort((a, b) => b[1] - a[1]);
+    ranked = ranked.slice(0, limit);
+
+    if (ranked.length === 0) return [];
+
+    const best = ranked[0][1];
+    const notes = await this.db.getNotes(ranked.map(([noteId]) => noteId));
+    const notesById = new Map(notes.map(note => [note.id, note]));
+
+    return ranked
+      .filter(([noteId]) => notesById.has(noteId))
+      .map(([noteId, score]) => ({
+        ...notesById.get(noteId),
+        score: score / best,
+        bm25: score
+      }));
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Query Filter
+ * Turn a parsed query into search text and a note predicate
+ */
+
+import { getNoteText } from '../db/schema.js';
+import { toTerm, splitWords } from './tokenizer.js';
+import { isTagWithin } from '../db/tag-tree.js';
+
+/**
+ * Collect the free text of a query (terms and phrases that aren't negated)
+ * Returns { semanticText, keywordQuery } — either may be empty for filter-only queries
+ */
+export function getQueryText(ast) {
+  const words = [];
+  const keywords = [];
+
+  const visit = (node) => {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        node.children.forEach(visit);
+        break;
+      case 'term':
+        words.push(node.value);
+        keywords.push(node.value);
+        break;
+      case 'phrase':
+        words.push(node.value);
+        keywords.push(`"${node.value}"`);
+        break;
+    }
+  };
+
+  visit(ast);
+
+  return {
+    semanticText: words.join(' ').trim(),
+    keywordQuery: keywords.join(' ').trim()
+  };
+}
+
+/**
+ * Check whether a query contains any filters or exclusions
+ */
+export function hasFilters(ast) {
+  switch (ast.type) {
+    case 'and':
+    case 'or':
+      return ast.children.some(hasFilters);
+    case 'not':
+    case 'field':
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get a note's hostname, or null
+ */
+function getHostname(note) {
+  if (!note.url) return null;
+  try {
+    return new URL(note.url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Test a field filter against a note
+ */
+function matchesField(node, note) {
+  const value = node.value.toLowerCase();
+
+  switch (node.field) {
+    case 'tag': {
+      const tags = (note.tags || []).map(t => t.toLowerCase());
+      if (value.endsWith('*')) {
+        const prefix = value.slice(0, -1);
+        return tags.some(t => t.startsWith(prefix));
+      }
+      // Nested tags match their parents ("tag:research" matches "research/ml")
+      return tags.some(t => isTagWithin(t, value));
+    }
+
+    case 'site': {
+      const hostname = getHostname(note);
+      const site = value.replace(/^www\./, '');
+      return !!hostname && (hostname === site || hostname.endsWith('.' + site));
+    }
+
+    case 'title':
+      return (note.title || '').toLowerCase().includes(value);
+
+    case 'url':
+      return (note.url || '').toLowerCase().includes(value);
+
+    case 'before':
+      return note.createdAt < node.start;
+
+    case 'after':
+      return note.createdAt >= node.start;
+
+    case 'has':
+      switch (value) {
+        case 'highlights': return (note.highlights || []).length > 0;
+        case 'article': return !!note.article;
+        case 'tags': return (note.tags || []).length > 0;
+        case 'content': return !!(note.content && note.content.trim());
+        case 'url': return !!note.url;
+        case 'attachments': return (note.attachments || []).length > 0;
+      }
+      return false;
+
+    default:
+      return true;
+  }
+}
+
+/**
+ * Compile a query into a predicate over notes
+ *
+ * Field filters and quoted phrases must hold. Plain terms only rank results, so
+ * they pass the filter — except under negation, where the note must not contain them.
+ */
+export function compileFilter(ast) {
+  // Stop words are kept on both sides, so "-the" can match
+  const toFilterTerm = (word) => toTerm(word, { keepStopWords: true });
+
+  // Tokenized note text, computed once per note for phrase and exclusion checks
+  const termCache = new WeakMap();
+  const getTerms = (note) => {
+    if (!termCache.has(note)) {
+      const text = [note.title, (note.tags || []).join(' '), getNoteText(note)].join('\n');
+      termCache.set(note, {
+        terms: new Set(splitWords(text).map(toFilterTerm).filter(Boolean)),
+        text: text.toLowerCase().replace(/\s+/g, ' ')
+      });
+    }
+    return termCache.get(note);
+  };
+
+  const containsText = (node, note) => {
+    const { terms, text } = getTerms(note);
+    if (node.type === 'phrase') {
+      return text.includes(node.value.toLowerCase().replace(/\s+/g, ' ').trim());
+    }
+    const words = splitWords(node.value).map(toFilterTerm);
+    return words.length > 0 && words.every(term => terms.has(term));
+  };
+
+  const evaluate = (node, note, negated) => {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => evaluate(child, note, negated));
+      case 'or':
+        return node.children.some(child => evaluate(child, note, negated));
+      case 'not':
+        return !evaluate(node.child, note, !negated);
+      case 'field':
+        return matchesField(node, note);
+      case 'phrase':
+        return containsText(node, note);
+      case 'term':
+        // Under a negation the text has to be present for the NOT to exclude the note
+        return negated ? containsText(node, note) : true;
+      default:
+        return true;
+    }
+  };
+
+  return (note) => evaluate(ast, note, false);
+}
@@ -0,0 +1,351 @@
+/**
+ * Query Parser
+ * Parse the search box language into an AST
+ *
+ *   query   := or
+ *   or      := and ('OR' and)*
+ *   and     := unary+
+ *   unary   := ('-' | 'NOT') unary | primary
+ *   primary := '(' or ')' | field | "phrase" | word
+ *
+ * Nodes: { type: 'and' | 'or', children }, { type: 'not', child },
+ *        { type: 'term' | 'phrase', value }, { type: 'field', field, value, ... }
+ * Every node carries the `position` of its first character in the query.
+ */
+
+// Filter names (and aliases) accepted before a colon
+export const FIELD_ALIASES = {
+  tag: 'tag',
+  site: 'site',
+  domain: 'site',
+  title: 'title',
+  url: 'url',
+  before: 'before',
+  after: 'after',
+  has: 'has'
+};
+
+// Values accepted by has:
+export const HAS_VALUES = ['highlights', 'article', 'tags', 'content', 'url', 'attachments'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for invalid query syntax; position is the character offset of the problem
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message, position, length = 1) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+    this.length = Math.max(1, length);
+  }
+}
+
+/**
+ * Parse a before:/after: value into a time range { start, end }
+ * Accepts 2024, 2024-03, 2024-03-15 (or with slashes), today, yesterday,
+ * and relative ages like 7d, 2w, 3m, 1y
+ */
+export function parseDateValue(value, position, now = Date.now()) {
+  const lower = value.toLowerCase();
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  if (lower === 'today') {
+    return { start: today.getTime(), end: today.getTime() + DAY_MS };
+  }
+  if (lower === 'yesterday') {
+    return { start: today.getTime() - DAY_MS, end: today.getTime() };
+  }
+
+  const relative = /^(\d+)([dwmy])$/.exec(lower);
+  if (relative) {
+    const amount = parseInt(relative[1], 10);
+    const date = new Date(now);
+    switch (relative[2]) {
+      case 'd': date.setDate(date.getDate() - amount); break;
+      case 'w': date.setDate(date.getDate() - amount * 7); break;
+      case 'm': date.setMonth(date.getMonth() - amount); break;
+      case 'y': date.setFullYear(date.getFullYear() - amount); break;
+    }
+    return { start: date.getTime(), end: date.getTime() };
+  }
+
+  const absolute = /^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?$/.exec(lower);
+  if (absolute) {
+    const year = parseInt(absolute[1], 10);
+    const month = absolute[2] ? parseInt(absolute[2], 10) - 1 : null;
+    const day = absolute[3] ? parseInt(absolute[3], 10) : null;
+
+    const start = new Date(year, month ?? 0, day ?? 1);
+    const valid = start.getFullYear() === year &&
+      (month === null || start.getMonth() === month) &&
+      (day === null || start.getDate() === day);
+
+    if (valid) {
+      const end = day !== null
+        ? new Date(year, month, day + 1)
+        : month !== null ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+      return { start: start.getTime(), end: end.getTime() };
+    }
+  }
+
+  throw new QuerySyntaxError(
+    `"${value}" isn't a date. Use a date like 2024-03-15, 2024-03 or 2024, or an age like 7d, 2w, 3m`,
+    position,
+    value.length
+  );
+}
+
+// ==================== Lexer ====================
+
+/**
+ * Read a quoted string starting at `start` (which must be a quote)
+ */
+function readQuoted(query, start) {
+  const end = query.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new QuerySyntaxError('Missing closing quote', start, query.length - start);
+  }
+  return { value: query.slice(start + 1, end), end: end + 1 };
+}
+
+/**
+ * Split a query into tokens: word, phrase, field, or, not, lparen, rparen
+ */
+export function lex(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: i, length: 1 });
+      i++;
+      continue;
+    }
+
+    if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'not', position: i, length: 1 });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const { value, end } = readQuoted(query, i);
+      tokens.push({ type: 'phrase', value, position: i, length: end - i });
+      i = end;
+      continue;
+    }
+
+    // Bare word, possibly field:value or field:"quoted value"
+    const start = i;
+    while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+    const word = query.slice(start, i);
+
+    // Unknown prefixes ("TODO:", "localhost:3000", "std::vector") are plain words
+    const field = /^([a-z]+):(.*)$/i.exec(word);
+    if (field && !field[2].startsWith('//') && FIELD_ALIASES[field[1].toLowerCase()]) {
+      const name = field[1].toLowerCase();
+
+      let value = field[2];
+      if (!value && query[i] === '"') {
+        const quoted = readQuoted(query, i);
+        value = quoted.value;
+        i = quoted.end;
+      }
+
+      tokens.push({
+        type: 'field',
+        field: FIELD_ALIASES[name],
+        name,
+        value,
+        position: start,
+        length: i - start
+      });
+      continue;
+    }
+
+    if (word === 'OR') {
+      tokens.push({ type: 'or', position: start, length: 2 });
+    } else if (word === 'NOT') {
+      tokens.push({ type: 'not', position: start, length: 3 });
+    } else if (word !== 'AND') {
+      tokens.push({ type: 'word', value: word, position: start, length: word.length });
+    }
+  }
+
+  return tokens;
+}
+
+// ==================== Parser ====================
+
+class Parser {
+  constructor(query) {
+    this.query = query;
+    this.tokens = lex(query);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  /**
+   * Position just past the end of the query, for "expected ..." errors
+   */
+  endPosition() {
+    return Math.max(0, this.query.trimEnd().length - 1);
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new QuerySyntaxError('Enter something to search for', 0);
+    }
+
+    const node = this.parseOr();
+    const extra = this.peek();
+    if (extra) {
+      throw new QuerySyntaxError('Unexpected ")" without a matching "("', extra.position);
+    }
+    return node;
+  }
+
+  parseOr() {
+    const first = this.parseAnd();
+    const children = [first];
+
+    while (this.peek()?.type === 'or') {
+      const operator = this.next();
+      if (!this.startsOperand(this.peek())) {
+        throw new QuerySyntaxError('Expected a search term after OR', operator.position, operator.length);
+      }
+      children.push(this.parseAnd());
+    }
+
+    return children.length === 1 ? first : { type: 'or', children, position: first.position };
+  }
+
+  parseAnd() {
+    const token = this.peek();
+    if (!this.startsOperand(token)) {
+      if (token?.type === 'or') {
+        throw new QuerySyntaxError('Expected a search term before OR', token.position, token.length);
+      }
+      if (token?.type === 'rparen') {
+        throw new QuerySyntaxError('Empty parentheses', token.position);
+      }
+      throw new QuerySyntaxError('Expected a search term', token ? token.position : this.endPosition());
+    }
+
+    const children = [];
+    while (this.startsOperand(this.peek())) {
+      children.push(this.parseUnary());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children, position: children[0].position };
+  }
+
+  startsOperand(token) {
+    return !!token && ['word', 'phrase', 'field', 'not', 'lparen'].includes(token.type);
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.type === 'not') {
+      this.next();
+      if (!this.startsOperand(this.peek())) {
+        throw new QuerySyntaxError('Expected something to exclude after "-"', token.position, token.length);
+      }
+      return { type: 'not', child: this.parseUnary(), position: token.position };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'lparen': {
+        const node = this.parseOr();
+        const closing = this.next();
+        if (closing?.type !== 'rparen') {
+          throw new QuerySyntaxError('Missing closing ")"', token.position);
+        }
+        return node;
+      }
+
+      case 'word':
+        return { type: 'term', value: token.value, position: token.position };
+
+      case 'phrase':
+        if (!token.value.trim()) {
+          throw new QuerySyntaxError('Empty quotes', token.position, token.length);
+        }
+        return { type: 'phrase', value: token.value, position: token.position };
+
+      case 'field':
+        return this.parseField(token);
+
+      default:
+        throw new QuerySyntaxError('Expected a search term', token.position, token.length);
+    }
+  }
+
+  parseField(token) {
+    let { value } = token;
+    let valuePosition = token.position + token.name.length + 1;
+
+    // Allow a space after the colon ("tag: javascript")
+    if (!value) {
+      const following = this.peek();
+      if (following && (following.type === 'word' || following.type === 'phrase')) {
+        this.next();
+        value = following.value;
+        valuePosition = following.position;
+      }
+    }
+
+    if (!value) {
+      throw new QuerySyntaxError(`"${token.name}:" needs a value`, token.position, token.length);
+    }
+
+    const node = { type: 'field', field: token.field, value, position: token.position };
+
+    if (token.field === 'before' || token.field === 'after') {
+      Object.assign(node, parseDateValue(value, valuePosition));
+    }
+
+    if (token.field === 'has') {
+      node.value = value.toLowerCase();
+      if (!HAS_VALUES.includes(node.value)) {
+        throw new QuerySyntaxError(
+          `Unknown has: value "${value}". Try ${HAS_VALUES.map(v => 'has:' + v).join(', ')}`,
+          valuePosition,
+          value.length
+        );
+      }
+    }
+
+    return node;
+  }
+}
+
+/**
+ * Parse a query string into an AST
+ * Throws QuerySyntaxError for invalid syntax
+ */
+export function parseQuery(query) {
+  return new Parser(query).parse();
+}
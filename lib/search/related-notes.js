@@ -0,0 +1,93 @@
+/**
+ * Related Notes
+ * Find notes similar to a note (by embedding), notes that link to it (backlinks),
+ * and notes saved from or resembling the page being browsed
+ */
+
+import { getNoteText } from '../db/schema.js';
+import { normalizeUrl } from '../db/url-utils.js';
+
+// Most related notes shown
+export const RELATED_LIMIT = 5;
+
+// Characters of a page's text embedded to recall notes resembling it
+const PAGE_TEXT_CHARS = 2000;
+
+// Links in note text: http(s) URLs up to whitespace, quotes or brackets
+const LINK_PATTERN = /https?:\/\/[^\s<>"'`()[\]{}]+/gi;
+
+/**
+ * Get the normalized URLs a note's text links to (its own URL excluded)
+ */
+export function getNoteLinks(note) {
+  const own = note.url ? normalizeUrl(note.url) : null;
+  const links = new Set();
+
+  for (const match of getNoteText(note).matchAll(LINK_PATTERN)) {
+    // Drop sentence punctuation that follows a URL
+    const url = normalizeUrl(match[0].replace(/[.,;:!?]+$/, ''));
+    if (url && url !== own) {
+      links.add(url);
+    }
+  }
+
+  return links;
+}
+
+export class RelatedNotes {
+  constructor(database, vectorSearch, embeddings) {
+    this.db = database;
+    this.vectorSearch = vectorSearch;
+    this.embeddings = embeddings;
+  }
+
+  /**
+   * Notes most similar to a note, each with its similarity score
+   * (empty when the note has no embedding)
+   */
+  async getRelated(noteId, limit = RELATED_LIMIT) {
+    return this.vectorSearch.findSimilar(noteId, limit);
+  }
+
+  /**
+   * Notes whose content, highlights or article link to the note's URL
+   */
+  async getBacklinks(note, limit = 20) {
+    if (!note.url) return [];
+
+    const target = normalizeUrl(note.url);
+    if (!target) return [];
+
+    // Only parse links in notes that mention the host at all
+    const host = target.split('/')[0];
+    return this.db.findNotes(
+      other => other.id !== note.id &&
+        getNoteText(other).toLowerCase().includes(host) &&
+        getNoteLinks(other).has(target),
+      { limit }
+    );
+  }
+
+  /**
+   * Saved notes that resemble a page ({ url, title, description, excerpt }),
+   * excluding the page's own notes
+   */
+  async recallForPage(page, options = {}) {
+    const { limit = RELATED_LIMIT, minScore = 0.5 } = options;
+
+    const text = [page.title, page.description, page.excerpt]
+      .filter(Boolean)
+      .join('\n\n')
+      .slice(0, PAGE_TEXT_CHARS);
+    if (!text.trim()) return [];
+
+    const vector = await this.embeddings.embed(text);
+    if (!vector) return [];
+
+    const target = normalizeUrl(page.url);
+    const results = await this.vectorSearch.search(vector, { limit: limit + 3, threshold: minScore });
+    return results
+      .filter(note => !note.url || normalizeUrl(note.url) !== target)
+      .slice(0, limit);
+  }
+}
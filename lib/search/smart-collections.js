@@ -0,0 +1,121 @@
+/**
+ * Smart Collections
+ * Evaluate saved searches as live collections of notes
+ */
+
+import { parseQuery } from './query-parser.js';
+import { getQueryText } from './query-filter.js';
+
+// Most notes a collection shows
+export const COLLECTION_LIMIT = 200;
+
+// Delay before re-evaluating after a burst of changes
+const REFRESH_DELAY_MS = 500;
+
+// Database events that can change what a collection contains
+const WATCHED_EVENTS = ['note-saved', 'note-deleted', 'saved-searches-changed', 'imported'];
+
+export class SmartCollections {
+  constructor(database, vectorSearch, embeddings) {
+    this.db = database;
+    this.vectorSearch = vectorSearch;
+    this.embeddings = embeddings;
+  }
+
+  /**
+   * Get pinned saved searches
+   */
+  async getPinned() {
+    const savedSearches = await this.db.getSavedSearches();
+    return savedSearches.filter(s => s.pinned);
+  }
+
+  /**
+   * Run a saved search and return its notes in the collection's sort order
+   * Free text is ranked semantically only once the model is loaded; loading it
+   * just to refresh a collection would stall the panel
+   * Throws QuerySyntaxError if the stored query no longer parses
+   */
+  async evaluate(savedSearch) {
+    const ast = parseQuery(savedSearch.query);
+    const { semanticText } = getQueryText(ast);
+
+    let embedding = null;
+    if (semanticText && this.embeddings?.isLoaded) {
+      embedding = await this.embeddings.embed(semanticText);
+    }
+
+    const notes = await this.vectorSearch.query(ast, embedding, { limit: COLLECTION_LIMIT });
+    return this.sortNotes(notes, savedSearch.sortBy, savedSearch.sortOrder);
+  }
+
+  /**
+   * Sort notes by a field ('relevance' keeps the search ranking)
+   */
+  sortNotes(notes, sortBy = 'relevance', sortOrder = 'desc') {
+    if (sortBy === 'relevance') return notes;
+
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    return [...notes].sort((a, b) => {
+      if (sortBy === 'title') {
+        return direction * (a.title || '').localeCompare(b.title || '');
+      }
+      return direction * ((a[sortBy] || 0) - (b[sortBy] || 0));
+    });
+  }
+
+  /**
+   * Notes added since the collection was last opened
+   */
+  getNewNotes(savedSearch, notes) {
+    return notes.filter(note => note.createdAt > savedSearch.lastVisitedAt);
+  }
+
+  /**
+   * Evaluate every pinned collection for its counts
+   * Returns [{ savedSearch, total, newCount, error }]
+   */
+  async getSummaries() {
+    const pinned = await this.getPinned();
+
+    return Promise.all(pinned.map(async (savedSearch) => {
+      try {
+        const notes = await this.evaluate(savedSearch);
+        return {
+          savedSearch,
+          total: notes.length,
+          newCount: this.getNewNotes(savedSearch, notes).length,
+          error: null
+        };
+      } catch (error) {
+        return { savedSearch, total: 0, newCount: 0, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Record that a collection has been looked at
+   */
+  markVisited(id) {
+    return this.db.updateSavedSearch(id, { lastVisitedAt: Date.now() });
+  }
+
+  /**
+   * Call listener (debounced) whenever notes or saved searches change
+   * Returns an unsubscribe function
+   */
+  watch(listener) {
+    let timer = null;
+
+    const unsubscribe = this.db.subscribe((event) => {
+      if (!WATCHED_EVENTS.includes(event.type)) return;
+      clearTimeout(timer);
+      timer = setTimeout(listener, REFRESH_DELAY_MS);
+    });
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }
+}
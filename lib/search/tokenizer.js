@@ -0,0 +1,180 @@
+/**
+ * Tokenizer
+ * Split text into normalized, stemmed terms for the keyword index
+ */
+
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and',
+  'any', 'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below',
+  'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have',
+  'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more',
+  'most', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once',
+  'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same',
+  'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs',
+  'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+// Letters and digits, plus the symbols that make "c++", "c#" or "node.js" distinct terms
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[.'][\p{L}\p{N}]+)*[+#]*/gu;
+
+// ==================== Porter Stemmer ====================
+
+const STEP2_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+  ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+  ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+  ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const STEP3_SUFFIXES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+  ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+  'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+/**
+ * Reduce an English word to its stem (Porter, 1980)
+ */
+export function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a
+  if (/sses$/.test(w) || /ies$/.test(w)) {
+    w = w.slice(0, -2);
+  } else if (/[^s]s$/.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  // Step 1b
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2
+  for (const [suffix, replacement] of STEP2_SUFFIXES) {
+    if (w.endsWith(suffix)) {
+      const base = w.slice(0, -suffix.length);
+      if (MEASURE_GT_0.test(base)) w = base + replacement;
+      break;
+    }
+  }
+
+  // Step 3
+  for (const [suffix, replacement] of STEP3_SUFFIXES) {
+    if (w.endsWith(suffix)) {
+      const base = w.slice(0, -suffix.length);
+      if (MEASURE_GT_0.test(base)) w = base + replacement;
+      break;
+    }
+  }
+
+  // Step 4
+  for (const suffix of STEP4_SUFFIXES) {
+    if (w.endsWith(suffix)) {
+      const base = w.slice(0, -suffix.length);
+      if (MEASURE_GT_1.test(base) && (suffix !== 'ion' || /[st]$/.test(base))) {
+        w = base;
+      }
+      break;
+    }
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (startsWithY) w = 'y' + w.slice(1);
+  return w;
+}
+
+// ==================== Tokenizing ====================
+
+/**
+ * Normalize a raw token: lowercase, strip accents and possessives
+ */
+export function normalizeToken(token) {
+  return token
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/'s$/, '')
+    .replace(/'/g, '');
+}
+
+/**
+ * Turn one raw word into an index term, or null for stop words
+ */
+export function toTerm(word, options = {}) {
+  const normalized = normalizeToken(word);
+  if (!normalized) return null;
+  if (!options.keepStopWords && STOP_WORDS.has(normalized)) return null;
+  return options.stem === false ? normalized : stem(normalized);
+}
+
+/**
+ * Split text into raw words
+ */
+export function splitWords(text) {
+  return (text || '').match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Tokenize text into terms with their word positions
+ * Stop words are dropped but still advance the position so phrases stay aligned
+ * Returns [{ term, position }]
+ */
+export function tokenize(text, startPosition = 0) {
+  const tokens = [];
+  splitWords(text).forEach((word, i) => {
+    const term = toTerm(word);
+    if (term) tokens.push({ term, position: startPosition + i });
+  });
+  return tokens;
+}
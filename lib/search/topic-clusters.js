@@ -0,0 +1,188 @@
+/**
+ * Topic Clusters
+ * Group the library into topics by clustering note embeddings, and label each
+ * topic with the keywords that set it apart from the rest
+ */
+
+import { MetaKeys, generateId, getNoteText, normalizeTagName } from '../db/schema.js';
+import { chooseClusterCount, dot, normalize } from '../embeddings/clustering.js';
+import { splitWords, toTerm } from './tokenizer.js';
+
+// Keywords kept per topic, and how many of them make its label
+const KEYWORD_COUNT = 6;
+const LABEL_KEYWORDS = 3;
+
+// Titles shown per topic (the notes closest to its centroid)
+const SAMPLE_TITLES = 3;
+
+// Characters of each note's text read for keywords (titles and tags are always read)
+const KEYWORD_TEXT_CHARS = 2000;
+
+/**
+ * Distinct keywords of a note: unstemmed, no stop words, numbers or very short words
+ */
+function getNoteKeywords(note) {
+  const text = [
+    note.title,
+    (note.tags || []).join(' '),
+    getNoteText(note).slice(0, KEYWORD_TEXT_CHARS)
+  ].join('\n');
+
+  const keywords = new Set();
+  for (const word of splitWords(text)) {
+    const term = toTerm(word, { stem: false });
+    if (term && term.length >= 3 && !/^\d+$/.test(term)) {
+      keywords.add(term);
+    }
+  }
+  return keywords;
+}
+
+/**
+ * Pick each cluster's most distinctive keywords: common inside the cluster, rare outside
+ * clusters: arrays of notes; returns an array of keyword lists
+ */
+export function labelClusters(clusters) {
+  const noteKeywords = clusters.map(notes => notes.map(getNoteKeywords));
+  const total = clusters.reduce((sum, notes) => sum + notes.length, 0);
+
+  const documentFrequency = new Map();
+  for (const keywordSets of noteKeywords) {
+    for (const keywords of keywordSets) {
+      for (const keyword of keywords) {
+        documentFrequency.set(keyword, (documentFrequency.get(keyword) || 0) + 1);
+      }
+    }
+  }
+
+  return noteKeywords.map(keywordSets => {
+    const counts = new Map();
+    for (const keywords of keywordSets) {
+      for (const keyword of keywords) {
+        counts.set(keyword, (counts.get(keyword) || 0) + 1);
+      }
+    }
+
+    // A keyword must appear in two of the cluster's notes unless it has only one
+    const minCount = Math.min(2, keywordSets.length);
+    return [...counts]
+      .filter(([, count]) => count >= minCount)
+      .map(([keyword, count]) => ({
+        keyword,
+        score: (count / keywordSets.length) * Math.log(total / documentFrequency.get(keyword))
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.keyword.localeCompare(b.keyword))
+      .slice(0, KEYWORD_COUNT)
+      .map(entry => entry.keyword);
+  });
+}
+
+/**
+ * Tag name for a topic ("topic/rust-async")
+ */
+export function getTopicTagName(topic, prefix = 'topic') {
+  const name = topic.keywords.slice(0, 2).join('-') || topic.id.slice(0, 8);
+  return normalizeTagName(prefix ? `${prefix}/${name}` : name);
+}
+
+export class TopicClusters {
+  constructor(database, vectorSearch, embeddings) {
+    this.db = database;
+    this.vectorSearch = vectorSearch;
+    this.embeddings = embeddings;
+  }
+
+  /**
+   * Get the last clustering: { builtAt, topics: [{ id, label, keywords, titles, noteIds, centroid }] }
+   * or null if topics were never built
+   */
+  async getTopics() {
+    return this.db.getMeta(MetaKeys.TOPICS);
+  }
+
+  /**
+   * Cluster every note with an embedding into topics and store them
+   * options.k: number of topics (default: keep the current count, or choose from the library size)
+   * options.incremental: start from the current topics, so a refresh is quick and
+   *   topics keep their ids; otherwise start over
+   */
+  async build(options = {}) {
+    const { k = null, incremental = false } = options;
+
+    const embeddings = await this.vectorSearch.getEmbeddings();
+    const entries = [...embeddings].filter(([, embedding]) => embedding.vector);
+    if (entries.length < 4) {
+      throw new Error('Save a few more bookmarks before finding topics');
+    }
+
+    const previous = incremental ? await this.getTopics() : null;
+    const previousTopics = previous ? previous.topics : [];
+    const count = k || previousTopics.length || chooseClusterCount(entries.length);
+
+    const vectors = entries.map(([, embedding]) => normalize(embedding.vector));
+    const { assignments, centroids } = await this.embeddings.cluster(
+      vectors,
+      count,
+      previousTopics.map(topic => Float32Array.from(topic.centroid))
+    );
+
+    // Group notes by cluster, closest to the centroid first
+    const notesById = new Map((await this.db.getNotes(entries.map(([noteId]) => noteId))).map(n => [n.id, n]));
+    const clusters = centroids.map(() => []);
+    entries.forEach(([noteId], i) => {
+      const note = notesById.get(noteId);
+      if (note) {
+        clusters[assignments[i]].push({ note, similarity: dot(vectors[i], centroids[assignments[i]]) });
+      }
+    });
+    clusters.forEach(members => members.sort((a, b) => b.similarity - a.similarity));
+
+    const keywords = labelClusters(clusters.map(members => members.map(m => m.note)));
+
+    // Cluster i was seeded from previous topic i, so it keeps that topic's id
+    const topics = clusters
+      .map((members, i) => ({
+        id: previousTopics[i]?.id || generateId(),
+        label: keywords[i].slice(0, LABEL_KEYWORDS).join(' · ') || members[0]?.note.title || 'Untitled',
+        keywords: keywords[i],
+        titles: members.slice(0, SAMPLE_TITLES).map(m => m.note.title || 'Untitled'),
+        noteIds: members.map(m => m.note.id),
+        centroid: Array.from(centroids[i])
+      }))
+      .filter(topic => topic.noteIds.length > 0)
+      .sort((a, b) => b.noteIds.length - a.noteIds.length);
+
+    const record = { builtAt: Date.now(), topics };
+    await this.db.setMeta(MetaKeys.TOPICS, record);
+    return record;
+  }
+
+  /**
+   * Count notes with embeddings that the stored topics don't include (saved since)
+   */
+  async getUnclusteredCount(record) {
+    if (!record) return 0;
+
+    const clustered = new Set(record.topics.flatMap(topic => topic.noteIds));
+    const embeddings = await this.vectorSearch.getEmbeddings();
+    return [...embeddings.keys()].filter(noteId => !clustered.has(noteId)).length;
+  }
+
+  /**
+   * Tag each topic's notes with a tag named after the topic
+   * names: optional Map of topic id → tag name (default getTopicTagName(topic, prefix))
+   * Returns the number of notes changed
+   */
+  async tagTopics(topics, options = {}) {
+    const { prefix = 'topic', names = new Map() } = options;
+    let changed = 0;
+
+    for (const topic of topics) {
+      const name = names.get(topic.id) || getTopicTagName(topic, prefix);
+      changed += await this.db.retagNotes(topic.noteIds, { add: [name] });
+    }
+
+    return changed;
+  }
+}
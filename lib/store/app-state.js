@@ -15,14 +15,25 @@ export const AppState = {
       title: '',
       url: null,
       content: '',
+      highlights: [],
+      article: null,
       tags: [],
       favicon: null,
+      attachments: [], // Summaries of the saved note's files
+      pendingFiles: [], // Files dropped before the note was saved
       isSaving: false,
       isDirty: false,
       sessionId: null, // For tracking current note being edited
       isEditing: false // Track if editing existing note
     },
 
+    // Page open in the active tab: notes saved from it, and notes resembling it (when recall is on)
+    page: {
+      url: null,
+      notes: [],
+      related: []
+    },
+
     // Search state
     search: {
       query: '',
@@ -30,7 +41,8 @@ export const AppState = {
       isSearching: false,
       hasSearched: false,
       selectedIds: [],
-      error: null
+      error: null,
+      collectionId: null // Limit results to this collection (folder) and its sub-collections
     },
 
     // Browse state
@@ -43,7 +55,10 @@ export const AppState = {
       editingId: null,
       selectedIds: [],
       sortBy: 'updatedAt',
-      sortOrder: 'desc'
+      sortOrder: 'desc',
+      smartCollectionId: null, // Smart collection (saved search) being browsed
+      collectionId: null, // Collection (folder) being browsed
+      showCollectionTree: true
     },
 
     // Export state
@@ -79,6 +94,8 @@ export const AppState = {
     SEARCH: 'search',
     BROWSE: 'browse',
     EXPORT: 'export',
+    TAGS: 'tags',
+    TOPICS: 'topics',
     SETTINGS: 'settings'
   },
 
@@ -95,13 +112,15 @@ export const AppState = {
 
 /**
  * Create a notification object
+ * action: optional { label, onClick } shown as a button (e.g. Undo)
  */
-export function createNotification(message, type = 'info', duration = 3000) {
+export function createNotification(message, type = 'info', duration = 3000, action = null) {
   return {
     id: Date.now(),
     message,
     type,
     duration,
+    action,
     timestamp: Date.now()
   };
 }
@@ -114,6 +133,8 @@ export function getEmptyIngestState() {
     title: '',
     url: null,
     content: '',
+    highlights: [],
+    article: null,
     tags: [],
     favicon: null,
     isSaving: false,
@@ -0,0 +1,208 @@
+/**
+ * Collection Tree Component
+ * Sidebar listing collections as a tree; notes and collections can be dropped onto it
+ */
+
+import { div, span, button, clearElement } from '../utils/dom-helpers.js';
+import { formatNumber } from '../utils/formatters.js';
+import { groupByParent } from '../../lib/db/collection-tree.js';
+import { NOTE_DRAG_TYPE } from './note-card.js';
+
+// Drag data type for moving a collection (value is the collection id)
+const COLLECTION_DRAG_TYPE = 'application/x-super-bookmarks-collection';
+
+export class CollectionTree {
+  constructor(options = {}) {
+    this.collections = options.collections || [];
+    this.counts = options.counts || new Map();
+    this.activeId = options.activeId || null;
+    this.collapsedIds = new Set();
+
+    // Callbacks
+    this.onSelect = options.onSelect || (() => {});
+    this.onCreate = options.onCreate || (() => {});
+    this.onDropNotes = options.onDropNotes || (() => {});
+    this.onMoveCollection = options.onMoveCollection || (() => {});
+
+    this.element = null;
+    this.listElement = null;
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    this.element = div({ className: 'collection-tree' });
+
+    const header = div({ className: 'collection-tree-header' });
+    header.appendChild(span({ text: 'Collections' }));
+    header.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: '+',
+      title: 'New collection',
+      onClick: () => this.onCreate(null)
+    }));
+    this.element.appendChild(header);
+
+    this.listElement = div({ className: 'collection-tree-list' });
+    this.element.appendChild(this.listElement);
+
+    this.renderItems();
+    return this.element;
+  }
+
+  /**
+   * Render the tree rows
+   */
+  renderItems() {
+    if (!this.listElement) return;
+    clearElement(this.listElement);
+
+    // Dropping a collection here moves it to the top level
+    const allRow = this.createRow({ id: null, name: 'All bookmarks' }, 0, false);
+    this.listElement.appendChild(allRow);
+
+    const byParent = groupByParent(this.collections);
+    const visit = (parentId, depth) => {
+      for (const collection of byParent.get(parentId) || []) {
+        const hasChildren = byParent.has(collection.id);
+        this.listElement.appendChild(this.createRow(collection, depth, hasChildren));
+        if (hasChildren && !this.collapsedIds.has(collection.id)) {
+          visit(collection.id, depth + 1);
+        }
+      }
+    };
+    visit(null, 0);
+
+    if (this.collections.length === 0) {
+      this.listElement.appendChild(div({
+        className: 'collection-tree-empty text-sm text-muted',
+        text: 'Create a collection, then drag bookmarks onto it.'
+      }));
+    }
+  }
+
+  /**
+   * Create one row; collection.id is null for the "All bookmarks" row
+   */
+  createRow(collection, depth, hasChildren) {
+    const isRoot = collection.id === null;
+    const row = div({
+      className: `collection-tree-item ${collection.id === this.activeId ? 'active' : ''}`,
+      dataset: { id: collection.id || '' },
+      onClick: () => this.onSelect(collection.id)
+    });
+    row.style.paddingLeft = `${8 + depth * 14}px`;
+
+    if (hasChildren) {
+      const collapsed = this.collapsedIds.has(collection.id);
+      row.appendChild(button({
+        className: 'collection-tree-toggle',
+        html: collapsed ? '&#9656;' : '&#9662;',
+        title: collapsed ? 'Expand' : 'Collapse',
+        onClick: (e) => {
+          e.stopPropagation();
+          this.toggleCollapsed(collection.id);
+        }
+      }));
+    } else {
+      row.appendChild(span({ className: 'collection-tree-toggle' }));
+    }
+
+    row.appendChild(span({ className: 'collection-tree-name', text: collection.name }));
+
+    const count = this.counts.get(collection.id);
+    if (!isRoot && count) {
+      row.appendChild(span({
+        className: 'collection-tree-count',
+        text: formatNumber(count),
+        title: 'Bookmarks filed directly in this collection'
+      }));
+    }
+
+    if (!isRoot) {
+      row.draggable = true;
+      row.addEventListener('dragstart', (e) => {
+        e.stopPropagation();
+        e.dataTransfer.setData(COLLECTION_DRAG_TYPE, collection.id);
+        e.dataTransfer.effectAllowed = 'move';
+      });
+    }
+
+    this.setupDropTarget(row, collection.id);
+    return row;
+  }
+
+  /**
+   * Accept dropped notes (collection rows only) and dropped collections
+   */
+  setupDropTarget(row, collectionId) {
+    const accepts = (e) => {
+      const types = Array.from(e.dataTransfer.types);
+      return types.includes(COLLECTION_DRAG_TYPE) ||
+        (collectionId !== null && types.includes(NOTE_DRAG_TYPE));
+    };
+
+    row.addEventListener('dragover', (e) => {
+      if (!accepts(e)) return;
+      e.preventDefault();
+      row.classList.add('dragover');
+    });
+
+    row.addEventListener('dragleave', () => {
+      row.classList.remove('dragover');
+    });
+
+    row.addEventListener('drop', (e) => {
+      if (!accepts(e)) return;
+      e.preventDefault();
+      row.classList.remove('dragover');
+
+      const movedId = e.dataTransfer.getData(COLLECTION_DRAG_TYPE);
+      if (movedId) {
+        if (movedId !== collectionId) {
+          this.onMoveCollection(movedId, collectionId);
+        }
+        return;
+      }
+
+      try {
+        const noteIds = JSON.parse(e.dataTransfer.getData(NOTE_DRAG_TYPE));
+        if (Array.isArray(noteIds) && noteIds.length > 0) {
+          this.onDropNotes(noteIds, collectionId);
+        }
+      } catch (error) {
+        console.error('Invalid note drag data:', error);
+      }
+    });
+  }
+
+  /**
+   * Expand or collapse a collection's children
+   */
+  toggleCollapsed(id) {
+    if (this.collapsedIds.has(id)) {
+      this.collapsedIds.delete(id);
+    } else {
+      this.collapsedIds.add(id);
+    }
+    this.renderItems();
+  }
+
+  /**
+   * Replace the collections and their note counts, then re-render
+   */
+  setCollections(collections, counts = new Map()) {
+    this.collections = collections;
+    this.counts = counts;
+    this.renderItems();
+  }
+
+  /**
+   * Highlight the selected collection (null for all bookmarks)
+   */
+  setActive(id) {
+    this.activeId = id;
+    this.renderItems();
+  }
+}
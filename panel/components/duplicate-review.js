@@ -0,0 +1,135 @@
+/**
+ * Duplicate Review Component
+ * Lists groups of duplicate notes; pick the one to keep and merge the rest into it
+ */
+
+import { div, span, button, input, label } from '../utils/dom-helpers.js';
+import { formatDate, formatScore, formatUrl } from '../utils/formatters.js';
+
+const REASON_LABELS = {
+  url: 'Same page',
+  content: 'Same content'
+};
+
+export class DuplicateReview {
+  constructor(options = {}) {
+    // [{ notes, reasons, similarity }], notes ordered by which to keep
+    this.groups = options.groups || [];
+
+    // Callbacks: onMerge(keepId, mergeIds) resolves to true when the group was merged
+    this.onMerge = options.onMerge || (() => Promise.resolve(false));
+    this.onClose = options.onClose || (() => {});
+
+    this.element = null;
+    this.summary = null;
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    this.element = div({ className: 'tag-review duplicate-review' });
+
+    const header = div({ className: 'tag-review-header' });
+    this.summary = span({ className: 'text-sm' });
+    header.appendChild(this.summary);
+    header.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Close',
+      onClick: () => this.onClose()
+    }));
+    this.element.appendChild(header);
+
+    const list = div({ className: 'tag-review-list' });
+    this.groups.forEach((group, i) => list.appendChild(this.createGroup(group, i)));
+    this.element.appendChild(list);
+
+    this.updateSummary();
+    return this.element;
+  }
+
+  /**
+   * Create one group: a radio per note to choose the one kept
+   */
+  createGroup(group, index) {
+    const item = div({ className: 'duplicate-group' });
+
+    const reasons = group.reasons.map(reason => REASON_LABELS[reason] || reason);
+    if (group.similarity !== null) {
+      reasons.push(`${formatScore(group.similarity)} similar`);
+    }
+    item.appendChild(div({ className: 'duplicate-group-reason text-sm text-muted', text: reasons.join(' · ') }));
+
+    let keepId = group.notes[0].id;
+    group.notes.forEach((note, i) => {
+      const id = `duplicate-${index}-${i}`;
+      const row = div({ className: 'duplicate-note' });
+      row.appendChild(input({
+        type: 'radio',
+        name: `duplicate-${index}`,
+        id,
+        checked: i === 0,
+        onChange: () => { keepId = note.id; }
+      }));
+
+      const details = label({ className: 'duplicate-note-details', for: id });
+      details.appendChild(div({ className: 'tag-review-title', text: note.title || 'Untitled' }));
+      details.appendChild(div({
+        className: 'text-sm text-muted',
+        text: [
+          note.url ? formatUrl(note.url, 40) : 'No URL',
+          `${note.highlights?.length || 0} highlights`,
+          `${note.metadata?.wordCount || 0} words`,
+          `saved ${formatDate(note.createdAt)}`
+        ].join(' · ')
+      }));
+      row.appendChild(details);
+      item.appendChild(row);
+    });
+
+    const actions = div({ className: 'flex gap-sm mt-sm' });
+    const mergeBtn = button({
+      className: 'btn btn-primary btn-sm',
+      text: 'Merge into selected',
+      onClick: async () => {
+        mergeBtn.disabled = true;
+        const mergeIds = group.notes.map(note => note.id).filter(id => id !== keepId);
+        if (await this.onMerge(keepId, mergeIds)) {
+          this.removeGroup(group, item);
+        } else {
+          mergeBtn.disabled = false;
+        }
+      }
+    });
+    actions.appendChild(mergeBtn);
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Not duplicates',
+      onClick: () => this.removeGroup(group, item)
+    }));
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Drop a handled group from the list
+   */
+  removeGroup(group, item) {
+    this.groups = this.groups.filter(g => g !== group);
+    item.remove();
+    this.updateSummary();
+
+    if (this.groups.length === 0) {
+      this.onClose();
+    }
+  }
+
+  /**
+   * Show how many groups are left
+   */
+  updateSummary() {
+    const count = this.groups.length;
+    this.summary.textContent = `${count} group${count === 1 ? '' : 's'} of possible duplicates`;
+  }
+}
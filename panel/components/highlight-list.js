@@ -0,0 +1,184 @@
+/**
+ * Highlight List Component
+ * Shows the captured highlights of a note with edit, delete and reorder controls
+ */
+
+import { div, span, button, textarea, clearElement } from '../utils/dom-helpers.js';
+import { formatRelativeTime, formatUrl } from '../utils/formatters.js';
+import { renderMarkdown } from '../utils/markdown.js';
+
+export class HighlightList {
+  constructor(options = {}) {
+    this.highlights = options.highlights || [];
+    this.editable = options.editable !== false;
+
+    // Callbacks
+    this.onEdit = options.onEdit || (() => {});
+    this.onDelete = options.onDelete || (() => {});
+    this.onMove = options.onMove || (() => {});
+
+    this.element = null;
+    this.editingId = null;
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    this.element = div({ className: 'highlight-list' });
+    this.renderItems();
+    return this.element;
+  }
+
+  /**
+   * Render highlight items
+   */
+  renderItems() {
+    clearElement(this.element);
+
+    if (this.highlights.length === 0) {
+      this.element.appendChild(div({
+        className: 'text-sm text-muted',
+        text: 'No highlights yet. Select text on a page and right-click to add one.'
+      }));
+      return;
+    }
+
+    this.highlights.forEach((highlight, index) => {
+      this.element.appendChild(
+        highlight.id === this.editingId
+          ? this.createEditItem(highlight)
+          : this.createItem(highlight, index)
+      );
+    });
+  }
+
+  /**
+   * Create a read-only highlight item
+   */
+  createItem(highlight, index) {
+    const item = div({ className: 'highlight-item', dataset: { id: highlight.id } });
+
+    item.appendChild(renderMarkdown(highlight.text, 'highlight-text'));
+    if (highlight.comment) {
+      item.appendChild(div({ className: 'highlight-comment', text: highlight.comment }));
+    }
+
+    const meta = div({ className: 'highlight-meta' });
+    meta.appendChild(span({ text: formatRelativeTime(highlight.createdAt) }));
+    if (highlight.source?.url) {
+      meta.appendChild(span({ text: formatUrl(highlight.source.url, 30) }));
+    }
+    if (highlight.orphaned) {
+      meta.appendChild(span({
+        className: 'highlight-orphaned-label',
+        text: 'Not found on page',
+        title: 'This passage could not be located the last time the page was visited'
+      }));
+    }
+
+    if (this.editable) {
+      const actions = div({ className: 'highlight-actions' });
+
+      actions.appendChild(button({
+        className: 'btn btn-ghost btn-sm',
+        html: '&uarr;',
+        title: 'Move up',
+        disabled: index === 0,
+        onClick: () => this.onMove(highlight.id, -1)
+      }));
+
+      actions.appendChild(button({
+        className: 'btn btn-ghost btn-sm',
+        html: '&darr;',
+        title: 'Move down',
+        disabled: index === this.highlights.length - 1,
+        onClick: () => this.onMove(highlight.id, 1)
+      }));
+
+      actions.appendChild(button({
+        className: 'btn btn-ghost btn-sm',
+        text: 'Edit',
+        onClick: () => {
+          this.editingId = highlight.id;
+          this.renderItems();
+        }
+      }));
+
+      actions.appendChild(button({
+        className: 'btn btn-ghost btn-sm',
+        text: '×',
+        title: 'Delete highlight',
+        onClick: () => {
+          if (confirm('Delete this highlight?')) {
+            this.onDelete(highlight.id);
+          }
+        }
+      }));
+
+      meta.appendChild(actions);
+    }
+
+    item.appendChild(meta);
+    return item;
+  }
+
+  /**
+   * Create an inline editor for a highlight and its comment
+   */
+  createEditItem(highlight) {
+    const item = div({ className: 'highlight-item editing', dataset: { id: highlight.id } });
+
+    const editor = textarea({
+      className: 'form-textarea',
+      value: highlight.text
+    });
+    editor.style.minHeight = '80px';
+    item.appendChild(editor);
+
+    const commentEditor = textarea({
+      className: 'form-textarea mt-sm',
+      value: highlight.comment || '',
+      placeholder: 'Your comment on this passage (optional)'
+    });
+    commentEditor.style.minHeight = '60px';
+    item.appendChild(commentEditor);
+
+    const actions = div({ className: 'flex gap-sm mt-sm' });
+
+    actions.appendChild(button({
+      className: 'btn btn-primary btn-sm',
+      text: 'Save',
+      onClick: () => {
+        const text = editor.value.trim();
+        if (!text) return;
+        this.editingId = null;
+        this.onEdit(highlight.id, { text, comment: commentEditor.value.trim() });
+      }
+    }));
+
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Cancel',
+      onClick: () => {
+        this.editingId = null;
+        this.renderItems();
+      }
+    }));
+
+    item.appendChild(actions);
+
+    requestAnimationFrame(() => editor.focus());
+    return item;
+  }
+
+  /**
+   * Replace the highlights and re-render
+   */
+  setHighlights(highlights) {
+    this.highlights = highlights || [];
+    if (this.element) {
+      this.renderItems();
+    }
+  }
+}
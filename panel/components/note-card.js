@@ -4,7 +4,20 @@
  */
 
 import { createElement, div, span, button, input } from '../utils/dom-helpers.js';
-import { formatRelativeTime, formatUrl, formatScore, truncate } from '../utils/formatters.js';
+import { formatRelativeTime, formatUrl, formatScore, formatDate, formatNumber, truncate } from '../utils/formatters.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { isImageAttachment } from '../../lib/db/schema.js';
+import { RevisionHistory } from './revision-history.js';
+import { RelatedPanel } from './related-panel.js';
+
+// Drag data type for notes dropped onto collections (value is a JSON array of note ids)
+export const NOTE_DRAG_TYPE = 'application/x-super-bookmarks-notes';
+
+// Attachment thumbnails shown on a collapsed card
+const COLLAPSED_ATTACHMENTS = 4;
+
+// How long an attachment opened in a tab keeps its object URL
+const OPENED_ATTACHMENT_URL_LIFETIME = 60000;
 
 export class NoteCard {
   constructor(note, options = {}) {
@@ -13,6 +26,10 @@ export class NoteCard {
     this.isSelected = options.isSelected || false;
     this.showCheckbox = options.showCheckbox || false;
     this.showScore = options.showScore || false;
+    this.isNew = options.isNew || false;
+    this.draggable = options.draggable || false;
+    this.tagColors = options.tagColors || new Map();
+    this.historyVisible = false;
 
     // Callbacks
     this.onSelect = options.onSelect || (() => {});
@@ -20,6 +37,21 @@ export class NoteCard {
     this.onEdit = options.onEdit || (() => {});
     this.onDelete = options.onDelete || (() => {});
     this.onClick = options.onClick || (() => {});
+    this.onRemoveFromCollection = options.onRemoveFromCollection || null;
+    // Revision history (the History button is shown when getRevisions is given);
+    // onRestoreRevision resolves to the restored note
+    this.getRevisions = options.getRevisions || null;
+    this.onRestoreRevision = options.onRestoreRevision || (() => null);
+    // Related notes and backlinks shown when expanded (when getRelated is given)
+    this.getRelated = options.getRelated || null;
+    this.getBacklinks = options.getBacklinks || (() => Promise.resolve([]));
+    this.onOpenNote = options.onOpenNote || (() => {});
+    // Attachment thumbnails (shown when getAttachment is given); onDeleteAttachment
+    // resolves to the updated note
+    this.getAttachment = options.getAttachment || null;
+    this.onDeleteAttachment = options.onDeleteAttachment || null;
+    // Ids carried when the card is dragged (e.g. the whole selection)
+    this.getDragIds = options.getDragIds || ((note) => [note.id]);
 
     this.element = null;
   }
@@ -33,6 +65,10 @@ export class NoteCard {
       dataset: { id: this.note.id }
     });
 
+    if (this.draggable) {
+      this.setupDrag();
+    }
+
     // Header
     const header = div({ className: 'note-card-header' });
 
@@ -70,21 +106,32 @@ export class NoteCard {
     });
     header.appendChild(title);
 
+    // Added since the collection was last opened
+    if (this.isNew) {
+      header.appendChild(span({ className: 'note-card-new', text: 'New' }));
+    }
+
     this.element.appendChild(header);
 
     // Click handler for card (expand/collapse)
     this.element.addEventListener('click', (e) => {
       if (e.target.closest('.note-card-checkbox') ||
           e.target.closest('.note-card-actions') ||
-          e.target.closest('button')) {
+          e.target.closest('button') ||
+          e.target.closest('a')) {
         return;
       }
       this.toggle();
       this.onClick(this.note);
     });
 
+    // Passage that matched a semantic search
+    if (this.showScore && this.note.matchedChunk) {
+      this.element.appendChild(this.renderMatchedChunk(this.note.matchedChunk));
+    }
+
     // Excerpt (only when collapsed)
-    if (!this.isExpanded && this.note.excerpt) {
+    if (!this.isExpanded && this.note.excerpt && !(this.showScore && this.note.matchedChunk)) {
       const excerpt = div({
         className: 'note-card-excerpt',
         text: truncate(this.note.excerpt, 150)
@@ -92,6 +139,11 @@ export class NoteCard {
       this.element.appendChild(excerpt);
     }
 
+    // Screenshots and files
+    if (this.getAttachment && this.note.attachments?.length > 0) {
+      this.element.appendChild(this.renderAttachments(this.note.attachments));
+    }
+
     // Meta info
     const meta = div({ className: 'note-card-meta' });
 
@@ -124,8 +176,14 @@ export class NoteCard {
 
     // Tags
     if (this.note.tags && this.note.tags.length > 0) {
-      const tagsContainer = span({ text: this.note.tags.map(t => `#${t}`).join(' ') });
-      tagsContainer.style.color = 'var(--accent-secondary)';
+      const tagsContainer = span({ className: 'note-card-tags' });
+      for (const tag of this.note.tags) {
+        const tagEl = span({ className: 'note-card-tag', text: `#${tag}` });
+        if (this.tagColors.has(tag)) {
+          tagEl.style.color = this.tagColors.get(tag);
+        }
+        tagsContainer.appendChild(tagEl);
+      }
       meta.appendChild(tagsContainer);
     }
 
@@ -139,18 +197,46 @@ export class NoteCard {
     return this.element;
   }
 
+  /**
+   * Let the card be dragged onto a collection
+   */
+  setupDrag() {
+    this.element.draggable = true;
+
+    this.element.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(NOTE_DRAG_TYPE, JSON.stringify(this.getDragIds(this.note)));
+      e.dataTransfer.effectAllowed = 'copy';
+      this.element.classList.add('dragging');
+    });
+
+    this.element.addEventListener('dragend', () => {
+      this.element.classList.remove('dragging');
+    });
+  }
+
   /**
    * Render expanded content section
    */
   renderExpandedContent() {
     const content = div({ className: 'note-card-content' });
+    const highlights = this.note.highlights || [];
 
-    // Full content text
-    const contentText = div({
-      className: 'note-card-content-text',
-      text: this.note.content || '(No content)'
-    });
-    content.appendChild(contentText);
+    // Own notes
+    if (this.note.content) {
+      content.appendChild(renderMarkdown(this.note.content, 'note-card-content-text'));
+    } else if (highlights.length === 0 && !this.note.article) {
+      content.appendChild(div({ className: 'note-card-content-text', text: '(No content)' }));
+    }
+
+    // Captured highlights, in order
+    if (highlights.length > 0) {
+      content.appendChild(this.renderHighlights(highlights));
+    }
+
+    // Extracted article body
+    if (this.note.article) {
+      content.appendChild(this.renderArticle(this.note.article));
+    }
 
     // Action buttons
     const actions = div({ className: 'note-card-actions' });
@@ -177,22 +263,235 @@ export class NoteCard {
       actions.appendChild(openBtn);
     }
 
+    if (this.onRemoveFromCollection) {
+      const removeBtn = button({
+        className: 'btn btn-secondary btn-sm',
+        text: 'Remove from Collection',
+        onClick: (e) => {
+          e.stopPropagation();
+          this.onRemoveFromCollection(this.note);
+        }
+      });
+      actions.appendChild(removeBtn);
+    }
+
+    if (this.getRevisions) {
+      const historyBtn = button({
+        className: `btn btn-secondary btn-sm ${this.historyVisible ? 'active' : ''}`,
+        text: 'History',
+        onClick: (e) => {
+          e.stopPropagation();
+          this.toggleHistory();
+        }
+      });
+      actions.appendChild(historyBtn);
+    }
+
     const deleteBtn = button({
       className: 'btn btn-danger btn-sm',
       text: 'Delete',
       onClick: (e) => {
         e.stopPropagation();
-        if (confirm('Delete this bookmark?')) {
-          this.onDelete(this.note);
-        }
+        this.onDelete(this.note);
       }
     });
     actions.appendChild(deleteBtn);
 
     content.appendChild(actions);
+
+    if (this.getRevisions && this.historyVisible) {
+      const history = new RevisionHistory({
+        loadRevisions: () => this.getRevisions(this.note),
+        onRestore: async (revision) => {
+          const restored = await this.onRestoreRevision(this.note, revision);
+          if (restored) {
+            this.update({ ...this.note, ...restored });
+          }
+        }
+      });
+      content.appendChild(history.render());
+    }
+
+    if (this.getRelated) {
+      const related = new RelatedPanel({
+        sections: [
+          { title: 'Related', load: () => this.getRelated(this.note), emptyText: 'No similar bookmarks yet.' },
+          { title: 'Linked from', load: () => this.getBacklinks(this.note), emptyText: 'No bookmarks link here.' }
+        ],
+        onOpen: (note) => this.onOpenNote(note)
+      });
+      content.appendChild(related.render());
+    }
+
     this.element.appendChild(content);
   }
 
+  /**
+   * Show or hide the revision history panel
+   */
+  toggleHistory() {
+    this.historyVisible = !this.historyVisible;
+    this.update(this.note);
+  }
+
+  /**
+   * Render the passage that matched the search query
+   */
+  renderMatchedChunk(chunk) {
+    const match = div({ className: 'note-card-match' });
+
+    const label = chunk.source === 'highlight' ? 'Matching highlight'
+      : chunk.source === 'comment' ? 'Matching comment on a highlight'
+      : chunk.source === 'article' ? 'Matching article passage'
+      : chunk.source === 'attachment' ? 'Matching passage in an attached file'
+        : 'Matching passage';
+
+    match.appendChild(div({ className: 'note-card-match-label', text: label }));
+    match.appendChild(div({
+      className: 'note-card-match-text',
+      text: this.isExpanded ? chunk.text : truncate(chunk.text, 200)
+    }));
+
+    return match;
+  }
+
+  /**
+   * Render the highlight list
+   */
+  renderHighlights(highlights) {
+    const list = createElement('ol', { className: 'note-card-highlights' });
+
+    highlights.forEach(highlight => {
+      const item = createElement('li', {
+        className: `note-card-highlight ${highlight.orphaned ? 'orphaned' : ''}`
+      });
+      item.appendChild(renderMarkdown(highlight.text, 'note-card-highlight-text'));
+      if (highlight.comment) {
+        item.appendChild(div({ className: 'note-card-highlight-comment', text: highlight.comment }));
+      }
+
+      const meta = div({
+        className: 'note-card-highlight-meta',
+        text: formatRelativeTime(highlight.createdAt)
+      });
+      if (highlight.orphaned) {
+        meta.appendChild(span({
+          className: 'highlight-orphaned-label',
+          text: 'Not found on page',
+          title: 'This passage could not be located the last time the page was visited'
+        }));
+      }
+      item.appendChild(meta);
+
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Render attachment thumbnails (all of them when expanded, with delete buttons)
+   */
+  renderAttachments(attachments) {
+    const container = div({ className: 'note-card-attachments' });
+    const shown = this.isExpanded ? attachments : attachments.slice(0, COLLAPSED_ATTACHMENTS);
+
+    for (const attachment of shown) {
+      const item = div({
+        className: `note-card-attachment ${isImageAttachment(attachment) ? 'image' : 'file'}`,
+        title: attachment.name,
+        onClick: (e) => {
+          e.stopPropagation();
+          this.openAttachment(attachment);
+        }
+      });
+
+      if (isImageAttachment(attachment)) {
+        item.appendChild(this.renderThumbnail(attachment));
+      } else {
+        item.appendChild(span({ className: 'note-card-attachment-name', text: attachment.name }));
+      }
+
+      if (this.isExpanded && this.onDeleteAttachment) {
+        item.appendChild(button({
+          className: 'note-card-attachment-delete',
+          text: '×',
+          title: 'Delete attachment',
+          onClick: async (e) => {
+            e.stopPropagation();
+            const updated = await this.onDeleteAttachment(this.note, attachment);
+            if (updated) {
+              this.update({ ...this.note, ...updated });
+            }
+          }
+        }));
+      }
+
+      container.appendChild(item);
+    }
+
+    if (shown.length < attachments.length) {
+      container.appendChild(span({
+        className: 'note-card-attachment-more',
+        text: `+${attachments.length - shown.length}`
+      }));
+    }
+
+    return container;
+  }
+
+  /**
+   * Image thumbnail, loaded from the attachments store once rendered
+   */
+  renderThumbnail(attachment) {
+    const img = createElement('img', { alt: attachment.name });
+
+    this.getAttachment(attachment.id).then(record => {
+      if (!record?.blob) return;
+      const url = URL.createObjectURL(record.blob);
+      img.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+      img.addEventListener('error', () => URL.revokeObjectURL(url), { once: true });
+      img.src = url;
+    }).catch(error => {
+      console.error('Failed to load attachment:', error);
+    });
+
+    return img;
+  }
+
+  /**
+   * Open an attachment in a new tab
+   */
+  async openAttachment(attachment) {
+    const record = await this.getAttachment(attachment.id);
+    if (!record?.blob) return;
+
+    const url = URL.createObjectURL(record.blob);
+    window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), OPENED_ATTACHMENT_URL_LIFETIME);
+  }
+
+  /**
+   * Render the extracted article as a collapsible section
+   */
+  renderArticle(article) {
+    const details = createElement('details', { className: 'note-card-article' });
+
+    const info = [
+      article.byline,
+      article.publishedAt ? formatDate(article.publishedAt) : null,
+      `${formatNumber(article.wordCount || 0)} words`
+    ].filter(d => d).join(' · ');
+
+    details.appendChild(createElement('summary', { text: `Article (${info})` }));
+    details.appendChild(renderMarkdown(article.content, 'note-card-content-text'));
+
+    // Don't toggle the card when opening the article
+    details.addEventListener('click', (e) => e.stopPropagation());
+
+    return details;
+  }
+
   /**
    * Toggle expanded state
    */
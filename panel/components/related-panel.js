@@ -0,0 +1,89 @@
+/**
+ * Related Panel Component
+ * Lists the notes most similar to a note and the notes that link to it
+ */
+
+import { div, span, button, clearElement } from '../utils/dom-helpers.js';
+import { formatScore, formatUrl } from '../utils/formatters.js';
+
+export class RelatedPanel {
+  constructor(options = {}) {
+    // Lists shown: [{ title, load, emptyText }], where load resolves to an array of
+    // notes (related notes carry a score). Without emptyText an empty list is hidden
+    this.sections = options.sections || [];
+    this.onOpen = options.onOpen || (() => {});
+
+    this.element = null;
+  }
+
+  /**
+   * Render the component (lists fill in as they load)
+   */
+  render() {
+    this.element = div({ className: 'related-panel' });
+
+    // Clicks inside shouldn't toggle a surrounding card
+    this.element.addEventListener('click', (e) => e.stopPropagation());
+
+    for (const section of this.sections) {
+      const heading = div({ className: 'related-panel-heading', text: section.title });
+      const list = div({ className: 'related-list' });
+      this.element.appendChild(heading);
+      this.element.appendChild(list);
+      this.fill(section, heading, list);
+    }
+
+    return this.element;
+  }
+
+  /**
+   * Load a section's notes into its list
+   */
+  async fill(section, heading, list) {
+    list.appendChild(div({ className: 'text-sm text-muted', text: 'Loading...' }));
+
+    let notes;
+    try {
+      notes = await section.load();
+    } catch (error) {
+      console.error('Failed to load related notes:', error);
+      notes = [];
+    }
+
+    clearElement(list);
+    if (notes.length === 0) {
+      if (section.emptyText) {
+        list.appendChild(div({ className: 'text-sm text-muted', text: section.emptyText }));
+      } else {
+        heading.remove();
+        list.remove();
+      }
+      return;
+    }
+
+    for (const note of notes) {
+      list.appendChild(this.createItem(note));
+    }
+  }
+  /**
+   * Create one related note row
+   */
+  createItem(note) {
+    const item = div({ className: 'related-item' });
+
+    item.appendChild(button({
+      className: 'related-item-title',
+      text: note.title || 'Untitled',
+      title: note.url || '',
+      onClick: () => this.onOpen(note)
+    }));
+
+    if (note.score !== undefined) {
+      item.appendChild(span({ className: 'note-card-score', text: formatScore(note.score) }));
+    } else if (note.url) {
+      item.appendChild(span({ className: 'related-item-url', text: formatUrl(note.url, 24) }));
+    }
+
+    return item;
+  }
+}
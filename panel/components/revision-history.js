@@ -0,0 +1,206 @@
+/**
+ * Revision History Component
+ * Lists a note's revisions with a line diff against the one before, and restores old ones
+ */
+
+import { div, span, button, clearElement } from '../utils/dom-helpers.js';
+import { formatDateTime, formatRelativeTime } from '../utils/formatters.js';
+import { diffLines, summarizeDiff } from '../utils/line-diff.js';
+
+const ORIGIN_LABELS = {
+  original: 'Before history',
+  create: 'Created',
+  edit: 'Edited',
+  append: 'Highlight added',
+  import: 'Imported',
+  tags: 'Tags changed',
+  restore: 'Restored',
+  merge: 'Merged duplicates'
+};
+
+// Unchanged lines shown around each change; longer unchanged runs are collapsed
+const CONTEXT_LINES = 2;
+
+/**
+ * Flatten a revision into the text that is diffed
+ */
+export function revisionToText(revision) {
+  const lines = [`Title: ${revision.title}`];
+  if (revision.url) lines.push(`URL: ${revision.url}`);
+  if (revision.tags.length > 0) lines.push(`Tags: ${revision.tags.join(', ')}`);
+  lines.push('');
+
+  if (revision.content) {
+    lines.push(revision.content, '');
+  }
+
+  for (const highlight of revision.highlights) {
+    lines.push(...highlight.text.split('\n').map(line => `> ${line}`), '');
+    if (highlight.comment) {
+      lines.push(highlight.comment, '');
+    }
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+export class RevisionHistory {
+  constructor(options = {}) {
+    this.revisions = [];
+    this.expandedId = null;
+
+    // Callbacks
+    this.loadRevisions = options.loadRevisions || (() => Promise.resolve([]));
+    this.onRestore = options.onRestore || (() => {});
+
+    this.element = null;
+  }
+
+  /**
+   * Render the component (revisions load asynchronously)
+   */
+  render() {
+    this.element = div({ className: 'revision-history' });
+    this.element.appendChild(div({ className: 'text-sm text-muted', text: 'Loading history...' }));
+
+    // Clicks inside the panel shouldn't toggle the card
+    this.element.addEventListener('click', (e) => e.stopPropagation());
+
+    this.refresh();
+    return this.element;
+  }
+
+  /**
+   * Reload revisions (newest first) and re-render
+   */
+  async refresh() {
+    try {
+      this.revisions = await this.loadRevisions();
+    } catch (error) {
+      console.error('Failed to load revisions:', error);
+      this.revisions = [];
+    }
+    this.renderItems();
+  }
+
+  /**
+   * Render the revision rows
+   */
+  renderItems() {
+    if (!this.element) return;
+    clearElement(this.element);
+
+    if (this.revisions.length === 0) {
+      this.element.appendChild(div({ className: 'text-sm text-muted', text: 'No history yet.' }));
+      return;
+    }
+
+    this.revisions.forEach((revision, i) => {
+      const previous = this.revisions[i + 1] || null;
+      this.element.appendChild(this.createRow(revision, previous, i === 0));
+    });
+  }
+
+  /**
+   * Create one revision row; the newest revision is the note's current state
+   */
+  createRow(revision, previous, isCurrent) {
+    const diff = diffLines(previous ? revisionToText(previous) : '', revisionToText(revision));
+    const { inserted, deleted } = summarizeDiff(diff);
+    const isExpanded = revision.id === this.expandedId;
+
+    const row = div({ className: `revision-item ${isExpanded ? 'expanded' : ''}` });
+
+    const header = div({
+      className: 'revision-header',
+      onClick: () => this.toggle(revision.id)
+    });
+    header.appendChild(span({
+      className: 'revision-time',
+      text: formatRelativeTime(revision.createdAt),
+      title: formatDateTime(revision.createdAt)
+    }));
+    const origin = ORIGIN_LABELS[revision.origin] || revision.origin;
+    header.appendChild(span({
+      className: 'revision-origin',
+      text: isCurrent ? `${origin} (current)` : origin
+    }));
+
+    const stats = span({ className: 'revision-stats' });
+    stats.appendChild(span({ className: 'diff-stat-insert', text: `+${inserted}` }));
+    stats.appendChild(span({ className: 'diff-stat-delete', text: `−${deleted}` }));
+    header.appendChild(stats);
+
+    if (!isCurrent) {
+      header.appendChild(button({
+        className: 'btn btn-secondary btn-sm',
+        text: 'Restore',
+        title: 'Make this revision the current version',
+        onClick: (e) => {
+          e.stopPropagation();
+          if (confirm('Restore this revision? The current version stays in the history.')) {
+            this.onRestore(revision);
+          }
+        }
+      }));
+    }
+
+    row.appendChild(header);
+
+    if (isExpanded) {
+      row.appendChild(this.renderDiff(diff));
+    }
+
+    return row;
+  }
+
+  /**
+   * Render a diff, collapsing unchanged runs longer than the context around changes
+   */
+  renderDiff(diff) {
+    const container = div({ className: 'revision-diff' });
+    const changed = diff.map(line => line.type !== 'equal');
+    const nearChange = (i) => {
+      for (let k = Math.max(0, i - CONTEXT_LINES); k <= Math.min(diff.length - 1, i + CONTEXT_LINES); k++) {
+        if (changed[k]) return true;
+      }
+      return false;
+    };
+
+    let skipped = 0;
+    const flushSkipped = () => {
+      if (skipped > 0) {
+        container.appendChild(div({
+          className: 'diff-line diff-skip',
+          text: `… ${skipped} unchanged line${skipped === 1 ? '' : 's'}`
+        }));
+        skipped = 0;
+      }
+    };
+
+    diff.forEach((line, i) => {
+      if (line.type === 'equal' && !nearChange(i)) {
+        skipped++;
+        return;
+      }
+      flushSkipped();
+
+      const prefix = line.type === 'insert' ? '+ ' : line.type === 'delete' ? '− ' : '  ';
+      container.appendChild(div({
+        className: `diff-line diff-${line.type}`,
+        text: prefix + line.text
+      }));
+    });
+    flushSkipped();
+
+    return container;
+  }
+
+  /**
+   * Expand or collapse a revision's diff
+   */
+  toggle(id) {
+    this.expandedId = this.expandedId === id ? null : id;
+    this.renderItems();
+  }
+}
@@ -1,9 +1,13 @@
 /**
  * Tag Input Component
  * Allows adding and removing tags with autocomplete
+ * Nested tags ("research/ml") are completed one level at a time
+ * Suggested tags (e.g. from the note's embedding) can be shown below for one-click accept
  */
 
 import { createElement, div, span, button, input } from '../utils/dom-helpers.js';
+import { normalizeTagName } from '../../lib/db/schema.js';
+import { getTagSuggestions, TAG_SEPARATOR } from '../../lib/db/tag-tree.js';
 
 export class TagInput {
   constructor(options = {}) {
@@ -11,12 +15,18 @@ export class TagInput {
     this.placeholder = options.placeholder || 'Add tags...';
     this.onChange = options.onChange || (() => {});
     this.getSuggestions = options.getSuggestions || (() => Promise.resolve([]));
+    this.onAcceptSuggestion = options.onAcceptSuggestion || ((tag) => this.addTag(tag));
 
     this.element = null;
     this.inputEl = null;
     this.suggestionsEl = null;
     this.highlightedIndex = -1;
     this.suggestions = [];
+
+    // Suggested tags shown below the input: [{ name, score }]
+    this.suggestedEl = null;
+    this.suggestedTags = [];
+    this.suggestedLabel = '';
   }
 
   /**
@@ -47,8 +57,12 @@ export class TagInput {
     // Suggestions dropdown
     this.suggestionsEl = div({ className: 'tag-suggestions', style: { display: 'none' } });
 
+    // Suggested tags
+    this.suggestedEl = div({ className: 'tag-suggested hidden' });
+
     this.element.appendChild(container);
     this.element.appendChild(this.suggestionsEl);
+    this.element.appendChild(this.suggestedEl);
 
     this.setupEventListeners();
 
@@ -96,7 +110,8 @@ export class TagInput {
     const value = this.inputEl.value.trim();
 
     if (value.length > 0) {
-      this.suggestions = await this.getSuggestions(value);
+      const tags = await this.getSuggestions(value);
+      this.suggestions = getTagSuggestions(tags, value);
       this.showSuggestions();
     } else {
       this.hideSuggestions();
@@ -107,13 +122,22 @@ export class TagInput {
    * Handle keyboard events
    */
   handleKeydown(e) {
+    const highlighted = this.suggestions[this.highlightedIndex];
+
     switch (e.key) {
-      case 'Enter':
       case 'Tab':
+        // Tab into a namespace to pick one of its tags next
+        if (highlighted?.hasChildren) {
+          e.preventDefault();
+          this.completeNamespace(highlighted.name);
+          break;
+        }
+        // falls through
+      case 'Enter':
       case ',':
         e.preventDefault();
-        if (this.highlightedIndex >= 0 && this.suggestions[this.highlightedIndex]) {
-          this.addTag(this.suggestions[this.highlightedIndex].displayName || this.suggestions[this.highlightedIndex].name);
+        if (highlighted) {
+          this.addTag(highlighted.name);
         } else if (this.inputEl.value.trim()) {
           this.addTag(this.inputEl.value.trim());
         }
@@ -145,18 +169,32 @@ export class TagInput {
    * Add a tag
    */
   addTag(tag) {
-    const normalized = tag.toLowerCase().trim();
+    const normalized = normalizeTagName(tag);
 
     if (normalized && !this.tags.includes(normalized)) {
       this.tags.push(normalized);
       this.rerender();
       this.onChange(this.tags);
+
+      if (this.suggestedTags.some(s => s.name === normalized)) {
+        this.suggestedTags = this.suggestedTags.filter(s => s.name !== normalized);
+        this.renderSuggestedTags();
+      }
     }
 
     this.inputEl.value = '';
     this.hideSuggestions();
   }
 
+  /**
+   * Fill in a namespace and suggest the tags under it
+   */
+  completeNamespace(name) {
+    this.inputEl.value = name + TAG_SEPARATOR;
+    this.inputEl.focus();
+    this.handleInput();
+  }
+
   /**
    * Remove a tag
    */
@@ -182,11 +220,11 @@ export class TagInput {
     this.highlightedIndex = -1;
 
     this.suggestions.forEach((suggestion, index) => {
-      const name = suggestion.displayName || suggestion.name || suggestion;
       const suggestionEl = div({
         className: 'tag-suggestion',
-        text: name,
-        onClick: () => this.addTag(name)
+        text: suggestion.hasChildren ? `${suggestion.name}${TAG_SEPARATOR}…` : suggestion.name,
+        title: suggestion.hasChildren ? 'Enter to add, Tab for nested tags' : '',
+        onClick: () => this.addTag(suggestion.name)
       });
 
       suggestionEl.addEventListener('mouseenter', () => {
@@ -239,6 +277,58 @@ export class TagInput {
     });
   }
 
+  /**
+   * Show suggested tags below the input
+   * suggestions: [{ name, score }]; label introduces them (e.g. which note they are for)
+   */
+  setSuggestedTags(suggestions, label = 'Suggested:') {
+    this.suggestedTags = suggestions.filter(s => !this.tags.includes(s.name));
+    this.suggestedLabel = label;
+    this.renderSuggestedTags();
+  }
+
+  /**
+   * Remove the suggested tags
+   */
+  clearSuggestedTags() {
+    this.setSuggestedTags([]);
+  }
+
+  /**
+   * Render the suggested tags as one-click chips
+   */
+  renderSuggestedTags() {
+    if (!this.suggestedEl) return;
+
+    this.suggestedEl.innerHTML = '';
+    this.suggestedEl.classList.toggle('hidden', this.suggestedTags.length === 0);
+    if (this.suggestedTags.length === 0) return;
+
+    this.suggestedEl.appendChild(span({ className: 'tag-suggested-label', text: this.suggestedLabel }));
+
+    for (const suggestion of this.suggestedTags) {
+      this.suggestedEl.appendChild(button({
+        className: 'tag-suggested-item',
+        type: 'button',
+        text: `+ ${suggestion.name}`,
+        title: `Add this tag (${Math.round(suggestion.score * 100)}% match)`,
+        onClick: () => {
+          this.suggestedTags = this.suggestedTags.filter(s => s !== suggestion);
+          this.renderSuggestedTags();
+          this.onAcceptSuggestion(suggestion.name);
+        }
+      }));
+    }
+
+    this.suggestedEl.appendChild(button({
+      className: 'tag-suggested-dismiss',
+      type: 'button',
+      text: '×',
+      title: 'Dismiss suggestions',
+      onClick: () => this.clearSuggestedTags()
+    }));
+  }
+
   /**
    * Re-render the tag list
    */
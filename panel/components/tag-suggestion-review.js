@@ -0,0 +1,123 @@
+/**
+ * Tag Suggestion Review Component
+ * Lists untagged notes with suggested tags to pick from before applying them
+ */
+
+import { div, span, button, clearElement } from '../utils/dom-helpers.js';
+
+export class TagSuggestionReview {
+  constructor(options = {}) {
+    // [{ note, suggestions: [{ name, score }] }]
+    this.results = options.results || [];
+
+    // Callbacks
+    this.onApply = options.onApply || (() => {});
+    this.onClose = options.onClose || (() => {});
+
+    // noteId → Set of accepted tag names; each note's best suggestion starts accepted
+    this.accepted = new Map(this.results.map(({ note, suggestions }) => [
+      note.id,
+      new Set(suggestions.slice(0, 1).map(s => s.name))
+    ]));
+
+    this.element = null;
+    this.applyBtn = null;
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    this.element = div({ className: 'tag-review' });
+
+    const header = div({ className: 'tag-review-header' });
+    header.appendChild(span({
+      className: 'text-sm',
+      text: `Suggested tags for ${this.results.length} untagged bookmark${this.results.length === 1 ? '' : 's'}`
+    }));
+
+    const actions = div({ className: 'flex gap-sm' });
+    this.applyBtn = button({
+      className: 'btn btn-primary btn-sm',
+      onClick: () => this.handleApply()
+    });
+    actions.appendChild(this.applyBtn);
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Close',
+      onClick: () => this.onClose()
+    }));
+    header.appendChild(actions);
+    this.element.appendChild(header);
+
+    const list = div({ className: 'tag-review-list' });
+    for (const result of this.results) {
+      list.appendChild(this.createRow(result));
+    }
+    this.element.appendChild(list);
+
+    this.updateApplyButton();
+    return this.element;
+  }
+
+  /**
+   * Create one note row with toggleable suggestions
+   */
+  createRow({ note, suggestions }) {
+    const row = div({ className: 'tag-review-item' });
+    row.appendChild(div({ className: 'tag-review-title', text: note.title || 'Untitled', title: note.url || '' }));
+
+    const chips = div({ className: 'tag-review-tags' });
+    const accepted = this.accepted.get(note.id);
+
+    const renderChips = () => {
+      clearElement(chips);
+      for (const suggestion of suggestions) {
+        chips.appendChild(button({
+          className: `tag-suggested-item ${accepted.has(suggestion.name) ? 'accepted' : ''}`,
+          text: `${accepted.has(suggestion.name) ? '✓' : '+'} ${suggestion.name}`,
+          title: `${Math.round(suggestion.score * 100)}% match`,
+          onClick: () => {
+            if (accepted.has(suggestion.name)) {
+              accepted.delete(suggestion.name);
+            } else {
+              accepted.add(suggestion.name);
+            }
+            renderChips();
+            this.updateApplyButton();
+          }
+        }));
+      }
+    };
+    renderChips();
+
+    row.appendChild(chips);
+    return row;
+  }
+
+  /**
+   * Show how many tags Apply will add
+   */
+  updateApplyButton() {
+    const count = [...this.accepted.values()].reduce((sum, tags) => sum + tags.size, 0);
+    this.applyBtn.textContent = `Add ${count} tag${count === 1 ? '' : 's'}`;
+    this.applyBtn.disabled = count === 0;
+  }
+
+  /**
+   * Hand the accepted tags to the caller: Map of noteId → tag names
+   */
+  async handleApply() {
+    const assignments = new Map();
+    for (const [noteId, tags] of this.accepted) {
+      if (tags.size > 0) assignments.set(noteId, [...tags]);
+    }
+
+    this.applyBtn.disabled = true;
+    try {
+      await this.onApply(assignments);
+    } finally {
+      this.updateApplyButton();
+    }
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Tag Tree Component
+ * Sidebar listing tags by namespace ("research/ml" under "research") with note counts
+ */
+
+import { div, span, button, clearElement } from '../utils/dom-helpers.js';
+import { formatNumber } from '../utils/formatters.js';
+import { flattenTagTree, isTagWithin } from '../../lib/db/tag-tree.js';
+
+export class TagTree {
+  constructor(options = {}) {
+    this.tags = options.tags || [];
+    this.totals = options.totals || new Map();
+    this.collapsedNames = new Set();
+
+    // Callbacks
+    this.onSelect = options.onSelect || (() => {});
+
+    this.element = null;
+    this.listElement = null;
+  }
+
+  /**
+   * Render the component
+   */
+  render() {
+    this.element = div({ className: 'tag-tree' });
+
+    const header = div({ className: 'collection-tree-header' });
+    header.appendChild(span({ text: 'Tags' }));
+    this.element.appendChild(header);
+
+    this.listElement = div({ className: 'tag-tree-list' });
+    this.element.appendChild(this.listElement);
+
+    this.renderItems();
+    return this.element;
+  }
+
+  /**
+   * Render the tree rows, skipping the children of collapsed tags
+   */
+  renderItems() {
+    if (!this.listElement) return;
+    clearElement(this.listElement);
+
+    const nodes = flattenTagTree(this.tags, this.totals).filter(node => node.total > 0);
+    const collapsed = [...this.collapsedNames];
+
+    for (const node of nodes) {
+      if (collapsed.some(name => name !== node.name && isTagWithin(node.name, name))) continue;
+      this.listElement.appendChild(this.createRow(node));
+    }
+
+    if (nodes.length === 0) {
+      this.listElement.appendChild(div({
+        className: 'collection-tree-empty text-sm text-muted',
+        text: 'No tags yet. Use "parent/child" to nest them.'
+      }));
+    }
+  }
+
+  /**
+   * Create one row
+   */
+  createRow(node) {
+    const row = div({
+      className: 'collection-tree-item',
+      title: `Search #${node.name}`,
+      onClick: () => this.onSelect(node.name)
+    });
+    row.style.paddingLeft = `${8 + node.depth * 14}px`;
+
+    if (node.hasChildren) {
+      const collapsed = this.collapsedNames.has(node.name);
+      row.appendChild(button({
+        className: 'collection-tree-toggle',
+        html: collapsed ? '&#9656;' : '&#9662;',
+        title: collapsed ? 'Expand' : 'Collapse',
+        onClick: (e) => {
+          e.stopPropagation();
+          this.toggleCollapsed(node.name);
+        }
+      }));
+    } else {
+      row.appendChild(span({ className: 'collection-tree-toggle' }));
+    }
+
+    const color = this.tags.find(tag => tag.name === node.name)?.color;
+    row.appendChild(span({
+      className: 'collection-tree-name',
+      text: node.label,
+      style: color ? { color } : {}
+    }));
+
+    row.appendChild(span({
+      className: 'collection-tree-count',
+      text: formatNumber(node.total),
+      title: node.hasChildren ? 'Bookmarks with this tag or a tag nested under it' : 'Bookmarks with this tag'
+    }));
+
+    return row;
+  }
+
+  /**
+   * Expand or collapse a tag's children
+   */
+  toggleCollapsed(name) {
+    if (this.collapsedNames.has(name)) {
+      this.collapsedNames.delete(name);
+    } else {
+      this.collapsedNames.add(name);
+    }
+    this.renderItems();
+  }
+
+  /**
+   * Replace the tags and their aggregate counts
+   */
+  setTags(tags, totals) {
+    this.tags = tags;
+    this.totals = totals;
+    this.renderItems();
+  }
+}
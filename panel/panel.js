@@ -8,13 +8,34 @@ import { AppState, createNotification } from '../lib/store/app-state.js';
 import { getDatabase } from '../lib/db/database.js';
 import { EmbeddingClient } from '../lib/embeddings/embedding-client.js';
 import { VectorSearch } from '../lib/embeddings/vector-search.js';
+import { TagSuggester } from '../lib/embeddings/tag-suggester.js';
+import { SmartCollections } from '../lib/search/smart-collections.js';
+import { TopicClusters } from '../lib/search/topic-clusters.js';
+import { RelatedNotes } from '../lib/search/related-notes.js';
+import { DuplicateFinder } from '../lib/search/duplicates.js';
+import { indexNote } from '../lib/embeddings/note-indexer.js';
+import { canExtractText, extractAttachmentText, getFileType } from '../lib/attachments/attachment-text.js';
+import { ATTACHMENT_LIMITS } from '../lib/db/schema.js';
+import { parseTags } from './utils/formatters.js';
 
 import { IngestView } from './views/ingest-view.js';
 import { SearchView } from './views/search-view.js';
 import { BrowseView } from './views/browse-view.js';
 import { ExportView } from './views/export-view.js';
+import { SettingsView } from './views/settings-view.js';
+import { TrashView } from './views/trash-view.js';
+import { TagsView } from './views/tags-view.js';
+import { TopicsView } from './views/topics-view.js';
 
-import { $, $$, show, hide, toggle } from './utils/dom-helpers.js';
+import { $, $$, show, hide, toggle, debounce } from './utils/dom-helpers.js';
+
+// How long the Undo button stays up after deleting
+const UNDO_DURATION = 8000;
+
+// Database changes that can change which notes a page has
+const PAGE_NOTE_EVENTS = new Set([
+  'note-saved', 'note-deleted', 'notes-restored', 'imported', 'settings-changed'
+]);
 
 class PanelController {
   constructor() {
@@ -22,6 +43,14 @@ class PanelController {
     this.db = null;
     this.embeddings = new EmbeddingClient();
     this.vectorSearch = null;
+    this.collections = null;
+    this.tagSuggester = null;
+    this.topics = null;
+    this.related = null;
+    this.duplicates = null;
+
+    // Counts current-page lookups, so a slow one can't overwrite a newer one
+    this.pageRequest = 0;
 
     this.views = {};
     this.currentView = null;
@@ -36,13 +65,27 @@ class PanelController {
       // Initialize database
       this.db = await getDatabase();
       this.vectorSearch = new VectorSearch(this.db);
+      this.collections = new SmartCollections(this.db, this.vectorSearch, this.embeddings);
+      this.tagSuggester = new TagSuggester(this.db, this.vectorSearch);
+      this.topics = new TopicClusters(this.db, this.vectorSearch, this.embeddings);
+      this.related = new RelatedNotes(this.db, this.vectorSearch, this.embeddings);
+      this.duplicates = new DuplicateFinder(this.db, this.vectorSearch);
+
+      // Permanently delete notes that have been in the trash past the retention period
+      this.db.purgeExpiredTrash().catch(error => {
+        console.error('[Panel] Failed to purge trash:', error);
+      });
 
       // Initialize views
       this.views = {
         ingest: new IngestView(this),
         search: new SearchView(this),
         browse: new BrowseView(this),
-        export: new ExportView(this)
+        export: new ExportView(this),
+        tags: new TagsView(this),
+        topics: new TopicsView(this),
+        settings: new SettingsView(this),
+        trash: new TrashView(this)
       };
 
       // Set up event listeners
@@ -51,6 +94,7 @@ class PanelController {
       this.setupSelectionBar();
       this.setupModal();
       this.setupStateSubscriptions();
+      this.setupPageWatcher();
 
       // Show initial view
       this.showView('ingest');
@@ -58,6 +102,9 @@ class PanelController {
       // Check for pending actions from context menu
       await this.checkPendingActions();
 
+      // Embed notes captured in the page while the panel was closed
+      this.processEmbeddingQueue();
+
       console.log('[Panel] Initialized successfully');
     } catch (error) {
       console.error('[Panel] Initialization failed:', error);
@@ -81,6 +128,8 @@ class PanelController {
           this.handleAddSelection(pendingAction.payload);
         } else if (pendingAction.type === 'ADD_PAGE') {
           this.handleAddPage(pendingAction.payload);
+        } else if (pendingAction.type === 'QUICK_SEARCH') {
+          this.showView('search');
         }
       }
     } catch (error) {
@@ -88,6 +137,31 @@ class PanelController {
     }
   }
 
+  /**
+   * Embed notes saved outside the panel (by the in-page capture overlay), where
+   * the model can't run, and refresh the views that show them
+   */
+  async processEmbeddingQueue() {
+    try {
+      const noteIds = await this.db.takeEmbeddingQueue();
+      if (noteIds.length === 0) return;
+
+      for (const note of await this.db.getNotes(noteIds)) {
+        // Saved by the service worker's connection, so this one hasn't announced it
+        this.db.emit({ type: 'note-saved', note });
+
+        try {
+          await indexNote(this.db, this.embeddings, note);
+        } catch (error) {
+          console.error('[Panel] Failed to embed captured note:', error);
+        }
+      }
+      this.vectorSearch.invalidateCache();
+    } catch (error) {
+      console.error('[Panel] Failed to process the embedding queue:', error);
+    }
+  }
+
   /**
    * Set up navigation tab clicks
    */
@@ -105,8 +179,6 @@ class PanelController {
    */
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      console.log('[Panel] Received message:', message.type);
-
       switch (message.type) {
         case 'ADD_SELECTION':
           this.handleAddSelection(message.payload);
@@ -115,8 +187,26 @@ class PanelController {
         case 'ADD_PAGE':
           this.handleAddPage(message.payload);
           break;
+
+        case 'QUICK_SEARCH':
+          this.showView('search');
+          break;
+
+        case 'NOTE_CAPTURED':
+          this.processEmbeddingQueue();
+          break;
+
+        case 'SHOW_NOTIFICATION':
+          this.showNotification(message.payload.message, message.payload.type);
+          break;
+
+        default:
+          // Not for the panel (e.g. content script requests for the service worker);
+          // don't answer so the intended receiver's response wins
+          return false;
       }
 
+      console.log('[Panel] Received message:', message.type);
       sendResponse({ received: true });
       return true;
     });
@@ -189,6 +279,67 @@ class PanelController {
     );
   }
 
+  /**
+   * Keep the current page's notes (and the toolbar badges) up to date
+   * as tabs change and notes are saved
+   */
+  setupPageWatcher() {
+    const refreshPage = debounce(() => this.refreshCurrentPage(), 300);
+
+    chrome.tabs.onActivated.addListener(() => refreshPage());
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (changeInfo.status === 'complete' && tab.active) {
+        refreshPage();
+      }
+    });
+
+    const refreshBadges = debounce(() => {
+      chrome.runtime.sendMessage({ type: 'REFRESH_PAGE_BADGES' }).catch(() => {});
+    }, 1000);
+
+    this.unsubscribers.push(
+      this.db.subscribe(event => {
+        if (PAGE_NOTE_EVENTS.has(event.type)) {
+          refreshPage();
+          refreshBadges();
+        }
+      })
+    );
+
+    refreshPage();
+  }
+
+  /**
+   * Look up the notes saved from the active tab's page and, when recall is on,
+   * the notes that resemble it
+   */
+  async refreshCurrentPage() {
+    const request = ++this.pageRequest;
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const url = tab?.url || null;
+      const { pages } = await this.db.getSettings();
+      const { page: notes } = url ? await this.db.getPageNotes(url) : { page: [] };
+
+      let related = [];
+      if (url && pages.recall) {
+        // The page's own text comes from the content script (none on chrome:// pages)
+        const info = await chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_INFO' }).catch(() => null);
+        if (info) {
+          related = await this.related.recallForPage(info, { minScore: pages.recallMinScore });
+        }
+      }
+
+      // A newer tab switch has taken over
+      if (request !== this.pageRequest) return;
+
+      this.state.getState().page = { url, notes, related };
+    } catch (error) {
+      console.error('[Panel] Failed to look up notes for the current page:', error);
+    }
+  }
+
   /**
    * Switch to a different view
    */
@@ -225,7 +376,7 @@ class PanelController {
 
     // Wait for view to mount
     requestAnimationFrame(() => {
-      this.views.ingest.appendContent(payload.text, payload.url, payload.title, payload.favicon);
+      this.views.ingest.appendContent(payload.text, payload.url, payload.title, payload.favicon, payload.anchor);
     });
   }
 
@@ -236,10 +387,209 @@ class PanelController {
     this.showView('ingest');
 
     requestAnimationFrame(() => {
-      this.views.ingest.setPageInfo(payload.url, payload.title, payload.favicon);
+      this.views.ingest.setPageInfo(payload.url, payload.title, payload.favicon, payload.article);
     });
   }
 
+  /**
+   * Ask the active tab to re-paint its saved highlights (only while it shows `url`, when given)
+   */
+  async refreshPageHighlights(url) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab?.id) {
+        await chrome.tabs.sendMessage(tab.id, { type: 'REFRESH_HIGHLIGHTS', url });
+      }
+    } catch (error) {
+      // No content script in this tab (e.g. chrome:// pages), nothing to paint
+    }
+  }
+
+  /**
+   * Restore a note to one of its revisions and re-embed it
+   * Returns the restored note, or null if restoring failed
+   */
+  async restoreRevision(note, revision) {
+    try {
+      const restored = await this.db.restoreRevision(note.id, revision.id);
+
+      try {
+        await indexNote(this.db, this.embeddings, restored);
+        this.vectorSearch.invalidateCache();
+      } catch (error) {
+        // The restore is saved; the note just keeps its old embedding
+        console.error('Failed to re-embed restored note:', error);
+      }
+
+      this.showNotification('Revision restored', 'success');
+      return restored;
+    } catch (error) {
+      console.error('Failed to restore revision:', error);
+      this.showNotification('Failed to restore revision: ' + error.message, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Attach a file to a note, extracting the text of PDFs and text files for search
+   * (the caller re-embeds the note)
+   * Returns the attachment, or null if it was refused (the reason is shown)
+   */
+  async attachFile(noteId, file) {
+    let extracted = { text: '', pageCount: null };
+    if (canExtractText(file) && file.size <= ATTACHMENT_LIMITS.maxFileSize) {
+      try {
+        extracted = await extractAttachmentText(file);
+      } catch (error) {
+        // The file is still attached, just not searchable
+        console.error(`Failed to extract text from ${file.name}:`, error);
+        this.showNotification(`Couldn't read the text of "${file.name}": ${error.message}`, 'warning');
+      }
+    }
+
+    try {
+      return await this.db.addAttachment(noteId, {
+        kind: 'file',
+        name: file.name,
+        type: getFileType(file),
+        blob: file,
+        text: extracted.text,
+        pageCount: extracted.pageCount
+      });
+    } catch (error) {
+      console.error('Failed to attach file:', error);
+      this.showNotification('Failed to attach file: ' + error.message, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Permanently delete an attachment from a note, after confirming
+   * Returns the updated note, or null if cancelled or failed
+   */
+  async deleteAttachment(note, attachment) {
+    if (!confirm(`Delete "${attachment.name}"? This cannot be undone.`)) {
+      return null;
+    }
+
+    try {
+      const updated = await this.db.deleteAttachment(note.id, attachment.id);
+
+      // The file's text no longer belongs in the note's embedding
+      if (attachment.text) {
+        try {
+          await indexNote(this.db, this.embeddings, updated);
+          this.vectorSearch.invalidateCache();
+        } catch (error) {
+          console.error('Failed to re-embed note:', error);
+        }
+      }
+
+      this.showNotification('Attachment deleted', 'success');
+      return updated;
+    } catch (error) {
+      console.error('Failed to delete attachment:', error);
+      this.showNotification('Failed to delete attachment: ' + error.message, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Merge duplicate notes into the one kept and re-embed it; the others go to the trash
+   * Returns true if the notes were merged
+   */
+  async mergeNotes(keepId, mergeIds) {
+    try {
+      const merged = await this.db.mergeNotes(keepId, mergeIds);
+
+      try {
+        await indexNote(this.db, this.embeddings, merged);
+      } catch (error) {
+        // The merge is saved; the note just keeps its old embedding
+        console.error('Failed to re-embed merged note:', error);
+      }
+      this.vectorSearch.invalidateCache();
+
+      this.showNotification(
+        `Merged ${mergeIds.length + 1} bookmarks (the duplicates are in the trash)`,
+        'success'
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to merge notes:', error);
+      this.showNotification('Failed to merge bookmarks: ' + error.message, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Move notes to the trash, with an Undo button on the notification
+   * Returns the number of notes trashed
+   */
+  async trashNotes(ids) {
+    const count = await this.db.trashNotes(ids);
+    this.vectorSearch.invalidateCache();
+
+    this.showNotification(
+      `Moved ${count} bookmark${count === 1 ? '' : 's'} to the trash`,
+      'success',
+      UNDO_DURATION,
+      { label: 'Undo', onClick: () => this.restoreFromTrash(ids) }
+    );
+    return count;
+  }
+
+  /**
+   * Restore notes from the trash
+   * Returns the restored notes (empty if restoring failed)
+   */
+  async restoreFromTrash(ids) {
+    try {
+      const restored = await this.db.restoreFromTrash(ids);
+      this.vectorSearch.invalidateCache();
+      this.showNotification(`Restored ${restored.length} bookmark${restored.length === 1 ? '' : 's'}`, 'success');
+      return restored;
+    } catch (error) {
+      console.error('Failed to restore from trash:', error);
+      this.showNotification('Failed to restore: ' + error.message, 'error');
+      return [];
+    }
+  }
+
+  /**
+   * Ask which tags to add or remove (a leading "-" removes) and apply them to notes
+   * Returns the number of notes changed
+   */
+  async promptRetag(ids) {
+    const input = prompt(
+      `Tags for ${ids.length} bookmark${ids.length === 1 ? '' : 's'}: add tags, or remove them with a leading "-" (e.g. "rust -draft")`
+    );
+    if (!input || !input.trim()) return 0;
+
+    const words = input.split(/[,\s]+/).filter(Boolean);
+    const add = parseTags(words.filter(word => !word.startsWith('-')).join(' '));
+    const remove = parseTags(words.filter(word => word.startsWith('-')).map(word => word.slice(1)).join(' '));
+
+    try {
+      const count = await this.db.retagNotes(ids, { add, remove });
+      this.showNotification(`Updated tags on ${count} bookmark${count === 1 ? '' : 's'}`, 'success');
+      return count;
+    } catch (error) {
+      console.error('Failed to retag notes:', error);
+      this.showNotification('Failed to update tags: ' + error.message, 'error');
+      return 0;
+    }
+  }
+
+  /**
+   * Show the bookmarks carrying a tag (or a tag nested under it) in Search
+   */
+  searchTag(name) {
+    const value = /\s/.test(name) ? `"${name}"` : name;
+    this.showView('search');
+    this.views.search.runQuery(`tag:${value}`);
+  }
+
   /**
    * Update selection bar visibility
    */
@@ -321,9 +671,10 @@ class PanelController {
 
   /**
    * Show a notification
+   * action: optional { label, onClick } button, e.g. Undo
    */
-  showNotification(message, type = 'info', duration = 3000) {
-    const notification = createNotification(message, type, duration);
+  showNotification(message, type = 'info', duration = 3000, action = null) {
+    const notification = createNotification(message, type, duration, action);
     this.state.getState().ui.notification = notification;
   }
 
@@ -337,6 +688,17 @@ class PanelController {
     el.className = `notification ${notification.type}`;
     el.textContent = notification.message;
 
+    if (notification.action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'notification-action';
+      actionBtn.textContent = notification.action.label;
+      actionBtn.addEventListener('click', () => {
+        el.remove();
+        notification.action.onClick();
+      });
+      el.appendChild(actionBtn);
+    }
+
     container.appendChild(el);
 
     // Auto-remove
@@ -109,6 +109,43 @@ export function delegate(parent, selector, event, handler) {
   return () => parent.removeEventListener(event, listener);
 }
 
+/**
+ * Make an element a file drop zone: clicking it opens the file input, and files
+ * dropped on it or chosen in the input are passed to onFiles (as an array)
+ */
+export function setupDropZone(dropZone, fileInput, onFiles) {
+  // Click to browse
+  dropZone.addEventListener('click', () => fileInput.click());
+
+  // File input change
+  fileInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      onFiles(Array.from(e.target.files));
+      fileInput.value = '';
+    }
+  });
+
+  // Drag and drop
+  dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('dragover');
+  });
+
+  dropZone.addEventListener('dragleave', () => {
+    dropZone.classList.remove('dragover');
+  });
+
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('dragover');
+
+    const files = e.dataTransfer.files;
+    if (files.length > 0) {
+      onFiles(Array.from(files));
+    }
+  });
+}
+
 /**
  * Debounce function
  */
@@ -193,26 +193,3 @@ export function generateExcerpt(content, maxLength = 200) {
 
   return truncated + '...';
 }
-
-/**
- * Convert markdown-like formatting to HTML
- */
-export function simpleMarkdown(text) {
-  if (!text) return '';
-
-  return text
-    // Escape HTML first
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    // Bold
-    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-    // Italic
-    .replace(/\*(.+?)\*/g, '<em>$1</em>')
-    // Code
-    .replace(/`(.+?)`/g, '<code>$1</code>')
-    // Links
-    .replace(/\[(.+?)\]\((.+?)\)/g, '<a href="$2" target="_blank">$1</a>')
-    // Line breaks
-    .replace(/\n/g, '<br>');
-}
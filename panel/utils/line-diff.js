@@ -0,0 +1,91 @@
+/**
+ * Line Diff
+ * Line-by-line diff (longest common subsequence) for comparing note revisions
+ */
+
+// Above this many lines × lines in the changed middle, fall back to delete-all/insert-all
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Diff two texts by line
+ * Returns [{ type: 'equal' | 'delete' | 'insert', text }] in display order
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Unchanged head and tail don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(text => ({ type: 'equal', text }));
+  const tail = a.slice(endA).map(text => ({ type: 'equal', text }));
+  const middle = diffMiddle(a.slice(start, endA), b.slice(start, endB));
+
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * Count inserted and deleted lines in a diff
+ */
+export function summarizeDiff(diff) {
+  return {
+    inserted: diff.filter(line => line.type === 'insert').length,
+    deleted: diff.filter(line => line.type === 'delete').length
+  };
+}
+
+function splitLines(text) {
+  return text ? text.split('\n') : [];
+}
+
+/**
+ * LCS diff of the lines that differ
+ */
+function diffMiddle(a, b) {
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'delete', text })),
+      ...b.map(text => ({ type: 'insert', text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const cols = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = a[i] === b[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      result.push({ type: 'delete', text: a[i++] });
+    } else {
+      result.push({ type: 'insert', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'delete', text: a[i++] });
+  while (j < b.length) result.push({ type: 'insert', text: b[j++] });
+
+  return result;
+}
@@ -0,0 +1,364 @@
+/**
+ * Markdown Renderer
+ * Renders the markdown of captured selections and notes as DOM nodes. Output is built
+ * with createElement and text nodes only (never innerHTML), so page markup in a capture
+ * can't inject anything; links and images are limited to safe URL schemes.
+ * Supports headings, paragraphs (single newlines are line breaks), emphasis,
+ * strikethrough, inline code, fenced code blocks, quotes, nested lists, tables,
+ * links, images and bare URLs.
+ */
+
+import { createElement } from './dom-helpers.js';
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const IMAGE_PROTOCOLS = ['http:', 'https:'];
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Inline patterns, tried in order at each position
+const INLINE_PATTERNS = [
+  { type: 'escape', pattern: /\\([\\`*_{}[\]()#+\-.!|~>])/y },
+  { type: 'code', pattern: /(`+)([\s\S]*?[^`])\1(?!`)/y },
+  { type: 'image', pattern: /!\[((?:\\.|[^\]\\])*)\]\(\s*<?([^\s<>)]+)>?(?:\s+"[^"]*")?\s*\)/y },
+  { type: 'link', pattern: /\[((?:\\.|!\[(?:\\.|[^\]\\])*\]\([^)]*\)|[^\]\\])+)\]\(\s*<?([^\s<>)]+)>?(?:\s+"[^"]*")?\s*\)/y },
+  { type: 'strong', pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__(?!\w)/y },
+  { type: 'em', pattern: /\*(?=[^\s*])((?:\*\*[\s\S]*?\*\*|[^*])*?[^\s*])\*(?!\*)|_(?=\S)([\s\S]*?\S)_(?!\w)/y },
+  { type: 'strike', pattern: /~~(?=\S)([\s\S]*?\S)~~/y },
+  { type: 'url', pattern: /https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"\]]/y }
+];
+
+// Patterns that may not start in the middle of a word
+const WORD_BOUNDARY_TYPES = new Set(['url']);
+
+/**
+ * Parse a URL, allowing only the given schemes
+ */
+function safeUrl(url, protocols) {
+  try {
+    const parsed = new URL(url);
+    return protocols.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Render inline markdown into a parent element
+ */
+function renderInline(text, parent) {
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) {
+      parent.appendChild(document.createTextNode(buffer));
+      buffer = '';
+    }
+  };
+
+  outer:
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\n') {
+      flush();
+      parent.appendChild(createElement('br'));
+      i++;
+      continue;
+    }
+
+    if ('\\`![*_~h'.includes(char)) {
+      for (const { type, pattern } of INLINE_PATTERNS) {
+        if (WORD_BOUNDARY_TYPES.has(type) && i > 0 && /\w/.test(text[i - 1])) continue;
+        if (char === '_' && type === 'em' && i > 0 && /\w/.test(text[i - 1])) continue;
+
+        pattern.lastIndex = i;
+        const match = pattern.exec(text);
+        if (!match) continue;
+
+        // (read before rendering nested content, which reuses the same patterns)
+        const end = i + match[0].length;
+        const node = createInlineNode(type, match);
+        if (!node) continue;
+
+        flush();
+        parent.appendChild(node);
+        i = end;
+        continue outer;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+}
+
+/**
+ * Create the node for an inline match (null to treat the match as text)
+ */
+function createInlineNode(type, match) {
+  switch (type) {
+    case 'escape':
+      return document.createTextNode(match[1]);
+    case 'code':
+      return createElement('code', { text: match[2].replace(/^ ([\s\S]*) $/, '$1') });
+    case 'image': {
+      const src = safeUrl(match[2], IMAGE_PROTOCOLS);
+      if (!src) return null;
+      return createElement('img', {
+        src,
+        alt: match[1].replace(/\\(.)/g, '$1'),
+        loading: 'lazy',
+        referrerpolicy: 'no-referrer'
+      });
+    }
+    case 'link': {
+      const href = safeUrl(match[2], LINK_PROTOCOLS);
+      if (!href) return null;
+      const link = createElement('a', { href, target: '_blank', rel: 'noopener noreferrer' });
+      renderInline(match[1], link);
+      return link;
+    }
+    case 'url': {
+      const href = safeUrl(match[0], LINK_PROTOCOLS);
+      if (!href) return null;
+      return createElement('a', { href, target: '_blank', rel: 'noopener noreferrer', text: match[0] });
+    }
+    case 'strong':
+    case 'em':
+    case 'strike': {
+      const element = createElement(type === 'strike' ? 'del' : type);
+      renderInline(match[1] ?? match[2], element);
+      return element;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Split a table row into cells (pipes escaped with a backslash stay in the cell)
+ */
+function splitTableRow(line) {
+  return line.trim()
+    .replace(/^\||\|$/g, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Render a table from its header line, divider and body lines
+ */
+function renderTable(lines) {
+  const table = createElement('table');
+  const header = splitTableRow(lines[0]);
+
+  const headRow = createElement('tr');
+  header.forEach(cell => {
+    const th = createElement('th');
+    renderInline(cell, th);
+    headRow.appendChild(th);
+  });
+  table.appendChild(createElement('thead', {}, [headRow]));
+
+  const body = createElement('tbody');
+  for (const line of lines.slice(2)) {
+    const row = createElement('tr');
+    const cells = splitTableRow(line);
+    header.forEach((_, i) => {
+      const td = createElement('td');
+      renderInline(cells[i] || '', td);
+      row.appendChild(td);
+    });
+    body.appendChild(row);
+  }
+  table.appendChild(body);
+
+  return createElement('div', { className: 'markdown-table' }, [table]);
+}
+
+/**
+ * Render a list starting at lines[start]; nested items are indented further
+ * Returns { element, end } where end is the first line after the list
+ */
+function renderList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const list = createElement(ordered ? 'ol' : 'ul');
+  if (ordered && parseInt(first[2], 10) !== 1) {
+    list.setAttribute('start', parseInt(first[2], 10));
+  }
+
+  let i = start;
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+    // The item's text, then the lines that continue it (nested lists are indented)
+    const body = [match[3]];
+    const contentIndent = indent + match[2].length + 1;
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      const lineIndent = line.match(/^\s*/)[0].length;
+
+      if (!line.trim()) {
+        // A blank line ends the item unless the next line is indented under it
+        const next = lines[i + 1];
+        if (!next || !next.trim() || next.match(/^\s*/)[0].length <= indent) break;
+        body.push('');
+        i++;
+        continue;
+      }
+
+      const itemMatch = line.match(LIST_ITEM);
+      if (itemMatch && itemMatch[1].length <= indent) break;
+      if (body[body.length - 1] === '' && lineIndent <= indent) break;
+
+      body.push(line.slice(Math.min(lineIndent, contentIndent)));
+      i++;
+    }
+
+    const item = createElement('li');
+    renderBlocks(body.join('\n'), item, { tight: true });
+    list.appendChild(item);
+
+    // Skip a blank line between items of the same list
+    if (!lines[i]?.trim() && lines[i + 1]?.match(LIST_ITEM)?.[1].length === indent) {
+      i++;
+    }
+  }
+
+  return { element: list, end: i };
+}
+
+/**
+ * Render block-level markdown into a parent element
+ * options.tight: render a lone paragraph inline (inside list items)
+ */
+function renderBlocks(text, parent, options = {}) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+
+      const codeEl = createElement('code', { text: code.join('\n') });
+      if (fence[2]) {
+        codeEl.className = `language-${fence[2]}`;
+      }
+      const pre = createElement('pre', {}, [codeEl]);
+      if (fence[2]) {
+        pre.dataset.language = fence[2];
+      }
+      blocks.push(pre);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const element = createElement(`h${heading[1].length}`);
+      renderInline(heading[2], element);
+      blocks.push(element);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push(createElement('hr'));
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i++;
+      }
+      const quote = createElement('blockquote');
+      renderBlocks(quoted.join('\n'), quote);
+      blocks.push(quote);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { element, end } = renderList(lines, i);
+      blocks.push(element);
+      i = end;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) &&
+        lines[i + 1].includes('-')) {
+      const rows = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(lines[i]);
+        i++;
+      }
+      blocks.push(renderTable(rows));
+      continue;
+    }
+
+    // Paragraph: consecutive lines until a blank line or another block starts
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() &&
+           !FENCE.test(lines[i]) && !HEADING.test(lines[i]) && !QUOTE.test(lines[i]) &&
+           !RULE.test(lines[i]) && !LIST_ITEM.test(lines[i])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    const p = createElement('p');
+    renderInline(paragraph.map(l => l.trim()).join('\n'), p);
+    blocks.push(p);
+  }
+
+  // A list item holding one paragraph doesn't need the paragraph element
+  if (options.tight && blocks[0]?.tagName === 'P') {
+    const [first, ...rest] = blocks;
+    while (first.firstChild) parent.appendChild(first.firstChild);
+    rest.forEach(block => parent.appendChild(block));
+    return;
+  }
+
+  blocks.forEach(block => parent.appendChild(block));
+}
+
+/**
+ * Render markdown into a new element (a div with the "markdown" class plus className)
+ */
+export function renderMarkdown(text, className = '') {
+  const element = createElement('div', { className: `markdown ${className}`.trim() });
+  if (text) {
+    renderBlocks(text, element);
+  }
+  return element;
+}
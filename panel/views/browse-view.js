@@ -3,9 +3,14 @@
  * View and manage all bookmarks
  */
 
-import { div, button, span, clearElement } from '../utils/dom-helpers.js';
+import { div, button, span, clearElement, escapeHtml, debounce } from '../utils/dom-helpers.js';
 import { NoteCard } from '../components/note-card.js';
+import { CollectionTree } from '../components/collection-tree.js';
+import { TagTree } from '../components/tag-tree.js';
+import { TagSuggestionReview } from '../components/tag-suggestion-review.js';
+import { DuplicateReview } from '../components/duplicate-review.js';
 import { formatNumber } from '../utils/formatters.js';
+import { getDescendantIds, getCollectionPath } from '../../lib/db/collection-tree.js';
 
 export class BrowseView {
   constructor(controller) {
@@ -14,6 +19,19 @@ export class BrowseView {
     this.element = null;
     this.listContainer = null;
     this.unsubscribers = [];
+
+    // Smart collection being viewed, and when it had last been opened before this visit
+    this.activeCollection = null;
+    this.visitedId = null;
+    this.visitBaseline = 0;
+    this.newIds = new Set();
+
+    // Collection (folder) being viewed
+    this.activeFolder = null;
+    this.collectionTree = null;
+    this.tagTree = null;
+
+    this.tagColors = new Map();
   }
 
   /**
@@ -22,6 +40,42 @@ export class BrowseView {
   render() {
     this.element = div({ className: 'browse-view' });
 
+    // Smart collections (pinned saved searches)
+    this.collectionBar = div({ className: 'collection-bar hidden' });
+    this.element.appendChild(this.collectionBar);
+
+    // Collection tree sidebar beside the list
+    const layout = div({ className: 'browse-layout' });
+    this.element.appendChild(layout);
+
+    this.sidebar = div({
+      className: `browse-sidebar ${this.state.browse.showCollectionTree ? '' : 'hidden'}`
+    });
+    this.collectionTree = new CollectionTree({
+      activeId: this.state.browse.collectionId,
+      onSelect: (id) => this.selectFolder(id),
+      onCreate: (parentId) => this.handleCreateFolder(parentId),
+      onDropNotes: (noteIds, collectionId) => this.handleDropNotes(noteIds, collectionId),
+      onMoveCollection: (id, parentId) => this.handleMoveFolder(id, parentId)
+    });
+    this.sidebar.appendChild(this.collectionTree.render());
+
+    this.tagTree = new TagTree({
+      onSelect: (name) => this.controller.searchTag(name)
+    });
+    this.sidebar.appendChild(this.tagTree.render());
+    layout.appendChild(this.sidebar);
+
+    const main = div({ className: 'browse-main' });
+    layout.appendChild(main);
+
+    this.collectionHeader = div({ className: 'collection-header hidden' });
+    main.appendChild(this.collectionHeader);
+
+    // Suggested tags or possible duplicates, when requested
+    this.reviewContainer = div({ className: 'hidden' });
+    main.appendChild(this.reviewContainer);
+
     // Header with stats and controls
     const header = div({ className: 'flex justify-between items-center mb-md' });
 
@@ -32,6 +86,37 @@ export class BrowseView {
     // Sort controls
     const controls = div({ className: 'flex gap-sm items-center' });
 
+    controls.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Collections',
+      title: 'Show or hide the collection and tag trees',
+      onClick: () => this.toggleCollectionTree()
+    }));
+
+    this.suggestTagsBtn = button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Suggest Tags',
+      title: 'Suggest tags for untagged bookmarks from similar tagged ones',
+      onClick: () => this.handleSuggestTags()
+    });
+    controls.appendChild(this.suggestTagsBtn);
+
+    this.duplicatesBtn = button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Find Duplicates',
+      title: 'Find bookmarks saved more than once and merge them',
+      onClick: () => this.handleFindDuplicates()
+    });
+    controls.appendChild(this.duplicatesBtn);
+
+    this.trashBtn = button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Trash',
+      title: 'Deleted bookmarks',
+      onClick: () => this.controller.showView('trash')
+    });
+    controls.appendChild(this.trashBtn);
+
     const sortLabel = span({ className: 'text-sm text-muted', text: 'Sort:' });
     controls.appendChild(sortLabel);
 
@@ -39,30 +124,25 @@ export class BrowseView {
     sortSelect.className = 'form-input';
     sortSelect.style.width = 'auto';
     sortSelect.style.padding = '4px 8px';
-    sortSelect.innerHTML = `
-      <option value="updatedAt-desc">Recently Updated</option>
-      <option value="createdAt-desc">Newest First</option>
-      <option value="createdAt-asc">Oldest First</option>
-      <option value="title-asc">Title A-Z</option>
-    `;
-    sortSelect.value = `${this.state.browse.sortBy}-${this.state.browse.sortOrder}`;
     sortSelect.addEventListener('change', () => this.handleSortChange(sortSelect.value));
     controls.appendChild(sortSelect);
+    this.sortSelect = sortSelect;
+    this.updateSortOptions();
 
     header.appendChild(controls);
-    this.element.appendChild(header);
+    main.appendChild(header);
 
     // Bulk action bar
     this.bulkActionBar = div({ className: 'bulk-action-bar' });
-    this.element.appendChild(this.bulkActionBar);
+    main.appendChild(this.bulkActionBar);
 
     // List container
     this.listContainer = div({ className: 'browse-list' });
-    this.element.appendChild(this.listContainer);
+    main.appendChild(this.listContainer);
 
     // Pagination
     const pagination = div({ className: 'pagination', id: 'pagination' });
-    this.element.appendChild(pagination);
+    main.appendChild(pagination);
 
     return this.element;
   }
@@ -71,6 +151,40 @@ export class BrowseView {
    * Called when view is mounted
    */
   async mount() {
+    // Keep collections current as notes change
+    this.unsubscribers.push(
+      this.controller.collections.watch(() => this.handleCollectionsChanged())
+    );
+
+    // Bulk operations emit an event per note
+    const refreshTagTree = debounce(() => this.refreshTagTree(), 300);
+
+    this.unsubscribers.push(
+      this.controller.db.subscribe(event => {
+        if (event.type === 'collections-changed' || event.type === 'imported') {
+          this.handleFoldersChanged();
+        }
+        // Smart collections refresh through their watcher
+        if (event.type === 'notes-restored' && !this.state.browse.smartCollectionId) {
+          this.loadNotes();
+        }
+        if (event.type === 'trash-changed' || event.type === 'imported') {
+          this.updateTrashButton();
+        }
+        if (event.type === 'tags-changed') {
+          this.handleTagsChanged();
+        }
+        if (['tags-changed', 'note-saved', 'note-deleted', 'notes-restored', 'imported'].includes(event.type)) {
+          refreshTagTree();
+        }
+      })
+    );
+
+    this.updateTrashButton();
+    await this.loadTagColors();
+    await this.renderCollectionBar();
+    await this.refreshCollectionTree();
+    await this.refreshTagTree();
     await this.loadNotes();
   }
 
@@ -80,12 +194,40 @@ export class BrowseView {
   unmount() {
     this.unsubscribers.forEach(unsub => unsub());
     this.unsubscribers = [];
+    this.leaveCollection();
+  }
+
+  /**
+   * Fill the sort dropdown (collections can also keep search relevance order)
+   */
+  updateSortOptions() {
+    const collection = this.activeCollection;
+
+    this.sortSelect.innerHTML = `
+      ${collection ? '<option value="relevance-desc">Relevance</option>' : ''}
+      <option value="updatedAt-desc">Recently Updated</option>
+      <option value="createdAt-desc">Newest First</option>
+      <option value="createdAt-asc">Oldest First</option>
+      <option value="title-asc">Title A-Z</option>
+    `;
+
+    this.sortSelect.value = collection
+      ? `${collection.sortBy}-${collection.sortOrder}`
+      : `${this.state.browse.sortBy}-${this.state.browse.sortOrder}`;
   }
 
   /**
    * Load notes from database
    */
   async loadNotes() {
+    if (this.state.browse.smartCollectionId) {
+      return this.loadCollection();
+    }
+
+    if (this.state.browse.collectionId) {
+      return this.loadFolder();
+    }
+
     this.state.browse.isLoading = true;
     this.renderLoading();
 
@@ -116,14 +258,496 @@ export class BrowseView {
     }
   }
 
+  /**
+   * Load the notes of the active smart collection
+   * quiet: refresh in place without the loading spinner
+   */
+  async loadCollection(options = {}) {
+    const { smartCollectionId, currentPage, pageSize } = this.state.browse;
+
+    const savedSearch = (await this.controller.db.getSavedSearches()).find(s => s.id === smartCollectionId);
+    if (!savedSearch || !savedSearch.pinned) {
+      return this.selectCollection(null);
+    }
+
+    this.activeCollection = savedSearch;
+    this.renderCollectionHeader(savedSearch);
+    this.updateSortOptions();
+
+    // Opening a collection clears its new count; the badges use the previous visit
+    if (this.visitedId !== savedSearch.id) {
+      this.visitedId = savedSearch.id;
+      this.visitBaseline = savedSearch.lastVisitedAt;
+      await this.controller.collections.markVisited(savedSearch.id);
+    }
+
+    if (!options.quiet) {
+      this.state.browse.isLoading = true;
+      this.renderLoading();
+    }
+
+    try {
+      const notes = await this.controller.collections.evaluate(savedSearch);
+      const lastPage = Math.max(0, Math.ceil(notes.length / pageSize) - 1);
+      const page = Math.min(currentPage, lastPage);
+
+      this.newIds = new Set(notes.filter(n => n.createdAt > this.visitBaseline).map(n => n.id));
+      this.state.browse.currentPage = page;
+      this.state.browse.notes = notes.slice(page * pageSize, (page + 1) * pageSize);
+      this.state.browse.hasMore = (page + 1) * pageSize < notes.length;
+      this.state.browse.isLoading = false;
+
+      this.updateStats(notes.length, 'in this collection');
+      this.renderNotes();
+      this.updatePagination(notes.length);
+    } catch (error) {
+      console.error('Failed to load collection:', error);
+      this.state.browse.isLoading = false;
+      this.renderError(`Couldn't run "${savedSearch.query}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Switch between all bookmarks (null) and a smart collection
+   */
+  async selectCollection(id) {
+    if (this.activeCollection && this.activeCollection.id !== id) {
+      this.leaveCollection();
+    }
+
+    if (this.state.browse.collectionId) {
+      this.clearFolder();
+    }
+
+    this.state.browse.smartCollectionId = id;
+    this.state.browse.currentPage = 0;
+    this.state.browse.selectedIds = [];
+    this.renderBulkActionBar();
+
+    if (!id) {
+      this.activeCollection = null;
+      this.newIds = new Set();
+      this.collectionHeader.classList.add('hidden');
+      this.updateSortOptions();
+    }
+
+    await this.renderCollectionBar();
+    await this.loadNotes();
+  }
+
+  /**
+   * Stop viewing the active collection; what was shown counts as seen
+   */
+  leaveCollection() {
+    if (this.visitedId) {
+      this.controller.collections.markVisited(this.visitedId).catch(error => {
+        console.error('Failed to update collection:', error);
+      });
+    }
+    this.visitedId = null;
+  }
+
+  /**
+   * Re-evaluate counts and the open collection after notes or saved searches change
+   */
+  async handleCollectionsChanged() {
+    await this.renderCollectionBar();
+    if (this.state.browse.smartCollectionId) {
+      await this.loadCollection({ quiet: true });
+    }
+  }
+
+  /**
+   * Render the collection chips with their counts
+   */
+  async renderCollectionBar() {
+    const summaries = await this.controller.collections.getSummaries();
+
+    clearElement(this.collectionBar);
+    this.collectionBar.classList.toggle('hidden', summaries.length === 0);
+    if (summaries.length === 0) return;
+
+    const activeId = this.state.browse.smartCollectionId;
+
+    this.collectionBar.appendChild(button({
+      className: `collection-chip ${activeId || this.state.browse.collectionId ? '' : 'active'}`,
+      text: 'All',
+      onClick: () => this.selectCollection(null)
+    }));
+
+    for (const { savedSearch, total, newCount, error } of summaries) {
+      const isActive = savedSearch.id === activeId;
+      const chip = button({
+        className: `collection-chip ${isActive ? 'active' : ''}`,
+        title: error ? `Query error: ${error}` : savedSearch.query,
+        onClick: () => this.selectCollection(savedSearch.id)
+      });
+
+      chip.appendChild(span({ text: savedSearch.name }));
+      chip.appendChild(span({
+        className: `collection-count ${newCount > 0 && !isActive ? 'has-new' : ''}`,
+        text: error ? '!' : (newCount > 0 && !isActive ? `${newCount} new` : formatNumber(total))
+      }));
+
+      this.collectionBar.appendChild(chip);
+    }
+  }
+
+  /**
+   * Render the active collection's query and actions
+   */
+  renderCollectionHeader(savedSearch) {
+    clearElement(this.collectionHeader);
+    this.collectionHeader.classList.remove('hidden');
+
+    this.collectionHeader.appendChild(span({
+      className: 'collection-query',
+      text: savedSearch.query
+    }));
+
+    const actions = div({ className: 'flex gap-sm' });
+
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Rename',
+      onClick: () => this.handleRenameCollection(savedSearch)
+    }));
+
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Unpin',
+      title: 'Remove from Browse (stays in saved searches)',
+      onClick: () => this.handleUnpinCollection(savedSearch)
+    }));
+
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Delete',
+      onClick: () => this.handleDeleteCollection(savedSearch)
+    }));
+
+    this.collectionHeader.appendChild(actions);
+  }
+
+  /**
+   * Rename a collection
+   */
+  async handleRenameCollection(savedSearch) {
+    const name = prompt('Collection name', savedSearch.name);
+    if (!name || !name.trim() || name.trim() === savedSearch.name) return;
+
+    try {
+      await this.controller.db.updateSavedSearch(savedSearch.id, { name: name.trim() });
+    } catch (error) {
+      this.controller.showNotification('Failed to rename: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Unpin a collection from Browse
+   */
+  async handleUnpinCollection(savedSearch) {
+    try {
+      await this.controller.db.updateSavedSearch(savedSearch.id, { pinned: false });
+      await this.selectCollection(null);
+    } catch (error) {
+      this.controller.showNotification('Failed to unpin: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Delete a collection's saved search
+   */
+  async handleDeleteCollection(savedSearch) {
+    if (!confirm(`Delete the saved search "${savedSearch.name}"? Bookmarks are not affected.`)) {
+      return;
+    }
+
+    try {
+      this.visitedId = null;
+      await this.controller.db.deleteSavedSearch(savedSearch.id);
+      await this.selectCollection(null);
+      this.controller.showNotification('Saved search deleted', 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to delete: ' + error.message, 'error');
+    }
+  }
+
+  // ==================== Collections (folders) ====================
+
+  /**
+   * Reload the tree and counts
+   */
+  async refreshCollectionTree() {
+    const [collections, counts] = await Promise.all([
+      this.controller.db.getAllCollections(),
+      this.controller.db.getCollectionCounts()
+    ]);
+    this.collectionTree.setCollections(collections, counts);
+  }
+
+  /**
+   * Reload the tag tree and its aggregate counts
+   */
+  async refreshTagTree() {
+    const [tags, totals] = await Promise.all([
+      this.controller.db.getAllTags(),
+      this.controller.db.getTagTotals()
+    ]);
+    this.tagTree.setTags(tags, totals);
+  }
+
+  /**
+   * Refresh the tree and the open collection after collections or memberships change
+   */
+  async handleFoldersChanged() {
+    await this.refreshCollectionTree();
+    if (this.state.browse.collectionId) {
+      await this.loadFolder({ quiet: true });
+    }
+  }
+
+  /**
+   * Show how many notes are in the trash on the Trash button
+   */
+  async updateTrashButton() {
+    const count = await this.controller.db.getTrashCount();
+    this.trashBtn.textContent = count > 0 ? `Trash (${formatNumber(count)})` : 'Trash';
+  }
+
+  /**
+   * Show or hide the collection tree
+   */
+  toggleCollectionTree() {
+    this.state.browse.showCollectionTree = !this.state.browse.showCollectionTree;
+    this.sidebar.classList.toggle('hidden', !this.state.browse.showCollectionTree);
+  }
+
+  /**
+   * Switch between all bookmarks (null) and a collection
+   */
+  async selectFolder(id) {
+    // Collections and smart collections are not combined
+    if (this.state.browse.smartCollectionId) {
+      this.leaveCollection();
+      this.activeCollection = null;
+      this.newIds = new Set();
+      this.state.browse.smartCollectionId = null;
+      this.updateSortOptions();
+      await this.renderCollectionBar();
+    }
+
+    if (!id) {
+      this.clearFolder();
+    }
+
+    this.state.browse.collectionId = id;
+    this.state.browse.currentPage = 0;
+    this.state.browse.selectedIds = [];
+    this.renderBulkActionBar();
+    this.collectionTree.setActive(id);
+
+    await this.loadNotes();
+  }
+
+  /**
+   * Stop viewing the active collection
+   */
+  clearFolder() {
+    this.state.browse.collectionId = null;
+    this.activeFolder = null;
+    this.collectionHeader.classList.add('hidden');
+    this.collectionTree.setActive(null);
+  }
+
+  /**
+   * Load the notes filed in the active collection and its sub-collections
+   * quiet: refresh in place without the loading spinner
+   */
+  async loadFolder(options = {}) {
+    const { collectionId, currentPage, pageSize, sortBy, sortOrder } = this.state.browse;
+
+    const collections = await this.controller.db.getAllCollections();
+    const folder = collections.find(c => c.id === collectionId);
+    if (!folder) {
+      return this.selectFolder(null);
+    }
+
+    this.activeFolder = folder;
+    this.renderFolderHeader(folder, collections);
+
+    if (!options.quiet) {
+      this.state.browse.isLoading = true;
+      this.renderLoading();
+    }
+
+    try {
+      const notes = this.controller.collections.sortNotes(
+        await this.controller.db.getNotesInCollections(getDescendantIds(collections, folder.id)),
+        sortBy,
+        sortOrder
+      );
+      const lastPage = Math.max(0, Math.ceil(notes.length / pageSize) - 1);
+      const page = Math.min(currentPage, lastPage);
+
+      this.state.browse.currentPage = page;
+      this.state.browse.notes = notes.slice(page * pageSize, (page + 1) * pageSize);
+      this.state.browse.hasMore = (page + 1) * pageSize < notes.length;
+      this.state.browse.isLoading = false;
+
+      this.updateStats(notes.length, 'in this collection');
+      this.renderNotes();
+      this.updatePagination(notes.length);
+    } catch (error) {
+      console.error('Failed to load collection:', error);
+      this.state.browse.isLoading = false;
+      this.renderError(error.message);
+    }
+  }
+
+  /**
+   * Render the active collection's path and actions
+   */
+  renderFolderHeader(folder, collections) {
+    clearElement(this.collectionHeader);
+    this.collectionHeader.classList.remove('hidden');
+
+    this.collectionHeader.appendChild(span({
+      className: 'collection-path',
+      text: getCollectionPath(collections, folder.id)
+    }));
+
+    const actions = div({ className: 'flex gap-sm' });
+
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'New Sub-collection',
+      onClick: () => this.handleCreateFolder(folder.id)
+    }));
+
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Rename',
+      onClick: () => this.handleRenameFolder(folder)
+    }));
+
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Delete',
+      onClick: () => this.handleDeleteFolder(folder)
+    }));
+
+    this.collectionHeader.appendChild(actions);
+  }
+
+  /**
+   * Create a collection (parentId null for top level)
+   */
+  async handleCreateFolder(parentId) {
+    const name = prompt(parentId ? 'Sub-collection name' : 'Collection name');
+    if (!name || !name.trim()) return;
+
+    try {
+      await this.controller.db.createCollection({ name, parentId });
+      if (!this.state.browse.showCollectionTree) {
+        this.toggleCollectionTree();
+      }
+    } catch (error) {
+      this.controller.showNotification('Failed to create collection: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Rename a collection
+   */
+  async handleRenameFolder(folder) {
+    const name = prompt('Collection name', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) return;
+
+    try {
+      await this.controller.db.updateCollection(folder.id, { name });
+    } catch (error) {
+      this.controller.showNotification('Failed to rename: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Delete a collection and its sub-collections (bookmarks are kept)
+   */
+  async handleDeleteFolder(folder) {
+    if (!confirm(`Delete the collection "${folder.name}" and its sub-collections? Bookmarks are not deleted.`)) {
+      return;
+    }
+
+    try {
+      await this.controller.db.deleteCollection(folder.id);
+      await this.selectFolder(null);
+      this.controller.showNotification('Collection deleted', 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to delete: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Move a collection under another (null for top level)
+   */
+  async handleMoveFolder(id, parentId) {
+    try {
+      await this.controller.db.updateCollection(id, { parentId });
+    } catch (error) {
+      this.controller.showNotification('Failed to move: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * File dropped notes in a collection
+   */
+  async handleDropNotes(noteIds, collectionId) {
+    try {
+      const changed = await this.controller.db.addNotesToCollection(noteIds, collectionId);
+      const collection = this.collectionTree.collections.find(c => c.id === collectionId);
+      const name = collection ? collection.name : 'collection';
+
+      if (changed.length === 0) {
+        this.controller.showNotification(`Already in "${name}"`, 'info');
+      } else {
+        const count = changed.length;
+        this.controller.showNotification(
+          `Added ${count} bookmark${count > 1 ? 's' : ''} to "${name}"`,
+          'success'
+        );
+      }
+    } catch (error) {
+      this.controller.showNotification('Failed to add to collection: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Take a note out of the active collection (and any of its sub-collections)
+   */
+  async handleRemoveFromFolder(note) {
+    if (!this.activeFolder) return;
+
+    try {
+      const collections = this.collectionTree.collections;
+      await this.controller.db.removeNotesFromCollections(
+        [note.id],
+        getDescendantIds(collections, this.activeFolder.id)
+      );
+      this.controller.showNotification('Removed from collection', 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to remove: ' + error.message, 'error');
+    }
+  }
+
   /**
    * Update stats display
    */
-  updateStats(totalCount) {
+  updateStats(totalCount, label = 'bookmarks') {
     const statsEl = this.element.querySelector('#browse-stats');
     if (statsEl) {
       statsEl.innerHTML = `
-        <span class="text-muted">${formatNumber(totalCount)} bookmarks</span>
+        <span class="text-muted">${formatNumber(totalCount)} ${label}</span>
       `;
     }
   }
@@ -131,8 +755,20 @@ export class BrowseView {
   /**
    * Handle sort change
    */
-  handleSortChange(value) {
+  async handleSortChange(value) {
     const [sortBy, sortOrder] = value.split('-');
+
+    // Each collection keeps its own sort order
+    if (this.activeCollection) {
+      this.activeCollection = await this.controller.db.updateSavedSearch(
+        this.activeCollection.id,
+        { sortBy, sortOrder }
+      );
+      this.state.browse.currentPage = 0;
+      this.loadNotes();
+      return;
+    }
+
     this.state.browse.sortBy = sortBy;
     this.state.browse.sortOrder = sortOrder;
     this.state.browse.currentPage = 0;
@@ -168,20 +804,60 @@ export class BrowseView {
     notes.forEach(note => {
       const card = new NoteCard(note, {
         showCheckbox: true,
+        draggable: true,
+        getDragIds: (note) => this.getDragIds(note),
+        isNew: this.newIds.has(note.id),
+        tagColors: this.tagColors,
         isSelected: this.state.browse.selectedIds.includes(note.id),
         onSelect: (id, selected) => this.handleSelect(id, selected),
         onEdit: (note) => this.handleEdit(note),
-        onDelete: (note) => this.handleDelete(note)
+        onDelete: (note) => this.handleDelete(note),
+        getRevisions: (note) => this.controller.db.getRevisions(note.id),
+        onRestoreRevision: (note, revision) => this.handleRestoreRevision(note, revision),
+        getRelated: (note) => this.controller.related.getRelated(note.id),
+        getBacklinks: (note) => this.controller.related.getBacklinks(note),
+        getAttachment: (id) => this.controller.db.getAttachment(id),
+        onDeleteAttachment: (note, attachment) => this.controller.deleteAttachment(note, attachment),
+        onOpenNote: (note) => this.handleEdit(note),
+        onRemoveFromCollection: this.activeFolder ? (note) => this.handleRemoveFromFolder(note) : null
       });
 
       this.listContainer.appendChild(card.render());
     });
   }
 
+  /**
+   * Dragging a selected card carries the whole selection
+   */
+  getDragIds(note) {
+    const { selectedIds } = this.state.browse;
+    return selectedIds.includes(note.id) ? [...selectedIds] : [note.id];
+  }
+
   /**
    * Render empty state
    */
   renderEmpty() {
+    if (this.activeFolder) {
+      this.listContainer.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-title">This collection is empty</div>
+          <p class="empty-state-text">Drag bookmarks onto it in the collection tree to file them here.</p>
+        </div>
+      `;
+      return;
+    }
+
+    if (this.activeCollection) {
+      this.listContainer.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-title">Nothing here yet</div>
+          <p class="empty-state-text">Bookmarks matching this search will appear as you add them.</p>
+        </div>
+      `;
+      return;
+    }
+
     this.listContainer.innerHTML = `
       <div class="empty-state">
         <div class="empty-state-icon">&#128278;</div>
@@ -203,7 +879,7 @@ export class BrowseView {
       <div class="empty-state">
         <div class="empty-state-icon" style="color: var(--color-error);">!</div>
         <div class="empty-state-title">Failed to load</div>
-        <p class="empty-state-text">${message}</p>
+        <p class="empty-state-text">${escapeHtml(message)}</p>
         <button class="btn btn-secondary mt-md" onclick="location.reload()">Retry</button>
       </div>
     `;
@@ -293,13 +969,130 @@ export class BrowseView {
     this.bulkActionBar.innerHTML = `
       <span class="selected-count">${selectedCount} selected</span>
       <button class="btn btn-sm btn-secondary bulk-export">Export</button>
+      <button class="btn btn-sm btn-secondary bulk-tag">Tag</button>
       <button class="btn btn-sm btn-danger bulk-delete">Delete</button>
     `;
 
     this.bulkActionBar.querySelector('.bulk-export').onclick = () => this.handleBulkExport();
+    this.bulkActionBar.querySelector('.bulk-tag').onclick = () => this.controller.promptRetag(this.state.browse.selectedIds);
     this.bulkActionBar.querySelector('.bulk-delete').onclick = () => this.handleBulkDelete();
   }
 
+  /**
+   * Suggest tags for every untagged bookmark and show them for review
+   */
+  async handleSuggestTags() {
+    this.suggestTagsBtn.disabled = true;
+    this.suggestTagsBtn.textContent = 'Suggesting...';
+
+    try {
+      const results = await this.controller.tagSuggester.suggestForUntagged({ limit: 3 });
+      if (results.length === 0) {
+        this.closeReview();
+        this.controller.showNotification('No suggestions: every bookmark is tagged, or too few are tagged to learn from', 'info');
+        return;
+      }
+
+      const review = new TagSuggestionReview({
+        results,
+        onApply: (assignments) => this.applySuggestedTags(assignments),
+        onClose: () => this.closeReview()
+      });
+      clearElement(this.reviewContainer);
+      this.reviewContainer.appendChild(review.render());
+      this.reviewContainer.classList.remove('hidden');
+    } catch (error) {
+      console.error('Failed to suggest tags:', error);
+      this.controller.showNotification('Failed to suggest tags: ' + error.message, 'error');
+    } finally {
+      this.suggestTagsBtn.disabled = false;
+      this.suggestTagsBtn.textContent = 'Suggest Tags';
+    }
+  }
+
+  /**
+   * Add the accepted suggestions (Map of noteId → tags), one transaction per tag set
+   */
+  async applySuggestedTags(assignments) {
+    const groups = new Map();
+    for (const [noteId, tags] of assignments) {
+      const key = [...tags].sort().join('\n');
+      if (!groups.has(key)) groups.set(key, { tags, noteIds: [] });
+      groups.get(key).noteIds.push(noteId);
+    }
+
+    try {
+      let count = 0;
+      for (const { tags, noteIds } of groups.values()) {
+        count += await this.controller.db.retagNotes(noteIds, { add: tags });
+      }
+      this.closeReview();
+      this.controller.showNotification(`Tagged ${count} bookmark${count === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      console.error('Failed to apply tags:', error);
+      this.controller.showNotification('Failed to apply tags: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Find duplicate bookmarks and show them for review
+   */
+  async handleFindDuplicates() {
+    this.duplicatesBtn.disabled = true;
+    this.duplicatesBtn.textContent = 'Searching...';
+
+    try {
+      const groups = await this.controller.duplicates.find();
+      if (groups.length === 0) {
+        this.closeReview();
+        this.controller.showNotification('No duplicate bookmarks found', 'info');
+        return;
+      }
+
+      const review = new DuplicateReview({
+        groups,
+        onMerge: (keepId, mergeIds) => this.controller.mergeNotes(keepId, mergeIds),
+        onClose: () => this.closeReview()
+      });
+      clearElement(this.reviewContainer);
+      this.reviewContainer.appendChild(review.render());
+      this.reviewContainer.classList.remove('hidden');
+    } catch (error) {
+      console.error('Failed to find duplicates:', error);
+      this.controller.showNotification('Failed to find duplicates: ' + error.message, 'error');
+    } finally {
+      this.duplicatesBtn.disabled = false;
+      this.duplicatesBtn.textContent = 'Find Duplicates';
+    }
+  }
+
+  /**
+   * Hide the tag suggestions or duplicates
+   */
+  closeReview() {
+    clearElement(this.reviewContainer);
+    this.reviewContainer.classList.add('hidden');
+  }
+
+  /**
+   * Load tag colors for the note cards
+   */
+  async loadTagColors() {
+    const tags = await this.controller.db.getAllTags();
+    this.tagColors = new Map(tags.filter(tag => tag.color).map(tag => [tag.name, tag.color]));
+  }
+
+  /**
+   * Re-render the listed notes with their current tags and tag colors
+   */
+  async handleTagsChanged() {
+    await this.loadTagColors();
+    const ids = this.state.browse.notes.map(n => n.id);
+    const current = new Map((await this.controller.db.getNotes(ids)).map(n => [n.id, n]));
+    this.state.browse.notes = this.state.browse.notes.map(n => current.has(n.id) ? { ...n, ...current.get(n.id) } : n);
+    this.renderNotes();
+  }
+
   /**
    * Handle bulk export
    */
@@ -318,18 +1111,9 @@ export class BrowseView {
    */
   async handleBulkDelete() {
     const selectedIds = this.state.browse.selectedIds;
-    const count = selectedIds.length;
-
-    if (!confirm(`Delete ${count} bookmark${count > 1 ? 's' : ''}? This cannot be undone.`)) {
-      return;
-    }
 
     try {
-      for (const id of selectedIds) {
-        await this.controller.db.deleteNote(id);
-      }
-
-      this.controller.vectorSearch.invalidateCache();
+      await this.controller.trashNotes(selectedIds);
       this.state.browse.notes = this.state.browse.notes.filter(
         n => !selectedIds.includes(n.id)
       );
@@ -337,7 +1121,6 @@ export class BrowseView {
 
       this.renderNotes();
       this.renderBulkActionBar();
-      this.controller.showNotification(`Deleted ${count} bookmark${count > 1 ? 's' : ''}`, 'success');
     } catch (error) {
       this.controller.showNotification('Failed to delete: ' + error.message, 'error');
     }
@@ -353,6 +1136,8 @@ export class BrowseView {
       title: note.title,
       url: note.url,
       content: note.content,
+      highlights: note.highlights || [],
+      article: note.article || null,
       tags: note.tags,
       favicon: note.favicon,
       sessionId: note.id,
@@ -369,8 +1154,7 @@ export class BrowseView {
    */
   async handleDelete(note) {
     try {
-      await this.controller.db.deleteNote(note.id);
-      this.controller.vectorSearch.invalidateCache();
+      await this.controller.trashNotes([note.id]);
 
       // Remove from list
       this.state.browse.notes = this.state.browse.notes.filter(n => n.id !== note.id);
@@ -378,12 +1162,22 @@ export class BrowseView {
 
       this.renderNotes();
       this.renderBulkActionBar();
-      this.controller.showNotification('Bookmark deleted', 'success');
     } catch (error) {
       this.controller.showNotification('Failed to delete: ' + error.message, 'error');
     }
   }
 
+  /**
+   * Restore a note to a revision; the card re-renders itself with the result
+   */
+  async handleRestoreRevision(note, revision) {
+    const restored = await this.controller.restoreRevision(note, revision);
+    if (restored) {
+      this.state.browse.notes = this.state.browse.notes.map(n => n.id === restored.id ? { ...n, ...restored } : n);
+    }
+    return restored;
+  }
+
   /**
    * Select all visible notes
    */
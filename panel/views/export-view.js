@@ -3,14 +3,21 @@
  * Export and backup functionality
  */
 
-import { div, button, span, label, clearElement, createElement } from '../utils/dom-helpers.js';
+import { div, button, span, label, clearElement, createElement, setupDropZone } from '../utils/dom-helpers.js';
 import { formatDateTime, formatFileSize, formatNumber } from '../utils/formatters.js';
-import { notesToMarkdown, downloadFile, generateExportFilename } from '../../lib/export/markdown-exporter.js';
+import {
+  notesToMarkdown,
+  downloadFile,
+  generateExportFilename,
+  getAttachmentPath
+} from '../../lib/export/markdown-exporter.js';
 import {
   downloadDatabaseBackup,
   importDatabase,
   validateBackupFile
 } from '../../lib/export/backup-manager.js';
+import { createZip } from '../../lib/export/zip.js';
+import { flattenCollectionTree, getDescendantIds, getCollectionPath } from '../../lib/db/collection-tree.js';
 
 export class ExportView {
   constructor(controller) {
@@ -166,6 +173,8 @@ export class ExportView {
     scopeLabel.appendChild(scopeSelect);
     optionsRow.appendChild(scopeLabel);
 
+    this.addCollectionOptions(scopeSelect);
+
     markdownSection.appendChild(optionsRow);
 
     // Export button
@@ -225,6 +234,23 @@ export class ExportView {
     });
     backupSection.appendChild(backupDesc);
 
+    // Everything, or a single collection and the notes filed in it
+    const backupScopeRow = div({ className: 'flex items-center gap-sm mb-md' });
+
+    const backupScopeSelect = document.createElement('select');
+    backupScopeSelect.className = 'form-input';
+    backupScopeSelect.style.width = 'auto';
+    backupScopeSelect.id = 'backup-scope';
+    backupScopeSelect.innerHTML = `
+      <option value="all">Everything</option>
+    `;
+
+    backupScopeRow.appendChild(span({ text: 'Back up:', className: 'text-sm' }));
+    backupScopeRow.appendChild(backupScopeSelect);
+    backupSection.appendChild(backupScopeRow);
+
+    this.addCollectionOptions(backupScopeSelect);
+
     const backupBtn = button({
       className: 'btn btn-primary',
       text: 'Download Full Backup',
@@ -255,14 +281,14 @@ export class ExportView {
     dropZone.innerHTML = `
       <div class="drop-zone-icon">&#128193;</div>
       <p class="drop-zone-text">Drop backup file here or click to browse</p>
-      <p class="drop-zone-hint">Accepts .json backup files</p>
+      <p class="drop-zone-hint">Accepts .json and .zip backup files</p>
     `;
     restoreSection.appendChild(dropZone);
 
     // Hidden file input
     const fileInput = createElement('input', {
       type: 'file',
-      accept: '.json',
+      accept: '.json,.zip',
       style: { display: 'none' },
       id: 'file-input'
     });
@@ -290,62 +316,79 @@ export class ExportView {
 
     if (!dropZone || !fileInput) return;
 
-    // Click to browse
-    dropZone.addEventListener('click', () => fileInput.click());
-
-    // File input change
-    fileInput.addEventListener('change', (e) => {
-      if (e.target.files.length > 0) {
-        this.handleFileSelected(e.target.files[0]);
-      }
-    });
-
-    // Drag and drop
-    dropZone.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      dropZone.classList.add('dragover');
-    });
-
-    dropZone.addEventListener('dragleave', () => {
-      dropZone.classList.remove('dragover');
-    });
-
-    dropZone.addEventListener('drop', (e) => {
-      e.preventDefault();
-      dropZone.classList.remove('dragover');
+    setupDropZone(dropZone, fileInput, (files) => this.handleFileSelected(files[0]));
+  }
 
-      const files = e.dataTransfer.files;
-      if (files.length > 0) {
-        this.handleFileSelected(files[0]);
-      }
-    });
+  /**
+   * Append one option per collection to a scope select (value "collection:<id>")
+   */
+  async addCollectionOptions(select) {
+    const collections = await this.controller.db.getAllCollections();
+
+    for (const { collection, depth } of flattenCollectionTree(collections)) {
+      select.appendChild(createElement('option', {
+        value: `collection:${collection.id}`,
+        text: `${'\u2014 '.repeat(depth)}${collection.name}`
+      }));
+    }
   }
 
   /**
-   * Handle export to markdown
+   * Get the notes for the chosen export scope
+   * Returns { notes, title, collectionNames }
    */
-  async handleExportMarkdown() {
+  async getScopedNotes() {
     const scopeSelect = this.element.querySelector('#export-scope');
     const scope = scopeSelect?.value || 'all';
 
-    let notes;
+    const collections = await this.controller.db.getAllCollections();
+    const collectionNames = new Map(collections.map(c => [c.id, getCollectionPath(collections, c.id)]));
 
     if (scope === 'selected' && this.notesToExport) {
-      notes = this.notesToExport;
-    } else {
-      // Get all notes
-      notes = await this.controller.db.getAllNotes({ limit: 10000 });
+      return { notes: this.notesToExport, title: undefined, collectionNames };
     }
 
+    if (scope.startsWith('collection:')) {
+      const collectionId = scope.slice('collection:'.length);
+      const notes = await this.controller.db.getNotesInCollections(getDescendantIds(collections, collectionId));
+      return { notes, title: collectionNames.get(collectionId), collectionNames };
+    }
+
+    const notes = await this.controller.db.getAllNotes({ limit: 10000 });
+    return { notes, title: undefined, collectionNames };
+  }
+
+  /**
+   * Handle export to markdown
+   */
+  async handleExportMarkdown() {
+    const { notes, title, collectionNames } = await this.getScopedNotes();
+
     if (notes.length === 0) {
       this.controller.showNotification('No bookmarks to export', 'warning');
       return;
     }
 
-    const markdown = notesToMarkdown(notes);
+    const markdown = notesToMarkdown(notes, { title, collectionNames });
     const filename = generateExportFilename('bookmarks', 'md');
 
-    downloadFile(markdown, filename, 'text/markdown');
+    // Notes with attachments export as a zip of the markdown and the files it links to
+    const attachments = [];
+    for (const note of notes) {
+      if (note.attachments?.length > 0) {
+        attachments.push(...await this.controller.db.getNoteAttachments(note.id));
+      }
+    }
+
+    if (attachments.length > 0) {
+      const zip = await createZip([
+        { name: filename, data: markdown },
+        ...attachments.map(attachment => ({ name: getAttachmentPath(attachment), data: attachment.blob }))
+      ]);
+      downloadFile(zip, generateExportFilename('bookmarks', 'zip'), 'application/zip');
+    } else {
+      downloadFile(markdown, filename, 'text/markdown');
+    }
 
     this.controller.showNotification(`Exported ${notes.length} bookmarks`, 'success');
   }
@@ -354,16 +397,7 @@ export class ExportView {
    * Handle preview in browser
    */
   async handlePreview() {
-    const scopeSelect = this.element.querySelector('#export-scope');
-    const scope = scopeSelect?.value || 'all';
-
-    let notes;
-
-    if (scope === 'selected' && this.notesToExport) {
-      notes = this.notesToExport;
-    } else {
-      notes = await this.controller.db.getAllNotes({ limit: 10000 });
-    }
+    const { notes } = await this.getScopedNotes();
 
     if (notes.length === 0) {
       this.controller.showNotification('No bookmarks to preview', 'warning');
@@ -401,6 +435,10 @@ export class ExportView {
     .note-tags { margin-bottom: 8px; }
     .tag { display: inline-block; background: #7b2cbf; color: white; padding: 2px 8px; border-radius: 4px; font-size: 0.8em; margin-right: 4px; }
     .note-content { white-space: pre-wrap; color: #a0a0a0; }
+    .highlights { padding-left: 20px; margin: 10px 0 0; }
+    .highlight { color: #a0a0a0; border-left: 3px solid #00d4ff; padding-left: 10px; margin-bottom: 10px; }
+    .highlight blockquote { white-space: pre-wrap; margin: 0; }
+    .highlight .comment { white-space: pre-wrap; color: #e8e8e8; margin-top: 6px; }
     .meta { font-size: 0.8em; color: #6b7280; margin-top: 10px; }
   </style>
 </head>
@@ -413,7 +451,9 @@ export class ExportView {
     <div class="note-title">${this.escapeHtml(note.title || 'Untitled')}</div>
     ${note.url ? `<div class="note-url"><a href="${this.escapeHtml(note.url)}" target="_blank">${this.escapeHtml(note.url)}</a></div>` : ''}
     ${note.tags && note.tags.length > 0 ? `<div class="note-tags">${note.tags.map(t => `<span class="tag">#${this.escapeHtml(t)}</span>`).join('')}</div>` : ''}
-    <div class="note-content">${this.escapeHtml(note.content || '(No content)')}</div>
+    ${note.content || !((note.highlights && note.highlights.length) || note.article) ? `<div class="note-content">${this.escapeHtml(note.content || '(No content)')}</div>` : ''}
+    ${note.highlights && note.highlights.length > 0 ? `<ol class="highlights">${note.highlights.map(h => `<li class="highlight"><blockquote>${this.escapeHtml(h.text)}</blockquote>${h.comment ? `<div class="comment">${this.escapeHtml(h.comment)}</div>` : ''}<div class="meta">${formatDateTime(h.createdAt)}</div></li>`).join('')}</ol>` : ''}
+    ${note.article ? `<details class="article"><summary>Article${note.article.byline ? ` by ${this.escapeHtml(note.article.byline)}` : ''}</summary><div class="note-content">${this.escapeHtml(note.article.content)}</div></details>` : ''}
     <div class="meta">Created: ${formatDateTime(note.createdAt)} | Updated: ${formatDateTime(note.updatedAt)}</div>
   </div>
   `).join('')}
@@ -439,7 +479,9 @@ export class ExportView {
     btn.textContent = 'Creating backup...';
 
     try {
-      const result = await downloadDatabaseBackup(this.controller.db);
+      const scope = this.element.querySelector('#backup-scope')?.value || 'all';
+      const collectionId = scope.startsWith('collection:') ? scope.slice('collection:'.length) : null;
+      const result = await downloadDatabaseBackup(this.controller.db, { collectionId });
 
       this.controller.showNotification(
         `Backup created: ${result.notesCount} notes, ${formatFileSize(result.size)}`,
@@ -490,10 +532,21 @@ export class ExportView {
           <span class="stat-value">${formatNumber(stats.tagsCount)}</span>
           <span>tags</span>
         </div>
+        <div class="stat-item">
+          <span class="stat-value">${formatNumber(stats.collectionsCount)}</span>
+          <span>collections</span>
+        </div>
+        ${stats.attachmentsCount > 0 ? `
+        <div class="stat-item">
+          <span class="stat-value">${formatNumber(stats.attachmentsCount)}</span>
+          <span>attachments</span>
+        </div>` : ''}
       </div>
       <p class="text-sm text-muted mb-md">
         Backup from: ${stats.exportedAt ? formatDateTime(stats.exportedAt) : 'Unknown'}
+        ${stats.collectionScope ? `<br>Only the "${this.escapeHtml(stats.collectionScope)}" collection` : ''}
       </p>
+      ${this.renderMigrationPlan(stats)}
       <div class="flex items-center gap-sm mb-md">
         <input type="checkbox" id="clear-existing" />
         <label for="clear-existing" class="text-sm">Replace existing data (clear before import)</label>
@@ -508,6 +561,27 @@ export class ExportView {
     optionsEl.appendChild(restoreBtn);
   }
 
+  /**
+   * Describe the schema upgrades a restore will apply to an older backup
+   */
+  renderMigrationPlan(stats) {
+    if (!stats.migrations || stats.migrations.length === 0) return '';
+
+    const steps = stats.migrations.map(step => {
+      const changed = Object.entries(step.changes)
+        .filter(([, count]) => count > 0)
+        .map(([storeName, count]) => `${formatNumber(count)} ${storeName}`);
+      return `<li>${step.description}${changed.length ? ` (updates ${changed.join(', ')})` : ''}</li>`;
+    });
+
+    return `
+      <div class="text-sm text-muted mb-md">
+        This backup uses an older format (v${stats.schemaVersion}) and will be upgraded on restore:
+        <ul>${steps.join('')}</ul>
+      </div>
+    `;
+  }
+
   /**
    * Handle restore from backup
    */
@@ -3,9 +3,14 @@
  * Main view for adding new notes/bookmarks
  */
 
-import { createElement, div, label, input, textarea, button, clearElement } from '../utils/dom-helpers.js';
+import { createElement, div, span, label, input, textarea, button, clearElement, setupDropZone } from '../utils/dom-helpers.js';
 import { TagInput } from '../components/tag-input.js';
-import { generateId } from '../../lib/db/schema.js';
+import { HighlightList } from '../components/highlight-list.js';
+import { RelatedPanel } from '../components/related-panel.js';
+import { generateId, ATTACHMENT_LIMITS } from '../../lib/db/schema.js';
+import { canonicalizeUrl } from '../../lib/db/url-utils.js';
+import { indexNote } from '../../lib/embeddings/note-indexer.js';
+import { formatDate, formatNumber, formatFileSize } from '../utils/formatters.js';
 
 export class IngestView {
   constructor(controller) {
@@ -13,8 +18,12 @@ export class IngestView {
     this.state = controller.state.getState();
     this.element = null;
     this.tagInput = null;
+    this.highlightList = null;
     this.unsubscribers = [];
 
+    // Note the suggested tags below the tag input are for
+    this.suggestedNoteId = null;
+
     // Form elements
     this.titleInput = null;
     this.urlInput = null;
@@ -27,6 +36,10 @@ export class IngestView {
   render() {
     this.element = div({ className: 'ingest-view' });
 
+    // Notes saved from, or resembling, the page in the active tab
+    this.pageContainer = div({ className: 'page-notes mb-md hidden' });
+    this.element.appendChild(this.pageContainer);
+
     // Title field
     const titleGroup = div({ className: 'form-group' });
     titleGroup.appendChild(label({ className: 'form-label', text: 'Title' }));
@@ -51,6 +64,30 @@ export class IngestView {
     urlGroup.appendChild(this.urlInput);
     this.element.appendChild(urlGroup);
 
+    // Extracted article (shown when bookmarking a whole page)
+    this.articleInfo = div({ className: 'article-info mb-md hidden', id: 'article-info' });
+    this.element.appendChild(this.articleInfo);
+
+    // Captured highlights
+    const highlightsGroup = div({ className: 'form-group' });
+    const highlightsLabel = div({ className: 'flex justify-between items-center mb-sm' });
+    highlightsLabel.appendChild(label({ className: 'form-label', text: 'Highlights', style: { marginBottom: 0 } }));
+    highlightsLabel.appendChild(createElement('span', {
+      className: 'text-sm text-muted',
+      id: 'highlight-count',
+      text: ''
+    }));
+    highlightsGroup.appendChild(highlightsLabel);
+
+    this.highlightList = new HighlightList({
+      highlights: this.state.ingest.highlights,
+      onEdit: (id, updates) => this.handleHighlightEdit(id, updates),
+      onDelete: (id) => this.handleHighlightDelete(id),
+      onMove: (id, offset) => this.handleHighlightMove(id, offset)
+    });
+    highlightsGroup.appendChild(this.highlightList.render());
+    this.element.appendChild(highlightsGroup);
+
     // Content/Notes area
     const contentGroup = div({ className: 'form-group' });
     const contentLabel = div({ className: 'flex justify-between items-center mb-sm' });
@@ -66,13 +103,39 @@ export class IngestView {
 
     this.contentArea = textarea({
       className: 'form-textarea content-area',
-      placeholder: 'Enter your notes or highlight text on any page and right-click to add it here...',
+      placeholder: 'Enter your own notes here. Text you highlight on a page and right-click to add is saved as a separate highlight above...',
       value: this.state.ingest.content
     });
     this.contentArea.style.minHeight = '200px';
     contentGroup.appendChild(this.contentArea);
     this.element.appendChild(contentGroup);
 
+    // Attached files (PDFs and text files are searchable)
+    const attachmentsGroup = div({ className: 'form-group' });
+    attachmentsGroup.appendChild(label({ className: 'form-label', text: 'Attachments' }));
+
+    this.attachmentList = div({ className: 'attachment-list' });
+    attachmentsGroup.appendChild(this.attachmentList);
+
+    this.dropZone = div({ className: 'drop-zone drop-zone-compact' });
+    this.dropZone.appendChild(createElement('p', {
+      className: 'drop-zone-text',
+      text: 'Drop files here or click to browse'
+    }));
+    this.dropZone.appendChild(createElement('p', {
+      className: 'drop-zone-hint',
+      text: `PDFs, images and text files up to ${formatFileSize(ATTACHMENT_LIMITS.maxFileSize)}; the text of PDFs and text files is searchable`
+    }));
+    attachmentsGroup.appendChild(this.dropZone);
+
+    this.fileInput = createElement('input', {
+      type: 'file',
+      multiple: true,
+      style: { display: 'none' }
+    });
+    attachmentsGroup.appendChild(this.fileInput);
+    this.element.appendChild(attachmentsGroup);
+
     // Tags
     const tagsGroup = div({ className: 'form-group' });
     tagsGroup.appendChild(label({ className: 'form-label', text: 'Tags' }));
@@ -81,7 +144,8 @@ export class IngestView {
       tags: this.state.ingest.tags,
       placeholder: 'Add tags (press Enter or comma to add)',
       onChange: (tags) => this.handleTagsChange(tags),
-      getSuggestions: (prefix) => this.controller.db.searchTags(prefix)
+      getSuggestions: (prefix) => this.controller.db.searchTags(prefix),
+      onAcceptSuggestion: (tag) => this.acceptSuggestedTag(tag)
     });
     tagsGroup.appendChild(this.tagInput.render());
     this.element.appendChild(tagsGroup);
@@ -122,6 +186,10 @@ export class IngestView {
     });
     this.element.appendChild(sessionInfo);
 
+    // Related notes and backlinks of the bookmark being edited
+    this.relatedContainer = div({ className: 'ingest-related mt-md hidden' });
+    this.element.appendChild(this.relatedContainer);
+
     return this.element;
   }
 
@@ -133,10 +201,19 @@ export class IngestView {
     this.titleInput.addEventListener('input', () => this.handleInputChange());
     this.urlInput.addEventListener('input', () => this.handleInputChange());
     this.contentArea.addEventListener('input', () => this.handleContentChange());
+    setupDropZone(this.dropZone, this.fileInput, (files) => this.handleFilesDropped(files));
 
     // Update character count and edit mode UI
     this.updateCharCount();
+    this.updateHighlightCount();
+    this.renderArticleInfo();
+    this.renderAttachments();
     this.updateUIForEditMode();
+    this.renderRelated();
+
+    this.unsubscribers.push(
+      this.controller.state.subscribe('page', () => this.renderPageNotes())
+    );
 
     // Focus title if empty, otherwise focus content
     if (!this.state.ingest.title) {
@@ -201,14 +278,27 @@ export class IngestView {
     }
   }
 
+  /**
+   * Update highlight count display
+   */
+  updateHighlightCount() {
+    const count = this.state.ingest.highlights.length;
+    const countEl = this.element.querySelector('#highlight-count');
+    if (countEl) {
+      countEl.textContent = count ? `${count} highlight${count > 1 ? 's' : ''}` : '';
+    }
+  }
+
   /**
    * Handle save button click
    */
   async handleSave() {
     const title = this.titleInput.value.trim();
     const content = this.contentArea.value.trim();
+    const highlights = this.state.ingest.highlights;
+    const pendingFiles = this.state.ingest.pendingFiles;
 
-    if (!title && !content) {
+    if (!title && !content && highlights.length === 0 && pendingFiles.length === 0) {
       this.controller.showNotification('Please enter a title or content', 'warning');
       return;
     }
@@ -218,23 +308,34 @@ export class IngestView {
     this.state.ingest.isSaving = true;
 
     try {
-      // Create the note
-      const url = this.urlInput.value.trim() || null;
+      // Create the note (tracking parameters and fragments are dropped from the URL)
+      const typedUrl = this.urlInput.value.trim();
+      const url = typedUrl ? canonicalizeUrl(typedUrl) : null;
 
       // Only include favicon if there's a URL
       const favicon = url ? this.state.ingest.favicon : null;
 
-      const note = await this.controller.db.saveNote({
+      let note = await this.controller.db.saveNote({
         id: this.state.ingest.sessionId || generateId(),
-        title: title || 'Untitled',
+        title: title || pendingFiles[0]?.name || 'Untitled',
         url: url,
         content: content,
+        highlights: highlights,
+        article: url ? this.state.ingest.article : null,
         tags: this.tagInput.getTags(),
         favicon: favicon
       });
 
-      // Generate embedding if we have content
-      if (content && this.controller.embeddings) {
+      // Files dropped before the note existed (their text is embedded below)
+      if (pendingFiles.length > 0) {
+        for (const file of pendingFiles) {
+          await this.controller.attachFile(note.id, file);
+        }
+        note = await this.controller.db.getNote(note.id);
+      }
+
+      // Generate chunk embeddings for the note
+      if (this.controller.embeddings) {
         try {
           // Show loading state for model if not loaded
           if (!this.controller.embeddings.isLoaded) {
@@ -242,10 +343,7 @@ export class IngestView {
             this.controller.state.getState().model.loadProgressText = 'Loading AI model...';
           }
 
-          const embedding = await this.controller.embeddings.embed(content);
-          if (embedding) {
-            await this.controller.db.saveEmbedding(note.id, embedding);
-          }
+          await indexNote(this.controller.db, this.controller.embeddings, note);
 
           this.controller.state.getState().model.isLoading = false;
           this.controller.state.getState().model.isLoaded = true;
@@ -263,6 +361,7 @@ export class IngestView {
 
       this.controller.showNotification('Bookmark saved!', 'success');
       this.handleClear();
+      await this.suggestTags(note);
 
     } catch (error) {
       console.error('Failed to save:', error);
@@ -286,26 +385,36 @@ export class IngestView {
     this.state.ingest.title = '';
     this.state.ingest.url = null;
     this.state.ingest.content = '';
+    this.state.ingest.highlights = [];
+    this.state.ingest.article = null;
     this.state.ingest.tags = [];
     this.state.ingest.favicon = null;
+    this.state.ingest.attachments = [];
+    this.state.ingest.pendingFiles = [];
     this.state.ingest.isDirty = false;
     this.state.ingest.sessionId = null;
     this.state.ingest.isEditing = false;
 
+    this.highlightList.setHighlights([]);
+    this.clearSuggestedTags();
     this.updateCharCount();
+    this.updateHighlightCount();
+    this.renderArticleInfo();
+    this.renderAttachments();
     this.hideSessionInfo();
     this.updateUIForEditMode();
+    this.renderRelated();
 
     this.titleInput.focus();
   }
 
   /**
-   * Append content from context menu selection
+   * Append a selection from the context menu as a new highlight
    * - For URL-based notes: URL is the unique key (DB lookup)
    * - For no-URL notes: Use session-based tracking
    * - Always auto-saves immediately
    */
-  async appendContent(text, url, title, favicon) {
+  async appendContent(text, url, title, favicon, anchor = null) {
     try {
       let existingNote = null;
       let isAppending = false;
@@ -325,53 +434,42 @@ export class IngestView {
       }
 
       let note;
+      const highlight = { text, anchor, source: { url: url || null, title: title || null } };
 
       if (existingNote) {
-        // Append to existing bookmark
+        // Append a new highlight to the existing bookmark
         isAppending = true;
-        const separator = existingNote.content ? '\n\n---\n\n' : '';
-        const newContent = existingNote.content + separator + text;
+        note = await this.controller.db.addHighlight(existingNote.id, highlight);
 
-        note = await this.controller.db.saveNote({
-          ...existingNote,
-          content: newContent,
-          // Update title only if existing is 'Untitled'
-          title: existingNote.title === 'Untitled' && title ? title : existingNote.title
-        });
+        // Update title only if existing is 'Untitled'
+        if (note.title === 'Untitled' && title) {
+          note = await this.controller.db.updateNote(note.id, { title }, { origin: 'append' });
+        }
       } else {
         // Create new bookmark
         note = await this.controller.db.saveNote({
           id: generateId(),
           title: title || 'Untitled',
           url: url || null,
-          content: text,
+          content: '',
+          highlights: [highlight],
           tags: [],
           favicon: url ? favicon : null
         });
       }
 
-      // Generate/update embedding
-      if (note.content && this.controller.embeddings) {
-        try {
-          const embedding = await this.controller.embeddings.embed(note.content);
-          if (embedding) {
-            await this.controller.db.saveEmbedding(note.id, embedding);
-          }
-          if (this.controller.vectorSearch) {
-            this.controller.vectorSearch.invalidateCache();
-          }
-        } catch (embeddingError) {
-          console.error('Failed to generate embedding:', embeddingError);
-        }
-      }
+      await this.refreshEmbedding(note);
 
       // Load the saved note into the form (edit mode)
       this.loadNoteIntoForm(note);
+      await this.suggestTags(note);
 
-      // Scroll to bottom of content area
-      this.contentArea.scrollTop = this.contentArea.scrollHeight;
+      // The URL may be the page's canonical one, so don't limit the refresh to it
+      if (url) {
+        this.controller.refreshPageHighlights();
+      }
 
-      const message = isAppending ? 'Text appended & saved!' : 'Bookmark saved!';
+      const message = isAppending ? 'Highlight added & saved!' : 'Bookmark saved!';
       this.controller.showNotification(message, 'success', 1500);
 
     } catch (error) {
@@ -380,6 +478,133 @@ export class IngestView {
     }
   }
 
+  /**
+   * Offer tags for a saved note, from its embedding, below the tag input
+   */
+  async suggestTags(note) {
+    if (!this.controller.tagSuggester) return;
+
+    try {
+      const suggestions = await this.controller.tagSuggester.suggestForNote(note.id);
+      if (suggestions.length === 0) {
+        this.clearSuggestedTags();
+        return;
+      }
+
+      // After a save the form is cleared, so say which bookmark they are for
+      const label = this.state.ingest.sessionId === note.id
+        ? 'Suggested:'
+        : `Suggested for "${note.title || 'Untitled'}":`;
+      this.suggestedNoteId = note.id;
+      this.tagInput.setSuggestedTags(suggestions, label);
+    } catch (error) {
+      console.error('Failed to suggest tags:', error);
+    }
+  }
+
+  /**
+   * Hide the suggested tags
+   */
+  clearSuggestedTags() {
+    this.suggestedNoteId = null;
+    this.tagInput.clearSuggestedTags();
+  }
+
+  /**
+   * Add an accepted suggestion to its note right away (and to the form if it is open)
+   */
+  async acceptSuggestedTag(tag) {
+    const noteId = this.suggestedNoteId;
+    if (!noteId) return;
+
+    try {
+      await this.controller.db.retagNotes([noteId], { add: [tag] });
+
+      if (this.state.ingest.sessionId === noteId) {
+        const tags = [...new Set([...this.tagInput.getTags(), tag])];
+        this.tagInput.setTags(tags);
+        this.state.ingest.tags = tags;
+      }
+      this.controller.showNotification(`Tagged #${tag}`, 'success', 1500);
+    } catch (error) {
+      console.error('Failed to add tag:', error);
+      this.controller.showNotification('Failed to add tag: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Regenerate and store the embedding for a note
+   */
+  async refreshEmbedding(note) {
+    if (!this.controller.embeddings) return;
+
+    try {
+      await indexNote(this.controller.db, this.controller.embeddings, note);
+      if (this.controller.vectorSearch) {
+        this.controller.vectorSearch.invalidateCache();
+      }
+    } catch (embeddingError) {
+      console.error('Failed to generate embedding:', embeddingError);
+    }
+  }
+
+  /**
+   * Apply a highlight change to the open note and refresh the form
+   */
+  async applyHighlightChange(change) {
+    const noteId = this.state.ingest.sessionId;
+
+    if (!noteId || !this.state.ingest.isEditing) {
+      return;
+    }
+
+    try {
+      const note = await change(noteId);
+      this.state.ingest.highlights = note.highlights;
+      this.highlightList.setHighlights(note.highlights);
+      this.updateHighlightCount();
+      await this.refreshEmbedding(note);
+    } catch (error) {
+      console.error('Failed to update highlight:', error);
+      this.controller.showNotification('Failed to update highlight: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Handle inline highlight edit
+   */
+  handleHighlightEdit(highlightId, updates) {
+    return this.applyHighlightChange(noteId =>
+      this.controller.db.updateHighlight(noteId, highlightId, updates)
+    );
+  }
+
+  /**
+   * Handle highlight deletion
+   */
+  handleHighlightDelete(highlightId) {
+    return this.applyHighlightChange(noteId =>
+      this.controller.db.deleteHighlight(noteId, highlightId)
+    );
+  }
+
+  /**
+   * Handle moving a highlight up or down
+   */
+  handleHighlightMove(highlightId, offset) {
+    const ids = this.state.ingest.highlights.map(h => h.id);
+    const from = ids.indexOf(highlightId);
+    const to = from + offset;
+
+    if (from < 0 || to < 0 || to >= ids.length) return;
+
+    ids.splice(to, 0, ids.splice(from, 1)[0]);
+
+    return this.applyHighlightChange(noteId =>
+      this.controller.db.reorderHighlights(noteId, ids)
+    );
+  }
+
   /**
    * Load a note into the form (for editing)
    */
@@ -389,8 +614,12 @@ export class IngestView {
     this.state.ingest.title = note.title;
     this.state.ingest.url = note.url;
     this.state.ingest.content = note.content;
+    this.state.ingest.highlights = note.highlights || [];
+    this.state.ingest.article = note.article || null;
     this.state.ingest.tags = note.tags || [];
     this.state.ingest.favicon = note.favicon;
+    this.state.ingest.attachments = note.attachments || [];
+    this.state.ingest.pendingFiles = [];
     this.state.ingest.isDirty = false;
     this.state.ingest.isEditing = true;
 
@@ -399,16 +628,24 @@ export class IngestView {
     this.urlInput.value = note.url || '';
     this.contentArea.value = note.content || '';
     this.tagInput.setTags(note.tags || []);
+    this.highlightList.setHighlights(note.highlights || []);
+    if (this.suggestedNoteId !== note.id) {
+      this.clearSuggestedTags();
+    }
 
     this.updateCharCount();
+    this.updateHighlightCount();
+    this.renderArticleInfo();
+    this.renderAttachments();
     this.updateUIForEditMode();
     this.showSessionInfo();
+    this.renderRelated();
   }
 
   /**
    * Set page info (when bookmarking a page without selection)
    */
-  setPageInfo(url, title, favicon) {
+  setPageInfo(url, title, favicon, article = null) {
     if (!this.state.ingest.sessionId) {
       this.state.ingest.sessionId = generateId();
     }
@@ -427,9 +664,193 @@ export class IngestView {
       this.state.ingest.favicon = favicon;
     }
 
+    if (article) {
+      this.state.ingest.article = article;
+      this.state.ingest.isDirty = true;
+    }
+    this.renderArticleInfo();
+
     this.contentArea.focus();
   }
 
+  /**
+   * Render the extracted article summary
+   */
+  renderArticleInfo() {
+    const article = this.state.ingest.article;
+    clearElement(this.articleInfo);
+    this.articleInfo.classList.toggle('hidden', !article);
+
+    if (!article) return;
+
+    const details = [
+      article.byline,
+      article.publishedAt ? formatDate(article.publishedAt) : null,
+      article.siteName,
+      `${formatNumber(article.wordCount || 0)} words`
+    ].filter(d => d);
+
+    const header = div({ className: 'flex justify-between items-center' });
+    header.appendChild(div({ className: 'article-info-title', text: 'Article captured' }));
+    header.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Remove',
+      title: 'Don\'t save the article text with this bookmark',
+      onClick: () => {
+        this.state.ingest.article = null;
+        this.state.ingest.isDirty = true;
+        this.renderArticleInfo();
+      }
+    }));
+    this.articleInfo.appendChild(header);
+
+    this.articleInfo.appendChild(div({ className: 'text-sm text-muted', text: details.join(' · ') }));
+
+    if (article.excerpt) {
+      this.articleInfo.appendChild(div({ className: 'article-info-excerpt', text: article.excerpt }));
+    }
+  }
+
+  /**
+   * Render the attached files, and the files waiting for the note to be saved
+   */
+  renderAttachments() {
+    clearElement(this.attachmentList);
+
+    const { attachments, pendingFiles } = this.state.ingest;
+    const rows = [
+      ...attachments.map(attachment => ({
+        name: attachment.name,
+        details: [
+          formatFileSize(attachment.size),
+          attachment.pageCount ? `${formatNumber(attachment.pageCount)} pages` : null,
+          attachment.text ? 'text searchable' : null
+        ],
+        onRemove: () => this.handleAttachmentDelete(attachment)
+      })),
+      ...pendingFiles.map(file => ({
+        name: file.name,
+        details: [formatFileSize(file.size), 'attached on save'],
+        onRemove: () => {
+          this.state.ingest.pendingFiles = this.state.ingest.pendingFiles.filter(f => f !== file);
+          this.renderAttachments();
+        }
+      }))
+    ];
+
+    for (const row of rows) {
+      const item = div({ className: 'attachment-item' });
+      item.appendChild(span({ className: 'attachment-name', text: row.name, title: row.name }));
+      item.appendChild(span({
+        className: 'attachment-details text-sm text-muted',
+        text: row.details.filter(d => d).join(' · ')
+      }));
+      item.appendChild(button({
+        className: 'btn btn-ghost btn-sm',
+        text: '×',
+        title: 'Remove attachment',
+        onClick: row.onRemove
+      }));
+      this.attachmentList.appendChild(item);
+    }
+  }
+
+  /**
+   * Attach dropped files: right away when editing a saved note, otherwise on save
+   */
+  async handleFilesDropped(files) {
+    const accepted = files.filter(file => {
+      if (file.size > ATTACHMENT_LIMITS.maxFileSize) {
+        this.controller.showNotification(
+          `"${file.name}" is larger than the ${formatFileSize(ATTACHMENT_LIMITS.maxFileSize)} limit`,
+          'warning'
+        );
+        return false;
+      }
+      return true;
+    });
+    if (accepted.length === 0) return;
+
+    const noteId = this.state.ingest.sessionId;
+    if (!noteId || !this.state.ingest.isEditing) {
+      this.state.ingest.pendingFiles = [...this.state.ingest.pendingFiles, ...accepted];
+      this.state.ingest.isDirty = true;
+      this.renderAttachments();
+      return;
+    }
+
+    let attached = 0;
+    for (const file of accepted) {
+      if (await this.controller.attachFile(noteId, file)) attached++;
+    }
+
+    const note = await this.controller.db.getNote(noteId);
+    if (!note || this.state.ingest.sessionId !== noteId) return;
+
+    this.state.ingest.attachments = note.attachments || [];
+    this.renderAttachments();
+
+    if (attached > 0) {
+      this.controller.showNotification(`Attached ${attached} file${attached > 1 ? 's' : ''}`, 'success');
+      await this.refreshEmbedding(note);
+    }
+  }
+
+  /**
+   * Delete an attachment of the note being edited
+   */
+  async handleAttachmentDelete(attachment) {
+    const noteId = this.state.ingest.sessionId;
+    const updated = await this.controller.deleteAttachment({ id: noteId }, attachment);
+    if (!updated || this.state.ingest.sessionId !== noteId) return;
+
+    this.state.ingest.attachments = updated.attachments;
+    this.renderAttachments();
+  }
+
+  /**
+   * Show the notes related to and linking to the bookmark being edited
+   */
+  async renderRelated() {
+    const noteId = this.state.ingest.isEditing ? this.state.ingest.sessionId : null;
+    const note = noteId ? await this.controller.db.getNote(noteId) : null;
+
+    // The form may have moved on while the note loaded
+    if (this.state.ingest.sessionId !== noteId) return;
+
+    clearElement(this.relatedContainer);
+    this.relatedContainer.classList.toggle('hidden', !note);
+    if (!note) return;
+
+    const related = new RelatedPanel({
+      sections: [
+        { title: 'Related', load: () => this.controller.related.getRelated(note.id), emptyText: 'No similar bookmarks yet.' },
+        { title: 'Linked from', load: () => this.controller.related.getBacklinks(note), emptyText: 'No bookmarks link here.' }
+      ],
+      onOpen: (other) => this.openRelatedNote(other)
+    });
+    this.relatedContainer.appendChild(related.render());
+  }
+
+  /**
+   * Switch the form to a related bookmark
+   */
+  async openRelatedNote(note) {
+    if (this.state.ingest.isDirty && !confirm('Discard unsaved changes to this bookmark?')) {
+      return;
+    }
+
+    const current = await this.controller.db.getNote(note.id);
+    if (!current) {
+      this.controller.showNotification('That bookmark no longer exists', 'warning');
+      return;
+    }
+
+    this.loadNoteIntoForm(current);
+    this.hideSessionInfo();
+    this.element.scrollIntoView({ block: 'start' });
+  }
+
   /**
    * Show session info
    */
@@ -475,6 +896,35 @@ export class IngestView {
       this.urlInput.disabled = isEditing;
       this.urlInput.title = isEditing ? 'URL cannot be changed (it\'s the unique identifier)' : '';
     }
+
+    // The current page's notes are only offered while capturing
+    this.renderPageNotes();
+  }
+
+  /**
+   * Show the notes saved from the current page, and the notes resembling it
+   */
+  renderPageNotes() {
+    if (!this.pageContainer) return;
+
+    const { notes, related } = this.state.page;
+    const visible = !this.state.ingest.isEditing && (notes.length > 0 || related.length > 0);
+
+    clearElement(this.pageContainer);
+    this.pageContainer.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const panel = new RelatedPanel({
+      sections: [
+        {
+          title: `You have ${notes.length} bookmark${notes.length === 1 ? '' : 's'} on this page`,
+          load: () => Promise.resolve(notes)
+        },
+        { title: 'Related to this page', load: () => Promise.resolve(related) }
+      ],
+      onOpen: (note) => this.openRelatedNote(note)
+    });
+    this.pageContainer.appendChild(panel.render());
   }
 
   /**
@@ -488,18 +938,8 @@ export class IngestView {
       return;
     }
 
-    if (!confirm('Delete this bookmark? This cannot be undone.')) {
-      return;
-    }
-
     try {
-      await this.controller.db.deleteNote(noteId);
-
-      if (this.controller.vectorSearch) {
-        this.controller.vectorSearch.invalidateCache();
-      }
-
-      this.controller.showNotification('Bookmark deleted', 'success');
+      await this.controller.trashNotes([noteId]);
       this.handleClear();
     } catch (error) {
       console.error('Failed to delete:', error);
@@ -3,9 +3,12 @@
  * Semantic search interface
  */
 
-import { div, input, button, span, clearElement } from '../utils/dom-helpers.js';
+import { div, input, button, span, clearElement, createElement } from '../utils/dom-helpers.js';
 import { NoteCard } from '../components/note-card.js';
 import { debounce } from '../utils/dom-helpers.js';
+import { parseQuery, QuerySyntaxError } from '../../lib/search/query-parser.js';
+import { getQueryText } from '../../lib/search/query-filter.js';
+import { flattenCollectionTree, getDescendantIds } from '../../lib/db/collection-tree.js';
 
 export class SearchView {
   constructor(controller) {
@@ -15,6 +18,7 @@ export class SearchView {
     this.searchInput = null;
     this.resultsContainer = null;
     this.unsubscribers = [];
+    this.tagColors = new Map();
   }
 
   /**
@@ -35,7 +39,7 @@ export class SearchView {
     this.searchInput = input({
       type: 'text',
       className: 'search-input',
-      placeholder: 'Search bookmarks... (use tag: for tags only)',
+      placeholder: 'Search bookmarks... (tag:, site:, after:, "phrase", -word, OR)',
       value: this.state.search.query
     });
     searchBar.appendChild(this.searchInput);
@@ -49,6 +53,26 @@ export class SearchView {
 
     this.element.appendChild(searchBar);
 
+    // Inline query syntax errors
+    this.queryError = div({ className: 'search-query-error hidden' });
+    this.element.appendChild(this.queryError);
+
+    // Saved searches
+    this.savedSearchBar = div({ className: 'collection-bar hidden' });
+    this.element.appendChild(this.savedSearchBar);
+
+    // Limit results to a collection (hidden until there are collections)
+    this.scopeRow = div({ className: 'search-scope flex items-center gap-sm mb-md hidden' });
+    this.scopeRow.appendChild(span({ className: 'text-sm text-muted', text: 'Search in:' }));
+
+    this.scopeSelect = document.createElement('select');
+    this.scopeSelect.className = 'form-input';
+    this.scopeSelect.style.width = 'auto';
+    this.scopeSelect.style.padding = '4px 8px';
+    this.scopeSelect.addEventListener('change', () => this.handleScopeChange(this.scopeSelect.value));
+    this.scopeRow.appendChild(this.scopeSelect);
+    this.element.appendChild(this.scopeRow);
+
     // Model status indicator
     const modelStatus = div({
       className: 'model-status text-sm mb-md',
@@ -100,6 +124,29 @@ export class SearchView {
     // Focus search input
     this.searchInput.focus();
 
+    this.renderSavedSearches();
+    this.renderScopeOptions();
+    this.loadTagColors().then(() => {
+      if (this.state.search.hasSearched) this.renderResults();
+    });
+    this.unsubscribers.push(
+      this.controller.db.subscribe(event => {
+        if (event.type === 'saved-searches-changed') {
+          this.renderSavedSearches();
+        }
+        if (event.type === 'collections-changed' || event.type === 'imported') {
+          this.renderScopeOptions();
+        }
+        // Undoing a delete can bring back notes that match the current search
+        if (event.type === 'notes-restored' && this.state.search.hasSearched) {
+          this.handleSearch();
+        }
+        if (event.type === 'tags-changed' && this.state.search.hasSearched) {
+          this.handleTagsChanged();
+        }
+      })
+    );
+
     // Subscribe to state changes
     this.unsubscribers.push(
       this.controller.state.subscribe('model.*', () => {
@@ -119,26 +166,6 @@ export class SearchView {
     this.unsubscribers = [];
   }
 
-  /**
-   * Parse search query for modifiers (e.g., tag:)
-   */
-  parseSearchQuery(query) {
-    // Check for tag: prefix
-    const tagMatch = query.match(/^tag:\s*(.+)$/i);
-
-    if (tagMatch) {
-      return {
-        type: 'tag',
-        terms: tagMatch[1].split(/\s+/).filter(t => t.length > 0)
-      };
-    }
-
-    return {
-      type: 'keyword',
-      terms: query.split(/\s+/).filter(w => w.length > 1)
-    };
-  }
-
   /**
    * Handle search
    */
@@ -149,39 +176,47 @@ export class SearchView {
       return;
     }
 
+    // Parse first so syntax errors are shown inline and the current results stay put
+    let ast;
+    try {
+      ast = parseQuery(query);
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        this.state.search.error = error.message;
+        this.renderQueryError(error, query);
+        return;
+      }
+      throw error;
+    }
+
+    this.renderQueryError(null);
     this.state.search.isSearching = true;
     this.state.search.error = null;
     this.renderSearchingState();
 
     try {
-      let results;
       let notice = null;
+      let embedding = null;
+      const { semanticText } = getQueryText(ast);
 
-      // Parse query for modifiers
-      const parsed = this.parseSearchQuery(query);
-
-      if (parsed.type === 'tag') {
-        // Tag-only search
-        notice = 'Searching tags only';
-        results = await this.controller.vectorSearch.tagSearch(parsed.terms, 20);
+      if (!semanticText) {
+        notice = 'Showing bookmarks that match the filters';
       } else {
         // Try semantic search first if model is available
-        const embedding = await this.controller.embeddings.embed(query);
-
-        if (embedding) {
-          // Use semantic search with optional keyword boost
-          results = await this.controller.vectorSearch.hybridSearch(embedding, parsed.terms, {
-            limit: 20,
-            semanticWeight: 0.7,
-            keywordWeight: 0.3
-          });
-        } else {
+        embedding = await this.controller.embeddings.embed(semanticText);
+        if (!embedding) {
           // Fall back to keyword search
           notice = 'Using keyword search (AI model loading...)';
-          results = await this.controller.vectorSearch.keywordSearch(parsed.terms, 20);
         }
       }
 
+      const results = await this.controller.vectorSearch.query(ast, embedding, {
+        limit: 20,
+        semanticWeight: 0.7,
+        keywordWeight: 0.3,
+        collectionIds: await this.getScopeCollectionIds()
+      });
+
       this.state.search.results = results;
       this.state.search.hasSearched = true;
       this.state.search.isSearching = false;
@@ -194,11 +229,154 @@ export class SearchView {
     }
   }
 
+  /**
+   * Fill the collection scope dropdown
+   */
+  async renderScopeOptions() {
+    const collections = await this.controller.db.getAllCollections();
+    const selectedId = this.state.search.collectionId;
+
+    clearElement(this.scopeSelect);
+    this.scopeSelect.appendChild(createElement('option', { value: '', text: 'All bookmarks' }));
+    for (const { collection, depth } of flattenCollectionTree(collections)) {
+      this.scopeSelect.appendChild(createElement('option', {
+        value: collection.id,
+        text: `${'\u2014 '.repeat(depth)}${collection.name}`
+      }));
+    }
+
+    // The scoped collection may have been deleted
+    if (selectedId && !collections.some(c => c.id === selectedId)) {
+      this.state.search.collectionId = null;
+    }
+    this.scopeSelect.value = this.state.search.collectionId || '';
+    this.scopeRow.classList.toggle('hidden', collections.length === 0);
+  }
+
+  /**
+   * Change the collection scope and re-run the search
+   */
+  handleScopeChange(collectionId) {
+    this.state.search.collectionId = collectionId || null;
+    if (this.searchInput.value.trim().length >= 2) {
+      this.handleSearch();
+    }
+  }
+
+  /**
+   * Ids of the scoped collection and its sub-collections, or null for all bookmarks
+   */
+  async getScopeCollectionIds() {
+    const { collectionId } = this.state.search;
+    if (!collectionId) return null;
+
+    const collections = await this.controller.db.getAllCollections();
+    return getDescendantIds(collections, collectionId);
+  }
+
+  /**
+   * Show (or hide, when error is null) a query syntax error under the search bar
+   */
+  renderQueryError(error, query = '') {
+    clearElement(this.queryError);
+    this.queryError.classList.toggle('hidden', !error);
+    if (!error) return;
+
+    this.queryError.appendChild(div({ text: error.message }));
+
+    // Echo the query with the problem marked
+    const end = Math.min(query.length, error.position + error.length);
+    const snippet = div({ className: 'search-query-error-snippet' });
+    snippet.appendChild(span({ text: query.slice(0, error.position) }));
+    snippet.appendChild(span({
+      className: 'search-query-error-mark',
+      text: query.slice(error.position, end) || ' '
+    }));
+    snippet.appendChild(span({ text: query.slice(end) }));
+    this.queryError.appendChild(snippet);
+  }
+
+  /**
+   * Render saved search chips
+   */
+  async renderSavedSearches() {
+    const savedSearches = await this.controller.db.getSavedSearches();
+
+    clearElement(this.savedSearchBar);
+    this.savedSearchBar.classList.toggle('hidden', savedSearches.length === 0);
+
+    for (const savedSearch of savedSearches) {
+      const chip = div({ className: 'collection-chip' });
+
+      chip.appendChild(button({
+        className: 'collection-chip-label',
+        text: savedSearch.name,
+        title: savedSearch.query,
+        onClick: () => this.runSavedSearch(savedSearch)
+      }));
+
+      chip.appendChild(button({
+        className: `collection-chip-action ${savedSearch.pinned ? 'active' : ''}`,
+        html: '&#128204;', // Pushpin
+        title: savedSearch.pinned ? 'Unpin from Browse' : 'Pin to Browse as a collection',
+        onClick: () => this.controller.db.updateSavedSearch(savedSearch.id, { pinned: !savedSearch.pinned })
+      }));
+
+      chip.appendChild(button({
+        className: 'collection-chip-action',
+        text: '×',
+        title: 'Delete saved search',
+        onClick: () => {
+          if (confirm(`Delete the saved search "${savedSearch.name}"?`)) {
+            this.controller.db.deleteSavedSearch(savedSearch.id);
+          }
+        }
+      }));
+
+      this.savedSearchBar.appendChild(chip);
+    }
+  }
+
+  /**
+   * Run a saved search
+   */
+  runSavedSearch(savedSearch) {
+    this.runQuery(savedSearch.query);
+  }
+
+  /**
+   * Put a query in the search box and run it
+   */
+  runQuery(query) {
+    this.searchInput.value = query;
+    this.state.search.query = query;
+    this.handleSearch();
+  }
+
+  /**
+   * Save the current query
+   */
+  async handleSaveSearch() {
+    const query = this.searchInput.value.trim();
+    if (!query) return;
+
+    const name = prompt('Name this search', query);
+    if (name === null) return;
+
+    try {
+      await this.controller.db.saveSavedSearch({ name: name.trim() || query, query, pinned: true });
+      this.controller.showNotification('Search saved and pinned to Browse', 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to save search: ' + error.message, 'error');
+    }
+  }
+
   /**
    * Clear search
    */
   clearSearch() {
     this.searchInput.value = '';
+    this.renderQueryError(null);
     this.state.search.query = '';
     this.state.search.results = [];
     this.state.search.hasSearched = false;
@@ -264,6 +442,12 @@ export class SearchView {
         <span>results found</span>
       </div>
     `;
+    statsBar.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Save search',
+      title: 'Keep this query and pin it as a collection in Browse',
+      onClick: () => this.handleSaveSearch()
+    }));
     this.resultsContainer.appendChild(statsBar);
 
     // Notice (e.g., fallback to keyword search)
@@ -290,10 +474,18 @@ export class SearchView {
       const card = new NoteCard(note, {
         showCheckbox: true,
         showScore: true,
+        tagColors: this.tagColors,
         isSelected: this.state.search.selectedIds.includes(note.id),
         onSelect: (id, selected) => this.handleSelect(id, selected),
         onEdit: (note) => this.handleEdit(note),
-        onDelete: (note) => this.handleDelete(note)
+        onDelete: (note) => this.handleDelete(note),
+        getRevisions: (note) => this.controller.db.getRevisions(note.id),
+        onRestoreRevision: (note, revision) => this.handleRestoreRevision(note, revision),
+        getRelated: (note) => this.controller.related.getRelated(note.id),
+        getBacklinks: (note) => this.controller.related.getBacklinks(note),
+        getAttachment: (id) => this.controller.db.getAttachment(id),
+        onDeleteAttachment: (note, attachment) => this.controller.deleteAttachment(note, attachment),
+        onOpenNote: (note) => this.handleEdit(note)
       });
 
       this.resultsContainer.appendChild(card.render());
@@ -314,6 +506,13 @@ export class SearchView {
         Enter keywords or describe what you're looking for.<br>
         The AI will find semantically similar content.
       </p>
+      <ul class="search-syntax-help text-sm text-muted">
+        <li><code>tag:rust</code> <code>-tag:draft</code> tagged (or not); <code>tag:research</code> includes <code>research/ml</code></li>
+        <li><code>site:github.com</code> <code>url:docs</code> <code>title:guide</code></li>
+        <li><code>after:2024-01</code> <code>before:30d</code> by date saved</li>
+        <li><code>has:highlights</code> <code>has:article</code> <code>has:attachments</code></li>
+        <li><code>"exact phrase"</code> <code>-word</code> <code>rust OR go</code> <code>(a OR b) c</code></li>
+      </ul>
     `;
 
     this.resultsContainer.appendChild(empty);
@@ -365,13 +564,34 @@ export class SearchView {
     this.bulkActionBar.innerHTML = `
       <span class="selected-count">${selectedCount} selected</span>
       <button class="btn btn-sm btn-secondary bulk-export">Export</button>
+      <button class="btn btn-sm btn-secondary bulk-tag">Tag</button>
       <button class="btn btn-sm btn-danger bulk-delete">Delete</button>
     `;
 
     this.bulkActionBar.querySelector('.bulk-export').onclick = () => this.handleBulkExport();
+    this.bulkActionBar.querySelector('.bulk-tag').onclick = () => this.controller.promptRetag(this.state.search.selectedIds);
     this.bulkActionBar.querySelector('.bulk-delete').onclick = () => this.handleBulkDelete();
   }
 
+  /**
+   * Load tag colors for the note cards
+   */
+  async loadTagColors() {
+    const tags = await this.controller.db.getAllTags();
+    this.tagColors = new Map(tags.filter(tag => tag.color).map(tag => [tag.name, tag.color]));
+  }
+
+  /**
+   * Re-render the listed notes with their current tags and tag colors
+   */
+  async handleTagsChanged() {
+    await this.loadTagColors();
+    const ids = this.state.search.results.map(n => n.id);
+    const current = new Map((await this.controller.db.getNotes(ids)).map(n => [n.id, n]));
+    this.state.search.results = this.state.search.results.map(n => current.has(n.id) ? { ...n, ...current.get(n.id) } : n);
+    this.renderResults();
+  }
+
   /**
    * Handle bulk export
    */
@@ -390,18 +610,9 @@ export class SearchView {
    */
   async handleBulkDelete() {
     const selectedIds = this.state.search.selectedIds;
-    const count = selectedIds.length;
-
-    if (!confirm(`Delete ${count} bookmark${count > 1 ? 's' : ''}? This cannot be undone.`)) {
-      return;
-    }
 
     try {
-      for (const id of selectedIds) {
-        await this.controller.db.deleteNote(id);
-      }
-
-      this.controller.vectorSearch.invalidateCache();
+      await this.controller.trashNotes(selectedIds);
       this.state.search.results = this.state.search.results.filter(
         n => !selectedIds.includes(n.id)
       );
@@ -409,7 +620,6 @@ export class SearchView {
 
       this.renderResults();
       this.renderBulkActionBar();
-      this.controller.showNotification(`Deleted ${count} bookmark${count > 1 ? 's' : ''}`, 'success');
     } catch (error) {
       this.controller.showNotification('Failed to delete: ' + error.message, 'error');
     }
@@ -425,6 +635,8 @@ export class SearchView {
       title: note.title,
       url: note.url,
       content: note.content,
+      highlights: note.highlights || [],
+      article: note.article || null,
       tags: note.tags,
       favicon: note.favicon,
       sessionId: note.id,
@@ -441,8 +653,7 @@ export class SearchView {
    */
   async handleDelete(note) {
     try {
-      await this.controller.db.deleteNote(note.id);
-      this.controller.vectorSearch.invalidateCache();
+      await this.controller.trashNotes([note.id]);
 
       // Remove from results
       this.state.search.results = this.state.search.results.filter(n => n.id !== note.id);
@@ -450,9 +661,19 @@ export class SearchView {
 
       this.renderResults();
       this.renderBulkActionBar();
-      this.controller.showNotification('Bookmark deleted', 'success');
     } catch (error) {
       this.controller.showNotification('Failed to delete: ' + error.message, 'error');
     }
   }
+
+  /**
+   * Restore a note to a revision; the card re-renders itself with the result
+   */
+  async handleRestoreRevision(note, revision) {
+    const restored = await this.controller.restoreRevision(note, revision);
+    if (restored) {
+      this.state.search.results = this.state.search.results.map(n => n.id === restored.id ? { ...n, ...restored } : n);
+    }
+    return restored;
+  }
 }
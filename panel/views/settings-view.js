@@ -0,0 +1,228 @@
+/**
+ * Settings View
+ * Preferences stored in the database (revision history, trash retention and page recall),
+ * and the keyboard shortcuts (which Chrome stores)
+ */
+
+import { div, span, button, input, label, createElement, clearElement } from '../utils/dom-helpers.js';
+
+export class SettingsView {
+  constructor(controller) {
+    this.controller = controller;
+    this.element = null;
+    this.maxPerNoteInput = null;
+    this.maxAgeInput = null;
+    this.trashRetentionInput = null;
+    this.badgeCheckbox = null;
+    this.recallCheckbox = null;
+    this.recallScoreInput = null;
+    this.shortcutList = null;
+    this.saveBtn = null;
+  }
+
+  /**
+   * Render the view
+   */
+  render() {
+    this.element = div({ className: 'settings-view' });
+
+    const header = createElement('h2', { text: 'Settings', style: { marginBottom: '16px' } });
+    this.element.appendChild(header);
+
+    // Revision history section
+    const historySection = div({ className: 'section mb-md' });
+
+    historySection.appendChild(createElement('h3', {
+      text: 'Revision History',
+      style: { marginBottom: '8px' }
+    }));
+    historySection.appendChild(createElement('p', {
+      className: 'text-sm text-muted mb-md',
+      text: 'Every save keeps a revision of the bookmark. Older revisions beyond these limits are deleted; the current version is always kept.'
+    }));
+
+    const maxPerNoteGroup = div({ className: 'form-group' });
+    maxPerNoteGroup.appendChild(label({ className: 'form-label', text: 'Revisions kept per bookmark' }));
+    this.maxPerNoteInput = input({ type: 'number', className: 'form-input', min: '1', step: '1' });
+    maxPerNoteGroup.appendChild(this.maxPerNoteInput);
+    historySection.appendChild(maxPerNoteGroup);
+
+    const maxAgeGroup = div({ className: 'form-group' });
+    maxAgeGroup.appendChild(label({ className: 'form-label', text: 'Delete revisions older than (days, 0 = never)' }));
+    this.maxAgeInput = input({ type: 'number', className: 'form-input', min: '0', step: '1' });
+    maxAgeGroup.appendChild(this.maxAgeInput);
+    historySection.appendChild(maxAgeGroup);
+
+    this.element.appendChild(historySection);
+
+    // Trash section
+    const trashSection = div({ className: 'section mb-md' });
+
+    trashSection.appendChild(createElement('h3', {
+      text: 'Trash',
+      style: { marginBottom: '8px' }
+    }));
+    trashSection.appendChild(createElement('p', {
+      className: 'text-sm text-muted mb-md',
+      text: 'Deleted bookmarks stay in the trash (Browse → Trash) until it is emptied or they expire.'
+    }));
+
+    const trashGroup = div({ className: 'form-group' });
+    trashGroup.appendChild(label({ className: 'form-label', text: 'Permanently delete after (days, 0 = never)' }));
+    this.trashRetentionInput = input({ type: 'number', className: 'form-input', min: '0', step: '1' });
+    trashGroup.appendChild(this.trashRetentionInput);
+    trashSection.appendChild(trashGroup);
+
+    this.element.appendChild(trashSection);
+
+    // Current page section
+    const pagesSection = div({ className: 'section mb-md' });
+
+    pagesSection.appendChild(createElement('h3', {
+      text: 'Current Page',
+      style: { marginBottom: '8px' }
+    }));
+    pagesSection.appendChild(createElement('p', {
+      className: 'text-sm text-muted mb-md',
+      text: 'Bookmarks saved from the page you are on are listed at the top of the capture view. Recall also lists saved bookmarks that resemble the page; it runs the AI model on each page you switch to while the side panel is open.'
+    }));
+
+    this.badgeCheckbox = input({ type: 'checkbox', id: 'settings-page-badge' });
+    pagesSection.appendChild(this.createCheckboxRow(this.badgeCheckbox, 'Show the number of saved bookmarks on the toolbar icon'));
+
+    this.recallCheckbox = input({ type: 'checkbox', id: 'settings-page-recall' });
+    pagesSection.appendChild(this.createCheckboxRow(this.recallCheckbox, 'Recall bookmarks related to the current page'));
+
+    const recallScoreGroup = div({ className: 'form-group' });
+    recallScoreGroup.appendChild(label({ className: 'form-label', text: 'Minimum similarity for recall (0-1)' }));
+    this.recallScoreInput = input({ type: 'number', className: 'form-input', min: '0', max: '1', step: '0.05' });
+    recallScoreGroup.appendChild(this.recallScoreInput);
+    pagesSection.appendChild(recallScoreGroup);
+
+    this.element.appendChild(pagesSection);
+
+    // Keyboard shortcuts section
+    const shortcutsSection = div({ className: 'section mb-md' });
+
+    shortcutsSection.appendChild(createElement('h3', {
+      text: 'Keyboard Shortcuts',
+      style: { marginBottom: '8px' }
+    }));
+    shortcutsSection.appendChild(createElement('p', {
+      className: 'text-sm text-muted mb-md',
+      text: 'Capture without the right-click menu. Selections are added to the page\'s existing bookmark, like "Add to Super Bookmarks". Chrome manages the key bindings.'
+    }));
+
+    this.shortcutList = div({ className: 'shortcut-list mb-md' });
+    shortcutsSection.appendChild(this.shortcutList);
+
+    shortcutsSection.appendChild(button({
+      className: 'btn btn-secondary btn-sm',
+      text: 'Change Shortcuts',
+      onClick: () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' })
+    }));
+
+    this.element.appendChild(shortcutsSection);
+
+    this.saveBtn = button({
+      className: 'btn btn-primary',
+      text: 'Save Settings',
+      onClick: () => this.handleSave()
+    });
+    this.element.appendChild(this.saveBtn);
+
+    return this.element;
+  }
+
+  /**
+   * Called when view is mounted
+   */
+  async mount() {
+    try {
+      const settings = await this.controller.db.getSettings();
+      this.maxPerNoteInput.value = settings.revisions.maxPerNote;
+      this.maxAgeInput.value = settings.revisions.maxAgeDays;
+      this.trashRetentionInput.value = settings.trash.retentionDays;
+      this.badgeCheckbox.checked = settings.pages.badge;
+      this.recallCheckbox.checked = settings.pages.recall;
+      this.recallScoreInput.value = settings.pages.recallMinScore;
+    } catch (error) {
+      this.controller.showNotification('Failed to load settings: ' + error.message, 'error');
+    }
+
+    await this.renderShortcuts();
+  }
+
+  /**
+   * List the keyboard shortcuts with their current bindings
+   */
+  async renderShortcuts() {
+    const commands = await chrome.commands.getAll();
+    clearElement(this.shortcutList);
+
+    for (const command of commands) {
+      if (!command.description) continue;
+
+      const row = div({ className: 'shortcut-item' });
+      row.appendChild(span({ className: 'text-sm', text: command.description }));
+      row.appendChild(createElement('kbd', {
+        className: command.shortcut ? 'shortcut-key' : 'shortcut-key shortcut-unset',
+        text: command.shortcut || 'Not set'
+      }));
+      this.shortcutList.appendChild(row);
+    }
+  }
+
+  /**
+   * Called when view is unmounted
+   */
+  unmount() {}
+
+  /**
+   * Create a checkbox with its label
+   */
+  createCheckboxRow(checkbox, text) {
+    const row = div({ className: 'flex items-center gap-sm mb-md' });
+    row.appendChild(checkbox);
+    row.appendChild(label({ className: 'text-sm', text, for: checkbox.id }));
+    return row;
+  }
+
+  /**
+   * Validate and save the settings
+   */
+  async handleSave() {
+    const maxPerNote = parseInt(this.maxPerNoteInput.value, 10);
+    const maxAgeDays = parseInt(this.maxAgeInput.value, 10);
+    const retentionDays = parseInt(this.trashRetentionInput.value, 10);
+    const recallMinScore = parseFloat(this.recallScoreInput.value);
+
+    if (!(maxPerNote >= 1) || !(maxAgeDays >= 0) || !(retentionDays >= 0)) {
+      this.controller.showNotification('Keep at least 1 revision, and use 0 or more days', 'warning');
+      return;
+    }
+
+    if (!(recallMinScore >= 0 && recallMinScore <= 1)) {
+      this.controller.showNotification('Use a recall similarity between 0 and 1', 'warning');
+      return;
+    }
+
+    this.saveBtn.disabled = true;
+    try {
+      await this.controller.db.updateSettings({
+        revisions: { maxPerNote, maxAgeDays },
+        trash: { retentionDays },
+        pages: {
+          badge: this.badgeCheckbox.checked,
+          recall: this.recallCheckbox.checked,
+          recallMinScore
+        }
+      });
+      this.controller.showNotification('Settings saved', 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to save settings: ' + error.message, 'error');
+    } finally {
+      this.saveBtn.disabled = false;
+    }
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Tags View
+ * List tags with usage counts; rename, merge, recolor and delete them
+ */
+
+import { div, span, button, input, clearElement, createElement, debounce } from '../utils/dom-helpers.js';
+import { formatNumber } from '../utils/formatters.js';
+import { normalizeTagName } from '../../lib/db/schema.js';
+
+export class TagsView {
+  constructor(controller) {
+    this.controller = controller;
+    this.element = null;
+    this.listContainer = null;
+    this.filterInput = null;
+    this.mergeBtn = null;
+    this.tags = [];
+    this.selectedNames = new Set();
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Render the view
+   */
+  render() {
+    this.element = div({ className: 'tags-view' });
+
+    const header = div({ className: 'flex justify-between items-center mb-md' });
+    header.appendChild(createElement('h2', { text: 'Tags' }));
+
+    this.mergeBtn = button({
+      className: 'btn btn-secondary btn-sm',
+      text: 'Merge Selected',
+      title: 'Combine the selected tags into one',
+      onClick: () => this.handleMerge()
+    });
+    header.appendChild(this.mergeBtn);
+    this.element.appendChild(header);
+
+    this.filterInput = input({
+      type: 'text',
+      className: 'form-input mb-md',
+      placeholder: 'Filter tags...'
+    });
+    this.filterInput.addEventListener('input', debounce(() => this.renderTags(), 150));
+    this.element.appendChild(this.filterInput);
+
+    this.listContainer = div({ className: 'tag-list' });
+    this.element.appendChild(this.listContainer);
+
+    return this.element;
+  }
+
+  /**
+   * Called when view is mounted
+   */
+  async mount() {
+    this.unsubscribers.push(
+      this.controller.db.subscribe(event => {
+        if (['tags-changed', 'note-saved', 'note-deleted', 'trash-changed', 'imported'].includes(event.type)) {
+          this.loadTags();
+        }
+      })
+    );
+
+    await this.loadTags();
+  }
+
+  /**
+   * Called when view is unmounted
+   */
+  unmount() {
+    this.unsubscribers.forEach(unsub => unsub());
+    this.unsubscribers = [];
+    this.selectedNames.clear();
+  }
+
+  /**
+   * Load tags (most used first) and render them
+   */
+  async loadTags() {
+    try {
+      this.tags = await this.controller.db.getAllTags();
+      const names = new Set(this.tags.map(tag => tag.name));
+      this.selectedNames = new Set([...this.selectedNames].filter(name => names.has(name)));
+      this.renderTags();
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+      this.controller.showNotification('Failed to load tags: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Render the (filtered) tag list
+   */
+  renderTags() {
+    clearElement(this.listContainer);
+    this.mergeBtn.disabled = this.selectedNames.size < 2;
+
+    const filter = this.filterInput.value.trim().toLowerCase();
+    const tags = this.tags.filter(tag => tag.name.includes(filter));
+
+    if (tags.length === 0) {
+      this.listContainer.appendChild(div({
+        className: 'empty-state',
+        text: this.tags.length === 0 ? 'No tags yet. Add tags when saving a bookmark.' : 'No tags match.'
+      }));
+      return;
+    }
+
+    for (const tag of tags) {
+      this.listContainer.appendChild(this.createRow(tag));
+    }
+  }
+
+  /**
+   * Create one tag row
+   */
+  createRow(tag) {
+    const row = div({ className: `tag-row ${tag.usageCount === 0 ? 'unused' : ''}` });
+
+    row.appendChild(input({
+      type: 'checkbox',
+      checked: this.selectedNames.has(tag.name),
+      title: 'Select for merging',
+      onChange: (e) => {
+        if (e.target.checked) {
+          this.selectedNames.add(tag.name);
+        } else {
+          this.selectedNames.delete(tag.name);
+        }
+        this.mergeBtn.disabled = this.selectedNames.size < 2;
+      }
+    }));
+
+    const colorInput = input({
+      type: 'color',
+      className: 'tag-color-input',
+      value: tag.color || '#a16207',
+      title: 'Tag color'
+    });
+    colorInput.addEventListener('change', () => this.handleColor(tag, colorInput.value));
+    row.appendChild(colorInput);
+
+    row.appendChild(button({
+      className: 'tag-row-name',
+      text: `#${tag.name}`,
+      title: 'Search bookmarks with this tag',
+      style: tag.color ? { color: tag.color } : {},
+      onClick: () => this.controller.searchTag(tag.name)
+    }));
+
+    row.appendChild(span({
+      className: 'tag-row-count',
+      text: tag.usageCount > 0 ? formatNumber(tag.usageCount) : 'unused'
+    }));
+
+    const actions = div({ className: 'tag-row-actions' });
+    if (tag.color) {
+      actions.appendChild(button({
+        className: 'btn btn-ghost btn-sm',
+        text: 'Clear color',
+        onClick: () => this.handleColor(tag, null)
+      }));
+    }
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Rename',
+      onClick: () => this.handleRename(tag)
+    }));
+    actions.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Delete',
+      onClick: () => this.handleDelete(tag)
+    }));
+    row.appendChild(actions);
+
+    return row;
+  }
+
+  /**
+   * Set or clear a tag's color
+   */
+  async handleColor(tag, color) {
+    try {
+      await this.controller.db.setTagColor(tag.name, color);
+    } catch (error) {
+      this.controller.showNotification('Failed to update color: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Rename a tag everywhere (renaming onto an existing tag merges them)
+   */
+  async handleRename(tag) {
+    const nested = this.tags.some(t => t.name.startsWith(tag.name + '/'));
+    const newName = prompt(nested ? 'Rename tag (its nested tags move with it):' : 'Rename tag:', tag.name);
+    if (newName === null || !normalizeTagName(newName) || normalizeTagName(newName) === tag.name) return;
+
+    const target = normalizeTagName(newName);
+    if (this.tags.some(t => t.name === target) &&
+        !confirm(`"${target}" already exists. Merge "${tag.name}" into it?`)) {
+      return;
+    }
+
+    try {
+      const count = await this.controller.db.renameTag(tag.name, target);
+      this.controller.showNotification(`Renamed tag on ${count} bookmark${count === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to rename tag: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Merge the selected tags into one
+   */
+  async handleMerge() {
+    const selected = this.tags.filter(tag => this.selectedNames.has(tag.name));
+    if (selected.length < 2) return;
+
+    // Suggest the most used of the selection
+    const targetName = prompt(
+      `Merge ${selected.map(tag => tag.name).join(', ')} into:`,
+      selected[0].name
+    );
+    if (targetName === null || !targetName.trim()) return;
+
+    try {
+      const count = await this.controller.db.mergeTags(selected.map(tag => tag.name), targetName);
+      this.selectedNames.clear();
+      this.controller.showNotification(`Merged tags on ${count} bookmark${count === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to merge tags: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Remove a tag from every bookmark and delete it
+   */
+  async handleDelete(tag) {
+    const message = tag.usageCount > 0
+      ? `Remove "${tag.name}" from ${tag.usageCount} bookmark${tag.usageCount === 1 ? '' : 's'} and delete it?`
+      : `Delete the unused tag "${tag.name}"?`;
+    if (!confirm(message)) return;
+
+    try {
+      await this.controller.db.deleteTag(tag.name);
+      this.controller.showNotification('Tag deleted', 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to delete tag: ' + error.message, 'error');
+    }
+  }
+}
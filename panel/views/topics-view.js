@@ -0,0 +1,403 @@
+/**
+ * Topics View
+ * Browse the library grouped into topics found by clustering note embeddings
+ */
+
+import { div, span, button, input, clearElement, createElement } from '../utils/dom-helpers.js';
+import { NoteCard } from '../components/note-card.js';
+import { formatNumber, formatRelativeTime } from '../utils/formatters.js';
+import { normalizeTagName } from '../../lib/db/schema.js';
+import { getTopicTagName } from '../../lib/search/topic-clusters.js';
+
+// Keywords already shown in a topic's label
+const LABEL_KEYWORDS = 3;
+
+export class TopicsView {
+  constructor(controller) {
+    this.controller = controller;
+    this.element = null;
+    this.statusElement = null;
+    this.listContainer = null;
+    this.countInput = null;
+    this.refreshBtn = null;
+    this.rebuildBtn = null;
+    this.tagAllBtn = null;
+    this.unsubscribers = [];
+
+    // Stored clustering, and the topic being viewed (null for the topic list)
+    this.record = null;
+    this.activeTopicId = null;
+    this.tagColors = new Map();
+  }
+
+  /**
+   * Render the view
+   */
+  render() {
+    this.element = div({ className: 'topics-view' });
+
+    const header = div({ className: 'flex justify-between items-center mb-md' });
+    header.appendChild(createElement('h2', { text: 'Topics' }));
+
+    const controls = div({ className: 'flex gap-sm items-center' });
+
+    this.countInput = input({
+      type: 'number',
+      className: 'form-input topics-count-input',
+      min: '2',
+      max: '100',
+      step: '1',
+      placeholder: 'auto',
+      title: 'Number of topics for Rebuild (empty chooses one from the library size)'
+    });
+    controls.appendChild(this.countInput);
+
+    this.rebuildBtn = button({
+      className: 'btn btn-secondary btn-sm',
+      text: 'Rebuild',
+      title: 'Cluster the whole library from scratch',
+      onClick: () => this.handleBuild(false)
+    });
+    controls.appendChild(this.rebuildBtn);
+
+    this.refreshBtn = button({
+      className: 'btn btn-secondary btn-sm',
+      text: 'Refresh',
+      title: 'Update the current topics with new and changed bookmarks',
+      onClick: () => this.handleBuild(true)
+    });
+    controls.appendChild(this.refreshBtn);
+
+    this.tagAllBtn = button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Tag All',
+      title: 'Tag every bookmark with its topic',
+      onClick: () => this.handleTagAll()
+    });
+    controls.appendChild(this.tagAllBtn);
+
+    header.appendChild(controls);
+    this.element.appendChild(header);
+
+    this.statusElement = div({ className: 'text-sm text-muted mb-md' });
+    this.element.appendChild(this.statusElement);
+
+    this.listContainer = div({ className: 'topic-list' });
+    this.element.appendChild(this.listContainer);
+
+    return this.element;
+  }
+
+  /**
+   * Called when view is mounted
+   */
+  async mount() {
+    this.unsubscribers.push(
+      this.controller.db.subscribe(event => {
+        if (event.type === 'tags-changed') {
+          this.handleTagsChanged();
+        }
+      })
+    );
+
+    await this.loadTagColors();
+    await this.loadTopics();
+  }
+
+  /**
+   * Called when view is unmounted
+   */
+  unmount() {
+    this.unsubscribers.forEach(unsub => unsub());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Load the stored topics and render them
+   */
+  async loadTopics() {
+    try {
+      this.record = await this.controller.topics.getTopics();
+      await this.renderStatus();
+      this.renderContent();
+    } catch (error) {
+      console.error('Failed to load topics:', error);
+      this.controller.showNotification('Failed to load topics: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Render the topic list or the open topic
+   */
+  renderContent() {
+    if (this.activeTopicId && this.record?.topics.some(t => t.id === this.activeTopicId)) {
+      this.renderTopic();
+    } else {
+      this.activeTopicId = null;
+      this.renderTopics();
+    }
+  }
+
+  /**
+   * Re-render the open topic's cards with current tags and colors
+   */
+  async handleTagsChanged() {
+    await this.loadTagColors();
+    if (this.activeTopicId) {
+      await this.renderTopic();
+    }
+  }
+
+  /**
+   * Load tag colors for the note cards
+   */
+  async loadTagColors() {
+    const tags = await this.controller.db.getAllTags();
+    this.tagColors = new Map(tags.filter(tag => tag.color).map(tag => [tag.name, tag.color]));
+  }
+
+  /**
+   * Show when topics were built and how many bookmarks they miss
+   */
+  async renderStatus() {
+    const hasTopics = !!this.record && this.record.topics.length > 0;
+    this.refreshBtn.disabled = !hasTopics;
+    this.tagAllBtn.disabled = !hasTopics;
+
+    if (!hasTopics) {
+      this.statusElement.textContent = '';
+      return;
+    }
+
+    const unclustered = await this.controller.topics.getUnclusteredCount(this.record);
+    const parts = [
+      `${this.record.topics.length} topics`,
+      `built ${formatRelativeTime(this.record.builtAt)}`
+    ];
+    if (unclustered > 0) {
+      parts.push(`${formatNumber(unclustered)} new bookmark${unclustered === 1 ? '' : 's'} not in a topic yet (Refresh)`);
+    }
+    this.statusElement.textContent = parts.join(' · ');
+  }
+
+  /**
+   * Render the topic list
+   */
+  renderTopics() {
+    clearElement(this.listContainer);
+
+    if (!this.record || this.record.topics.length === 0) {
+      this.listContainer.appendChild(div({
+        className: 'empty-state',
+        text: 'Group your bookmarks into topics by what they are about. Click Rebuild to start.'
+      }));
+      return;
+    }
+
+    for (const topic of this.record.topics) {
+      this.listContainer.appendChild(this.createTopicItem(topic));
+    }
+  }
+
+  /**
+   * Create one topic row
+   */
+  createTopicItem(topic) {
+    const item = div({
+      className: 'topic-item',
+      onClick: () => this.openTopic(topic.id)
+    });
+
+    const header = div({ className: 'topic-item-header' });
+    header.appendChild(span({ className: 'topic-item-label', text: topic.label }));
+    header.appendChild(span({
+      className: 'topic-item-count',
+      text: `${formatNumber(topic.noteIds.length)} bookmark${topic.noteIds.length === 1 ? '' : 's'}`
+    }));
+    header.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      text: 'Tag',
+      title: 'Tag these bookmarks',
+      onClick: (e) => {
+        e.stopPropagation();
+        this.handleTagTopic(topic);
+      }
+    }));
+    item.appendChild(header);
+
+    if (topic.keywords.length > LABEL_KEYWORDS) {
+      item.appendChild(div({
+        className: 'topic-item-keywords text-sm text-muted',
+        text: topic.keywords.join(', ')
+      }));
+    }
+
+    item.appendChild(div({
+      className: 'topic-item-titles text-sm',
+      text: topic.titles.join(' · ')
+    }));
+
+    return item;
+  }
+
+  /**
+   * Open a topic and list its bookmarks
+   */
+  openTopic(topicId) {
+    this.activeTopicId = topicId;
+    this.renderTopic();
+  }
+
+  /**
+   * Render the bookmarks of the open topic
+   */
+  async renderTopic() {
+    const topic = this.record?.topics.find(t => t.id === this.activeTopicId);
+    if (!topic) return;
+
+    clearElement(this.listContainer);
+
+    const header = div({ className: 'collection-header' });
+    const title = div({ className: 'flex items-center gap-sm' });
+    title.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      html: '&larr; Topics',
+      onClick: () => {
+        this.activeTopicId = null;
+        this.renderTopics();
+      }
+    }));
+    title.appendChild(createElement('h3', { text: topic.label }));
+    header.appendChild(title);
+    header.appendChild(button({
+      className: 'btn btn-secondary btn-sm',
+      text: 'Tag These',
+      onClick: () => this.handleTagTopic(topic)
+    }));
+    this.listContainer.appendChild(header);
+
+    const notes = await this.controller.db.getNotes(topic.noteIds);
+    if (this.activeTopicId !== topic.id) return;
+
+    if (notes.length === 0) {
+      this.listContainer.appendChild(div({
+        className: 'empty-state',
+        text: 'These bookmarks have been deleted. Refresh to update the topics.'
+      }));
+      return;
+    }
+
+    for (const note of notes) {
+      const card = new NoteCard(note, {
+        tagColors: this.tagColors,
+        onEdit: (note) => this.handleEdit(note),
+        onDelete: (note) => this.handleDelete(note),
+        getRevisions: (note) => this.controller.db.getRevisions(note.id),
+        onRestoreRevision: (note, revision) => this.controller.restoreRevision(note, revision),
+        getRelated: (note) => this.controller.related.getRelated(note.id),
+        getBacklinks: (note) => this.controller.related.getBacklinks(note),
+        getAttachment: (id) => this.controller.db.getAttachment(id),
+        onDeleteAttachment: (note, attachment) => this.controller.deleteAttachment(note, attachment),
+        onOpenNote: (note) => this.handleEdit(note)
+      });
+      this.listContainer.appendChild(card.render());
+    }
+  }
+
+  /**
+   * Cluster the library (incremental: start from the current topics)
+   */
+  async handleBuild(incremental) {
+    const k = parseInt(this.countInput.value, 10);
+    if (!incremental && this.countInput.value && !(k >= 2)) {
+      this.controller.showNotification('Use at least 2 topics, or leave it empty', 'warning');
+      return;
+    }
+
+    const activeBtn = incremental ? this.refreshBtn : this.rebuildBtn;
+    const label = activeBtn.textContent;
+    this.refreshBtn.disabled = true;
+    this.rebuildBtn.disabled = true;
+    activeBtn.textContent = 'Clustering...';
+
+    try {
+      this.record = await this.controller.topics.build({
+        incremental,
+        k: incremental ? null : (k || null)
+      });
+      this.controller.showNotification(`Found ${this.record.topics.length} topics`, 'success');
+    } catch (error) {
+      console.error('Failed to build topics:', error);
+      this.controller.showNotification('Failed to find topics: ' + error.message, 'error');
+    } finally {
+      activeBtn.textContent = label;
+      this.rebuildBtn.disabled = false;
+      await this.renderStatus();
+      this.renderContent();
+    }
+  }
+
+  /**
+   * Tag one topic's bookmarks
+   */
+  async handleTagTopic(topic) {
+    const name = prompt(`Tag ${topic.noteIds.length} bookmarks in "${topic.label}" as:`, getTopicTagName(topic));
+    if (name === null || !name.trim()) return;
+
+    try {
+      const count = await this.controller.topics.tagTopics([topic], { names: new Map([[topic.id, name]]) });
+      this.controller.showNotification(`Tagged ${count} bookmark${count === 1 ? '' : 's'} #${normalizeTagName(name)}`, 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to tag topic: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Tag every topic's bookmarks with a nested tag per topic ("topic/rust-async")
+   */
+  async handleTagAll() {
+    const prefix = prompt(
+      `Tag the bookmarks of all ${this.record.topics.length} topics. Parent tag for the topic tags (empty for none):`,
+      'topic'
+    );
+    if (prefix === null) return;
+
+    try {
+      const count = await this.controller.topics.tagTopics(this.record.topics, { prefix: prefix.trim() });
+      this.controller.showNotification(`Tagged ${count} bookmark${count === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to tag topics: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Handle edit action
+   */
+  handleEdit(note) {
+    // Switch to ingest view with note loaded
+    this.controller.state.getState().ingest = {
+      ...this.controller.state.getState().ingest,
+      title: note.title,
+      url: note.url,
+      content: note.content,
+      highlights: note.highlights || [],
+      article: note.article || null,
+      tags: note.tags,
+      favicon: note.favicon,
+      sessionId: note.id,
+      isDirty: false,
+      isEditing: true
+    };
+
+    this.controller.showView('ingest');
+    this.controller.showNotification('Editing bookmark', 'info');
+  }
+
+  /**
+   * Handle delete action
+   */
+  async handleDelete(note) {
+    await this.controller.trashNotes([note.id]);
+    this.renderTopic();
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Trash View
+ * Deleted bookmarks, restorable until emptied or purged
+ */
+
+import { div, span, button, clearElement, createElement } from '../utils/dom-helpers.js';
+import { formatRelativeTime, formatDateTime, formatUrl, formatNumber } from '../utils/formatters.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class TrashView {
+  constructor(controller) {
+    this.controller = controller;
+    this.element = null;
+    this.listContainer = null;
+    this.statsElement = null;
+    this.emptyBtn = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Render the view
+   */
+  render() {
+    this.element = div({ className: 'trash-view' });
+
+    const header = div({ className: 'flex justify-between items-center mb-md' });
+
+    const title = div({ className: 'flex items-center gap-sm' });
+    title.appendChild(button({
+      className: 'btn btn-ghost btn-sm',
+      html: '&larr; Browse',
+      onClick: () => this.controller.showView('browse')
+    }));
+    title.appendChild(createElement('h2', { text: 'Trash' }));
+    header.appendChild(title);
+
+    this.emptyBtn = button({
+      className: 'btn btn-danger btn-sm',
+      text: 'Empty Trash',
+      onClick: () => this.handleEmptyTrash()
+    });
+    header.appendChild(this.emptyBtn);
+
+    this.element.appendChild(header);
+
+    this.statsElement = div({ className: 'text-sm text-muted mb-md' });
+    this.element.appendChild(this.statsElement);
+
+    this.listContainer = div({ className: 'trash-list' });
+    this.element.appendChild(this.listContainer);
+
+    return this.element;
+  }
+
+  /**
+   * Called when view is mounted
+   */
+  async mount() {
+    this.unsubscribers.push(
+      this.controller.db.subscribe(event => {
+        if (event.type === 'trash-changed' || event.type === 'imported') {
+          this.loadTrash();
+        }
+      })
+    );
+
+    await this.loadTrash();
+  }
+
+  /**
+   * Called when view is unmounted
+   */
+  unmount() {
+    this.unsubscribers.forEach(unsub => unsub());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Load and render the trash
+   */
+  async loadTrash() {
+    try {
+      const [entries, settings] = await Promise.all([
+        this.controller.db.getTrash(),
+        this.controller.db.getSettings()
+      ]);
+      this.renderEntries(entries, settings.trash.retentionDays);
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+      this.controller.showNotification('Failed to load trash: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Render the trashed notes
+   */
+  renderEntries(entries, retentionDays) {
+    clearElement(this.listContainer);
+    this.emptyBtn.disabled = entries.length === 0;
+
+    this.statsElement.textContent = retentionDays > 0
+      ? `${formatNumber(entries.length)} in trash · deleted permanently after ${retentionDays} day${retentionDays === 1 ? '' : 's'}`
+      : `${formatNumber(entries.length)} in trash · kept until the trash is emptied`;
+
+    if (entries.length === 0) {
+      this.listContainer.appendChild(div({
+        className: 'empty-state',
+        text: 'The trash is empty.'
+      }));
+      return;
+    }
+
+    for (const entry of entries) {
+      this.listContainer.appendChild(this.createItem(entry, retentionDays));
+    }
+  }
+
+  /**
+   * Create one trash row
+   */
+  createItem(entry, retentionDays) {
+    const { note } = entry;
+    const item = div({ className: 'trash-item' });
+
+    const info = div({ className: 'trash-item-info' });
+    info.appendChild(div({ className: 'note-card-title', text: note.title || 'Untitled' }));
+
+    const meta = div({ className: 'note-card-meta' });
+    if (note.url) {
+      meta.appendChild(span({ text: formatUrl(note.url, 30) }));
+    }
+    meta.appendChild(span({
+      text: `Deleted ${formatRelativeTime(entry.deletedAt)}`,
+      title: formatDateTime(entry.deletedAt)
+    }));
+    if (retentionDays > 0) {
+      const daysLeft = Math.max(0, Math.ceil((entry.deletedAt + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+      meta.appendChild(span({ text: `${daysLeft}d left` }));
+    }
+    info.appendChild(meta);
+    item.appendChild(info);
+
+    const actions = div({ className: 'trash-item-actions' });
+    actions.appendChild(button({
+      className: 'btn btn-secondary btn-sm',
+      text: 'Restore',
+      onClick: () => this.controller.restoreFromTrash([note.id])
+    }));
+    actions.appendChild(button({
+      className: 'btn btn-danger btn-sm',
+      text: 'Delete Forever',
+      onClick: () => this.handleDeleteForever(note)
+    }));
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Permanently delete one note
+   */
+  async handleDeleteForever(note) {
+    if (!confirm(`Permanently delete "${note.title || 'Untitled'}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await this.controller.db.deleteFromTrash([note.id]);
+      this.controller.showNotification('Bookmark permanently deleted', 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to delete: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Permanently delete everything in the trash
+   */
+  async handleEmptyTrash() {
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const count = await this.controller.db.emptyTrash();
+      this.controller.showNotification(`Permanently deleted ${count} bookmark${count === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      this.controller.showNotification('Failed to empty trash: ' + error.message, 'error');
+    }
+  }
+}
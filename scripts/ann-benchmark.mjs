@@ -0,0 +1,61 @@
+/**
+ * ANN benchmark on synthetic embeddings
+ *
+ * Usage: node scripts/ann-benchmark.mjs [vectorCount] [queryCount]
+ *
+ * Vectors are drawn around random cluster centres so neighbourhoods look
+ * more like real sentence embeddings than uniform noise does. To benchmark a
+ * real library, run `controller.vectorSearch.benchmarkAnn()` from the side
+ * panel's devtools console instead.
+ */
+
+import { benchmarkAnn } from '../lib/embeddings/ann-benchmark.js';
+
+const DIM = 384;
+const CLUSTERS = 50;
+
+const vectorCount = parseInt(process.argv[2], 10) || 5000;
+const queryCount = parseInt(process.argv[3], 10) || 100;
+
+function gaussian() {
+  const u = Math.random() || Number.MIN_VALUE;
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+function randomVector(centre, spread) {
+  const vector = new Float32Array(DIM);
+  for (let i = 0; i < DIM; i++) {
+    vector[i] = (centre ? centre[i] : 0) + gaussian() * spread;
+  }
+  return normalize(vector);
+}
+
+const centres = Array.from({ length: CLUSTERS }, () => randomVector(null, 1));
+const pick = () => centres[Math.floor(Math.random() * CLUSTERS)];
+
+const vectors = new Map();
+for (let i = 0; i < vectorCount; i++) {
+  vectors.set(`v${i}`, randomVector(pick(), 0.08));
+}
+const queries = Array.from({ length: queryCount }, () => randomVector(pick(), 0.08));
+
+console.log(`Building index over ${vectorCount} vectors (${DIM} dims), ${queryCount} queries...`);
+const report = benchmarkAnn(vectors, queries, { k: 10 });
+
+console.log(`Build: ${(report.buildMs / 1000).toFixed(1)}s`);
+console.log(`Exact scan: ${report.exactMs.toFixed(2)} ms/query`);
+console.table(report.runs.map(run => ({
+  ef: run.ef,
+  'recall@10': run.recall.toFixed(3),
+  'ms/query': run.annMs.toFixed(2),
+  speedup: `${run.speedup.toFixed(1)}x`
+})));
@@ -0,0 +1,40 @@
+/**
+ * Dry-run schema migrations against a backup file
+ *
+ * Usage: node scripts/migrate-backup.mjs backup.json [upgraded.json]
+ *
+ * Prints the migrations a restore would apply and how many records each one
+ * changes. With a second path, the upgraded backup is written there; the
+ * input file is never modified.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { migrateBackupData } from '../lib/db/migrations.js';
+
+const [inputPath, outputPath] = process.argv.slice(2);
+
+if (!inputPath) {
+  console.error('Usage: node scripts/migrate-backup.mjs backup.json [upgraded.json]');
+  process.exit(1);
+}
+
+const backup = JSON.parse(await readFile(inputPath, 'utf8'));
+const { fromVersion, toVersion, steps, data } = migrateBackupData(backup);
+
+console.log(`Backup schema v${fromVersion}, current schema v${toVersion}`);
+
+if (steps.length === 0) {
+  console.log('Already up to date');
+}
+
+for (const step of steps) {
+  const changes = Object.entries(step.changes)
+    .map(([storeName, count]) => `${count} ${storeName}`)
+    .join(', ');
+  console.log(`  v${step.version}: ${step.description}${changes ? ` (${changes} changed)` : ''}`);
+}
+
+if (outputPath) {
+  await writeFile(outputPath, JSON.stringify(data, null, 2));
+  console.log(`Wrote ${outputPath}`);
+}
@@ -0,0 +1,237 @@
+/**
+ * Schema migration tests
+ * Upgrade a v1 database (the first released schema) and a v1 backup to the latest schema
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeEach, afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Database } from '../lib/db/database.js';
+import { migrateBackupData, migrations } from '../lib/db/migrations.js';
+import { DB_NAME, DB_VERSION, MetaKeys, STORES } from '../lib/db/schema.js';
+import { KeywordSearch } from '../lib/search/keyword-search.js';
+
+// Notes as the v1 extension saved them
+const V1_NOTES = [
+  {
+    id: 'note-1',
+    title: 'Kubernetes pods',
+    url: 'https://example.com/pods',
+    content: 'Pods are the smallest deployable units',
+    excerpt: 'Pods are the smallest deployable units',
+    tags: ['K8s', ' Ops / Clusters ', 'k8s'],
+    createdAt: 1000,
+    updatedAt: 1000,
+    favicon: null,
+    metadata: { wordCount: 6, charCount: 38, hasHighlights: false }
+  },
+  {
+    id: 'note-2',
+    title: 'Highlighted article',
+    url: 'https://example.com/article',
+    content: '',
+    excerpt: '',
+    tags: [],
+    highlights: [{ text: 'A saved passage', url: 'https://example.com/article', title: 'Article' }],
+    createdAt: 2000,
+    updatedAt: 2000,
+    favicon: null,
+    metadata: { wordCount: 0, charCount: 0, hasHighlights: true }
+  }
+];
+
+const V1_TAGS = [
+  { name: 'k8s', displayName: 'K8s', usageCount: 7, color: null },
+  { name: 'ops / clusters', displayName: 'Ops / Clusters', usageCount: 3, color: null }
+];
+
+/**
+ * Promise for an IDBRequest
+ */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Create the v1 database with its original stores and indexes and fill it
+ */
+async function createV1Database() {
+  const open = indexedDB.open(DB_NAME, 1);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    const notes = db.createObjectStore('notes', { keyPath: 'id' });
+    notes.createIndex('byCreatedAt', 'createdAt', { unique: false });
+    notes.createIndex('byUpdatedAt', 'updatedAt', { unique: false });
+    notes.createIndex('byUrl', 'url', { unique: false });
+    notes.createIndex('byTags', 'tags', { unique: false, multiEntry: true });
+    db.createObjectStore('embeddings', { keyPath: 'noteId' });
+    db.createObjectStore('tags', { keyPath: 'name' })
+      .createIndex('byUsageCount', 'usageCount', { unique: false });
+    db.createObjectStore('meta', { keyPath: 'key' });
+  };
+  const db = await request(open);
+
+  const tx = db.transaction(['notes', 'tags'], 'readwrite');
+  V1_NOTES.forEach(note => tx.objectStore('notes').put(note));
+  V1_TAGS.forEach(tag => tx.objectStore('tags').put(tag));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+
+  db.close();
+}
+
+let database;
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+});
+
+afterEach(() => {
+  database?.close();
+  database = null;
+});
+
+test('Database.open upgrades a v1 database to the latest schema', async () => {
+  await createV1Database();
+
+  database = new Database();
+  const db = await database.open();
+
+  assert.equal(db.version, DB_VERSION);
+  assert.deepEqual([...db.objectStoreNames].sort(), Object.keys(STORES).sort());
+
+  const tx = db.transaction(Object.keys(STORES));
+  for (const [storeName, config] of Object.entries(STORES)) {
+    const store = tx.objectStore(storeName);
+    assert.deepEqual(store.keyPath, config.keyPath, `${storeName} key path`);
+    assert.deepEqual(
+      [...store.indexNames].sort(),
+      config.indexes.map(index => index.name).sort(),
+      `${storeName} indexes`
+    );
+  }
+});
+
+test('v1 notes are transformed to the current note shape', async () => {
+  await createV1Database();
+
+  database = new Database();
+  await database.open();
+
+  const plain = await database.getNote('note-1');
+  assert.deepEqual(plain.tags, ['k8s', 'ops/clusters']);
+  assert.deepEqual(plain.collectionIds, []);
+  assert.deepEqual(plain.highlights, []);
+  assert.deepEqual(plain.attachments, []);
+  assert.equal(plain.article, null);
+  assert.equal(plain.metadata.hasHighlights, false);
+
+  const highlighted = await database.getNote('note-2');
+  assert.equal(highlighted.highlights.length, 1);
+  const [highlight] = highlighted.highlights;
+  // The v5 highlight shape (fields added later are filled in by the code that reads them)
+  assert.deepEqual(
+    Object.keys(highlight).sort(),
+    ['anchor', 'createdAt', 'id', 'orphaned', 'source', 'text', 'updatedAt']
+  );
+  assert.ok(highlight.id);
+  assert.equal(highlight.text, 'A saved passage');
+  assert.deepEqual(highlight.source, { url: 'https://example.com/article', title: 'Article' });
+  assert.equal(highlighted.excerpt, 'A saved passage');
+  assert.equal(highlighted.metadata.hasHighlights, true);
+  assert.deepEqual(highlighted.collectionIds, []);
+  assert.deepEqual(highlighted.attachments, []);
+
+  const tags = await database.getAllTags();
+  assert.deepEqual(
+    tags.map(tag => [tag.name, tag.usageCount]).sort(),
+    [['k8s', 1], ['ops/clusters', 1]]
+  );
+});
+
+test('migrations are logged in meta', async () => {
+  await createV1Database();
+
+  database = new Database();
+  await database.open();
+
+  const log = await database.getMeta(MetaKeys.SCHEMA_MIGRATIONS);
+  assert.deepEqual(log.map(entry => entry.version), migrations.map(m => m.version));
+
+  // v1 predates the log, so it is recorded without a date
+  assert.equal(log[0].appliedAt, null);
+  for (const entry of log.slice(1)) {
+    assert.equal(typeof entry.appliedAt, 'number', `v${entry.version} appliedAt`);
+  }
+
+  const byVersion = Object.fromEntries(log.map(entry => [entry.version, entry]));
+  assert.deepEqual(byVersion[4].changes, { notes: 2 });
+  assert.deepEqual(byVersion[5].changes, { notes: 2 });
+  assert.deepEqual(byVersion[8].changes, { notes: 1 });
+  assert.deepEqual(byVersion[10].changes, { notes: 2 });
+
+  // Reopening at the same version runs nothing
+  database.close();
+  database = new Database();
+  await database.open();
+  assert.deepEqual(await database.getMeta(MetaKeys.SCHEMA_MIGRATIONS), log);
+});
+
+test('migrated notes are searchable by keyword', async () => {
+  await createV1Database();
+
+  database = new Database();
+  await database.open();
+
+  // The index is rebuilt with the current search code once the upgrade commits
+  assert.equal(await database.getMeta(MetaKeys.SEARCH_INDEX_STALE), null);
+
+  const results = await new KeywordSearch(database).search('kubernetes');
+  assert.deepEqual(results.map(note => note.id), ['note-1']);
+});
+
+test('migrateBackupData upgrades a v1 backup without changing it', () => {
+  const backup = {
+    version: 1,
+    exportedAt: 3000,
+    notes: V1_NOTES,
+    embeddings: [],
+    tags: V1_TAGS
+  };
+  const original = JSON.stringify(backup);
+
+  const { fromVersion, toVersion, steps, data } = migrateBackupData(backup);
+
+  assert.equal(JSON.stringify(backup), original);
+  assert.equal(fromVersion, 1);
+  assert.equal(toVersion, DB_VERSION);
+  assert.equal(data.version, DB_VERSION);
+  assert.deepEqual(steps.map(step => step.version), migrations.slice(1).map(m => m.version));
+  assert.deepEqual(steps.find(step => step.version === 4).changes, { notes: 2 });
+
+  const [plain, highlighted] = data.notes;
+  assert.deepEqual(plain.tags, ['k8s', 'ops/clusters']);
+  assert.deepEqual(plain.collectionIds, []);
+  assert.deepEqual(plain.attachments, []);
+  assert.deepEqual(highlighted.highlights[0].source, {
+    url: 'https://example.com/article',
+    title: 'Article'
+  });
+
+  // Already current: nothing left to apply
+  assert.equal(migrateBackupData(data).steps.length, 0);
+});
+
+test('migrateBackupData rejects backups from a newer schema', () => {
+  assert.throws(
+    () => migrateBackupData({ version: DB_VERSION + 1, notes: [] }),
+    /newer version/
+  );
+});